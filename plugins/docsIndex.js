@@ -0,0 +1,43 @@
+/**
+ * Vite plugin serving `virtual:docs-index`: component-groups.json plus, for
+ * every repo-indexing/*.mdx doc, its title, purpose, documented components and
+ * headings. The docs pages use it for the docs lookup and tables of contents
+ * without loading every MDX module.
+ */
+import { DOCS_DIR, GROUPS_FILE, loadDocs, loadGroups } from '../scripts/lib/loadDocs.js'
+
+const ID = 'virtual:docs-index'
+const RESOLVED_ID = '\0' + ID
+
+export default function docsIndex() {
+  return {
+    name: 'docs-index',
+
+    resolveId(id) {
+      return id === ID ? RESOLVED_ID : null
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) {
+        return null
+      }
+
+      const [groups, docs] = await Promise.all([loadGroups(), loadDocs()])
+      this.addWatchFile(GROUPS_FILE)
+      docs.forEach((doc) => this.addWatchFile(`${DOCS_DIR}/${doc.path.split('/').pop()}`))
+
+      const index = docs.map((doc) => ({
+        path: doc.path,
+        title: doc.title,
+        purpose: doc.purpose,
+        components: doc.components.map((component) => component.name),
+        headings: doc.headings,
+      }))
+
+      return [
+        `export const groups = ${JSON.stringify(groups)};`,
+        `export const docs = ${JSON.stringify(index)};`,
+      ].join('\n')
+    },
+  }
+}
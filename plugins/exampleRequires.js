@@ -0,0 +1,84 @@
+/**
+ * Vite plugin that runs the examples' webpack-style `require` calls.
+ *
+ * The doc pages (`*.doc.tsx`, `*Page.tsx`) read example source with
+ * `require('!raw-loader?esModule=false!<path>')`, and the demo app definitions
+ * load pages with `require<any>('../X/XPage')`. Neither exists in native ES
+ * modules, so every such call is replaced by a static import added at the end
+ * of the file (imports are hoisted, so line numbers stay the same):
+ *
+ * - raw-loader requests import the file with `?raw`. Paths under
+ *   `@fluentui/react-examples/src/` point at the local src/examples tree and
+ *   other package paths are read from node_modules. A file the installed
+ *   package no longer ships becomes a placeholder string.
+ * - any other request imports the module namespace, or the default export for
+ *   JSON, which is what CommonJS `require` returned.
+ */
+import { existsSync, statSync } from 'node:fs'
+import path from 'node:path'
+
+const EXAMPLES_DIR = '/src/examples/'
+const SCRIPT = /\.tsx?$/
+const REQUIRE_CALL = /(?<![.\w$])require(?:<[^<>()\n]*>)?\([ \t]*(['"])([^'"\n]+)\1[ \t]*\)/g
+const RAW_LOADER = /^!?raw-loader(?:\?[^!]*)?!/
+const EXAMPLES_PACKAGE = '@fluentui/react-examples/src/'
+const RAW_EXTENSIONS = ['', '.tsx', '.ts', '.md']
+
+const isFile = (file) => existsSync(file) && statSync(file).isFile()
+
+export default function exampleRequires() {
+  let root = process.cwd()
+
+  const resolveRaw = (request, importer) => {
+    let base
+    if (request.startsWith(EXAMPLES_PACKAGE)) {
+      base = path.join(root, 'src', 'examples', request.slice(EXAMPLES_PACKAGE.length))
+    } else if (request.startsWith('.')) {
+      base = path.resolve(path.dirname(importer), request)
+    } else {
+      base = path.join(root, 'node_modules', request)
+    }
+    return RAW_EXTENSIONS.map((extension) => base + extension).find(isFile) ?? null
+  }
+
+  return {
+    name: 'example-requires',
+    enforce: 'pre',
+
+    configResolved(config) {
+      root = config.root
+    },
+
+    transform(code, id) {
+      if (!id.includes(EXAMPLES_DIR) || !SCRIPT.test(id) || !code.includes('require')) {
+        return null
+      }
+
+      const imports = []
+      const transformed = code.replace(REQUIRE_CALL, (call, quote, request) => {
+        if (RAW_LOADER.test(request)) {
+          const rawRequest = request.replace(RAW_LOADER, '')
+          const file = resolveRaw(rawRequest, id)
+          if (!file) {
+            return JSON.stringify(`// ${rawRequest} is not available in this build.\n`)
+          }
+          this.addWatchFile(file)
+          imports.push({ specifier: `${file}?raw`, namespace: false })
+        } else {
+          imports.push({ specifier: request, namespace: !request.endsWith('.json') })
+        }
+        return `__exampleRequire${imports.length - 1}`
+      })
+
+      if (imports.length === 0) {
+        return transformed === code ? null : { code: transformed, map: null }
+      }
+
+      const declarations = imports.map(({ specifier, namespace }, index) => {
+        const binding = namespace ? `* as __exampleRequire${index}` : `__exampleRequire${index}`
+        return `import ${binding} from ${JSON.stringify(specifier)};`
+      })
+      return { code: `${transformed}\n${declarations.join('\n')}\n`, map: null }
+    },
+  }
+}
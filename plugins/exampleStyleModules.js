@@ -0,0 +1,48 @@
+/**
+ * Vite plugin that compiles the examples' `*.Example.scss` files as CSS
+ * modules. The examples import them as `import * as styles from './X.scss'`
+ * and read class names off the result, which Vite only supports for files
+ * named `*.module.scss`, so those imports are given a `.module.scss` id.
+ */
+import { readFile } from 'node:fs/promises'
+
+const MODULE_SUFFIX = '.module.scss'
+const EXAMPLE_STYLES = /\/src\/examples\/.+\.Example\.scss$/
+
+export default function exampleStyleModules() {
+  return {
+    name: 'example-style-modules',
+    enforce: 'pre',
+
+    async resolveId(source, importer, options) {
+      // Vitest resolves the `.module.scss` ids handed out below once more, and
+      // no file by that name exists; resolve the stylesheet they stand for.
+      const stylesheet = source.endsWith(`.Example${MODULE_SUFFIX}`)
+        ? source.slice(0, -MODULE_SUFFIX.length) + '.scss'
+        : source
+      if (!stylesheet.endsWith('.Example.scss') || !importer) {
+        return null
+      }
+
+      const resolved = await this.resolve(stylesheet, importer, {
+        ...options,
+        skipSelf: true,
+      })
+      if (!resolved || !EXAMPLE_STYLES.test(resolved.id)) {
+        return null
+      }
+
+      return resolved.id.replace(/\.scss$/, MODULE_SUFFIX)
+    },
+
+    async load(id) {
+      if (!id.endsWith(`.Example${MODULE_SUFFIX}`)) {
+        return null
+      }
+
+      const file = id.slice(0, -MODULE_SUFFIX.length) + '.scss'
+      this.addWatchFile(file)
+      return readFile(file, 'utf8')
+    },
+  }
+}
@@ -0,0 +1,53 @@
+/**
+ * Vite plugin that keeps the example gallery building when an example imports
+ * a module the installed packages no longer provide (for example a deep
+ * `lib/` path that a package's `exports` map hides).
+ *
+ * Such imports resolve to a stub module that throws when evaluated, so the
+ * failure surfaces in that one example's error boundary instead of failing the
+ * whole build.
+ */
+const PREFIX = '\0missing-example-import:'
+const EXAMPLES_DIR = '/src/examples/'
+
+export default function missingExampleImports() {
+  return {
+    name: 'missing-example-imports',
+    enforce: 'pre',
+
+    async resolveId(source, importer, options) {
+      if (!importer || !importer.includes(EXAMPLES_DIR) || source.startsWith('\0')) {
+        return null
+      }
+
+      try {
+        const resolved = await this.resolve(source, importer, {
+          ...options,
+          skipSelf: true,
+        })
+        if (resolved) {
+          return resolved
+        }
+      } catch {
+        // Resolution errors (such as a missing `exports` entry) are handled below.
+      }
+
+      return PREFIX + source
+    },
+
+    load(id) {
+      if (!id.startsWith(PREFIX)) {
+        return null
+      }
+
+      const source = JSON.stringify(id.slice(PREFIX.length))
+      return {
+        code: [
+          `throw new Error('Cannot find module ' + ${source} + ' imported by an example');`,
+          'export const __missingModule = {};',
+        ].join('\n'),
+        syntheticNamedExports: '__missingModule',
+      }
+    },
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Vite plugin serving the mock API (src/api/mockApi.js) under /api from the
+ * dev and preview servers, with seeded fixture data, a realistic delay and,
+ * if asked, errors. The MOCK_API_LATENCY (ms) and MOCK_API_ERROR_RATE (0 to 1)
+ * environment variables override the options, e.g.
+ * `MOCK_API_ERROR_RATE=1 yarn dev` to see how the dashboard fails.
+ */
+import process from 'node:process'
+import { MOCK_API_PREFIX, respondToMockApiRequest } from '../src/api/mockApi.js'
+
+/**
+ * @param {object} [options]
+ * @param {number | [number, number]} [options.latency] - ms, or a range to
+ *   pick from at random
+ * @param {number} [options.errorRate] - the share of requests that fail
+ */
+export default function mockApi({ latency = [150, 450], errorRate = 0 } = {}) {
+  const { MOCK_API_LATENCY, MOCK_API_ERROR_RATE } = process.env
+  const options = {
+    latency: MOCK_API_LATENCY ? Number(MOCK_API_LATENCY) : latency,
+    errorRate: MOCK_API_ERROR_RATE ? Number(MOCK_API_ERROR_RATE) : errorRate,
+  }
+
+  const middleware = async (req, res, next) => {
+    if (!req.url.startsWith(`${MOCK_API_PREFIX}/`)) {
+      next()
+      return
+    }
+    try {
+      const { status, body } = await respondToMockApiRequest(
+        { method: req.method, url: req.url },
+        options,
+      )
+      res.statusCode = status
+      res.setHeader('Content-Type', 'application/json')
+      res.setHeader('Cache-Control', 'no-store')
+      res.end(JSON.stringify(body))
+    } catch (error) {
+      next(error)
+    }
+  }
+
+  return {
+    name: 'mock-api',
+
+    configureServer(server) {
+      server.middlewares.use(middleware)
+    },
+
+    configurePreviewServer(server) {
+      server.middlewares.use(middleware)
+    },
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * Rehype plugin for the repo-indexing docs: gives every heading the same id
+ * the docs index computes for its table of contents, and moves the
+ * `{Role}` suffix of component headings into a `data-role` attribute.
+ */
+import { createSlugger, splitHeadingRole } from '../scripts/lib/mdxDocs.js'
+
+const HEADINGS = new Set(['h1', 'h2', 'h3', 'h4', 'h5', 'h6'])
+
+const textOf = (node) =>
+  node.type === 'text' ? node.value : (node.children ?? []).map(textOf).join('')
+
+export default function rehypeHeadingIds() {
+  return (tree) => {
+    const slug = createSlugger()
+
+    const visit = (node) => {
+      if (node.type === 'element' && HEADINGS.has(node.tagName)) {
+        const { title, role } = splitHeadingRole(textOf(node))
+        node.properties = { ...node.properties, id: slug(title) }
+        if (role) {
+          node.properties.dataRole = role
+          const last = node.children[node.children.length - 1]
+          if (last?.type === 'text') {
+            last.value = splitHeadingRole(last.value).title
+          }
+        }
+        return
+      }
+      ;(node.children ?? []).forEach(visit)
+    }
+
+    visit(tree)
+  }
+}
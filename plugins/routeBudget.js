@@ -0,0 +1,95 @@
+/**
+ * Vite plugin reporting what each route of src/routes/routeTable.js costs to
+ * load (see scripts/lib/bundleReport.js) after `vite build`. It prints the
+ * sizes, writes reports/bundle.json and reports/bundle.html, and fails the
+ * build when the app shell or a route is over its budget.
+ */
+import path from 'node:path'
+import { mkdir, writeFile } from 'node:fs/promises'
+import { gzipSync } from 'node:zlib'
+import { ROOT, toRepoPath } from '../scripts/lib/loadDocs.js'
+import { buildBundleReport, formatSize, renderBundleReportHtml } from '../scripts/lib/bundleReport.js'
+import { ROUTES } from '../src/routes/routeTable.js'
+
+const OUT = path.join(ROOT, 'reports')
+
+/**
+ * @param {object} [options]
+ * @param {{ initial?: number, route?: number, routes?: Record<string, number> }} [options.budget] -
+ *   in kB gzipped: the app shell, any route, and per-route overrides keyed
+ *   by route path
+ */
+export default function routeBudget({ budget = {} } = {}) {
+  return {
+    name: 'route-budget',
+    apply: 'build',
+
+    async writeBundle(options, bundle) {
+      const files = {}
+      const pageChunks = {}
+      Object.values(bundle).forEach((output) => {
+        if (output.type === 'chunk') {
+          files[output.fileName] = {
+            imports: output.imports,
+            css: [...(output.viteMetadata?.importedCss ?? [])],
+          }
+          if (output.facadeModuleId) {
+            pageChunks[toRepoPath(output.facadeModuleId)] = output.fileName
+          }
+        } else {
+          files[output.fileName] = {}
+        }
+      })
+
+      const sizes = new Map()
+      const sizeOf = (fileName) => {
+        if (!sizes.has(fileName)) {
+          const output = bundle[fileName]
+          const source = output.type === 'chunk' ? output.code : output.source
+          sizes.set(fileName, {
+            bytes: Buffer.byteLength(source),
+            gzip: gzipSync(source).length,
+          })
+        }
+        return sizes.get(fileName)
+      }
+
+      const report = buildBundleReport(
+        {
+          files,
+          entries: Object.values(bundle)
+            .filter((output) => output.type === 'chunk' && output.isEntry)
+            .map((output) => output.fileName),
+          routes: ROUTES.map((route) => ({
+            path: route.path,
+            chunk: pageChunks[`src/pages/${route.page}.jsx`],
+          })),
+        },
+        sizeOf,
+        budget,
+        { generatedAt: new Date().toISOString() },
+      )
+
+      await mkdir(OUT, { recursive: true })
+      const jsonFile = path.join(OUT, 'bundle.json')
+      const htmlFile = path.join(OUT, 'bundle.html')
+      await writeFile(jsonFile, `${JSON.stringify(report, null, 2)}\n`)
+      await writeFile(htmlFile, renderBundleReportHtml(report))
+
+      const limit = (entry) => (entry.limit === null ? '' : ` / ${formatSize(entry.limit)}`)
+      console.log('\nRoute sizes (gzipped, beyond the app shell)')
+      console.log(`  app shell  ${formatSize(report.initial.gzip)}${limit(report.initial)}`)
+      report.routes.forEach((route) =>
+        console.log(`  ${route.path}  ${formatSize(route.gzip)}${limit(route)}${route.over ? '  OVER BUDGET' : ''}`),
+      )
+      console.log(`Wrote ${toRepoPath(jsonFile)} and ${toRepoPath(htmlFile)}`)
+
+      if (report.overBudget.length > 0) {
+        this.error(
+          `Over the bundle budget: ${report.overBudget.join(', ')}. See ${toRepoPath(htmlFile)}, ` +
+            'and raise the budget in vite.config.js only if the growth is expected.',
+        )
+      }
+    },
+  }
+}
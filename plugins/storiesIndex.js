@@ -0,0 +1,35 @@
+/**
+ * Vite plugin serving `virtual:stories-index`: every story in the examples'
+ * `*.stories.tsx` files with its id, title and export name (see
+ * scripts/lib/loadStories.js). The story runner lists stories from it and only
+ * loads a story file when one of its stories is opened.
+ */
+import path from 'node:path'
+import { ROOT } from '../scripts/lib/loadDocs.js'
+import { loadStories } from '../scripts/lib/loadStories.js'
+
+const ID = 'virtual:stories-index'
+const RESOLVED_ID = '\0' + ID
+
+export default function storiesIndex() {
+  return {
+    name: 'stories-index',
+
+    resolveId(id) {
+      return id === ID ? RESOLVED_ID : null
+    },
+
+    async load(id) {
+      if (id !== RESOLVED_ID) {
+        return null
+      }
+
+      const stories = await loadStories()
+      new Set(stories.map((story) => story.path)).forEach((file) =>
+        this.addWatchFile(path.join(ROOT, file)),
+      )
+
+      return `export const stories = ${JSON.stringify(stories)};`
+    },
+  }
+}
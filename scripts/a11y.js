@@ -0,0 +1,142 @@
+/**
+ * Audits the app's routes and the gallery examples for accessibility with
+ * axe-core, in the light, dark and high-contrast themes.
+ *
+ * Runs src/test/a11y.audit.jsx with Vitest, which renders each route and
+ * example in jsdom inside the app's theme providers and records axe's
+ * violations. The routes run first, then the example packages one after
+ * another, each in a fresh worker (see scripts/lib/runVitest.js). The results
+ * are written as a JSON and an HTML report listing each violation's rule,
+ * elements and severity (see scripts/lib/a11yReport.js).
+ *
+ * Color contrast needs a browser's layout and is not checked here; the audit
+ * overlay in the app (the Accessibility audit button in the navigation bar)
+ * checks it on the page it shows.
+ *
+ * Usage: node scripts/a11y.js [--routes-only | --examples-only] [--package <name>] [--component <name>]
+ *                             [--theme <name>] [--out <dir>] [--strict]
+ *   --routes-only    only audit the app's routes
+ *   --examples-only  only audit the gallery examples
+ *   --package        only audit this example package's examples (implies --examples-only)
+ *   --component      only audit this component's examples
+ *   --theme          only audit in this theme: light, dark or high-contrast
+ *   --out            where to write the reports (default: reports/)
+ *   --strict         exit with code 1 when there is a critical or serious violation
+ */
+import { mkdir, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { AUDIT_THEMES, IMPACTS } from '../src/a11y/axeResults.js'
+import { buildA11yReport, renderA11yReportHtml } from './lib/a11yReport.js'
+import { ROOT, toRepoPath } from './lib/loadDocs.js'
+import { listExamplePackages, runVitestFile } from './lib/runVitest.js'
+
+const AUDIT_TEST = 'src/test/a11y.audit.jsx'
+const DEFAULT_OUT = path.join(ROOT, 'reports')
+const REPORT_NAME = 'a11y'
+
+const SKIPPED_RULES = [
+  {
+    rule: 'color-contrast',
+    reason: 'needs layout and computed colors, which jsdom lacks; the in-app audit overlay checks it',
+  },
+]
+
+const optionValue = (args, name) => {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+/** Runs the audit test on routes or on one package's examples. */
+const audit = (targets, { packageName, component, theme } = {}) =>
+  runVitestFile(AUDIT_TEST, {
+    key: 'audit',
+    env: {
+      A11Y_TARGETS: targets,
+      A11Y_PACKAGE: packageName ?? '',
+      A11Y_COMPONENT: component ?? '',
+      A11Y_THEMES: theme ?? '',
+    },
+  })
+
+function printSummary(report) {
+  const counts = (totals) =>
+    IMPACTS.filter((impact) => totals[impact] > 0)
+      .map((impact) => `${totals[impact]} ${impact}`)
+      .join(', ') || 'no violations'
+
+  console.log('\nAccessibility')
+  console.log(
+    `${report.totals.targets} targets, ${report.totals.failing} with violations: ${counts(report.totals)}`,
+  )
+  if (report.totals.errors > 0) {
+    console.log(`${report.totals.errors} could not be rendered`)
+  }
+  report.rules.forEach((rule) =>
+    console.log(`  - [${rule.impact}] ${rule.rule}: ${rule.elements} elements in ${rule.targets} targets`),
+  )
+  report.routes
+    .filter((route) => route.violations.length > 0)
+    .forEach((route) =>
+      console.log(`${route.target}: ${route.violations.map((violation) => violation.rule).join(', ')}`),
+    )
+}
+
+async function main(args) {
+  const packageName = optionValue(args, '--package')
+  const component = optionValue(args, '--component')
+  const theme = optionValue(args, '--theme')
+  const out = path.resolve(optionValue(args, '--out') ?? DEFAULT_OUT)
+  const auditRoutes = !args.includes('--examples-only') && !packageName && !component
+  const auditExamples = !args.includes('--routes-only')
+
+  if (theme && !(theme in AUDIT_THEMES)) {
+    console.error(`No theme named "${theme}". Themes: ${Object.keys(AUDIT_THEMES).join(', ')}`)
+    process.exitCode = 2
+    return
+  }
+  const packages = await listExamplePackages()
+  if (packageName && !packages.includes(packageName)) {
+    console.error(`No example package named "${packageName}". Packages: ${packages.join(', ')}`)
+    process.exitCode = 2
+    return
+  }
+
+  const audits = []
+  if (auditRoutes) {
+    console.log('\nAuditing routes')
+    audits.push(...(await audit('routes', { theme })))
+  }
+  if (auditExamples) {
+    for (const name of packageName ? [packageName] : packages) {
+      console.log(`\nAuditing ${name} examples`)
+      audits.push(...(await audit('examples', { packageName: name, component, theme })))
+    }
+  }
+
+  const report = buildA11yReport(audits, {
+    generatedAt: new Date().toISOString(),
+    themes: theme ? [theme] : Object.keys(AUDIT_THEMES),
+    filter: { package: packageName ?? null, component: component ?? null },
+    skippedRules: SKIPPED_RULES,
+  })
+  await mkdir(out, { recursive: true })
+  const jsonFile = path.join(out, `${REPORT_NAME}.json`)
+  const htmlFile = path.join(out, `${REPORT_NAME}.html`)
+  await writeFile(jsonFile, `${JSON.stringify(report, null, 2)}\n`)
+  await writeFile(htmlFile, renderA11yReportHtml(report))
+
+  printSummary(report)
+  console.log(`\nWrote ${toRepoPath(jsonFile)} and ${toRepoPath(htmlFile)}`)
+
+  if (args.includes('--strict') && (report.totals.critical > 0 || report.totals.serious > 0)) {
+    process.exitCode = 1
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
@@ -0,0 +1,136 @@
+/**
+ * Generates the machine-readable component catalog.
+ *
+ * Joins component-groups.json with the prose docs in repo-indexing/*.mdx and
+ * checks every component name against the installed
+ * @fluentui/react-components exports. The catalog is written to
+ * public/catalog.json (served by the app at /catalog.json) together with a
+ * report of groups without docs, docs without a group and unexported names.
+ *
+ * Usage: node scripts/catalog.js [--out <file>] [--strict]
+ *   --strict  exit with code 1 when the report lists any problem
+ */
+import { readFile, mkdir, writeFile } from 'node:fs/promises'
+import { createRequire } from 'node:module'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { ROOT, loadDocs, loadGroups, toRepoPath } from './lib/loadDocs.js'
+
+const DEFAULT_OUT = path.join(ROOT, 'public', 'catalog.json')
+const PACKAGE_NAME = '@fluentui/react-components'
+
+async function loadPackage() {
+  const require = createRequire(import.meta.url)
+  const { version } = JSON.parse(
+    await readFile(require.resolve(`${PACKAGE_NAME}/package.json`), 'utf8'),
+  )
+  const exports = new Set(Object.keys(await import(PACKAGE_NAME)))
+  return { name: PACKAGE_NAME, version, exports }
+}
+
+export async function buildCatalog() {
+  const groups = await loadGroups()
+  const docs = new Map(
+    (await loadDocs()).map((doc) => [path.basename(doc.path, '.mdx').toLowerCase(), doc]),
+  )
+  const pkg = await loadPackage()
+  const documented = new Set()
+  const unexportedComponents = []
+
+  const catalogGroups = groups.map((group) => {
+    const key = group.name.toLowerCase()
+    const doc = docs.get(key) ?? null
+    if (doc) {
+      documented.add(key)
+    }
+
+    const components = group.components.map((name) => {
+      const exported = pkg.exports.has(name)
+      if (!exported) {
+        unexportedComponents.push({ group: group.name, component: name })
+      }
+      const docComponent = doc?.components.find((component) => component.name === name)
+      const props = doc?.interfaces.find(
+        (item) => item.name === docComponent?.propsInterface || item.name === `${name}Props`,
+      )
+      return {
+        name,
+        exported,
+        role: docComponent?.role ?? null,
+        props: props ?? null,
+      }
+    })
+
+    return {
+      name: group.name,
+      description: group.description,
+      packages: group.relevantFiles,
+      purpose: doc?.purpose ?? null,
+      docsPath: doc?.path ?? null,
+      components,
+      interfaces: doc?.interfaces ?? [],
+      examples: doc?.examples ?? [],
+    }
+  })
+
+  const report = {
+    groupsWithoutDocs: groups
+      .filter((group) => !docs.has(group.name.toLowerCase()))
+      .map((group) => group.name),
+    docsWithoutGroup: [...docs.entries()]
+      .filter(([key]) => !documented.has(key))
+      .map(([, doc]) => doc.path),
+    unexportedComponents,
+  }
+
+  return {
+    package: { name: pkg.name, version: pkg.version },
+    groups: catalogGroups,
+    report,
+  }
+}
+
+function printReport({ report, groups }) {
+  const documentedCount = groups.filter((group) => group.docsPath).length
+  console.log(`Catalog: ${groups.length} groups, ${documentedCount} with docs`)
+
+  const sections = [
+    ['Groups without docs', report.groupsWithoutDocs],
+    ['Docs without a group', report.docsWithoutGroup],
+    [
+      `Components not exported by ${PACKAGE_NAME}`,
+      report.unexportedComponents.map(({ group, component }) => `${component} (${group})`),
+    ],
+  ]
+  sections.forEach(([title, items]) => {
+    console.log(`\n${title}: ${items.length}`)
+    items.forEach((item) => console.log(`  - ${item}`))
+  })
+}
+
+const countProblems = ({ report }) =>
+  report.groupsWithoutDocs.length +
+  report.docsWithoutGroup.length +
+  report.unexportedComponents.length
+
+async function main(args) {
+  const outIndex = args.indexOf('--out')
+  const out = outIndex === -1 ? DEFAULT_OUT : path.resolve(args[outIndex + 1])
+  const catalog = await buildCatalog()
+
+  await mkdir(path.dirname(out), { recursive: true })
+  await writeFile(out, `${JSON.stringify(catalog, null, 2)}\n`)
+  printReport(catalog)
+  console.log(`\nWrote ${toRepoPath(out)}`)
+
+  if (args.includes('--strict') && countProblems(catalog) > 0) {
+    process.exitCode = 1
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
@@ -0,0 +1,75 @@
+/**
+ * Finds the repo-indexing/*.mdx doc for a component group or component.
+ *
+ * Usage:
+ *   node scripts/docs.js lookup <name> [--json]   print the doc path for a name
+ *   node scripts/docs.js list [--json]            list every group and its doc
+ *
+ * `lookup` exits with code 1 and explains why when no doc covers the name.
+ * Resolution rules live in src/utils/docsLookup.js.
+ */
+import { fileURLToPath } from 'node:url'
+import { DocNotFoundError } from '../src/utils/docsLookup.js'
+import { loadDocsLookup } from './lib/loadDocs.js'
+
+const USAGE = 'Usage: node scripts/docs.js lookup <name> [--json] | list [--json]'
+
+async function main(args) {
+  const json = args.includes('--json')
+  const [command, ...rest] = args.filter((arg) => arg !== '--json')
+  const docs = await loadDocsLookup()
+
+  if (command === 'lookup' && rest.length > 0) {
+    const name = rest.join(' ')
+    try {
+      const found = docs.lookup(name)
+      if (json) {
+        console.log(JSON.stringify(found, null, 2))
+      } else {
+        const via =
+          found.match === 'group' ? '' : ` (${found.component ?? name} via ${found.match})`
+        console.log(`${found.path}${via}`)
+      }
+    } catch (error) {
+      if (!(error instanceof DocNotFoundError)) {
+        throw error
+      }
+      if (json) {
+        console.log(
+          JSON.stringify(
+            { error: error.message, group: error.group, suggestions: error.suggestions },
+            null,
+            2,
+          ),
+        )
+      } else {
+        console.error(error.message)
+      }
+      process.exitCode = 1
+    }
+    return
+  }
+
+  if (command === 'list') {
+    const entries = docs.list()
+    if (json) {
+      console.log(JSON.stringify(entries, null, 2))
+    } else {
+      const width = Math.max(...entries.map((entry) => entry.group.length))
+      entries.forEach(({ group, path }) =>
+        console.log(`${group.padEnd(width)}  ${path ?? '(no doc)'}`),
+      )
+    }
+    return
+  }
+
+  console.error(USAGE)
+  process.exitCode = 2
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
@@ -0,0 +1,200 @@
+/**
+ * The accessibility report written by scripts/a11y.js.
+ *
+ * src/test/a11y.audit.jsx runs axe on each route and example once per theme
+ * and records one audit per run, in the shape src/a11y/axeResults.js gives
+ * them; this module merges the audits of a target across themes and turns
+ * them into a report listing, for every violation, the rule, the offending
+ * elements and the severity, as JSON and as a standalone HTML page.
+ */
+import { IMPACTS, IMPACT_COLORS, byImpact } from '../../src/a11y/axeResults.js'
+import { REPORT_STYLES, badge, escapeHtml } from './html.js'
+
+const countImpacts = (violations) =>
+  Object.fromEntries(
+    IMPACTS.map((impact) => [
+      impact,
+      violations
+        .filter((violation) => violation.impact === impact)
+        .reduce((count, violation) => count + violation.elements.length, 0),
+    ]),
+  )
+
+const summarize = (targets) => {
+  const violations = targets.flatMap((target) => target.violations)
+  return {
+    targets: targets.length,
+    failing: targets.filter((target) => target.violations.length > 0).length,
+    errors: targets.filter((target) => target.errors.length > 0).length,
+    elements: violations.reduce((count, violation) => count + violation.elements.length, 0),
+    ...countImpacts(violations),
+  }
+}
+
+// Merges the audits of one target: an element that fails a rule in several
+// themes is listed once, with the themes it fails in.
+const mergeTarget = (audits) => {
+  const [{ kind, target, title, packageName, componentName }] = audits
+  const rules = new Map()
+  audits.forEach((audit) =>
+    (audit.violations ?? []).forEach((violation) => {
+      if (!rules.has(violation.rule)) {
+        rules.set(violation.rule, { ...violation, elements: new Map() })
+      }
+      const elements = rules.get(violation.rule).elements
+      violation.elements.forEach((element) => {
+        const key = element.path ?? element.target
+        if (!elements.has(key)) {
+          elements.set(key, { ...element, themes: [] })
+        }
+        elements.get(key).themes.push(audit.theme)
+      })
+    }),
+  )
+
+  return {
+    kind,
+    target,
+    title,
+    ...(packageName && { packageName, componentName }),
+    themes: audits.map((audit) => audit.theme),
+    errors: audits
+      .filter((audit) => audit.error)
+      .map((audit) => ({ theme: audit.theme, error: audit.error })),
+    violations: [...rules.values()]
+      .map((rule) => ({ ...rule, elements: [...rule.elements.values()] }))
+      .sort(byImpact),
+  }
+}
+
+const summarizeRules = (targets) => {
+  const rules = new Map()
+  targets.forEach((target) =>
+    target.violations.forEach(({ rule, impact, help, helpUrl, elements }) => {
+      if (!rules.has(rule)) {
+        rules.set(rule, { rule, impact, help, helpUrl, targets: 0, elements: 0 })
+      }
+      rules.get(rule).targets += 1
+      rules.get(rule).elements += elements.length
+    }),
+  )
+  return [...rules.values()].sort((a, b) => byImpact(a, b) || b.elements - a.elements)
+}
+
+/**
+ * Merges per-theme audits into one entry per route or example, with totals
+ * per severity and a summary of the rules that failed anywhere.
+ *
+ * @param {object[]} audits - `{ kind, target, title, theme, violations, error, ... }`
+ * @param {object} [meta] - extra fields for the report, e.g. the run's options
+ */
+export function buildA11yReport(audits, meta = {}) {
+  const groups = new Map()
+  audits.forEach((audit) => {
+    const key = `${audit.kind}:${audit.target}`
+    if (!groups.has(key)) {
+      groups.set(key, [])
+    }
+    groups.get(key).push(audit)
+  })
+  const targets = [...groups.values()].map(mergeTarget)
+  const routes = targets.filter((target) => target.kind === 'route')
+  const examples = targets
+    .filter((target) => target.kind === 'example')
+    .sort((a, b) => a.target.localeCompare(b.target))
+
+  return {
+    ...meta,
+    totals: summarize(targets),
+    rules: summarizeRules(targets),
+    routes,
+    examples,
+  }
+}
+
+const impactBadge = (impact, count) => badge(impact, IMPACT_COLORS[impact], count)
+
+const impactBadges = (totals) =>
+  IMPACTS.filter((impact) => totals[impact] > 0)
+    .map((impact) => impactBadge(impact, totals[impact]))
+    .join(' ')
+
+const renderElement = (element) => `
+          <li><code>${escapeHtml(element.target)}</code> (${element.themes.join(', ')})
+            <pre>${escapeHtml(element.html)}\n\n${escapeHtml(element.summary)}</pre></li>`
+
+const renderViolation = (violation) => `
+        <details>
+          <summary>${impactBadge(violation.impact)} <strong>${escapeHtml(violation.rule)}</strong>: ${escapeHtml(
+            violation.help,
+          )} (${violation.elements.length})</summary>
+          <p><a href="${escapeHtml(violation.helpUrl)}">${escapeHtml(violation.helpUrl)}</a></p>
+          <ul>${violation.elements.map(renderElement).join('')}</ul>
+        </details>`
+
+const renderTarget = (target) => {
+  const errors = target.errors
+    .map(({ theme, error }) => `<p>Could not audit in ${theme}:</p><pre>${escapeHtml(error)}</pre>`)
+    .join('')
+  const label =
+    target.kind === 'route'
+      ? `<code>${escapeHtml(target.target)}</code>`
+      : `${escapeHtml(target.title)} <code>${escapeHtml(target.target)}</code>`
+
+  return `
+      <details class="target"${target.violations.length > 0 || errors ? ' open' : ''}>
+        <summary>${label} ${impactBadges(countImpacts(target.violations))}${
+          errors ? ` ${badge('error', IMPACT_COLORS.critical)}` : ''
+        }</summary>
+        ${errors}${target.violations.map(renderViolation).join('')}
+      </details>`
+}
+
+const renderTargets = (title, targets) =>
+  targets.length ? `<h2>${title}</h2>${targets.map(renderTarget).join('')}` : ''
+
+/** Renders the report as a self-contained HTML page. */
+export function renderA11yReportHtml(report) {
+  const rules = report.rules
+    .map(
+      (rule) =>
+        `<tr><td>${impactBadge(rule.impact)}</td><td><a href="${escapeHtml(rule.helpUrl)}">${escapeHtml(
+          rule.rule,
+        )}</a></td><td>${escapeHtml(rule.help)}</td><td>${rule.targets}</td><td>${rule.elements}</td></tr>`,
+    )
+    .join('')
+  const skipped = (report.skippedRules ?? [])
+    .map(({ rule, reason }) => `<li><code>${escapeHtml(rule)}</code>: ${escapeHtml(reason)}</li>`)
+    .join('')
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Accessibility report</title>
+    <style>${REPORT_STYLES}
+      table { border-collapse: collapse; }
+      td, th { text-align: left; padding: 4px 12px 4px 0; }
+      .target { margin: 8px 0; }
+      .target > details { margin: 4px 0 4px 24px; }
+    </style>
+  </head>
+  <body>
+    <h1>Accessibility report</h1>
+    <p>Generated ${escapeHtml(report.generatedAt ?? '')} in ${escapeHtml(
+      (report.themes ?? []).join(', '),
+    )}: ${report.totals.targets} targets, ${report.totals.failing} with violations, ${
+      report.totals.elements
+    } failing elements. ${impactBadges(report.totals)}</p>
+    ${skipped ? `<p>Not checked:</p><ul>${skipped}</ul>` : ''}
+    ${
+      rules
+        ? `<h2>Rules</h2><table><tr><th>Severity</th><th>Rule</th><th>Help</th><th>Targets</th><th>Elements</th></tr>${rules}</table>`
+        : ''
+    }
+    ${renderTargets('Routes', report.routes)}
+    ${renderTargets('Examples', report.examples)}
+  </body>
+</html>
+`
+}
@@ -0,0 +1,155 @@
+/**
+ * The bundle size report written by plugins/routeBudget.js after a build.
+ *
+ * A route costs what a first visit to it downloads beyond the app shell: its
+ * page chunk and every chunk and stylesheet the page imports statically that
+ * the shell does not already load. Chunks the page loads later on demand (an
+ * example, a doc, a story) are not counted. Sizes are gzipped, as served, and
+ * budgets are in kB of gzipped size.
+ */
+import { REPORT_STYLES, badge, escapeHtml } from './html.js'
+
+const KB = 1000
+
+export const formatSize = (bytes) => `${(bytes / KB).toFixed(1)} kB`
+
+/**
+ * The files loading `start` loads with it: itself, its static imports
+ * (transitively) and their stylesheets.
+ */
+function staticClosure(files, start) {
+  const seen = new Set()
+  const visit = (fileName) => {
+    if (seen.has(fileName) || !files[fileName]) {
+      return
+    }
+    seen.add(fileName)
+    files[fileName].css?.forEach((css) => seen.add(css))
+    files[fileName].imports?.forEach(visit)
+  }
+  start.forEach(visit)
+  return seen
+}
+
+const measure = (fileNames, sizeOf) => {
+  const measured = [...fileNames]
+    .map((fileName) => ({ file: fileName, ...sizeOf(fileName) }))
+    .sort((a, b) => b.gzip - a.gzip)
+  return {
+    files: measured,
+    bytes: measured.reduce((sum, file) => sum + file.bytes, 0),
+    gzip: measured.reduce((sum, file) => sum + file.gzip, 0),
+  }
+}
+
+const withLimit = (entry, limitKb) => ({
+  ...entry,
+  limit: limitKb === undefined ? null : limitKb * KB,
+  over: limitKb !== undefined && entry.gzip > limitKb * KB,
+})
+
+/**
+ * Builds the report.
+ *
+ * @param {object} bundle
+ * @param {Record<string, { imports?: string[], css?: string[] }>} bundle.files -
+ *   every chunk and stylesheet by file name, with a chunk's static imports
+ *   and the stylesheets it loads
+ * @param {string[]} bundle.entries - the chunks index.html loads
+ * @param {{ path: string, chunk: string | undefined }[]} bundle.routes - each
+ *   route's page chunk
+ * @param {(fileName: string) => { bytes: number, gzip: number }} sizeOf
+ * @param {{ initial?: number, route?: number, routes?: Record<string, number> }} budget -
+ *   in kB gzipped: the app shell, any route, and per-route overrides
+ * @param {object} [meta] - merged into the report, e.g. `generatedAt`
+ */
+export function buildBundleReport({ files, entries, routes }, sizeOf, budget = {}, meta = {}) {
+  const shell = staticClosure(files, entries)
+  const initial = withLimit(measure(shell, sizeOf), budget.initial)
+
+  const routeReports = routes.map(({ path, chunk }) => {
+    const loaded = [...staticClosure(files, chunk ? [chunk] : [])].filter(
+      (fileName) => !shell.has(fileName),
+    )
+    return {
+      path,
+      chunk: chunk ?? null,
+      ...withLimit(measure(loaded, sizeOf), budget.routes?.[path] ?? budget.route),
+    }
+  })
+
+  return {
+    ...meta,
+    budget,
+    initial,
+    routes: routeReports,
+    overBudget: [
+      ...(initial.over ? ['initial'] : []),
+      ...routeReports.filter((route) => route.over).map((route) => route.path),
+    ],
+  }
+}
+
+const statusBadge = (entry) =>
+  entry.limit === null
+    ? ''
+    : entry.over
+      ? badge('over budget', '#c50f1f')
+      : badge('within budget', '#107c10')
+
+const renderRow = (label, entry) => `
+        <tr>
+          <td>${label}</td>
+          <td>${formatSize(entry.gzip)}</td>
+          <td>${formatSize(entry.bytes)}</td>
+          <td>${entry.limit === null ? '' : formatSize(entry.limit)}</td>
+          <td>${statusBadge(entry)}</td>
+        </tr>`
+
+const renderFiles = (label, entry) => `
+      <details>
+        <summary>${label} (${entry.files.length} files)</summary>
+        <table>${entry.files
+          .map(
+            (file) =>
+              `<tr><td><code>${escapeHtml(file.file)}</code></td><td>${formatSize(file.gzip)}</td><td>${formatSize(
+                file.bytes,
+              )}</td></tr>`,
+          )
+          .join('')}</table>
+      </details>`
+
+/** Renders the report as a self-contained HTML page. */
+export function renderBundleReportHtml(report) {
+  const routeLabel = (route) => `<code>${escapeHtml(route.path)}</code>`
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Bundle report</title>
+    <style>${REPORT_STYLES}
+      table { border-collapse: collapse; }
+      td, th { text-align: left; padding: 4px 16px 4px 0; }
+    </style>
+  </head>
+  <body>
+    <h1>Bundle report</h1>
+    <p>Generated ${escapeHtml(report.generatedAt ?? '')}. Route sizes exclude the app shell,
+      which every route loads. ${
+        report.overBudget.length
+          ? badge('over budget', '#c50f1f', report.overBudget.length)
+          : badge('within budget', '#107c10')
+      }</p>
+    <table>
+      <tr><th>Route</th><th>Gzipped</th><th>Minified</th><th>Budget</th><th></th></tr>
+      ${renderRow('App shell', report.initial)}
+      ${report.routes.map((route) => renderRow(routeLabel(route), route)).join('')}
+    </table>
+    <h2>Files</h2>
+    ${renderFiles('App shell', report.initial)}
+    ${report.routes.map((route) => renderFiles(routeLabel(route), route)).join('')}
+  </body>
+</html>
+`
+}
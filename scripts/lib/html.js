@@ -0,0 +1,23 @@
+/**
+ * Helpers for the standalone HTML reports written by the scripts.
+ */
+
+export const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+
+/** A colored label, e.g. a status or severity with an optional count. */
+export const badge = (label, color, count) =>
+  `<span class="badge" style="background:${color}">${escapeHtml(label)}${
+    count === undefined ? '' : ` ${count}`
+  }</span>`
+
+/** Base styles shared by the reports. */
+export const REPORT_STYLES = `
+      body { font-family: "Segoe UI", system-ui, sans-serif; margin: 32px; color: #242424; }
+      h2 { margin-top: 32px; }
+      .badge { color: #fff; border-radius: 4px; padding: 1px 6px; font-size: 12px; }
+      pre { background: #f5f5f5; padding: 8px; overflow: auto; white-space: pre-wrap; }`
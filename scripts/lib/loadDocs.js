@@ -0,0 +1,42 @@
+/**
+ * Reads component-groups.json and the repo-indexing/*.mdx docs from disk.
+ */
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createDocsLookup } from '../../src/utils/docsLookup.js'
+import { parseMdxDoc } from './mdxDocs.js'
+
+export const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..', '..')
+export const GROUPS_FILE = path.join(ROOT, 'component-groups.json')
+export const DOCS_DIR = path.join(ROOT, 'repo-indexing')
+
+/** Returns a path relative to the repository root, with forward slashes. */
+export const toRepoPath = (file) => path.relative(ROOT, file).split(path.sep).join('/')
+
+export async function loadGroups() {
+  return JSON.parse(await readFile(GROUPS_FILE, 'utf8'))
+}
+
+/** Parses every doc; each entry is `parseMdxDoc` output plus its repo path. */
+export async function loadDocs() {
+  const files = (await readdir(DOCS_DIR)).filter((file) => file.endsWith('.mdx')).sort()
+
+  return Promise.all(
+    files.map(async (file) => ({
+      path: toRepoPath(path.join(DOCS_DIR, file)),
+      ...parseMdxDoc(await readFile(path.join(DOCS_DIR, file), 'utf8')),
+    })),
+  )
+}
+
+export async function loadDocsLookup() {
+  const [groups, docs] = await Promise.all([loadGroups(), loadDocs()])
+  return createDocsLookup({
+    groups,
+    docs: docs.map((doc) => ({
+      path: doc.path,
+      components: doc.components.map((component) => component.name),
+    })),
+  })
+}
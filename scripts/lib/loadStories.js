@@ -0,0 +1,60 @@
+/**
+ * Indexes the examples' `*.stories.tsx` files from disk.
+ */
+import { readFile, readdir } from 'node:fs/promises'
+import path from 'node:path'
+import { parseCsf, storyNameFromExport, toStoryId } from '../../src/utils/csf.js'
+import { ROOT, toRepoPath } from './loadDocs.js'
+
+export const EXAMPLES_DIR = path.join(ROOT, 'src', 'examples')
+const STORY_FILE = /\.stories\.tsx$/
+
+async function findStoryFiles(directory) {
+  const entries = await readdir(directory, { withFileTypes: true })
+  const nested = await Promise.all(
+    entries.map((entry) => {
+      const file = path.join(directory, entry.name)
+      if (entry.isDirectory()) {
+        return findStoryFiles(file)
+      }
+      return STORY_FILE.test(entry.name) ? [file] : []
+    }),
+  )
+  return nested.flat()
+}
+
+// Storybook's auto title: the file's folders, plus its name unless it is
+// an `index.stories.tsx`.
+const autoTitle = (relativePath) =>
+  relativePath.replace(STORY_FILE, '').replace(/\/index$/, '')
+
+/**
+ * Returns one entry per story, sorted by title:
+ * `{ id, title, name, exportName, packageName, path }`.
+ *
+ * Titles are prefixed with the example package (`react/Components/Slider`),
+ * because several packages document a component under the same title.
+ */
+export async function loadStories() {
+  const files = (await findStoryFiles(EXAMPLES_DIR)).sort()
+
+  const perFile = await Promise.all(
+    files.map(async (file) => {
+      const relativePath = path.relative(EXAMPLES_DIR, file).split(path.sep).join('/')
+      const [packageName, ...rest] = relativePath.split('/')
+      const csf = parseCsf(await readFile(file, 'utf8'))
+      const title = `${packageName}/${csf.title ?? autoTitle(rest.join('/'))}`
+
+      return csf.exports.map((exportName) => ({
+        id: toStoryId(title, exportName),
+        title,
+        name: storyNameFromExport(exportName),
+        exportName,
+        packageName,
+        path: toRepoPath(file),
+      }))
+    }),
+  )
+
+  return perFile.flat().sort((a, b) => a.title.localeCompare(b.title))
+}
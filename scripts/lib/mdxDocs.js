@@ -0,0 +1,232 @@
+/**
+ * Parsers for the component group docs in repo-indexing/*.mdx.
+ *
+ * The docs share one layout: an Overview section with a Purpose paragraph, a
+ * Components section with one `### Name {Role}` heading per component, each
+ * followed by a ```typescript `interface ...Props` block and a ```tsx usage
+ * example, then integration patterns and best practices.
+ */
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*$/
+const FENCE = /^```(\w*)\s*$/
+const ROLE = /\s*\{([^}]+)\}\s*$/
+
+/** Splits `Button {Primary Component}` into its title and role. */
+export function splitHeadingRole(text) {
+  const role = text.match(ROLE)
+  return { title: text.replace(ROLE, ''), role: role ? role[1] : null }
+}
+
+export const slugify = (text) =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .trim()
+    .replace(/[\s-]+/g, '-')
+
+/**
+ * Returns a function producing unique heading ids in document order
+ * (`usage`, `usage-1`, ...). The TOC and the rendered headings both use it,
+ * so their ids match.
+ */
+export function createSlugger() {
+  const seen = new Map()
+  return (text) => {
+    const base = slugify(text) || 'section'
+    const count = seen.get(base) ?? 0
+    seen.set(base, count + 1)
+    return count === 0 ? base : `${base}-${count}`
+  }
+}
+
+/**
+ * Splits an MDX document into headings and fenced code blocks, keeping track
+ * of the heading each block appears under.
+ */
+export function tokenizeMdx(source) {
+  const headings = []
+  const codeBlocks = []
+  const lines = source.split(/\r?\n/)
+  let block = null
+  let section = { level: 0, title: '', role: null }
+  const trail = []
+  const slug = createSlugger()
+
+  lines.forEach((line, index) => {
+    const fence = line.match(FENCE)
+    if (block) {
+      if (fence && fence[1] === '') {
+        codeBlocks.push({ ...block, code: block.lines.join('\n') })
+        block = null
+      } else {
+        block.lines.push(line)
+      }
+      return
+    }
+    if (fence) {
+      block = {
+        language: fence[1] || 'text',
+        line: index + 1,
+        heading: section.title,
+        parents: trail.map((heading) => heading.title),
+        lines: [],
+      }
+      return
+    }
+
+    const heading = line.match(HEADING)
+    if (heading) {
+      const [, hashes, text] = heading
+      const { title, role } = splitHeadingRole(text)
+      section = {
+        level: hashes.length,
+        title,
+        role,
+        id: slug(title),
+        line: index + 1,
+      }
+      while (trail.length && trail[trail.length - 1].level >= section.level) {
+        trail.pop()
+      }
+      headings.push({ ...section, parent: trail.length ? trail[trail.length - 1].title : null })
+      trail.push(section)
+    }
+  })
+
+  return { headings, codeBlocks }
+}
+
+const stripComments = (code) =>
+  code.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1')
+
+/**
+ * Splits an interface body into members at top-level `;` or line breaks,
+ * leaving nested object, function and generic types intact.
+ */
+function splitMembers(body) {
+  const members = []
+  let depth = 0
+  let current = ''
+
+  ;[...body].forEach((char, index) => {
+    if ('{([<'.includes(char)) depth += 1
+    if ('})]>'.includes(char)) depth -= 1
+    // `=>` is not a closing angle bracket
+    if (char === '>' && current.endsWith('=')) depth += 1
+
+    if (depth === 0 && (char === ';' || char === '\n')) {
+      // A member continues when its line ends mid-type or the next line starts
+      // a union/intersection branch.
+      const continues =
+        /[|&:,]$/.test(current.trim()) || /^\s*[|&]/.test(body.slice(index + 1))
+      if (current.trim() && (char === ';' || !continues)) {
+        members.push(current.trim())
+        current = ''
+      } else if (char === '\n') {
+        current += ' '
+      }
+      return
+    }
+    current += char
+  })
+  if (current.trim()) {
+    members.push(current.trim())
+  }
+  return members
+}
+
+const MEMBER = /^(?:readonly\s+)?(["']?[\w$-]+["']?)(\?)?\s*:\s*([\s\S]+?)[,;]?$/
+
+/**
+ * Extracts every `interface XProps { ... }` declaration from TypeScript code.
+ */
+export function parsePropsInterfaces(code) {
+  const interfaces = []
+  const source = stripComments(code)
+  const declaration = /interface\s+(\w+Props)\s*(?:<[^>{]*>)?\s*(?:extends\s+([^{]+?))?\s*\{/g
+  let match
+
+  while ((match = declaration.exec(source))) {
+    const start = declaration.lastIndex
+    let depth = 1
+    let end = start
+    while (end < source.length && depth > 0) {
+      if (source[end] === '{') depth += 1
+      if (source[end] === '}') depth -= 1
+      end += 1
+    }
+
+    const properties = splitMembers(source.slice(start, end - 1))
+      .map((member) => member.match(MEMBER))
+      .filter(Boolean)
+      .map(([, name, optional, type]) => ({
+        name: name.replace(/["']/g, ''),
+        type: type.replace(/\s+/g, ' ').trim(),
+        optional: Boolean(optional),
+      }))
+
+    interfaces.push({
+      name: match[1],
+      extends: match[2] ? match[2].split(',').map((name) => name.trim()) : [],
+      properties,
+    })
+    declaration.lastIndex = end
+  }
+
+  return interfaces
+}
+
+const sectionText = (source, heading, nextHeading) => {
+  const lines = source.split(/\r?\n/)
+  const end = nextHeading ? nextHeading.line - 1 : lines.length
+  return lines.slice(heading.line, end).join('\n').trim()
+}
+
+/**
+ * Parses one component group doc into its purpose, components (with their
+ * role and props interface), every props interface and every usage example.
+ */
+export function parseMdxDoc(source) {
+  const { headings, codeBlocks } = tokenizeMdx(source)
+  const title = headings.find((heading) => heading.level === 1)?.title ?? null
+  const purposeIndex = headings.findIndex((heading) => heading.title === 'Purpose')
+  const purpose =
+    purposeIndex === -1
+      ? null
+      : sectionText(source, headings[purposeIndex], headings[purposeIndex + 1]) || null
+
+  const interfaces = codeBlocks
+    .filter((block) => block.language === 'typescript' || block.language === 'ts')
+    .flatMap((block) => parsePropsInterfaces(block.code))
+
+  const components = headings
+    .filter((heading) => heading.parent === 'Components' && heading.level === 3)
+    .map((heading) => {
+      // e.g. "SplitButton (Button with split=true)"
+      const name = heading.title.replace(/\s*\(.*\)$/, '')
+      return {
+        name,
+        role: heading.role,
+        propsInterface:
+          interfaces.find((item) => item.name === `${name}Props` || item.name === `I${name}Props`)
+            ?.name ?? null,
+      }
+    })
+
+  const examples = codeBlocks
+    .filter((block) => block.language === 'tsx' || block.language === 'jsx')
+    .map((block) => ({
+      title: block.heading,
+      section: block.parents[1] ?? null,
+      code: block.code,
+    }))
+
+  return {
+    title,
+    purpose,
+    headings: headings.map(({ level, title: text, id }) => ({ level, title: text, id })),
+    components,
+    interfaces,
+    examples,
+  }
+}
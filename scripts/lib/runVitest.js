@@ -0,0 +1,66 @@
+/**
+ * Runs one of the app's Vitest files from a script and collects what its
+ * tests recorded. The smoke and accessibility scripts render the gallery this
+ * way: each test leaves its result in `task.meta[key]` instead of asserting.
+ */
+import { readdir } from 'node:fs/promises'
+import { startVitest } from 'vitest/node'
+import { EXAMPLES_DIR } from './loadStories.js'
+
+const collectMeta = (tasks, key) =>
+  tasks.flatMap((task) => [
+    ...(task.meta?.[key] ? [task.meta[key]] : []),
+    ...collectMeta(task.tasks ?? [], key),
+  ])
+
+/**
+ * Runs `file` (a repo path) in a fresh worker, with `env` added to the
+ * environment, and returns every `task.meta[key]` its tests set.
+ *
+ * @param {string} file
+ * @param {{ key: string, env?: Record<string, string> }} options
+ */
+export async function runVitestFile(file, { key, env = {} }) {
+  Object.assign(process.env, env)
+
+  const vitest = await startVitest('test', [file], {
+    run: true,
+    watch: false,
+    include: [file],
+    reporters: ['dot'],
+    passWithNoTests: true,
+    // A broken example can throw after its test ended; that is a result
+    // here, not a reason to fail the run.
+    dangerouslyIgnoreUnhandledErrors: true,
+    // The docsite components behind the *.doc.tsx pages `require()` an ESM
+    // build that only a bundler resolves, so pre-bundle them with esbuild as
+    // the dev server does. tslib stays out: bundled, its UMD build exports
+    // nothing.
+    deps: {
+      optimizer: {
+        web: {
+          enabled: true,
+          include: ['@fluentui/react-docsite-components'],
+          exclude: ['tslib'],
+        },
+      },
+    },
+    pool: 'forks',
+    poolOptions: { forks: { singleFork: true, execArgv: ['--max-old-space-size=4096'] } },
+  })
+  const results = collectMeta(vitest.state.getFiles(), key)
+  await vitest.close()
+  return results
+}
+
+/**
+ * The example packages (the folders under src/examples), which the scripts
+ * render one run at a time to bound the worker's memory.
+ */
+export async function listExamplePackages() {
+  const entries = await readdir(EXAMPLES_DIR, { withFileTypes: true })
+  return entries
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort()
+}
@@ -0,0 +1,163 @@
+/**
+ * The example health report written by scripts/smoke.js.
+ *
+ * src/test/examples.smoke.jsx renders each gallery example and records one
+ * result per example (telling missing modules apart with
+ * src/utils/missingModule.js); this module turns the results into a report
+ * grouped by package and component, as JSON and as a standalone HTML page.
+ */
+import { REPORT_STYLES, badge as colorBadge, escapeHtml } from './html.js'
+
+/** Result statuses, from healthy to most broken. */
+export const SMOKE_STATUSES = [
+  'passed',
+  'console-errors',
+  'render-error',
+  'no-component',
+  'import-error',
+  'missing-module',
+  'timeout',
+]
+
+const countStatuses = (results) =>
+  Object.fromEntries(
+    SMOKE_STATUSES.map((status) => [
+      status,
+      results.filter((result) => result.status === status).length,
+    ]),
+  )
+
+const summarize = (results) => ({
+  examples: results.length,
+  broken: results.filter((result) => result.status !== 'passed').length,
+  ...countStatuses(results),
+})
+
+const groupBy = (items, key) => {
+  const groups = new Map()
+  items.forEach((item) => {
+    if (!groups.has(item[key])) {
+      groups.set(item[key], [])
+    }
+    groups.get(item[key]).push(item)
+  })
+  return [...groups.entries()].sort(([a], [b]) => a.localeCompare(b))
+}
+
+/**
+ * Groups smoke results by package and component, with totals per status at
+ * every level and the modules that failed to import across all examples.
+ *
+ * @param {object[]} results - `{ packageName, componentName, path, status, ... }`
+ * @param {object} [meta] - extra fields for the report, e.g. the run's options
+ */
+export function buildSmokeReport(results, meta = {}) {
+  const missingModules = new Map()
+  results.forEach((result) =>
+    (result.missingModules ?? []).forEach((name) => {
+      if (!missingModules.has(name)) {
+        missingModules.set(name, [])
+      }
+      missingModules.get(name).push(result.path)
+    }),
+  )
+
+  return {
+    ...meta,
+    totals: summarize(results),
+    missingModules: [...missingModules.entries()]
+      .sort(([a], [b]) => a.localeCompare(b))
+      .map(([name, paths]) => ({ name, examples: paths })),
+    packages: groupBy(results, 'packageName').map(([name, packageResults]) => ({
+      name,
+      totals: summarize(packageResults),
+      components: groupBy(packageResults, 'componentName').map(
+        ([componentName, componentResults]) => ({
+          name: componentName,
+          totals: summarize(componentResults),
+          examples: componentResults.sort((a, b) => a.path.localeCompare(b.path)),
+        }),
+      ),
+    })),
+  }
+}
+
+const STATUS_COLORS = {
+  passed: '#107c10',
+  'console-errors': '#8a6d00',
+  'render-error': '#c50f1f',
+  'no-component': '#c50f1f',
+  'import-error': '#c50f1f',
+  'missing-module': '#8764b8',
+  timeout: '#616161',
+}
+
+const badge = (status, count) => colorBadge(status, STATUS_COLORS[status], count)
+
+const totalsBadges = (totals) =>
+  SMOKE_STATUSES.filter((status) => totals[status] > 0)
+    .map((status) => badge(status, totals[status]))
+    .join(' ')
+
+const renderMessages = (title, messages) =>
+  messages?.length
+    ? `<p>${title}</p><pre>${messages.map(escapeHtml).join('\n\n')}</pre>`
+    : ''
+
+const renderExample = (example) => {
+  const summary = `${badge(example.status)} <code>${escapeHtml(example.path)}</code>`
+  const details = [
+    renderMessages('Error', example.error ? [example.error] : []),
+    renderMessages('Missing modules', example.missingModules),
+    renderMessages('Console errors', example.consoleErrors),
+  ].join('')
+
+  return details
+    ? `<details><summary>${summary}</summary>${details}</details>`
+    : `<div class="example">${summary}</div>`
+}
+
+const renderComponent = (component) => `
+      <details class="component"${component.totals.broken > 0 ? ' open' : ''}>
+        <summary><strong>${escapeHtml(component.name)}</strong> ${totalsBadges(component.totals)}</summary>
+        ${component.examples.map(renderExample).join('\n        ')}
+      </details>`
+
+/** Renders the report as a self-contained HTML page. */
+export function renderSmokeReportHtml(report) {
+  const missing = report.missingModules
+    .map(
+      ({ name, examples }) =>
+        `<li><code>${escapeHtml(name)}</code> (${examples.length} ${
+          examples.length === 1 ? 'example' : 'examples'
+        })</li>`,
+    )
+    .join('')
+
+  return `<!doctype html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <title>Example health report</title>
+    <style>${REPORT_STYLES}
+      .component { margin: 8px 0 8px 16px; }
+      .component > details, .component > .example { margin: 4px 0 4px 24px; }
+    </style>
+  </head>
+  <body>
+    <h1>Example health report</h1>
+    <p>Generated ${escapeHtml(report.generatedAt ?? '')}: ${report.totals.examples} examples, ${
+      report.totals.broken
+    } broken. ${totalsBadges(report.totals)}</p>
+    ${missing ? `<h2>Missing modules</h2><ul>${missing}</ul>` : ''}
+    ${report.packages
+      .map(
+        (pkg) => `
+    <h2>${escapeHtml(pkg.name)} ${totalsBadges(pkg.totals)}</h2>
+    ${pkg.components.map(renderComponent).join('')}`,
+      )
+      .join('')}
+  </body>
+</html>
+`
+}
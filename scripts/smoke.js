@@ -0,0 +1,102 @@
+/**
+ * Smoke-renders the gallery examples and reports which ones are broken.
+ *
+ * Runs src/test/examples.smoke.jsx with Vitest, which imports each example,
+ * renders it in jsdom inside the app's theme providers and records render
+ * exceptions, console errors and imports of modules that are not installed.
+ * Packages run one after another, each in a fresh worker (see
+ * scripts/lib/runVitest.js).
+ * The results are written as a JSON and an HTML report grouped by package and
+ * component (see scripts/lib/smokeReport.js).
+ *
+ * Usage: node scripts/smoke.js [--package <name>] [--component <name>] [--out <dir>] [--strict]
+ *   --package    only render this example package, e.g. react-charting
+ *   --component  only render this component's examples
+ *   --out        where to write the reports (default: reports/)
+ *   --strict     exit with code 1 when any example is broken
+ */
+import { mkdir, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { ROOT, toRepoPath } from './lib/loadDocs.js'
+import { listExamplePackages, runVitestFile } from './lib/runVitest.js'
+import { SMOKE_STATUSES, buildSmokeReport, renderSmokeReportHtml } from './lib/smokeReport.js'
+
+const SMOKE_TEST = 'src/test/examples.smoke.jsx'
+const DEFAULT_OUT = path.join(ROOT, 'reports')
+const REPORT_NAME = 'examples-health'
+
+const optionValue = (args, name) => {
+  const index = args.indexOf(name)
+  return index === -1 ? undefined : args[index + 1]
+}
+
+/** Runs the smoke test for one package and returns its results. */
+const smokePackage = (packageName, component) =>
+  runVitestFile(SMOKE_TEST, {
+    key: 'smoke',
+    env: { SMOKE_PACKAGE: packageName, SMOKE_COMPONENT: component ?? '' },
+  })
+
+function printSummary(report) {
+  const width = Math.max(...report.packages.map((pkg) => pkg.name.length), 'Total'.length)
+  const line = (name, totals) => {
+    const counts = SMOKE_STATUSES.filter((status) => status !== 'passed' && totals[status] > 0)
+      .map((status) => `${totals[status]} ${status}`)
+      .join(', ')
+    return `${name.padEnd(width)}  ${totals.passed}/${totals.examples} passed${counts ? `; ${counts}` : ''}`
+  }
+
+  console.log('\nExample health')
+  report.packages.forEach((pkg) => console.log(line(pkg.name, pkg.totals)))
+  console.log(line('Total', report.totals))
+  if (report.missingModules.length > 0) {
+    console.log(`\nMissing modules: ${report.missingModules.length}`)
+    report.missingModules.forEach(({ name, examples }) =>
+      console.log(`  - ${name} (${examples.length})`),
+    )
+  }
+}
+
+async function main(args) {
+  const packageName = optionValue(args, '--package')
+  const component = optionValue(args, '--component')
+  const out = path.resolve(optionValue(args, '--out') ?? DEFAULT_OUT)
+
+  const packages = await listExamplePackages()
+  if (packageName && !packages.includes(packageName)) {
+    console.error(`No example package named "${packageName}". Packages: ${packages.join(', ')}`)
+    process.exitCode = 2
+    return
+  }
+
+  const results = []
+  for (const name of packageName ? [packageName] : packages) {
+    console.log(`\nRendering ${name} examples`)
+    results.push(...(await smokePackage(name, component)))
+  }
+
+  const report = buildSmokeReport(results, {
+    generatedAt: new Date().toISOString(),
+    filter: { package: packageName ?? null, component: component ?? null },
+  })
+  await mkdir(out, { recursive: true })
+  const jsonFile = path.join(out, `${REPORT_NAME}.json`)
+  const htmlFile = path.join(out, `${REPORT_NAME}.html`)
+  await writeFile(jsonFile, `${JSON.stringify(report, null, 2)}\n`)
+  await writeFile(htmlFile, renderSmokeReportHtml(report))
+
+  printSummary(report)
+  console.log(`\nWrote ${toRepoPath(jsonFile)} and ${toRepoPath(htmlFile)}`)
+
+  if (args.includes('--strict') && report.totals.broken > 0) {
+    process.exitCode = 1
+  }
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
@@ -0,0 +1,85 @@
+/**
+ * Exports the app's Fluent v9 themes as design tokens for stylesheets that do
+ * not go through makeStyles (CSS modules, SCSS) and for other tools.
+ *
+ * Writes to src/styles/tokens/:
+ *   tokens.css     custom properties for the light (default), dark and
+ *                  high-contrast themes, keyed by <html data-theme>, and the
+ *                  brand tokens of the other Settings color schemes, keyed by
+ *                  <html data-brand>
+ *   _tokens.scss   `$token: var(--token)` variables and raw value maps
+ *   tokens.json    W3C design-token JSON (readable by Style Dictionary)
+ *
+ * The raw values in _tokens.scss and tokens.json are the default brand's only.
+ *
+ * Usage: node scripts/tokens.js [--brand <#rrggbb>] [--hue-torque <deg>]
+ *                               [--vibrancy <-1..1>] [--out <dir>]
+ *   --brand  key color of the brand ramp (default: the blue color scheme);
+ *            with it, tokens.css has that brand only
+ */
+import { mkdir, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { createBrandVariants, isHexColor } from '../src/theme/brandRamp.js'
+import { BRAND_KEY_COLORS, createBrandThemes } from '../src/theme/brandThemes.js'
+import { toCss, toDesignTokens, toScss } from '../src/theme/themeTokens.js'
+import { ROOT, toRepoPath } from './lib/loadDocs.js'
+
+const DEFAULT_OUT = path.join(ROOT, 'src', 'styles', 'tokens')
+const HEADER = 'Generated by scripts/tokens.js. Do not edit; run `yarn tokens` instead.'
+
+const readOption = (args, name, fallback) => {
+  const index = args.indexOf(name)
+  return index === -1 ? fallback : args[index + 1]
+}
+
+// The other color schemes as the app themes them, for <html data-brand>.
+const schemeThemes = () =>
+  Object.fromEntries(
+    Object.entries(BRAND_KEY_COLORS)
+      .filter(([scheme]) => scheme !== 'blue')
+      .map(([scheme, color]) => [scheme, createBrandThemes(createBrandVariants(color))]),
+  )
+
+export function buildTokenFiles({ keyColor, hueTorque = 0, vibrancy = 0 } = {}) {
+  const customBrand = keyColor !== undefined
+  keyColor ??= BRAND_KEY_COLORS.blue
+  if (!isHexColor(keyColor)) {
+    throw new Error(`--brand must be a #rrggbb color, got "${keyColor}".`)
+  }
+  const brand = createBrandVariants(keyColor, { hueTorque, vibrancy })
+  const themes = createBrandThemes(brand)
+  const css = toCss(themes, customBrand ? {} : schemeThemes())
+
+  return {
+    'tokens.css': `/* ${HEADER} */\n\n${css}`,
+    '_tokens.scss': `// ${HEADER}\n\n${toScss(themes)}`,
+    'tokens.json': `${JSON.stringify(
+      { $description: `${HEADER} Brand key color: ${keyColor}.`, ...toDesignTokens(themes, brand) },
+      null,
+      2,
+    )}\n`,
+  }
+}
+
+async function main(args) {
+  const out = path.resolve(readOption(args, '--out', DEFAULT_OUT))
+  const files = buildTokenFiles({
+    keyColor: readOption(args, '--brand', undefined),
+    hueTorque: Number(readOption(args, '--hue-torque', 0)),
+    vibrancy: Number(readOption(args, '--vibrancy', 0)),
+  })
+
+  await mkdir(out, { recursive: true })
+  await Promise.all(
+    Object.entries(files).map(([name, content]) => writeFile(path.join(out, name), content)),
+  )
+  console.log(`Wrote ${Object.keys(files).join(', ')} to ${toRepoPath(out)}`)
+}
+
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2)).catch((error) => {
+    console.error(error.message)
+    process.exitCode = 1
+  })
+}
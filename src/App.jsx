@@ -1,34 +1,114 @@
+import { Suspense, useEffect, useState } from "react";
 import { Routes, Route, useLocation } from "react-router-dom";
-import Home from "./pages/Home";
-import About from "./pages/About";
-import Components from "./pages/Components";
-import Settings from "./pages/Settings";
-import AgenticIndexCards from "./pages/AgenticIndexCards";
-import LoginDashboard from "./pages/LoginDashboard";
 import Navigation from "./components/Navigation";
+import SideNavigation from "./components/SideNavigation";
+import { A11yAuditProvider, A11yAuditOverlay } from "./a11y";
+import { AuthProvider, RequireAuth } from "./auth";
+import { CommandPaletteProvider } from "./commands";
+import { ErrorBoundary, ErrorNotice } from "./diagnostics";
+import {
+  PageSkeleton,
+  ROUTES,
+  getPage,
+  retryPage,
+  usePrefetchWhenIdle,
+} from "./routes";
 
 import { FluentThemeProvider } from "./theme/ThemeProvider";
+import { useMediaQuery } from "./theme/useMediaQuery";
+import { useSettings } from "./settings";
 import "./App.css";
 
+// Below this width the side navigation is a drawer over the content.
+const NARROW_SCREEN = "(max-width: 767px)";
+
+// A route's page, behind a skeleton of its layout while its chunk loads, an
+// error boundary in case it fails to load or render and, for protected
+// routes, the sign-in page.
+function RoutePage({ route }) {
+  const { pathname } = useLocation();
+  const [, setAttempt] = useState(0);
+  const Page = getPage(route.page);
+
+  const retry = () => {
+    retryPage(route.page);
+    setAttempt((attempt) => attempt + 1);
+  };
+
+  let page = (
+    <ErrorBoundary
+      title="This page could not be shown"
+      resetKey={pathname}
+      onRetry={retry}
+    >
+      <Suspense fallback={<PageSkeleton layout={route.skeleton} />}>
+        <Page />
+      </Suspense>
+    </ErrorBoundary>
+  );
+  if (route.requiresAuth) {
+    page = <RequireAuth>{page}</RequireAuth>;
+  }
+  return route.themeMode ? (
+    <FluentThemeProvider themeMode={route.themeMode}>
+      {page}
+    </FluentThemeProvider>
+  ) : (
+    page
+  );
+}
+
 function AppContent() {
   const location = useLocation();
   const isLoginDashboard = location.pathname === "/login-dashboard";
+  const isNarrow = useMediaQuery(NARROW_SCREEN);
+  const { settings, updateSettings } = useSettings();
+  const [drawerOpen, setDrawerOpen] = useState(false);
+  usePrefetchWhenIdle();
+
+  // The drawer starts closed whenever the screen becomes narrow.
+  useEffect(() => {
+    setDrawerOpen(false);
+  }, [isNarrow]);
+
+  const sideNavOpen = isNarrow ? drawerOpen : !settings.sideNavCollapsed;
+  const setSideNavOpen = (open) =>
+    isNarrow
+      ? setDrawerOpen(open)
+      : updateSettings({ sideNavCollapsed: !open });
 
   return (
     <div
       style={{ minHeight: "100vh", display: "flex", flexDirection: "column" }}
     >
-      {!isLoginDashboard && <Navigation />}
-      <main style={{ flex: 1 }}>
-        <Routes>
-          <Route path="/" element={<Home />} />
-          <Route path="/about" element={<About />} />
-          <Route path="/components" element={<Components />} />
-          <Route path="/agentic-index-cards" element={<AgenticIndexCards />} />
-          <Route path="/settings" element={<Settings />} />
-          <Route path="/login-dashboard" element={<LoginDashboard />} />
-        </Routes>
-      </main>
+      {!isLoginDashboard && (
+        <Navigation
+          sideNavOpen={sideNavOpen}
+          onToggleSideNav={() => setSideNavOpen(!sideNavOpen)}
+        />
+      )}
+      <div style={{ flex: 1, display: "flex" }}>
+        {!isLoginDashboard && (
+          <SideNavigation
+            type={isNarrow ? "overlay" : "inline"}
+            open={sideNavOpen}
+            onOpenChange={setSideNavOpen}
+          />
+        )}
+        <main style={{ flex: 1, minWidth: 0 }}>
+          <Routes>
+            {ROUTES.map((route) => (
+              <Route
+                key={route.path}
+                path={route.path}
+                element={<RoutePage route={route} />}
+              />
+            ))}
+          </Routes>
+        </main>
+      </div>
+      <A11yAuditOverlay />
+      <ErrorNotice />
     </div>
   );
 }
@@ -36,7 +116,15 @@ function AppContent() {
 function App() {
   return (
     <FluentThemeProvider>
-      <AppContent />
+      <AuthProvider>
+        <A11yAuditProvider>
+          <CommandPaletteProvider>
+            <ErrorBoundary title="The app ran into a problem">
+              <AppContent />
+            </ErrorBoundary>
+          </CommandPaletteProvider>
+        </A11yAuditProvider>
+      </AuthProvider>
     </FluentThemeProvider>
   );
 }
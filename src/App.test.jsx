@@ -0,0 +1,50 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import { renderWithProviders, setMediaQueries } from "./test";
+import { settingsStore } from "./settings";
+import App from "./App";
+
+const NARROW_SCREEN = "(max-width: 767px)";
+
+const sideNavLink = (name) => screen.queryByRole("link", { name });
+
+describe("App layout", () => {
+  it("collapses the side navigation on wide screens and remembers it", async () => {
+    const { user, unmount } = renderWithProviders(<App />, { route: "/about" });
+    expect(sideNavLink("Home")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Navigation" }));
+
+    await waitFor(() => expect(sideNavLink("Home")).not.toBeInTheDocument());
+    expect(settingsStore.getSnapshot().sideNavCollapsed).toBe(true);
+
+    unmount();
+    renderWithProviders(<App />, { route: "/about" });
+    expect(screen.getByRole("button", { name: "Navigation" })).toHaveAttribute(
+      "aria-expanded",
+      "false",
+    );
+    expect(sideNavLink("Home")).not.toBeInTheDocument();
+  });
+
+  it("opens the side navigation as a drawer on narrow screens", async () => {
+    setMediaQueries({ [NARROW_SCREEN]: true });
+    const { user } = renderWithProviders(<App />, { route: "/about" });
+    expect(sideNavLink("Home")).not.toBeInTheDocument();
+
+    const hamburger = screen.getByRole("button", { name: "Navigation" });
+    await user.click(hamburger);
+    expect(hamburger).toHaveAttribute("aria-expanded", "true");
+    // jsdom can't move focus into the drawer, so its modalizer keeps it
+    // aria-hidden.
+    await user.click(
+      await screen.findByRole("link", { name: "Settings", hidden: true }),
+    );
+
+    expect(window.location.pathname).toBe("/settings");
+    expect(hamburger).toHaveAttribute("aria-expanded", "false");
+    // Closing the drawer is not the wide-screen collapse preference.
+    expect(settingsStore.getSnapshot().sideNavCollapsed).toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+import React from "react";
+import { beforeEach, describe, expect, it } from "vitest";
+import { screen, waitFor, within } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import Navigation from "../components/Navigation";
+import { A11yAuditOverlay, A11yAuditProvider } from ".";
+
+// axe-core runs in jsdom here, after the provider's delay.
+const AUDIT_TIMEOUT = 10000;
+
+const renderAuditedPage = (page) =>
+  renderWithProviders(
+    <A11yAuditProvider>
+      <Navigation />
+      <main>{page}</main>
+      <A11yAuditOverlay />
+    </A11yAuditProvider>,
+  );
+
+const results = () =>
+  screen.findByRole(
+    "region",
+    { name: "Accessibility audit results" },
+    { timeout: AUDIT_TIMEOUT },
+  );
+
+describe("Accessibility audit mode", () => {
+  // What index.html provides; axe checks the whole document.
+  beforeEach(() => {
+    document.documentElement.lang = "en";
+    document.title = "Fluent UI";
+  });
+
+  it("is off until toggled from the navigation bar", async () => {
+    const { user } = renderAuditedPage(<p>Nothing to see</p>);
+    const toggle = screen.getByRole("button", { name: "Accessibility audit" });
+
+    expect(toggle).toHaveAttribute("aria-pressed", "false");
+    expect(
+      screen.queryByRole("region", { name: "Accessibility audit results" }),
+    ).not.toBeInTheDocument();
+
+    await user.click(toggle);
+
+    expect(toggle).toHaveAttribute("aria-pressed", "true");
+    expect(await results()).toBeInTheDocument();
+  });
+
+  it(
+    "lists the violations on the page with their severity and elements",
+    async () => {
+      const { user } = renderAuditedPage(<img src="chart.png" />);
+
+      await user.click(
+        screen.getByRole("button", { name: "Accessibility audit" }),
+      );
+      const panel = await results();
+      const rule = await within(panel).findByText(
+        "image-alt",
+        {},
+        { timeout: AUDIT_TIMEOUT },
+      );
+      const violation = within(rule.closest("li"));
+
+      expect(violation.getByText("critical")).toBeInTheDocument();
+      expect(
+        violation.getByRole("button", { name: "img" }),
+      ).toBeInTheDocument();
+      expect(
+        violation.getByRole("link", { name: "Learn more" }),
+      ).toHaveAttribute("href", expect.stringContaining("image-alt"));
+    },
+    AUDIT_TIMEOUT * 2,
+  );
+
+  it(
+    "leaves its own panel out of the audit and closes from the panel",
+    async () => {
+      const { user } = renderAuditedPage(<p>Nothing to see</p>);
+
+      await user.click(
+        screen.getByRole("button", { name: "Accessibility audit" }),
+      );
+      const panel = await results();
+      await waitFor(
+        () =>
+          expect(
+            within(panel).getByText("No violations found on this page."),
+          ).toBeInTheDocument(),
+        { timeout: AUDIT_TIMEOUT },
+      );
+
+      await user.click(
+        within(panel).getByRole("button", { name: "Close audit" }),
+      );
+      expect(panel).not.toBeInTheDocument();
+    },
+    AUDIT_TIMEOUT * 2,
+  );
+});
@@ -0,0 +1,290 @@
+import React, { useEffect, useState } from "react";
+import {
+  makeStyles,
+  tokens,
+  Badge,
+  Body1,
+  Button,
+  Caption1,
+  Link,
+  Spinner,
+  Subtitle2,
+} from "@fluentui/react-components";
+import { ArrowClockwiseRegular, DismissRegular } from "@fluentui/react-icons";
+import { IMPACT_COLORS } from "./axeResults";
+import { OVERLAY_ATTRIBUTE, useA11yAudit } from "./a11yAuditContext";
+
+const IMPACT_BADGE_COLORS = {
+  critical: "danger",
+  serious: "severe",
+  moderate: "warning",
+  minor: "informative",
+};
+
+const useStyles = makeStyles({
+  highlight: {
+    position: "fixed",
+    pointerEvents: "none",
+    zIndex: 1100,
+    borderRadius: tokens.borderRadiusSmall,
+    boxSizing: "border-box",
+  },
+  active: {
+    outlineOffset: "2px",
+    outlineWidth: "3px",
+    outlineStyle: "solid",
+    outlineColor: tokens.colorStrokeFocus2,
+  },
+  panel: {
+    position: "fixed",
+    right: tokens.spacingHorizontalL,
+    bottom: tokens.spacingVerticalL,
+    zIndex: 1101,
+    width: "400px",
+    maxWidth: `calc(100vw - 2 * ${tokens.spacingHorizontalL})`,
+    maxHeight: "60vh",
+    display: "flex",
+    flexDirection: "column",
+    backgroundColor: tokens.colorNeutralBackground1,
+    border: `1px solid ${tokens.colorNeutralStroke1}`,
+    borderRadius: tokens.borderRadiusLarge,
+    boxShadow: tokens.shadow28,
+  },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalS,
+    padding: `${tokens.spacingVerticalS} ${tokens.spacingHorizontalM}`,
+    borderBottom: `1px solid ${tokens.colorNeutralStroke2}`,
+  },
+  title: {
+    flex: 1,
+  },
+  list: {
+    overflowY: "auto",
+    margin: 0,
+    padding: `${tokens.spacingVerticalS} ${tokens.spacingHorizontalM}`,
+    listStyle: "none",
+  },
+  violation: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalXS,
+    padding: `${tokens.spacingVerticalS} 0`,
+    borderBottom: `1px solid ${tokens.colorNeutralStroke3}`,
+  },
+  rule: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalS,
+  },
+  element: {
+    justifyContent: "flex-start",
+    maxWidth: "100%",
+    fontFamily: tokens.fontFamilyMonospace,
+    fontSize: tokens.fontSizeBase200,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  message: {
+    padding: tokens.spacingHorizontalM,
+  },
+});
+
+const NO_VIOLATIONS = [];
+
+const findElement = (target) => {
+  try {
+    return document.querySelector(target);
+  } catch {
+    // Targets inside shadow roots or iframes are not plain selectors.
+    return null;
+  }
+};
+
+/**
+ * The on-page boxes around the failing elements, one per element and colored
+ * by severity, repositioned as the page scrolls or resizes.
+ */
+function useHighlights(violations) {
+  const [highlights, setHighlights] = useState([]);
+
+  useEffect(() => {
+    let frame = 0;
+    const measure = () => {
+      frame = 0;
+      setHighlights(
+        violations.flatMap((violation) =>
+          violation.elements.flatMap((element) => {
+            const rect = findElement(element.target)?.getBoundingClientRect();
+            return rect
+              ? [
+                  {
+                    key: `${violation.rule}:${element.target}`,
+                    violation,
+                    element,
+                    rect,
+                  },
+                ]
+              : [];
+          }),
+        ),
+      );
+    };
+    const schedule = () => {
+      frame ||= requestAnimationFrame(measure);
+    };
+
+    measure();
+    window.addEventListener("scroll", schedule, true);
+    window.addEventListener("resize", schedule);
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener("scroll", schedule, true);
+      window.removeEventListener("resize", schedule);
+    };
+  }, [violations]);
+
+  return highlights;
+}
+
+/**
+ * Shows the audit mode's findings over the page: outlines on the elements
+ * that fail a rule and a panel listing each violation with its severity, help
+ * link and elements. Renders nothing while audit mode is off.
+ */
+export default function A11yAuditOverlay() {
+  const styles = useStyles();
+  const { enabled, status, violations, error, toggle, rerun } = useA11yAudit();
+  const [activeKey, setActiveKey] = useState(null);
+  const highlights = useHighlights(enabled ? violations : NO_VIOLATIONS);
+
+  if (!enabled) {
+    return null;
+  }
+
+  const showElement = (key, target) => {
+    setActiveKey(key);
+    findElement(target)?.scrollIntoView({
+      block: "center",
+      behavior: "smooth",
+    });
+  };
+
+  let content;
+  if (status === "running") {
+    content = (
+      <Spinner
+        className={styles.message}
+        size="small"
+        label="Auditing the page..."
+      />
+    );
+  } else if (error) {
+    content = (
+      <Body1 className={styles.message}>
+        The audit failed: {error.message}
+      </Body1>
+    );
+  } else if (violations.length === 0) {
+    content = (
+      <Body1 className={styles.message}>
+        No violations found on this page.
+      </Body1>
+    );
+  } else {
+    content = (
+      <ul className={styles.list}>
+        {violations.map((violation) => (
+          <li key={violation.rule} className={styles.violation}>
+            <div className={styles.rule}>
+              <Badge
+                appearance="filled"
+                color={IMPACT_BADGE_COLORS[violation.impact]}
+              >
+                {violation.impact}
+              </Badge>
+              <Subtitle2>{violation.rule}</Subtitle2>
+            </div>
+            <Body1>
+              {violation.help}.{" "}
+              <Link href={violation.helpUrl} target="_blank" rel="noreferrer">
+                Learn more
+              </Link>
+            </Body1>
+            {violation.elements.map((element) => {
+              const key = `${violation.rule}:${element.target}`;
+              return (
+                <Button
+                  key={key}
+                  appearance="subtle"
+                  size="small"
+                  className={styles.element}
+                  title={element.summary}
+                  aria-pressed={activeKey === key}
+                  onClick={() => showElement(key, element.target)}
+                >
+                  {element.target}
+                </Button>
+              );
+            })}
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  const elementCount = violations.reduce(
+    (count, violation) => count + violation.elements.length,
+    0,
+  );
+
+  return (
+    <div {...{ [OVERLAY_ATTRIBUTE]: "" }}>
+      {highlights.map(({ key, violation, rect }) => (
+        <div
+          key={key}
+          aria-hidden="true"
+          className={`${styles.highlight} ${key === activeKey ? styles.active : ""}`}
+          style={{
+            top: rect.top,
+            left: rect.left,
+            width: rect.width,
+            height: rect.height,
+            border: `2px solid ${IMPACT_COLORS[violation.impact]}`,
+          }}
+        />
+      ))}
+      <section
+        className={styles.panel}
+        aria-label="Accessibility audit results"
+      >
+        <div className={styles.header}>
+          <div className={styles.title}>
+            <Subtitle2>Accessibility audit</Subtitle2>
+            {status === "done" && !error && (
+              <Caption1 block>
+                {violations.length} rules, {elementCount} elements
+              </Caption1>
+            )}
+          </div>
+          <Button
+            appearance="subtle"
+            icon={<ArrowClockwiseRegular />}
+            aria-label="Re-run audit"
+            disabled={status === "running"}
+            onClick={rerun}
+          />
+          <Button
+            appearance="subtle"
+            icon={<DismissRegular />}
+            aria-label="Close audit"
+            onClick={toggle}
+          />
+        </div>
+        {content}
+      </section>
+    </div>
+  );
+}
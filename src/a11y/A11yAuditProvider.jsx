@@ -0,0 +1,79 @@
+import React, { useCallback, useEffect, useMemo, useState } from "react";
+import { useLocation } from "react-router-dom";
+import { summarizeAxeResults } from "./axeResults";
+import { A11yAuditContext, OVERLAY_ATTRIBUTE } from "./a11yAuditContext";
+
+// Routes render lazily loaded examples and docs; give them time to appear
+// before auditing.
+const AUDIT_DELAY = 800;
+
+async function runAxe() {
+  // Loaded on first use; axe-core is large and only the audit needs it.
+  const { default: axe } = await import("axe-core");
+  const results = await axe.run(
+    { exclude: [[`[${OVERLAY_ATTRIBUTE}]`]] },
+    { resultTypes: ["violations"] },
+  );
+  return summarizeAxeResults(results);
+}
+
+// axe refuses to start while another run is in progress, so runs queue up.
+let lastRun = Promise.resolve();
+
+const auditPage = () => {
+  const next = lastRun.catch(() => {}).then(runAxe);
+  lastRun = next;
+  return next;
+};
+
+/**
+ * Runs axe-core on the page while audit mode is on: after turning it on, after
+ * every navigation and on request. Contrast is checked too, since the page is
+ * laid out by a real browser (the `yarn a11y` report cannot check it).
+ */
+export function A11yAuditProvider({ children }) {
+  const location = useLocation();
+  const [enabled, setEnabled] = useState(false);
+  const [run, setRun] = useState(0);
+  const [audit, setAudit] = useState({
+    status: "idle",
+    violations: [],
+    error: null,
+  });
+
+  useEffect(() => {
+    if (!enabled) {
+      setAudit({ status: "idle", violations: [], error: null });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setAudit((previous) => ({ ...previous, status: "running" }));
+    const timer = setTimeout(() => {
+      auditPage().then(
+        (violations) =>
+          !cancelled && setAudit({ status: "done", violations, error: null }),
+        (error) =>
+          !cancelled && setAudit({ status: "done", violations: [], error }),
+      );
+    }, AUDIT_DELAY);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [enabled, run, location.pathname, location.search]);
+
+  const toggle = useCallback(() => setEnabled((value) => !value), []);
+  const rerun = useCallback(() => setRun((value) => value + 1), []);
+
+  const value = useMemo(
+    () => ({ enabled, ...audit, toggle, rerun }),
+    [enabled, audit, toggle, rerun],
+  );
+
+  return (
+    <A11yAuditContext.Provider value={value}>
+      {children}
+    </A11yAuditContext.Provider>
+  );
+}
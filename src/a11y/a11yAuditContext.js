@@ -0,0 +1,22 @@
+import { createContext, useContext } from "react";
+
+/** Marks the overlay's own elements, which the audit leaves out. */
+export const OVERLAY_ATTRIBUTE = "data-a11y-audit-overlay";
+
+const DEFAULT_CONTEXT = {
+  enabled: false,
+  status: "idle",
+  violations: [],
+  error: null,
+  toggle: () => {},
+  rerun: () => {},
+};
+
+export const A11yAuditContext = createContext(DEFAULT_CONTEXT);
+
+/**
+ * The accessibility audit mode: whether it is on, and what axe-core found on
+ * the current page. `status` is "idle", "running" or "done". Outside an
+ * A11yAuditProvider the mode is off and cannot be turned on.
+ */
+export const useA11yAudit = () => useContext(A11yAuditContext);
@@ -0,0 +1,56 @@
+/**
+ * The shape of an axe-core violation shared by the in-app audit overlay, the
+ * audit test (src/test/a11y.audit.jsx) and the report scripts/a11y.js writes
+ * from its runs (scripts/lib/a11yReport.js). It has no Node or React
+ * dependencies, so all of them import it.
+ */
+
+/** axe-core's severities, from most to least severe. */
+export const IMPACTS = ["critical", "serious", "moderate", "minor"];
+
+/** The themes every target is audited in, as settings to apply. */
+export const AUDIT_THEMES = {
+  light: { themeMode: "light", highContrast: false },
+  dark: { themeMode: "dark", highContrast: false },
+  "high-contrast": { themeMode: "light", highContrast: true },
+};
+
+export const IMPACT_COLORS = {
+  critical: "#c50f1f",
+  serious: "#da3b01",
+  moderate: "#8a6d00",
+  minor: "#616161",
+};
+
+const impactRank = (impact) => {
+  const rank = IMPACTS.indexOf(impact);
+  return rank === -1 ? IMPACTS.length : rank;
+};
+
+/** Orders violations by severity, most severe first. */
+export const byImpact = (a, b) => impactRank(a.impact) - impactRank(b.impact);
+
+/**
+ * Reduces axe-core's results to their violations: the rule, its severity and
+ * help, and each offending element's selector, markup and failure summary.
+ * When axe ran with `ancestry: true`, each element also gets the structural
+ * `path` that identifies it across renders (its selector can use React ids).
+ *
+ * @param {{ violations: object[] }} results - what `axe.run` resolves to
+ */
+export function summarizeAxeResults(results) {
+  return results.violations
+    .map((violation) => ({
+      rule: violation.id,
+      impact: violation.impact ?? "minor",
+      help: violation.help,
+      helpUrl: violation.helpUrl,
+      elements: violation.nodes.map((node) => ({
+        target: node.target.join(" "),
+        html: node.html,
+        summary: node.failureSummary ?? "",
+        ...(node.ancestry && { path: node.ancestry.join(" ") }),
+      })),
+    }))
+    .sort(byImpact);
+}
@@ -0,0 +1,8 @@
+/**
+ * The accessibility audit mode: axe-core run on the current page, toggled
+ * from the navigation bar. `yarn a11y` (scripts/a11y.js) audits every route
+ * and example instead.
+ */
+export { A11yAuditProvider } from "./A11yAuditProvider";
+export { default as A11yAuditOverlay } from "./A11yAuditOverlay";
+export { useA11yAudit, OVERLAY_ATTRIBUTE } from "./a11yAuditContext";
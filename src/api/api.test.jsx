@@ -0,0 +1,167 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen, within } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import LoginDashboard from "../pages/LoginDashboard";
+import {
+  ApiError,
+  createApiClient,
+  createApiFixtures,
+  createMockFetch,
+  handleMockApiRequest,
+  respondToMockApiRequest,
+} from ".";
+
+const NOW = Date.parse("2025-06-02T09:00:00Z");
+
+const names = (items) => items.map((item) => item.name ?? item.title);
+
+describe("Mock API", () => {
+  it("answers the endpoints from the fixtures", () => {
+    const get = (url) => handleMockApiRequest({ url }, { now: NOW });
+
+    expect(names(get("/api/files?filter=favorites").body.items)).toEqual([
+      "Launch plan",
+      "Brand guidelines",
+    ]);
+    expect(names(get("/api/files?filter=recent").body.items)).toEqual([
+      "Launch plan",
+      "About us - Overview",
+      "Brand guidelines",
+      "Vendor contract",
+    ]);
+    const [meeting] = get("/api/recommended-actions").body.items;
+    expect(meeting).toEqual({
+      id: "join-team-standup",
+      kind: "meeting",
+      time: "2025-06-02T09:04:00.000Z",
+      meeting: createApiFixtures(NOW).meetings[0],
+    });
+
+    expect(get("/api/files?filter=mine")).toEqual({
+      status: 400,
+      body: {
+        error:
+          'Unknown filter "mine" (expected one of all, recent, shared, favorites)',
+      },
+    });
+    expect(get("/api/calendars").status).toBe(404);
+    expect(
+      handleMockApiRequest({ method: "POST", url: "/api/meetings" }).status,
+    ).toBe(405);
+  });
+
+  it("injects latency and errors", async () => {
+    vi.useFakeTimers();
+    let response;
+    respondToMockApiRequest(
+      { url: "/api/meetings?mockLatency=1000&mockStatus=502" },
+      { now: NOW },
+    ).then((value) => {
+      response = value;
+    });
+    await vi.advanceTimersByTimeAsync(999);
+    expect(response).toBeUndefined();
+    await vi.advanceTimersByTimeAsync(1);
+    expect(response).toEqual({
+      status: 502,
+      body: { error: "Injected 502 error" },
+    });
+    vi.useRealTimers();
+
+    for (const status of ["abc", "200", "302", "600", "4.5"]) {
+      expect(
+        await respondToMockApiRequest({
+          url: `/api/meetings?mockStatus=${status}`,
+        }),
+      ).toEqual({
+        status: 400,
+        body: {
+          error: `Invalid mockStatus "${status}" (expected an HTTP error status, 400 to 599)`,
+        },
+      });
+    }
+
+    const client = createApiClient({
+      fetch: createMockFetch({ errorRate: 0.5, random: () => 0.25 }),
+    });
+    const failure = await client.getMeetings().catch((error) => error);
+    expect(failure).toBeInstanceOf(ApiError);
+    expect(failure.status).toBe(503);
+    expect(failure.message).toBe(
+      "Could not load /meetings (Injected 503 error)",
+    );
+  });
+
+  it("serves the client's lists, soonest and newest first", async () => {
+    const client = createApiClient({ fetch: createMockFetch({ now: NOW }) });
+
+    expect(names(await client.getMeetings())).toEqual([
+      "Team Weekly Standup",
+      "Launch readiness review",
+    ]);
+    expect(
+      (await client.getMessages()).map((message) => message.subject),
+    ).toEqual(["RE: Social Media for Launch", "Q3 budget approved"]);
+    expect(names(await client.getFiles("shared"))).toEqual([
+      "Launch plan",
+      "About us - Overview",
+      "Vendor contract",
+    ]);
+  });
+});
+
+describe("Login dashboard", () => {
+  it("shows the recommended actions and filters Quick access", async () => {
+    const client = createApiClient({ fetch: createMockFetch() });
+    const { user } = renderWithProviders(<LoginDashboard client={client} />);
+
+    expect(
+      await screen.findByText("in 4m · Team Weekly Standup"),
+    ).toBeInTheDocument();
+    expect(screen.getByText("You replied to Daisy Phillips")).toBeVisible();
+    expect(screen.getByText("Elvia Atkins mentioned you")).toBeVisible();
+    expect(screen.getByRole("link", { name: "Join meeting" })).toHaveAttribute(
+      "href",
+      "https://teams.contoso.com/meet/team-standup",
+    );
+
+    const files = await screen.findByRole("list", { name: "Files" });
+    expect(within(files).getAllByRole("listitem")).toHaveLength(5);
+
+    await user.click(screen.getByRole("button", { name: "Favorites" }));
+    expect(screen.getByRole("button", { name: "Favorites" })).toHaveAttribute(
+      "aria-pressed",
+      "true",
+    );
+    const favorites = await screen.findByRole("list", { name: "Files" });
+    expect(
+      within(favorites)
+        .getAllByRole("link")
+        .map((link) => link.textContent),
+    ).toEqual(["Launch plan", "Brand guidelines"]);
+  });
+
+  it("reports a failed request and retries it", async () => {
+    let failing = true;
+    const broken = createMockFetch({ errorRate: 1 });
+    const working = createMockFetch();
+    const client = createApiClient({
+      fetch: (...args) => (failing ? broken : working)(...args),
+    });
+    const { user } = renderWithProviders(<LoginDashboard client={client} />);
+
+    expect(
+      await screen.findByText(
+        "Could not load recommended actions: Could not load /recommended-actions (Injected 503 error)",
+      ),
+    ).toBeVisible();
+
+    failing = false;
+    const [retry] = screen.getAllByRole("button", { name: "Retry" });
+    await user.click(retry);
+    expect(
+      await screen.findByText("You replied to Daisy Phillips"),
+    ).toBeVisible();
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * The client for the dashboard API: the signed-in user's recommended
+ * actions, meetings, messages and files. In development the Vite server
+ * answers /api from the mock API (see mockApi.js and plugins/mockApi.js).
+ */
+
+export interface Person {
+  name: string;
+  /** An image URL. */
+  avatar: string | null;
+}
+
+export interface Meeting {
+  id: string;
+  title: string;
+  location: string;
+  /** ISO 8601. */
+  start: string;
+  /** ISO 8601. */
+  end: string;
+  organizer: Person;
+  attendees: Person[];
+  /** How many more are invited beyond `attendees`. */
+  moreAttendees: number;
+  joinUrl: string;
+}
+
+export interface Message {
+  id: string;
+  subject: string;
+  direction: "sent" | "received";
+  from: Person;
+  to: Person[];
+  /** ISO 8601. */
+  time: string;
+  preview: string;
+}
+
+export interface FileItem {
+  id: string;
+  name: string;
+  type: "word" | "excel" | "powerpoint" | "onenote" | "pdf";
+  location: string;
+  owner: Person;
+  /** ISO 8601. */
+  modified: string;
+  /** ISO 8601. */
+  lastOpened: string | null;
+  shared: boolean;
+  favorite: boolean;
+  /** An image URL. */
+  thumbnail: string | null;
+  url: string;
+}
+
+export type FileFilter = "all" | "recent" | "shared" | "favorites";
+
+export type RecommendedAction =
+  | { id: string; kind: "meeting"; time: string; meeting: Meeting }
+  | { id: string; kind: "message"; time: string; message: Message }
+  | { id: string; kind: "mention"; time: string; by: Person; file: FileItem };
+
+export interface RequestOptions {
+  signal?: AbortSignal;
+}
+
+export interface ApiClient {
+  getRecommendedActions(options?: RequestOptions): Promise<RecommendedAction[]>;
+  getMeetings(options?: RequestOptions): Promise<Meeting[]>;
+  getMessages(options?: RequestOptions): Promise<Message[]>;
+  getFiles(filter?: FileFilter, options?: RequestOptions): Promise<FileItem[]>;
+}
+
+export interface ApiClientOptions {
+  baseUrl?: string;
+  /** The fetch to use, e.g. createMockFetch() in tests. */
+  fetch?: typeof fetch;
+}
+
+export class ApiError extends Error {
+  status: number;
+
+  constructor(message: string, status: number) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+  }
+}
+
+/**
+ * A client for the API at `baseUrl`. Every method resolves to a list, and
+ * rejects with an ApiError when the server answers with an error status or
+ * something that is not a list.
+ */
+export function createApiClient({
+  baseUrl = "/api",
+  fetch: fetchApi = (...args) => fetch(...args),
+}: ApiClientOptions = {}): ApiClient {
+  const get = async <T>(
+    path: string,
+    { signal }: RequestOptions = {},
+    params: Record<string, string> = {},
+  ): Promise<T[]> => {
+    const query = new URLSearchParams(params).toString();
+    const response = await fetchApi(
+      `${baseUrl}${path}${query ? `?${query}` : ""}`,
+      { signal, headers: { Accept: "application/json" } },
+    );
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+      throw new ApiError(
+        `Could not load ${path} (${body?.error ?? `${response.status} ${response.statusText}`})`,
+        response.status,
+      );
+    }
+    if (!Array.isArray(body?.items)) {
+      throw new ApiError(
+        `${path} answered without a list of items`,
+        response.status,
+      );
+    }
+    return body.items;
+  };
+
+  return {
+    getRecommendedActions: (options) =>
+      get<RecommendedAction>("/recommended-actions", options),
+    getMeetings: (options) => get<Meeting>("/meetings", options),
+    getMessages: (options) => get<Message>("/messages", options),
+    getFiles: (filter = "all", options) =>
+      get<FileItem>("/files", options, { filter }),
+  };
+}
+
+// Set VITE_API_BASE_URL (e.g. in .env.local) to use a real API.
+const BASE_URL: string = import.meta.env.VITE_API_BASE_URL ?? "/api";
+
+/** The client the app uses. */
+export const apiClient = createApiClient({ baseUrl: BASE_URL });
@@ -0,0 +1,197 @@
+/**
+ * The seeded data behind the mock API (see mockApi.js): the signed-in user's
+ * meetings, messages and files, and the actions recommended to them. Times
+ * are set relative to `now`, so the dashboard always reads "in 4 minutes"
+ * rather than going stale. The unit tests load the same data.
+ */
+
+const CDN =
+  "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30";
+
+const image = (hash) => `${CDN}/${hash}?placeholderIfAbsent=true`;
+
+const PEOPLE = {
+  daisy: {
+    name: "Daisy Phillips",
+    avatar: image("a8a480fcf62ee5c40f539d93bfd48ae719a28fd1"),
+  },
+  elvia: {
+    name: "Elvia Atkins",
+    avatar: image("e3567aeef52b954af1809a52fe1c646994ac5ea5"),
+  },
+  cameron: {
+    name: "Cameron Evans",
+    avatar: image("472b70d46e034b0d6fab2b901ea85ab15ff23e04"),
+  },
+  wanda: {
+    name: "Wanda Howard",
+    avatar: image("64f85372296b532324ed44f85dfce6fdc63868f6"),
+  },
+  colin: {
+    name: "Colin Ballinger",
+    avatar: image("cb2ca715e73af07a616c9f446cded07285efbcc1"),
+  },
+  henry: {
+    name: "Henry Brill",
+    avatar: image("8687d03e75c23b431b58949af5fceb96b7a4b44d"),
+  },
+  mona: {
+    name: "Mona Kane",
+    avatar: image("72edc6dc5bbb3112fd4f92f1118f1bb46d219d2d"),
+  },
+};
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+/**
+ * The fixture data as of `now`.
+ *
+ * @param {number} [now] - ms since the epoch
+ * @returns {{meetings: object[], messages: object[], files: object[],
+ *   recommendedActions: object[]}}
+ */
+export function createApiFixtures(now = Date.now()) {
+  const at = (offset) => new Date(now + offset).toISOString();
+
+  const meetings = [
+    {
+      id: "team-standup",
+      title: "Team Weekly Standup",
+      location: "Mission Bay Conference Center, Hall 1",
+      start: at(4 * MINUTE),
+      end: at(34 * MINUTE),
+      organizer: PEOPLE.daisy,
+      attendees: [
+        PEOPLE.cameron,
+        PEOPLE.wanda,
+        PEOPLE.colin,
+        PEOPLE.henry,
+        PEOPLE.mona,
+      ],
+      moreAttendees: 7,
+      joinUrl: "https://teams.contoso.com/meet/team-standup",
+    },
+    {
+      id: "launch-review",
+      title: "Launch readiness review",
+      location: "Microsoft Teams meeting",
+      start: at(3 * HOUR),
+      end: at(4 * HOUR),
+      organizer: PEOPLE.elvia,
+      attendees: [PEOPLE.daisy, PEOPLE.cameron],
+      moreAttendees: 0,
+      joinUrl: "https://teams.contoso.com/meet/launch-review",
+    },
+  ];
+
+  const messages = [
+    {
+      id: "launch-social",
+      subject: "RE: Social Media for Launch",
+      direction: "sent",
+      from: { name: "You", avatar: null },
+      to: [PEOPLE.daisy],
+      time: at(-36 * MINUTE),
+      preview:
+        "I'll draft the launch announcements for Twitter and LinkedIn and make sure everyone can review them before Wednesday.",
+    },
+    {
+      id: "budget-approval",
+      subject: "Q3 budget approved",
+      direction: "received",
+      from: PEOPLE.wanda,
+      to: [{ name: "You", avatar: null }],
+      time: at(-3 * HOUR),
+      preview:
+        "Good news: the Q3 budget went through as proposed. Let's go over the hiring plan on Thursday.",
+    },
+  ];
+
+  const files = [
+    {
+      id: "about-us",
+      name: "About us - Overview",
+      type: "word",
+      location: "Marketing › Team site",
+      owner: PEOPLE.elvia,
+      modified: at(-5 * HOUR),
+      lastOpened: at(-1 * HOUR),
+      shared: true,
+      favorite: false,
+      thumbnail: image("69ad579e0d2c235c30ecfec344c03838dc44deb4"),
+      url: "https://contoso.sharepoint.com/sites/marketing/about-us.docx",
+    },
+    {
+      id: "launch-plan",
+      name: "Launch plan",
+      type: "excel",
+      location: "Launch › Documents",
+      owner: PEOPLE.daisy,
+      modified: at(-2 * HOUR),
+      lastOpened: at(-30 * MINUTE),
+      shared: true,
+      favorite: true,
+      thumbnail: null,
+      url: "https://contoso.sharepoint.com/sites/launch/launch-plan.xlsx",
+    },
+    {
+      id: "brand-guidelines",
+      name: "Brand guidelines",
+      type: "powerpoint",
+      location: "OneDrive › Design",
+      owner: { name: "You", avatar: null },
+      modified: at(-2 * DAY),
+      lastOpened: at(-1 * DAY),
+      shared: false,
+      favorite: true,
+      thumbnail: null,
+      url: "https://contoso-my.sharepoint.com/design/brand-guidelines.pptx",
+    },
+    {
+      id: "standup-notes",
+      name: "Standup notes",
+      type: "onenote",
+      location: "OneDrive › Notebooks",
+      owner: { name: "You", avatar: null },
+      modified: at(-6 * DAY),
+      lastOpened: null,
+      shared: false,
+      favorite: false,
+      thumbnail: null,
+      url: "https://contoso-my.sharepoint.com/notebooks/standup-notes",
+    },
+    {
+      id: "vendor-contract",
+      name: "Vendor contract",
+      type: "pdf",
+      location: "Legal › Contracts",
+      owner: PEOPLE.colin,
+      modified: at(-9 * DAY),
+      lastOpened: at(-3 * DAY),
+      shared: true,
+      favorite: false,
+      thumbnail: null,
+      url: "https://contoso.sharepoint.com/sites/legal/vendor-contract.pdf",
+    },
+  ];
+
+  const recommendedActions = [
+    { id: "join-team-standup", kind: "meeting", meetingId: "team-standup" },
+    {
+      id: "follow-up-launch-social",
+      kind: "message",
+      messageId: "launch-social",
+    },
+    {
+      id: "mention-about-us",
+      kind: "mention",
+      fileId: "about-us",
+      by: PEOPLE.elvia,
+      time: at(-5 * HOUR),
+    },
+  ];
+
+  return { meetings, messages, files, recommendedActions };
+}
@@ -0,0 +1,15 @@
+/**
+ * The dashboard API: a client for the signed-in user's recommended actions,
+ * meetings, messages and files, a hook that loads them, and the mock API
+ * with seeded fixtures that answers /api in development and in the tests.
+ */
+export { ApiError, apiClient, createApiClient } from "./apiClient";
+export { useApiResource } from "./useApiResource";
+export { createApiFixtures } from "./fixtures";
+export {
+  FILE_FILTERS,
+  MOCK_API_PREFIX,
+  handleMockApiRequest,
+  respondToMockApiRequest,
+} from "./mockApi";
+export { createMockFetch } from "./mockFetch";
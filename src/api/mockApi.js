@@ -0,0 +1,149 @@
+/**
+ * The mock API under /api, answering from the seeded fixtures (see
+ * fixtures.js) so the dashboard works offline. plugins/mockApi.js serves it
+ * from the Vite dev and preview servers and createMockFetch() from the tests;
+ * both go through respondToMockApiRequest, latency and errors included.
+ *
+ * Endpoints, all GET, with lists as `{ items }` and errors as `{ error }`:
+ * - /api/recommended-actions, each with the meeting, message or file it is
+ *   about
+ * - /api/meetings, soonest first
+ * - /api/messages, newest first
+ * - /api/files?filter=all|recent|shared|favorites, recently opened first for
+ *   "recent" and last modified first otherwise
+ *
+ * Any request can add `mockLatency` (ms) and `mockStatus` (a 4xx or 5xx
+ * status to fail with) search params, which win over the server's defaults.
+ */
+import { createApiFixtures } from "./fixtures";
+
+export const MOCK_API_PREFIX = "/api";
+
+export const FILE_FILTERS = ["all", "recent", "shared", "favorites"];
+
+const ok = (items) => ({ status: 200, body: { items } });
+
+const fail = (status, error) => ({ status, body: { error } });
+
+const newestFirst = (field) => (a, b) =>
+  Date.parse(b[field]) - Date.parse(a[field]);
+
+const FILE_QUERIES = {
+  all: (files) => [...files].sort(newestFirst("modified")),
+  recent: (files) =>
+    files.filter((file) => file.lastOpened).sort(newestFirst("lastOpened")),
+  shared: (files) =>
+    files.filter((file) => file.shared).sort(newestFirst("modified")),
+  favorites: (files) =>
+    files.filter((file) => file.favorite).sort(newestFirst("modified")),
+};
+
+const ROUTES = {
+  "/recommended-actions": ({
+    recommendedActions,
+    meetings,
+    messages,
+    files,
+  }) => {
+    const find = (list, id) => list.find((item) => item.id === id);
+    return ok(
+      recommendedActions.map(({ meetingId, messageId, fileId, ...action }) => {
+        switch (action.kind) {
+          case "meeting": {
+            const meeting = find(meetings, meetingId);
+            return { ...action, time: meeting.start, meeting };
+          }
+          case "message": {
+            const message = find(messages, messageId);
+            return { ...action, time: message.time, message };
+          }
+          default:
+            return { ...action, file: find(files, fileId) };
+        }
+      }),
+    );
+  },
+  "/meetings": ({ meetings }) =>
+    ok([...meetings].sort((a, b) => Date.parse(a.start) - Date.parse(b.start))),
+  "/messages": ({ messages }) => ok([...messages].sort(newestFirst("time"))),
+  "/files": ({ files }, params) => {
+    const filter = params.get("filter") ?? "all";
+    if (!FILE_FILTERS.includes(filter)) {
+      return fail(
+        400,
+        `Unknown filter "${filter}" (expected one of ${FILE_FILTERS.join(", ")})`,
+      );
+    }
+    return ok(FILE_QUERIES[filter](files));
+  },
+};
+
+const toUrl = (url) => new URL(url, "http://localhost");
+
+/**
+ * Answers one mock API request from the fixtures as of `now`, at once.
+ *
+ * @param {{method?: string, url: string}} request - `url` may be relative
+ * @param {{now?: number}} [options]
+ * @returns {{status: number, body: object}}
+ */
+export function handleMockApiRequest({ method = "GET", url }, { now } = {}) {
+  const { pathname, searchParams } = toUrl(url);
+  const route = pathname.startsWith(`${MOCK_API_PREFIX}/`)
+    ? ROUTES[pathname.slice(MOCK_API_PREFIX.length)]
+    : undefined;
+  if (!route) {
+    return fail(404, `No mock for ${pathname}`);
+  }
+  if (method !== "GET") {
+    return fail(405, `${pathname} only answers GET`);
+  }
+  return route(createApiFixtures(now), searchParams);
+}
+
+// A delay in ms: `latency` itself, or a random one in a [min, max] range.
+const pickLatency = (latency, random) =>
+  Array.isArray(latency)
+    ? latency[0] + Math.round(random() * (latency[1] - latency[0]))
+    : latency;
+
+/**
+ * Answers a mock API request like a server would: after the latency, and
+ * with an injected error for the `errorRate` share of requests (or any that
+ * asks for one with `mockStatus`).
+ *
+ * @param {{method?: string, url: string}} request
+ * @param {object} [options]
+ * @param {number | [number, number]} [options.latency] - ms, or a range
+ * @param {number} [options.errorRate] - 0 to 1
+ * @param {number} [options.now]
+ * @param {() => number} [options.random]
+ * @returns {Promise<{status: number, body: object}>}
+ */
+export async function respondToMockApiRequest(
+  request,
+  { latency = 0, errorRate = 0, now, random = Math.random } = {},
+) {
+  const { searchParams } = toUrl(request.url);
+  const delay = searchParams.has("mockLatency")
+    ? Number(searchParams.get("mockLatency"))
+    : pickLatency(latency, random);
+  if (delay > 0) {
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+  if (searchParams.has("mockStatus")) {
+    const value = searchParams.get("mockStatus");
+    const status = Number(value);
+    if (!Number.isInteger(status) || status < 400 || status > 599) {
+      return fail(
+        400,
+        `Invalid mockStatus "${value}" (expected an HTTP error status, 400 to 599)`,
+      );
+    }
+    return fail(status, `Injected ${status} error`);
+  }
+  if (errorRate > 0 && random() < errorRate) {
+    return fail(503, "Injected 503 error");
+  }
+  return handleMockApiRequest(request, { now });
+}
@@ -0,0 +1,25 @@
+import { respondToMockApiRequest } from "./mockApi";
+
+/**
+ * A `fetch` that answers from the mock API in the page itself, without a
+ * server: for the tests, and anywhere the dev server's /api is missing.
+ * Takes respondToMockApiRequest's options.
+ *
+ * @param {Parameters<typeof respondToMockApiRequest>[1]} [options]
+ * @returns {typeof fetch}
+ */
+export function createMockFetch(options) {
+  return async (input, init = {}) => {
+    const url = typeof input === "string" ? input : input.url;
+    init.signal?.throwIfAborted();
+    const { status, body } = await respondToMockApiRequest(
+      { method: init.method ?? "GET", url },
+      options,
+    );
+    init.signal?.throwIfAborted();
+    return new Response(JSON.stringify(body), {
+      status,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+}
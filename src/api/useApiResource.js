@@ -0,0 +1,37 @@
+import { useCallback, useEffect, useState } from "react";
+
+const LOADING = { status: "loading", data: null, error: null };
+
+/**
+ * Loads `load`'s result, again whenever `load` changes (so wrap it in
+ * useCallback with what it depends on), aborting the request it replaces.
+ * `status` is "loading", "ready" or "error", and `reload` loads it again,
+ * e.g. after an error.
+ *
+ * @template T
+ * @param {(options: {signal: AbortSignal}) => Promise<T>} load
+ * @returns {{status: "loading" | "ready" | "error", data: T | null,
+ *   error: Error | null, reload: () => void}}
+ */
+export function useApiResource(load) {
+  const [resource, setResource] = useState(LOADING);
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    setResource(LOADING);
+    load({ signal: controller.signal })
+      .then((data) => ({ status: "ready", data, error: null }))
+      .catch((error) => ({ ...LOADING, status: "error", error }))
+      .then((next) => {
+        if (!controller.signal.aborted) {
+          setResource(next);
+        }
+      });
+    return () => controller.abort();
+  }, [load, attempt]);
+
+  const reload = useCallback(() => setAttempt((value) => value + 1), []);
+
+  return { ...resource, reload };
+}
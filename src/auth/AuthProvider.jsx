@@ -0,0 +1,83 @@
+import React, {
+  useCallback,
+  useEffect,
+  useMemo,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { AuthContext } from "./authContext";
+import { isSessionActive } from "./identityProvider";
+import { localIdentityProvider } from "./localIdentityProvider";
+import { sessionStore } from "./sessionStore";
+
+// setTimeout fires at once for delays beyond a signed 32-bit int.
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Signs users in and out through `provider` (the local fixture accounts by
+ * default) and keeps the session in the session store. A session is ended,
+ * and `expired` set, as soon as its token expires.
+ *
+ * @param {object} props
+ * @param {import("./identityProvider").IdentityProvider} [props.provider]
+ */
+export function AuthProvider({ provider = localIdentityProvider, children }) {
+  const session = useSyncExternalStore(
+    sessionStore.subscribe,
+    sessionStore.getSnapshot,
+    sessionStore.getServerSnapshot,
+  );
+  const [expired, setExpired] = useState(false);
+  const active = isSessionActive(session);
+
+  useEffect(() => {
+    if (!session) {
+      return undefined;
+    }
+    const expire = () => {
+      sessionStore.clear();
+      setExpired(true);
+    };
+    const remaining = session.expiresAt - Date.now();
+    if (remaining <= 0) {
+      expire();
+      return undefined;
+    }
+    const timer = setTimeout(expire, Math.min(remaining, MAX_TIMER_DELAY));
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  const signIn = useCallback(
+    async (credentials) => {
+      const next = await provider.signIn(credentials);
+      setExpired(false);
+      sessionStore.set(next);
+      return next.user;
+    },
+    [provider],
+  );
+
+  const signOut = useCallback(async () => {
+    const ending = sessionStore.getSnapshot();
+    sessionStore.clear();
+    setExpired(false);
+    if (ending) {
+      await provider.signOut(ending);
+    }
+  }, [provider]);
+
+  const value = useMemo(
+    () => ({
+      user: active ? session.user : null,
+      session: active ? session : null,
+      expired,
+      providerName: provider.name,
+      accounts: provider.listAccounts?.() ?? [],
+      signIn,
+      signOut,
+    }),
+    [active, session, expired, provider, signIn, signOut],
+  );
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+}
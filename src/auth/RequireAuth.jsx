@@ -0,0 +1,20 @@
+import React from "react";
+import { Navigate, useLocation } from "react-router-dom";
+import { useAuth } from "./authContext";
+
+/** Where signed-out users are sent from protected routes. */
+export const SIGN_IN_PATH = "/sign-in";
+
+/**
+ * Renders its children for signed-in users and redirects everyone else to the
+ * sign-in page, which returns them here (`state.from`) once they sign in.
+ */
+export function RequireAuth({ children }) {
+  const { user } = useAuth();
+  const location = useLocation();
+
+  if (!user) {
+    return <Navigate to={SIGN_IN_PATH} replace state={{ from: location }} />;
+  }
+  return children;
+}
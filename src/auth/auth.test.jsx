@@ -0,0 +1,119 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { Route, Routes, useLocation } from "react-router-dom";
+import { act, screen } from "@testing-library/react";
+import { renderWithProviders, signInAs } from "../test";
+import SignIn from "../pages/SignIn";
+import {
+  AuthError,
+  AuthProvider,
+  RequireAuth,
+  SESSION_STORAGE_KEY,
+  createLocalIdentityProvider,
+  sessionStore,
+} from ".";
+
+function CurrentPath() {
+  return <output aria-label="path">{useLocation().pathname}</output>;
+}
+
+const renderGuardedApp = (route, provider) =>
+  renderWithProviders(
+    <AuthProvider provider={provider}>
+      <Routes>
+        <Route path="/sign-in" element={<SignIn />} />
+        <Route
+          path="/reports"
+          element={
+            <RequireAuth>
+              <p>Quarterly reports</p>
+            </RequireAuth>
+          }
+        />
+        <Route path="*" element={null} />
+      </Routes>
+      <CurrentPath />
+    </AuthProvider>,
+    { route },
+  );
+
+describe("Auth", () => {
+  it("signs fixture users in with tokens that expire", async () => {
+    const provider = createLocalIdentityProvider({
+      tokenLifetime: 1000,
+      now: () => 5000,
+    });
+
+    await expect(
+      provider.signIn({ email: "guest@contoso.com", password: "wrong" }),
+    ).rejects.toThrow(AuthError);
+
+    const session = await provider.signIn({
+      email: " Daisy.Phillips@contoso.com",
+      password: "fluent",
+    });
+    expect(session.user).toEqual({
+      id: "daisy",
+      name: "Daisy Phillips",
+      email: "daisy.phillips@contoso.com",
+      jobTitle: "Engineering Manager",
+    });
+    expect(session.token).toMatch(/^[0-9a-f]{48}$/);
+    expect(session.expiresAt).toBe(6000);
+  });
+
+  it("sends signed-out users to sign in and back", async () => {
+    const { user } = renderGuardedApp("/reports");
+
+    expect(screen.getByLabelText("path")).toHaveTextContent("/sign-in");
+
+    await user.type(
+      screen.getByLabelText(/Email/),
+      "kathryn.murphy@contoso.com",
+    );
+    await user.type(screen.getByLabelText(/Password/), "nope");
+    await user.click(screen.getByRole("button", { name: "Sign in" }));
+    expect(
+      await screen.findByText("The email or password is incorrect."),
+    ).toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText(/Password/));
+    await user.type(screen.getByLabelText(/Password/), "fluent");
+    await user.click(screen.getByRole("button", { name: "Sign in" }));
+
+    expect(await screen.findByText("Quarterly reports")).toBeInTheDocument();
+    expect(screen.getByLabelText("path")).toHaveTextContent("/reports");
+    expect(
+      JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY)).user.name,
+    ).toBe("Kathryn Murphy");
+  });
+
+  it("offers demo accounts only when the provider lists them", () => {
+    const { unmount } = renderGuardedApp("/sign-in");
+    expect(screen.getByText("Demo accounts")).toBeInTheDocument();
+    expect(screen.getByText("guest@contoso.com / guest")).toBeInTheDocument();
+    unmount();
+
+    const { listAccounts, ...provider } = createLocalIdentityProvider();
+    expect(listAccounts).toBeTypeOf("function");
+    renderGuardedApp("/sign-in", { ...provider, name: "Contoso ID" });
+    expect(screen.getByText("with Contoso ID")).toBeInTheDocument();
+    expect(screen.queryByText("Demo accounts")).not.toBeInTheDocument();
+  });
+
+  it("signs out when the token expires", async () => {
+    const session = await signInAs();
+    renderGuardedApp("/reports");
+    expect(screen.getByText("Quarterly reports")).toBeInTheDocument();
+
+    act(() => sessionStore.set({ ...session, expiresAt: Date.now() + 50 }));
+
+    expect(
+      await screen.findByText(
+        "Your session expired. Sign in again to continue.",
+      ),
+    ).toBeInTheDocument();
+    expect(screen.getByLabelText("path")).toHaveTextContent("/sign-in");
+    expect(window.localStorage.getItem(SESSION_STORAGE_KEY)).toBeNull();
+  });
+});
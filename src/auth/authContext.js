@@ -0,0 +1,21 @@
+import { createContext, useContext } from "react";
+
+const DEFAULT_CONTEXT = {
+  user: null,
+  session: null,
+  expired: false,
+  providerName: null,
+  accounts: [],
+  signIn: () => Promise.reject(new Error("Signing in needs an AuthProvider")),
+  signOut: () => Promise.resolve(),
+};
+
+export const AuthContext = createContext(DEFAULT_CONTEXT);
+
+/**
+ * The signed-in user (null when signed out), their session and the actions to
+ * sign in and out. `expired` is true when the last session ended because its
+ * token expired. `accounts` lists the demo accounts the provider offers, if
+ * any. Outside an AuthProvider nobody is signed in.
+ */
+export const useAuth = () => useContext(AuthContext);
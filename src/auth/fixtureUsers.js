@@ -0,0 +1,31 @@
+/**
+ * The accounts the local identity provider accepts. They are demo data: the
+ * passwords are shown on the sign-in page.
+ *
+ * `tokenLifetime` (ms) overrides the provider's default, so the session
+ * expiry can be tried without waiting hours.
+ */
+export const FIXTURE_USERS = [
+  {
+    id: "kathryn",
+    name: "Kathryn Murphy",
+    email: "kathryn.murphy@contoso.com",
+    password: "fluent",
+    jobTitle: "Product Designer",
+  },
+  {
+    id: "daisy",
+    name: "Daisy Phillips",
+    email: "daisy.phillips@contoso.com",
+    password: "fluent",
+    jobTitle: "Engineering Manager",
+  },
+  {
+    id: "guest",
+    name: "Guest User",
+    email: "guest@contoso.com",
+    password: "guest",
+    jobTitle: "Visitor",
+    tokenLifetime: 2 * 60 * 1000,
+  },
+];
@@ -0,0 +1,37 @@
+/**
+ * What the auth subsystem needs from an identity provider. AuthProvider takes
+ * one as its `provider` prop; `localIdentityProvider` stands in for a real one
+ * until the app has a backend.
+ *
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} name
+ * @property {string} email
+ * @property {string} [jobTitle]
+ *
+ * @typedef {object} Session
+ * @property {User} user
+ * @property {string} token - sent to APIs on the user's behalf
+ * @property {number} expiresAt - when the token expires, in ms since the epoch
+ *
+ * @typedef {object} IdentityProvider
+ * @property {string} name - shown on the sign-in page
+ * @property {(credentials: {email: string, password: string}) =>
+ *   Promise<Session>} signIn - rejects with an AuthError when the credentials
+ *   are wrong
+ * @property {(session: Session) => Promise<void>} signOut - revokes the token
+ * @property {() => Array<{email: string, password: string}>} [listAccounts] -
+ *   demo accounts for the sign-in page to offer; real providers leave it out
+ */
+
+export class AuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "AuthError";
+    this.code = code;
+  }
+}
+
+/** True while `session`'s token is still valid. */
+export const isSessionActive = (session, now = Date.now()) =>
+  Boolean(session) && session.expiresAt > now;
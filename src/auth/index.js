@@ -0,0 +1,15 @@
+/**
+ * Mock authentication: an AuthProvider around the app signs users in through
+ * a pluggable identity provider (fixture accounts for now), RequireAuth guards
+ * protected routes and the session survives reloads.
+ */
+export { AuthProvider } from "./AuthProvider";
+export { useAuth } from "./authContext";
+export { RequireAuth, SIGN_IN_PATH } from "./RequireAuth";
+export { AuthError, isSessionActive } from "./identityProvider";
+export {
+  createLocalIdentityProvider,
+  localIdentityProvider,
+} from "./localIdentityProvider";
+export { FIXTURE_USERS } from "./fixtureUsers";
+export { sessionStore, SESSION_STORAGE_KEY } from "./sessionStore";
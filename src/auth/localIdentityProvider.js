@@ -0,0 +1,59 @@
+import { FIXTURE_USERS } from "./fixtureUsers";
+import { AuthError } from "./identityProvider";
+
+// How long a token lasts unless the user's fixture says otherwise.
+const DEFAULT_TOKEN_LIFETIME = 8 * 60 * 60 * 1000;
+
+const randomToken = () =>
+  Array.from(crypto.getRandomValues(new Uint8Array(24)), (byte) =>
+    byte.toString(16).padStart(2, "0"),
+  ).join("");
+
+/**
+ * An identity provider that checks credentials against fixture users in the
+ * browser and issues random tokens that expire. Nothing leaves the page, so
+ * it is for demos and tests only.
+ *
+ * @param {object} [options]
+ * @param {Array} [options.users] - accounts with a `password`, see
+ *   FIXTURE_USERS
+ * @param {number} [options.tokenLifetime] - ms until a token expires
+ * @param {() => number} [options.now] - the clock, for tests
+ * @returns {import("./identityProvider").IdentityProvider}
+ */
+export function createLocalIdentityProvider({
+  users = FIXTURE_USERS,
+  tokenLifetime = DEFAULT_TOKEN_LIFETIME,
+  now = Date.now,
+} = {}) {
+  return {
+    name: "Contoso demo accounts",
+
+    async signIn({ email, password }) {
+      const account = users.find(
+        (user) => user.email.toLowerCase() === email.trim().toLowerCase(),
+      );
+      if (!account || account.password !== password) {
+        throw new AuthError(
+          "The email or password is incorrect.",
+          "invalid-credentials",
+        );
+      }
+      const { id, name, jobTitle } = account;
+      return {
+        user: { id, name, email: account.email, jobTitle },
+        token: randomToken(),
+        expiresAt: now() + (account.tokenLifetime ?? tokenLifetime),
+      };
+    },
+
+    // Tokens are never checked anywhere, so there is nothing to revoke.
+    async signOut() {},
+
+    listAccounts() {
+      return users.map(({ email, password }) => ({ email, password }));
+    },
+  };
+}
+
+export const localIdentityProvider = createLocalIdentityProvider();
@@ -0,0 +1,70 @@
+/**
+ * The signed-in session, kept in localStorage so it survives reloads and
+ * shared with other tabs through the `storage` event. Expired sessions stay
+ * stored until AuthProvider notices and signs out.
+ */
+import {
+  readStoredJson,
+  removeStorageItem,
+  writeStoredJson,
+} from "../utils/storage";
+
+export const SESSION_STORAGE_KEY = "auth-session";
+
+const listeners = new Set();
+
+const isSession = (value) =>
+  typeof value?.token === "string" &&
+  typeof value.expiresAt === "number" &&
+  typeof value.user?.name === "string";
+
+const readSession = () => {
+  const stored = readStoredJson(SESSION_STORAGE_KEY);
+  return isSession(stored) ? stored : null;
+};
+
+let current = readSession();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+const write = (session) => {
+  current = session;
+  // Without storage the session lasts until the page is closed.
+  if (session) {
+    writeStoredJson(SESSION_STORAGE_KEY, session);
+  } else {
+    removeStorageItem(SESSION_STORAGE_KEY);
+  }
+  emit();
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key === SESSION_STORAGE_KEY || event.key === null) {
+      current = readSession();
+      emit();
+    }
+  });
+}
+
+export const sessionStore = {
+  getSnapshot: () => current,
+
+  getServerSnapshot: () => null,
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  },
+
+  /** @param {import("./identityProvider").Session} session */
+  set(session) {
+    write(session);
+  },
+
+  clear() {
+    write(null);
+  },
+};
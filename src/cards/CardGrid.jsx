@@ -0,0 +1,311 @@
+import React, {
+  useEffect,
+  useLayoutEffect,
+  useRef,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import {
+  makeStyles,
+  mergeClasses,
+  tokens,
+  Button,
+  Menu,
+  MenuItemRadio,
+  MenuList,
+  MenuPopover,
+  MenuTrigger,
+} from "@fluentui/react-components";
+import { ArrowMoveRegular, ResizeRegular } from "@fluentui/react-icons";
+import IndexCard from "./IndexCard";
+import {
+  COLUMN_BREAKPOINTS,
+  SIZE_CLASSES,
+  findCardInNextRow,
+  placeCards,
+} from "./cardLayout";
+
+const useStyles = makeStyles({
+  grid: {
+    display: "grid",
+    gridAutoRows: "minmax(72px, auto)",
+    gap: "20px",
+  },
+  item: {
+    position: "relative",
+    display: "flex",
+    minWidth: 0,
+  },
+  card: {
+    flex: "1",
+  },
+  grabbed: {
+    outline: `${tokens.strokeWidthThick} solid ${tokens.colorBrandStroke1}`,
+    outlineOffset: "2px",
+    borderRadius: tokens.borderRadiusMedium,
+  },
+  dragging: {
+    opacity: 0.5,
+  },
+  highlighted: {
+    outline: `${tokens.strokeWidthThicker} solid ${tokens.colorBrandStroke1}`,
+    outlineOffset: "4px",
+    borderRadius: tokens.borderRadiusXLarge,
+  },
+  tools: {
+    position: "absolute",
+    top: tokens.spacingVerticalXS,
+    left: tokens.spacingHorizontalXS,
+    zIndex: 1,
+    display: "flex",
+    gap: tokens.spacingHorizontalXXS,
+    padding: tokens.spacingHorizontalXXS,
+    borderRadius: tokens.borderRadiusMedium,
+    backgroundColor: tokens.colorNeutralBackground1,
+    boxShadow: tokens.shadow8,
+  },
+  handle: {
+    cursor: "grab",
+  },
+  instructions: {
+    display: "none",
+  },
+  announcer: {
+    position: "absolute",
+    width: "1px",
+    height: "1px",
+    overflow: "hidden",
+    clipPath: "inset(50%)",
+    whiteSpace: "nowrap",
+  },
+});
+
+const INSTRUCTIONS_ID = "card-grid-move-instructions";
+
+// Keys that move a grabbed card, to a new index given the current one and
+// the placements: sideways by one, up and down by a row.
+const MOVE_KEYS = {
+  ArrowLeft: (index) => index - 1,
+  ArrowUp: (index, placements) => findCardInNextRow(placements, index, -1),
+  ArrowRight: (index) => index + 1,
+  ArrowDown: (index, placements) => findCardInNextRow(placements, index, 1),
+  Home: () => 0,
+  End: (index, placements) => placements.length - 1,
+};
+
+const subscribeToBreakpoints = (onChange) => {
+  const lists = COLUMN_BREAKPOINTS.map(({ query }) => window.matchMedia(query));
+  lists.forEach((list) => list.addEventListener("change", onChange));
+  return () =>
+    lists.forEach((list) => list.removeEventListener("change", onChange));
+};
+
+const getColumns = () =>
+  COLUMN_BREAKPOINTS.find(({ query }) => window.matchMedia(query).matches)
+    ?.columns ?? 1;
+
+// The number of grid columns for the current viewport width.
+const useGridColumns = () =>
+  useSyncExternalStore(subscribeToBreakpoints, getColumns, () => 1);
+
+/**
+ * Lays index cards out by size class with the layout engine. While `editing`,
+ * each card gets a move handle, which works by dragging or from the keyboard
+ * (Space to pick up, arrow keys, Home and End to move, Space to drop, Escape
+ * to cancel), and a size menu. The first `pinnedCount` items are pinned and
+ * stay ahead of the rest, so a card only moves among the pinned cards or
+ * among the others. The `highlighted` card, e.g. the one a link pointed to,
+ * is outlined and scrolled into view.
+ *
+ * @param {object} props
+ * @param {Array<{card: object, size: string}>} props.items - from arrangeCards
+ * @param {boolean} [props.editing]
+ * @param {(id: string, index: number) => void} props.onMove
+ * @param {(id: string, size: string) => void} props.onResize
+ * @param {number} [props.pinnedCount]
+ * @param {string} [props.highlighted] - a card id
+ */
+export default function CardGrid({
+  items,
+  editing = false,
+  onMove,
+  onResize,
+  pinnedCount = 0,
+  highlighted,
+}) {
+  const styles = useStyles();
+  const columns = useGridColumns();
+  const handles = useRef(new Map());
+  const highlightedRef = useRef(null);
+  const [grabbed, setGrabbed] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [announcement, setAnnouncement] = useState("");
+
+  const { placements } = placeCards(
+    items.map(({ card, size }) => ({ id: card.id, size })),
+    columns,
+  );
+  const ids = items.map(({ card }) => card.id);
+  const titleOf = (id) => items[ids.indexOf(id)].card.title;
+  const position = (index) => `position ${index + 1} of ${ids.length}`;
+
+  // Moving a card re-inserts its element, which loses focus.
+  useLayoutEffect(() => {
+    if (grabbed) {
+      handles.current.get(grabbed.id)?.focus();
+    }
+  }, [grabbed, items]);
+
+  useEffect(() => {
+    highlightedRef.current?.scrollIntoView({
+      block: "center",
+      behavior: "smooth",
+    });
+  }, [highlighted]);
+
+  const move = (id, index) => {
+    const [first, last] =
+      ids.indexOf(id) < pinnedCount
+        ? [0, pinnedCount - 1]
+        : [pinnedCount, ids.length - 1];
+    const to = Math.max(first, Math.min(index, last));
+    if (to === ids.indexOf(id)) {
+      setAnnouncement(`${titleOf(id)} stays at ${position(to)}.`);
+      return;
+    }
+    onMove(id, to);
+    setAnnouncement(`${titleOf(id)} moved to ${position(to)}.`);
+  };
+
+  const handleKeyDown = (event, id) => {
+    const index = ids.indexOf(id);
+    const holding = grabbed?.id === id;
+    if (event.key === " " || event.key === "Enter") {
+      event.preventDefault();
+      if (holding) {
+        setGrabbed(null);
+        setAnnouncement(`${titleOf(id)} dropped at ${position(index)}.`);
+      } else {
+        setGrabbed({ id, from: index });
+        setAnnouncement(
+          `${titleOf(id)} picked up at ${position(index)}. Use the arrow keys to move it, Space to drop it or Escape to cancel.`,
+        );
+      }
+    } else if (event.key === "Escape" && holding) {
+      event.preventDefault();
+      onMove(id, grabbed.from);
+      setGrabbed(null);
+      setAnnouncement(
+        `Move cancelled. ${titleOf(id)} is back at ${position(grabbed.from)}.`,
+      );
+    } else if (MOVE_KEYS[event.key] && holding) {
+      event.preventDefault();
+      move(id, MOVE_KEYS[event.key](index, placements));
+    }
+  };
+
+  const handleDrop = (event, targetId) => {
+    event.preventDefault();
+    if (dragging && dragging !== targetId) {
+      move(dragging, ids.indexOf(targetId));
+    }
+    setDragging(null);
+  };
+
+  return (
+    <>
+      <div
+        className={styles.grid}
+        style={{ gridTemplateColumns: `repeat(${columns}, minmax(0, 1fr))` }}
+      >
+        {placements.map((placement, index) => {
+          const { card } = items[index];
+          return (
+            <div
+              key={card.id}
+              ref={card.id === highlighted ? highlightedRef : undefined}
+              className={mergeClasses(
+                styles.item,
+                card.id === highlighted && styles.highlighted,
+                grabbed?.id === card.id && styles.grabbed,
+                dragging === card.id && styles.dragging,
+              )}
+              style={{
+                gridColumn: `${placement.column} / span ${placement.columnSpan}`,
+                gridRow: `${placement.row} / span ${placement.rowSpan}`,
+              }}
+              data-size={placement.size}
+              aria-current={card.id === highlighted || undefined}
+              onDragOver={
+                editing ? (event) => event.preventDefault() : undefined
+              }
+              onDrop={
+                editing ? (event) => handleDrop(event, card.id) : undefined
+              }
+            >
+              {editing && (
+                <div className={styles.tools}>
+                  <Button
+                    ref={(element) =>
+                      element
+                        ? handles.current.set(card.id, element)
+                        : handles.current.delete(card.id)
+                    }
+                    size="small"
+                    appearance="subtle"
+                    icon={<ArrowMoveRegular />}
+                    className={styles.handle}
+                    aria-label={`Move ${card.title}`}
+                    aria-describedby={INSTRUCTIONS_ID}
+                    aria-pressed={grabbed?.id === card.id}
+                    draggable
+                    onDragStart={(event) => {
+                      event.dataTransfer?.setData("text/plain", card.id);
+                      setDragging(card.id);
+                    }}
+                    onDragEnd={() => setDragging(null)}
+                    onKeyDown={(event) => handleKeyDown(event, card.id)}
+                  />
+                  <Menu
+                    checkedValues={{ size: [placement.size] }}
+                    onCheckedValueChange={(_, data) =>
+                      onResize(card.id, data.checkedItems[0])
+                    }
+                  >
+                    <MenuTrigger disableButtonEnhancement>
+                      <Button
+                        size="small"
+                        appearance="subtle"
+                        icon={<ResizeRegular />}
+                        aria-label={`Resize ${card.title}`}
+                      />
+                    </MenuTrigger>
+                    <MenuPopover>
+                      <MenuList>
+                        {Object.entries(SIZE_CLASSES).map(
+                          ([size, { label }]) => (
+                            <MenuItemRadio key={size} name="size" value={size}>
+                              {label}
+                            </MenuItemRadio>
+                          ),
+                        )}
+                      </MenuList>
+                    </MenuPopover>
+                  </Menu>
+                </div>
+              )}
+              <IndexCard card={card} className={styles.card} />
+            </div>
+          );
+        })}
+      </div>
+      <p id={INSTRUCTIONS_ID} className={styles.instructions}>
+        Press Space to pick the card up, the arrow keys to move it and Space
+        again to drop it.
+      </p>
+      <div className={styles.announcer} aria-live="assertive">
+        {announcement}
+      </div>
+    </>
+  );
+}
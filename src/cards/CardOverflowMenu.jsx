@@ -0,0 +1,83 @@
+import React, { useState } from "react";
+import {
+  Button,
+  Menu,
+  MenuDivider,
+  MenuItem,
+  MenuList,
+  MenuPopover,
+  MenuTrigger,
+} from "@fluentui/react-components";
+import {
+  EyeOffRegular,
+  FlagRegular,
+  LinkRegular,
+  MoreHorizontalRegular,
+  PinOffRegular,
+  PinRegular,
+} from "@fluentui/react-icons";
+import ShareDialog from "./ShareDialog";
+import { useCardActions } from "./useCardActions";
+
+/**
+ * The card's "More actions" menu: pin, hide, copy link and report. When the
+ * link cannot be copied, the share dialog opens to say so and show it.
+ */
+export default function CardOverflowMenu({ card, className }) {
+  const actions = useCardActions();
+  const pinned = actions.isPinned(card);
+  const [copyFailed, setCopyFailed] = useState(false);
+
+  const handleCopyLink = async () => {
+    if (!(await actions.copyLink(card))) {
+      setCopyFailed(true);
+    }
+  };
+
+  return (
+    <>
+      <Menu>
+        <MenuTrigger disableButtonEnhancement>
+          <Button
+            appearance="subtle"
+            icon={<MoreHorizontalRegular />}
+            aria-label="More actions"
+            className={className}
+          />
+        </MenuTrigger>
+        <MenuPopover>
+          <MenuList>
+            <MenuItem
+              icon={pinned ? <PinOffRegular /> : <PinRegular />}
+              onClick={() => actions.togglePin(card)}
+            >
+              {pinned ? "Unpin" : "Pin to start"}
+            </MenuItem>
+            <MenuItem
+              icon={<EyeOffRegular />}
+              onClick={() => actions.hide(card)}
+            >
+              Hide
+            </MenuItem>
+            <MenuItem icon={<LinkRegular />} onClick={handleCopyLink}>
+              Copy link
+            </MenuItem>
+            <MenuDivider />
+            <MenuItem
+              icon={<FlagRegular />}
+              onClick={() => actions.report(card)}
+            >
+              Report
+            </MenuItem>
+          </MenuList>
+        </MenuPopover>
+      </Menu>
+      <ShareDialog
+        card={card}
+        open={copyFailed}
+        onOpenChange={setCopyFailed}
+        copyFailed
+      />
+    </>
+  );
+}
@@ -0,0 +1,359 @@
+import React, { useState } from "react";
+import {
+  makeStyles,
+  mergeClasses,
+  tokens,
+  Avatar,
+  Button,
+  Card,
+  CardFooter,
+  CardHeader,
+  CardPreview,
+  Image,
+} from "@fluentui/react-components";
+import {
+  OpenRegular,
+  PinFilled,
+  ShareRegular,
+  StarFilled,
+  StarRegular,
+} from "@fluentui/react-icons";
+import CardOverflowMenu from "./CardOverflowMenu";
+import ShareDialog from "./ShareDialog";
+import { formatTimeAgo } from "./formatTimeAgo";
+import { useCardActions } from "./useCardActions";
+
+const useStyles = makeStyles({
+  card: {
+    width: "100%",
+    overflow: "hidden",
+  },
+  titleSection: {
+    display: "flex",
+    flexDirection: "column",
+    flex: "1",
+    gap: "2px",
+  },
+  title: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalXS,
+    fontFamily: tokens.fontFamilyBase,
+    fontSize: "14px",
+    lineHeight: "1",
+    color: tokens.colorNeutralForeground1,
+    fontWeight: tokens.fontWeightSemibold,
+  },
+  subtitle: {
+    fontFamily: tokens.fontFamilyBase,
+    fontSize: "12px",
+    lineHeight: "1",
+    color: tokens.colorNeutralForeground2,
+    fontWeight: tokens.fontWeightRegular,
+  },
+  pin: {
+    color: tokens.colorBrandForeground1,
+  },
+  starred: {
+    color: tokens.colorPaletteMarigoldForeground1,
+  },
+  authorName: {
+    fontWeight: tokens.fontWeightSemibold,
+    color: tokens.colorNeutralForeground2,
+  },
+  actionButton: {
+    width: "32px",
+    height: "32px",
+    minWidth: "32px",
+    padding: "6px",
+    borderRadius: tokens.borderRadiusSmall,
+    backgroundColor: tokens.colorSubtleBackground,
+  },
+  heroImage: {
+    width: "100%",
+    minWidth: "240px",
+    flex: "1 1 0",
+    padding: "12px",
+  },
+  topImage: {
+    padding: "12px",
+  },
+  bottomPreview: {
+    width: "100%",
+    flex: "1",
+  },
+  cardBody: {
+    fontFamily: tokens.fontFamilyBase,
+    fontSize: "12px",
+    lineHeight: "16px",
+    color: tokens.colorNeutralForeground1,
+    fontWeight: tokens.fontWeightRegular,
+    padding: "0 12px 12px 12px",
+  },
+  cardFooter: {
+    display: "flex",
+    justifyContent: "space-between",
+    alignItems: "start",
+    gap: "40px",
+    padding: "12px",
+  },
+  footerLeft: {
+    display: "flex",
+    alignItems: "start",
+    gap: "12px",
+  },
+  primaryButton: {
+    minWidth: "96px",
+    backgroundColor: tokens.colorBrandBackground,
+    color: tokens.colorNeutralForegroundOnBrand,
+    gap: "6px",
+    padding: "6px 12px",
+    borderRadius: tokens.borderRadiusSmall,
+    fontWeight: tokens.fontWeightSemibold,
+    fontSize: "14px",
+  },
+  secondaryButton: {
+    minWidth: "96px",
+    border: `1px solid ${tokens.colorNeutralStroke1}`,
+    backgroundColor: tokens.colorNeutralBackground1,
+    color: tokens.colorNeutralForeground1,
+    gap: "6px",
+    padding: "6px 12px",
+    borderRadius: tokens.borderRadiusSmall,
+    fontWeight: tokens.fontWeightSemibold,
+    fontSize: "14px",
+  },
+  iconActions: {
+    display: "flex",
+  },
+  largeAvatar: {
+    width: "64px",
+    height: "64px",
+    padding: "0 12px",
+  },
+  headerWithLargeAvatar: {
+    display: "flex",
+    alignItems: "stretch",
+    padding: "0",
+  },
+  contentWithLargeAvatar: {
+    display: "flex",
+    alignItems: "center",
+    gap: "12px",
+    padding: "12px",
+    flex: "1",
+  },
+});
+
+// Cards with Open or Share get a footer for them in every variant, and the
+// icon actions move to its end.
+const hasFooter = (card) =>
+  card.actions.includes("open") || card.actions.includes("share");
+
+function Byline({ card }) {
+  const styles = useStyles();
+  const { isPinned } = useCardActions();
+  return (
+    <div className={styles.titleSection}>
+      <div className={styles.title}>
+        {card.title}
+        {isPinned(card) && (
+          <PinFilled aria-label="Pinned" className={styles.pin} />
+        )}
+      </div>
+      <div className={styles.subtitle}>
+        <time dateTime={card.timestamp}>{formatTimeAgo(card.timestamp)}</time>{" "}
+        by <span className={styles.authorName}>{card.author.name}</span>
+      </div>
+    </div>
+  );
+}
+
+function AuthorAvatar({ author, size = 32, className }) {
+  return (
+    <Avatar
+      name={author.name}
+      image={author.avatar ? { src: author.avatar } : undefined}
+      size={size}
+      className={className}
+    />
+  );
+}
+
+function StarButton({ card }) {
+  const styles = useStyles();
+  const { isStarred, toggleStar } = useCardActions();
+  const starred = isStarred(card);
+  return (
+    <Button
+      appearance="subtle"
+      icon={
+        starred ? <StarFilled className={styles.starred} /> : <StarRegular />
+      }
+      aria-label="Star"
+      aria-pressed={starred}
+      className={styles.actionButton}
+      onClick={() => toggleStar(card)}
+    />
+  );
+}
+
+// The star and "More actions" buttons, in the header or the footer's end.
+function IconActions({ card }) {
+  const styles = useStyles();
+  const star = card.actions.includes("star");
+  const more = card.actions.includes("more");
+  if (!star && !more) {
+    return null;
+  }
+  return (
+    <div className={styles.iconActions}>
+      {star && <StarButton card={card} />}
+      {more && <CardOverflowMenu card={card} className={styles.actionButton} />}
+    </div>
+  );
+}
+
+function Header({ card }) {
+  return (
+    <CardHeader
+      image={<AuthorAvatar author={card.author} />}
+      header={<Byline card={card} />}
+      action={hasFooter(card) ? undefined : <IconActions card={card} />}
+    />
+  );
+}
+
+function Footer({ card }) {
+  const styles = useStyles();
+  const { open } = useCardActions();
+  const [sharing, setSharing] = useState(false);
+  return (
+    <CardFooter className={styles.cardFooter}>
+      <div className={styles.footerLeft}>
+        {card.actions.includes("open") && (
+          <Button
+            appearance="primary"
+            icon={<OpenRegular />}
+            className={styles.primaryButton}
+            disabled={!card.url}
+            onClick={() => open(card)}
+          >
+            Open
+          </Button>
+        )}
+        {card.actions.includes("share") && (
+          <Button
+            appearance="secondary"
+            icon={<ShareRegular />}
+            className={styles.secondaryButton}
+            onClick={() => setSharing(true)}
+          >
+            Share
+          </Button>
+        )}
+      </div>
+      <IconActions card={card} />
+      <ShareDialog card={card} open={sharing} onOpenChange={setSharing} />
+    </CardFooter>
+  );
+}
+
+function HeroCard({ card }) {
+  const styles = useStyles();
+  return (
+    <>
+      {card.media && (
+        <CardPreview>
+          <Image
+            src={card.media.src}
+            alt={card.media.alt}
+            className={styles.heroImage}
+          />
+        </CardPreview>
+      )}
+      <Header card={card} />
+      {hasFooter(card) && <Footer card={card} />}
+    </>
+  );
+}
+
+function CompactCard({ card }) {
+  return (
+    <>
+      <Header card={card} />
+      {hasFooter(card) && <Footer card={card} />}
+    </>
+  );
+}
+
+function StandardCard({ card }) {
+  const styles = useStyles();
+  const { media } = card;
+  return (
+    <>
+      {media?.placement === "top" && (
+        <CardPreview>
+          <Image src={media.src} alt={media.alt} className={styles.topImage} />
+        </CardPreview>
+      )}
+      <Header card={card} />
+      {card.body && <div className={styles.cardBody}>{card.body}</div>}
+      {media?.placement === "bottom" && (
+        <CardPreview className={styles.bottomPreview}>
+          <Image src={media.src} alt={media.alt} />
+        </CardPreview>
+      )}
+      {hasFooter(card) && <Footer card={card} />}
+    </>
+  );
+}
+
+function LargeAvatarCard({ card }) {
+  const styles = useStyles();
+  return (
+    <>
+      <div className={styles.headerWithLargeAvatar}>
+        <AuthorAvatar
+          author={card.author}
+          size={64}
+          className={styles.largeAvatar}
+        />
+        <div className={styles.contentWithLargeAvatar}>
+          <Byline card={card} />
+          {!hasFooter(card) && <IconActions card={card} />}
+        </div>
+      </div>
+      {hasFooter(card) && <Footer card={card} />}
+    </>
+  );
+}
+
+const VARIANTS = {
+  hero: HeroCard,
+  standard: StandardCard,
+  compact: CompactCard,
+  "large-avatar": LargeAvatarCard,
+};
+
+/**
+ * Renders an index card in the variant for its `kind`. `className` sizes the
+ * card for the spot the page puts it in.
+ *
+ * @param {object} props
+ * @param {import("./cardModel").IndexCard} props.card
+ * @param {string} [props.className]
+ */
+export default function IndexCard({ card, className }) {
+  const styles = useStyles();
+  const Variant = VARIANTS[card.kind];
+  return (
+    <Card
+      className={mergeClasses(styles.card, className)}
+      role="article"
+      aria-label={card.title}
+    >
+      <Variant card={card} />
+    </Card>
+  );
+}
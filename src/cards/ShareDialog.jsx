@@ -0,0 +1,118 @@
+import React, { useState } from "react";
+import {
+  makeStyles,
+  tokens,
+  useId,
+  Body1,
+  Button,
+  Dialog,
+  DialogActions,
+  DialogBody,
+  DialogContent,
+  DialogSurface,
+  DialogTitle,
+  Input,
+  Label,
+} from "@fluentui/react-components";
+import { CopyRegular, ShareRegular } from "@fluentui/react-icons";
+import { getCardLink } from "./cardLinks";
+import { useCardActions } from "./useCardActions";
+
+const useStyles = makeStyles({
+  content: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalM,
+  },
+  link: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalXXS,
+  },
+  failed: {
+    color: tokens.colorPaletteRedForeground1,
+  },
+});
+
+const COPIED = { text: "The link was copied to the clipboard." };
+
+const COPY_FAILED = {
+  failed: true,
+  text: "The link could not be copied. Select it above and copy it yourself.",
+};
+
+/**
+ * Shows the deep link to `card` and shares it: through the Web Share API's
+ * share sheet where the browser has one, by copying it otherwise. With
+ * `copyFailed` it opens saying a copy of the link failed, so the user can
+ * copy it by hand.
+ */
+export default function ShareDialog({
+  card,
+  open,
+  onOpenChange,
+  copyFailed = false,
+}) {
+  const styles = useStyles();
+  const { share, copyLink } = useCardActions();
+  const [result, setResult] = useState(null);
+  const status = result ?? (copyFailed ? COPY_FAILED : null);
+  const canShare = Boolean(navigator.share);
+  const linkId = useId("card-link");
+
+  const handleShare = async () => {
+    const method = await share(card);
+    if (method === "web-share") {
+      onOpenChange(false);
+    } else if (method) {
+      setResult(method === "clipboard" ? COPIED : COPY_FAILED);
+    }
+  };
+
+  const handleCopy = async () =>
+    setResult((await copyLink(card)) ? COPIED : COPY_FAILED);
+
+  return (
+    <Dialog
+      open={open}
+      onOpenChange={(event, data) => {
+        setResult(null);
+        onOpenChange(data.open);
+      }}
+    >
+      <DialogSurface>
+        <DialogBody>
+          <DialogTitle>Share “{card.title}”</DialogTitle>
+          <DialogContent className={styles.content}>
+            {/* A Label rather than a Field, which would bring its validation
+                icons into the page's bundle. */}
+            <div className={styles.link}>
+              <Label htmlFor={linkId}>Link to this card</Label>
+              <Input id={linkId} readOnly value={getCardLink(card)} />
+            </div>
+            <Body1
+              role="status"
+              className={status?.failed ? styles.failed : undefined}
+            >
+              {status?.text}
+            </Body1>
+          </DialogContent>
+          <DialogActions>
+            {canShare && (
+              <Button icon={<CopyRegular />} onClick={handleCopy}>
+                Copy link
+              </Button>
+            )}
+            <Button
+              appearance="primary"
+              icon={canShare ? <ShareRegular /> : <CopyRegular />}
+              onClick={handleShare}
+            >
+              {canShare ? "Share..." : "Copy link"}
+            </Button>
+          </DialogActions>
+        </DialogBody>
+      </DialogSurface>
+    </Dialog>
+  );
+}
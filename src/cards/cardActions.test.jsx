@@ -0,0 +1,187 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { screen, waitFor, within } from "@testing-library/react";
+import { cardTitles, createCard, renderCards } from "../test";
+import {
+  CARD_PREFERENCES_STORAGE_KEY,
+  emitCardEvent,
+  getCardLink,
+  subscribeToCardEvents,
+} from ".";
+
+const CARDS = [
+  createCard("a", "standard", { actions: ["open", "share", "star"] }),
+  createCard("b", "compact", { actions: ["star", "more"] }),
+  createCard("c", "compact", { actions: ["star", "more"] }),
+];
+
+const getCard = (title) => screen.getByRole("article", { name: title });
+
+// Role queries are slow across the many Fluent styles jsdom has to compute,
+// so the menu is worked by label and text.
+const chooseFromMenu = async (user, title, item) => {
+  await user.click(
+    within(screen.getByLabelText(title)).getByLabelText("More actions"),
+  );
+  await user.click(screen.getByText(item));
+};
+
+describe("Card actions", () => {
+  // The types of the card events each test raises.
+  let events;
+  let stopRecording;
+
+  beforeEach(() => {
+    events = [];
+    stopRecording = subscribeToCardEvents((event) => events.push(event.type));
+  });
+
+  afterEach(() => {
+    stopRecording();
+    vi.restoreAllMocks();
+    delete navigator.share;
+  });
+
+  it("stars cards and shows only starred ones in the Starred view", async () => {
+    const { user } = await renderCards(CARDS);
+
+    const star = within(getCard("Card b")).getByRole("button", {
+      name: "Star",
+    });
+    await user.click(star);
+    expect(star).toHaveAttribute("aria-pressed", "true");
+    expect(
+      JSON.parse(window.localStorage.getItem(CARD_PREFERENCES_STORAGE_KEY)),
+    ).toEqual({
+      "signed-out": { favorites: ["b"], pinned: [], hidden: [] },
+    });
+
+    await user.click(screen.getByRole("tab", { name: "Starred" }));
+    expect(cardTitles()).toEqual(["Card b"]);
+
+    await user.click(
+      within(getCard("Card b")).getByRole("button", { name: "Star" }),
+    );
+    expect(screen.queryByRole("article")).toBeNull();
+    expect(screen.getByText(/No starred cards yet/)).toBeInTheDocument();
+    expect(events).toEqual(["star", "unstar"]);
+  });
+
+  it("pins cards to the start from the overflow menu", async () => {
+    const { user } = await renderCards(CARDS);
+
+    await chooseFromMenu(user, "Card c", "Pin to start");
+
+    expect(cardTitles()).toEqual(["Card c", "Card a", "Card b"]);
+    expect(screen.getByText("Pinned “Card c” to the start.")).toBeVisible();
+    expect(events).toEqual(["pin"]);
+  });
+
+  it("hides cards from the overflow menu until shown again", async () => {
+    const { user } = await renderCards(CARDS);
+
+    await chooseFromMenu(user, "Card b", "Hide");
+    expect(cardTitles()).toEqual(["Card a", "Card c"]);
+    expect(screen.getByText("1 hidden card")).toBeVisible();
+
+    await user.click(screen.getByRole("button", { name: "Show hidden cards" }));
+    expect(cardTitles()).toEqual(["Card a", "Card b", "Card c"]);
+    expect(events).toEqual(["hide"]);
+  });
+
+  it("copies a card's link from the overflow menu", async () => {
+    const { user } = await renderCards(CARDS);
+
+    await chooseFromMenu(user, "Card c", "Copy link");
+
+    expect(await navigator.clipboard.readText()).toBe(getCardLink({ id: "c" }));
+    expect(events).toEqual(["copy-link"]);
+  });
+
+  it("reports cards from the overflow menu", async () => {
+    const { user } = await renderCards(CARDS);
+
+    await chooseFromMenu(user, "Card c", "Report");
+
+    expect(
+      screen.getByText("Thanks, “Card c” was reported for review."),
+    ).toBeVisible();
+    expect(events).toEqual(["report"]);
+  });
+
+  it("shares a card's deep link, falling back to the clipboard", async () => {
+    const { user } = await renderCards(CARDS);
+
+    await user.click(
+      within(getCard("Card a")).getByRole("button", { name: "Share" }),
+    );
+    const dialog = screen.getByRole("dialog", { hidden: true });
+    expect(
+      within(dialog).getByRole("textbox", {
+        name: "Link to this card",
+        hidden: true,
+      }),
+    ).toHaveValue(getCardLink({ id: "a" }));
+
+    await user.click(
+      within(dialog).getByRole("button", { name: "Copy link", hidden: true }),
+    );
+    expect(await navigator.clipboard.readText()).toBe(getCardLink({ id: "a" }));
+    expect(
+      within(dialog).getByRole("status", { hidden: true }),
+    ).toHaveTextContent("The link was copied to the clipboard.");
+    expect(events).toEqual(["share"]);
+  });
+
+  it("shares a card's deep link through the browser's share sheet", async () => {
+    const share = vi.fn().mockResolvedValue(undefined);
+    Object.defineProperty(navigator, "share", {
+      value: share,
+      configurable: true,
+    });
+    const { user } = await renderCards(CARDS);
+
+    await user.click(
+      within(getCard("Card a")).getByRole("button", { name: "Share" }),
+    );
+    await user.click(screen.getByText("Share..."));
+
+    expect(share).toHaveBeenCalledWith({
+      title: "Card a",
+      text: undefined,
+      url: getCardLink({ id: "a" }),
+    });
+    await waitFor(() =>
+      expect(screen.queryByText("Share...")).not.toBeInTheDocument(),
+    );
+    expect(events).toEqual(["share"]);
+  });
+
+  it("says so when the clipboard refuses the link", async () => {
+    const { user } = await renderCards(CARDS);
+    vi.spyOn(navigator.clipboard, "writeText").mockRejectedValue(
+      new DOMException("Denied", "NotAllowedError"),
+    );
+
+    await chooseFromMenu(user, "Card c", "Copy link");
+    const dialog = await screen.findByRole("dialog", { hidden: true });
+    expect(
+      within(dialog).getByRole("status", { hidden: true }),
+    ).toHaveTextContent("The link could not be copied.");
+    expect(events).toEqual([]);
+  });
+
+  it("highlights the card a link points to and rejects unknown events", async () => {
+    const scrollIntoView = vi.spyOn(Element.prototype, "scrollIntoView");
+    await renderCards(CARDS, { route: "/agentic-index-cards?card=c" });
+
+    expect(getCard("Card c").parentElement).toHaveAttribute(
+      "aria-current",
+      "true",
+    );
+    expect(scrollIntoView).toHaveBeenCalled();
+
+    expect(() => emitCardEvent("like", CARDS[0])).toThrow(
+      'Unknown card event type "like"',
+    );
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Card action events. Every action taken on an index card (opening, sharing,
+ * starring, pinning, hiding, reporting or copying its link) is raised here
+ * after it happens, so other parts of the app can react to it, e.g. the
+ * index cards page confirms it in a message.
+ *
+ * @typedef {"open" | "share" | "star" | "unstar" | "pin" | "unpin" | "hide" |
+ *   "unhide" | "report" | "copy-link"} CardEventType
+ *
+ * @typedef {object} CardEvent
+ * @property {CardEventType} type
+ * @property {string} cardId
+ * @property {string} title - the card's title, for messages
+ * @property {number} time - when it happened, in ms since the epoch
+ * @property {object} [detail] - type-specific, e.g. `{ method: "clipboard" }`
+ *   for "share"
+ */
+import { useEffect, useRef } from "react";
+
+/** The card event types, with what each one means. */
+export const CARD_EVENT_TYPES = {
+  open: "The card's link was opened",
+  share: "The card was shared, with `detail.method` web-share or clipboard",
+  star: "The card was added to the favorites",
+  unstar: "The card was removed from the favorites",
+  pin: "The card was pinned to the start",
+  unpin: "The card was unpinned",
+  hide: "The card was hidden",
+  unhide: "The card was shown again",
+  report: "The card was reported",
+  "copy-link": "The card's link was copied",
+};
+
+const listeners = new Set();
+
+/**
+ * Raises a card event for `card`. Throws for a type not in CARD_EVENT_TYPES,
+ * so a typo cannot go unnoticed.
+ *
+ * @param {CardEventType} type
+ * @param {{id: string, title: string}} card
+ * @param {object} [detail]
+ */
+export function emitCardEvent(type, card, detail) {
+  if (!Object.hasOwn(CARD_EVENT_TYPES, type)) {
+    throw new TypeError(`Unknown card event type ${JSON.stringify(type)}`);
+  }
+  const event = {
+    type,
+    cardId: card.id,
+    title: card.title,
+    time: Date.now(),
+    ...(detail && { detail }),
+  };
+  listeners.forEach((listener) => listener(event));
+}
+
+/**
+ * Calls `listener` with every card event, or only those of the given types.
+ * Returns a function that unsubscribes.
+ *
+ * @param {(event: CardEvent) => void} listener
+ * @param {CardEventType[]} [types]
+ */
+export function subscribeToCardEvents(listener, types) {
+  const filtered = types
+    ? (event) => types.includes(event.type) && listener(event)
+    : listener;
+  listeners.add(filtered);
+  return () => {
+    listeners.delete(filtered);
+  };
+}
+
+/**
+ * Subscribes `listener` to card events (of `types`, if given) while the
+ * component is mounted. The listener may change between renders.
+ *
+ * @param {(event: CardEvent) => void} listener
+ * @param {CardEventType[]} [types]
+ */
+export function useCardEvents(listener, types) {
+  const latest = useRef(listener);
+  useEffect(() => {
+    latest.current = listener;
+  });
+  const typeList = types?.join(",");
+  useEffect(
+    () =>
+      subscribeToCardEvents(
+        (event) => latest.current(event),
+        typeList?.split(","),
+      ),
+    [typeList],
+  );
+}
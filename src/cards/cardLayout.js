@@ -0,0 +1,173 @@
+/**
+ * The index cards layout engine. Cards are placed into a grid of equal
+ * columns by size class, in the user's order, each one at the first spot it
+ * fits (so smaller cards fill the gaps next to big ones). The arrangement a
+ * user makes, `{ order, sizes }`, only lists card ids: cards new to the feed
+ * join at the end and cards gone from it are skipped.
+ *
+ * @typedef {"hero" | "tall" | "standard" | "compact"} SizeClass
+ *
+ * @typedef {object} Arrangement
+ * @property {string[]} order - card ids, first to last
+ * @property {Record<string, SizeClass>} sizes - by card id; cards without one
+ *   take the default for their kind
+ */
+
+/** How many grid columns and rows a card of each size class spans. */
+export const SIZE_CLASSES = {
+  hero: { label: "Hero", columns: 2, rows: 3 },
+  tall: { label: "Tall", columns: 1, rows: 4 },
+  standard: { label: "Standard", columns: 1, rows: 2 },
+  compact: { label: "Compact", columns: 1, rows: 1 },
+};
+
+/** Grid columns by viewport width, widest first; narrower screens get one. */
+export const COLUMN_BREAKPOINTS = [
+  { columns: 4, query: "(min-width: 1440px)" },
+  { columns: 3, query: "(min-width: 1100px)" },
+  { columns: 2, query: "(min-width: 720px)" },
+];
+
+export const EMPTY_ARRANGEMENT = { order: [], sizes: {} };
+
+/** The size class a card gets until the user picks one. */
+export const defaultSizeClass = (card) => {
+  switch (card.kind) {
+    case "hero":
+      return "hero";
+    case "standard":
+      return card.media ? "tall" : "standard";
+    default:
+      return "compact";
+  }
+};
+
+/**
+ * The feed's cards in the user's order, each with its size class.
+ *
+ * @param {import("./cardModel").IndexCard[]} cards
+ * @param {Arrangement} arrangement
+ * @returns {Array<{card: object, size: SizeClass}>}
+ */
+export function arrangeCards(cards, { order, sizes }) {
+  const position = new Map(order.map((id, index) => [id, index]));
+  return cards
+    .map((card, index) => ({
+      card,
+      rank: position.get(card.id) ?? order.length + index,
+    }))
+    .sort((a, b) => a.rank - b.rank)
+    .map(({ card }) => ({
+      card,
+      size: Object.hasOwn(SIZE_CLASSES, sizes[card.id])
+        ? sizes[card.id]
+        : defaultSizeClass(card),
+    }));
+}
+
+/** `ids` with `id` moved to `index` (clamped to the list). */
+export function moveCard(ids, id, index) {
+  const rest = ids.filter((other) => other !== id);
+  const to = Math.max(0, Math.min(index, rest.length));
+  return [...rest.slice(0, to), id, ...rest.slice(to)];
+}
+
+/**
+ * Places `items` into a grid `columns` wide, in order, each at the first
+ * free spot (top to bottom, then left to right) its size fits. Cards wider
+ * than the grid are narrowed to fit it. Grid lines are 1-based, as in CSS.
+ *
+ * @param {Array<{id: string, size: SizeClass}>} items
+ * @param {number} columns
+ * @returns {{placements: Array<{id: string, size: SizeClass, column: number,
+ *   row: number, columnSpan: number, rowSpan: number}>, rows: number}}
+ */
+export function placeCards(items, columns) {
+  const taken = [];
+  const isFree = (row, column, columnSpan, rowSpan) => {
+    for (let r = row; r < row + rowSpan; r += 1) {
+      for (let c = column; c < column + columnSpan; c += 1) {
+        if (taken[r]?.[c]) {
+          return false;
+        }
+      }
+    }
+    return true;
+  };
+  const take = (row, column, columnSpan, rowSpan) => {
+    for (let r = row; r < row + rowSpan; r += 1) {
+      taken[r] ??= [];
+      for (let c = column; c < column + columnSpan; c += 1) {
+        taken[r][c] = true;
+      }
+    }
+  };
+
+  const placements = items.map(({ id, size }) => {
+    const columnSpan = Math.min(SIZE_CLASSES[size].columns, columns);
+    const rowSpan = SIZE_CLASSES[size].rows;
+    for (let row = 0; ; row += 1) {
+      for (let column = 0; column + columnSpan <= columns; column += 1) {
+        if (isFree(row, column, columnSpan, rowSpan)) {
+          take(row, column, columnSpan, rowSpan);
+          return {
+            id,
+            size,
+            column: column + 1,
+            row: row + 1,
+            columnSpan,
+            rowSpan,
+          };
+        }
+      }
+    }
+  });
+  return { placements, rows: taken.length };
+}
+
+/**
+ * The index of the card a row above (`step` -1) or below (1) the one at
+ * `index` in `placements` (from placeCards): the nearest row in that
+ * direction with other cards in it, and of those the card over the same
+ * column, or else the closest one. `index` itself past the first or last row.
+ *
+ * @param {Array<{column: number, row: number, columnSpan: number,
+ *   rowSpan: number}>} placements
+ * @param {number} index
+ * @param {-1 | 1} step
+ */
+export function findCardInNextRow(placements, index, step) {
+  const { column, row, rowSpan } = placements[index];
+  const lastRow = Math.max(
+    ...placements.map((placement) => placement.row + placement.rowSpan - 1),
+  );
+  // Columns between `column` and the placement; 0 when it spans `column`.
+  const distance = (placement) =>
+    Math.max(
+      0,
+      placement.column - column,
+      column - (placement.column + placement.columnSpan - 1),
+    );
+
+  for (
+    let line = step > 0 ? row + rowSpan : row - 1;
+    line >= 1 && line <= lastRow;
+    line += step
+  ) {
+    let nearest = -1;
+    placements.forEach((placement, other) => {
+      if (
+        other !== index &&
+        placement.row <= line &&
+        line < placement.row + placement.rowSpan &&
+        (nearest === -1 || distance(placement) < distance(placements[nearest]))
+      ) {
+        nearest = other;
+      }
+    });
+    if (nearest !== -1) {
+      return nearest;
+    }
+  }
+  return index;
+}
@@ -0,0 +1,229 @@
+import { describe, expect, it } from "vitest";
+import { fireEvent, screen } from "@testing-library/react";
+import {
+  cardTitles,
+  createCard,
+  focusElement,
+  getFocused,
+  press,
+  renderCards,
+  setMediaQueries,
+  signInAs,
+} from "../test";
+import {
+  CARD_LAYOUT_STORAGE_KEY,
+  CardLayoutError,
+  arrangeCards,
+  cardLayoutStore,
+  cardPreferencesStore,
+  findCardInNextRow,
+  placeCards,
+} from ".";
+
+const CARDS = [
+  createCard("a", "hero"),
+  createCard("b", "standard"),
+  createCard("c"),
+  createCard("d"),
+];
+
+// The page with CARDS, in layout editing mode.
+const renderLayoutEditor = async () => {
+  const result = await renderCards(CARDS);
+  await result.user.click(screen.getByRole("button", { name: "Edit layout" }));
+  return result;
+};
+
+describe("Card layout", () => {
+  it("places cards at the first spot their size fits", () => {
+    const items = [
+      { id: "hero", size: "hero" },
+      { id: "tall", size: "tall" },
+      { id: "one", size: "compact" },
+      { id: "two", size: "standard" },
+    ];
+
+    expect(placeCards(items, 3).placements).toEqual([
+      {
+        id: "hero",
+        size: "hero",
+        column: 1,
+        row: 1,
+        columnSpan: 2,
+        rowSpan: 3,
+      },
+      {
+        id: "tall",
+        size: "tall",
+        column: 3,
+        row: 1,
+        columnSpan: 1,
+        rowSpan: 4,
+      },
+      {
+        id: "one",
+        size: "compact",
+        column: 1,
+        row: 4,
+        columnSpan: 1,
+        rowSpan: 1,
+      },
+      {
+        id: "two",
+        size: "standard",
+        column: 2,
+        row: 4,
+        columnSpan: 1,
+        rowSpan: 2,
+      },
+    ]);
+    expect(placeCards(items, 1).placements.map(({ row }) => row)).toEqual([
+      1, 4, 8, 9,
+    ]);
+  });
+
+  it("finds the card a row above or below another", () => {
+    const { placements } = placeCards(
+      [
+        { id: "hero", size: "hero" },
+        { id: "tall", size: "tall" },
+        { id: "one", size: "compact" },
+        { id: "two", size: "standard" },
+      ],
+      3,
+    );
+
+    expect(findCardInNextRow(placements, 2, -1)).toBe(0);
+    expect(findCardInNextRow(placements, 0, 1)).toBe(2);
+    expect(findCardInNextRow(placements, 3, -1)).toBe(0);
+    expect(findCardInNextRow(placements, 1, -1)).toBe(1);
+    expect(findCardInNextRow(placements, 3, 1)).toBe(3);
+  });
+
+  it("applies a saved arrangement to the feed", () => {
+    const cards = [
+      createCard("a", "hero"),
+      createCard("b", "standard"),
+      createCard("c"),
+    ];
+
+    const items = arrangeCards(cards, {
+      order: ["c", "gone", "a"],
+      sizes: { a: "compact" },
+    });
+
+    expect(items.map(({ card: { id }, size }) => [id, size])).toEqual([
+      ["c", "compact"],
+      ["a", "compact"],
+      ["b", "standard"],
+    ]);
+  });
+
+  it("reorders cards from the keyboard and keeps the order", async () => {
+    setMediaQueries({ "(min-width: 1100px)": true });
+    const { user } = await renderLayoutEditor();
+    const handle = screen.getByRole("button", { name: "Move Card b" });
+
+    focusElement(handle);
+    await user.keyboard(" ");
+    expect(handle).toHaveAttribute("aria-pressed", "true");
+    await press(user, "ArrowRight");
+    await press(user, "ArrowRight");
+    expect(getFocused()).toBe(handle);
+    await press(user, "Enter");
+
+    expect(cardTitles()).toEqual(["Card a", "Card c", "Card d", "Card b"]);
+    expect(screen.getByText("Card b dropped at position 4 of 4.")).toBeTruthy();
+    expect(
+      JSON.parse(window.localStorage.getItem(CARD_LAYOUT_STORAGE_KEY)),
+    ).toEqual({
+      "signed-out": { order: ["a", "c", "d", "b"], sizes: {} },
+    });
+
+    await user.keyboard(" ");
+    await press(user, "Home");
+    await press(user, "Escape");
+    expect(cardTitles()).toEqual(["Card a", "Card c", "Card d", "Card b"]);
+  });
+
+  it("moves a grabbed card by a row with the up and down arrows", async () => {
+    setMediaQueries({ "(min-width: 1100px)": true });
+    const { user } = await renderLayoutEditor();
+
+    // Card a spans columns 1-2 and rows 1-3, with Card b and Card c stacked
+    // beside it and Card d alone in row 4.
+    focusElement(screen.getByRole("button", { name: "Move Card d" }));
+    await user.keyboard(" ");
+    await press(user, "ArrowUp");
+    expect(cardTitles()).toEqual(["Card d", "Card a", "Card b", "Card c"]);
+    expect(screen.getByText("Card d moved to position 1 of 4.")).toBeTruthy();
+
+    await press(user, "ArrowUp");
+    expect(cardTitles()).toEqual(["Card d", "Card a", "Card b", "Card c"]);
+    await press(user, "ArrowDown");
+    expect(cardTitles()).toEqual(["Card a", "Card b", "Card d", "Card c"]);
+  });
+
+  it("keeps pinned cards ahead of the others while moving", async () => {
+    cardPreferencesStore.set("signed-out", "pinned", "c", true);
+    const { user } = await renderLayoutEditor();
+    expect(cardTitles()).toEqual(["Card c", "Card a", "Card b", "Card d"]);
+
+    focusElement(screen.getByRole("button", { name: "Move Card c" }));
+    await user.keyboard(" ");
+    await press(user, "ArrowRight");
+    expect(cardTitles()).toEqual(["Card c", "Card a", "Card b", "Card d"]);
+    expect(screen.getByText("Card c stays at position 1 of 4.")).toBeTruthy();
+    await press(user, "Enter");
+
+    focusElement(screen.getByRole("button", { name: "Move Card d" }));
+    await user.keyboard(" ");
+    await press(user, "Home");
+    expect(cardTitles()).toEqual(["Card c", "Card d", "Card a", "Card b"]);
+    expect(screen.getByText("Card d moved to position 2 of 4.")).toBeTruthy();
+  });
+
+  it("reorders by dragging and resizes from the size menu", async () => {
+    const { user } = await renderLayoutEditor();
+
+    fireEvent.dragStart(screen.getByRole("button", { name: "Move Card d" }));
+    fireEvent.drop(screen.getByRole("article", { name: "Card a" }));
+    expect(cardTitles()).toEqual(["Card d", "Card a", "Card b", "Card c"]);
+
+    await user.click(screen.getByRole("button", { name: "Resize Card c" }));
+    await user.click(
+      await screen.findByRole("menuitemradio", { name: "Tall" }),
+    );
+
+    expect(
+      screen.getByRole("article", { name: "Card c" }).parentElement,
+    ).toHaveAttribute("data-size", "tall");
+    await user.click(screen.getByRole("button", { name: "Reset layout" }));
+    expect(cardTitles()).toEqual(["Card a", "Card b", "Card c", "Card d"]);
+  });
+
+  it("keeps each user's arrangement and imports exported ones", async () => {
+    const { id } = (await signInAs()).user;
+    const exported = JSON.stringify({
+      version: 1,
+      order: ["d", "c"],
+      sizes: { d: "hero" },
+    });
+
+    cardLayoutStore.importJson(id, exported);
+
+    expect(cardLayoutStore.get(id).order).toEqual(["d", "c"]);
+    expect(cardLayoutStore.get("signed-out").order).toEqual([]);
+    expect(JSON.parse(cardLayoutStore.exportJson(id))).toEqual(
+      JSON.parse(exported),
+    );
+    await renderLayoutEditor();
+    expect(cardTitles()).toEqual(["Card d", "Card c", "Card a", "Card b"]);
+    expect(() =>
+      cardLayoutStore.importJson(
+        id,
+        '{"version":1,"order":["a","a"],"sizes":{}}',
+      ),
+    ).toThrow(CardLayoutError);
+  });
+});
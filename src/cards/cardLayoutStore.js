@@ -0,0 +1,137 @@
+/**
+ * Every user's index cards arrangement, kept in localStorage by user id so
+ * each account on this browser has its own, and shared with other tabs
+ * through the `storage` event. Arrangements export and import as JSON
+ * documents, `{ version, order, sizes }`.
+ */
+import { readStoredJson, writeStoredJson } from "../utils/storage";
+import { EMPTY_ARRANGEMENT, SIZE_CLASSES } from "./cardLayout";
+
+export const CARD_LAYOUT_STORAGE_KEY = "card-layouts";
+
+export const CARD_LAYOUT_VERSION = 1;
+
+export class CardLayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CardLayoutError";
+  }
+}
+
+const listeners = new Set();
+
+const isRecord = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+// Returns the arrangement in `value`, or null when it is not one.
+const toArrangement = (value) => {
+  if (
+    !isRecord(value) ||
+    !Array.isArray(value.order) ||
+    !value.order.every((id) => typeof id === "string") ||
+    new Set(value.order).size !== value.order.length ||
+    !isRecord(value.sizes) ||
+    !Object.values(value.sizes).every((size) =>
+      Object.hasOwn(SIZE_CLASSES, size),
+    )
+  ) {
+    return null;
+  }
+  return { order: value.order, sizes: value.sizes };
+};
+
+const readLayouts = () => {
+  const stored = readStoredJson(CARD_LAYOUT_STORAGE_KEY);
+  if (!isRecord(stored)) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(stored)
+      .map(([user, arrangement]) => [user, toArrangement(arrangement)])
+      .filter(([, arrangement]) => arrangement),
+  );
+};
+
+let current = readLayouts();
+
+const write = (layouts) => {
+  current = layouts;
+  // Full or disabled storage only costs the layout surviving a reload.
+  writeStoredJson(CARD_LAYOUT_STORAGE_KEY, current);
+  listeners.forEach((listener) => listener());
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key === CARD_LAYOUT_STORAGE_KEY || event.key === null) {
+      current = readLayouts();
+      listeners.forEach((listener) => listener());
+    }
+  });
+}
+
+export const cardLayoutStore = {
+  /** Every stored arrangement, by user id. */
+  getSnapshot: () => current,
+
+  getServerSnapshot: () => ({}),
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  },
+
+  /** `user`'s arrangement, empty (feed order, default sizes) if none. */
+  get: (user) => current[user] ?? EMPTY_ARRANGEMENT,
+
+  save(user, arrangement) {
+    write({ ...current, [user]: arrangement });
+  },
+
+  /** Goes back to the feed's order and default sizes for `user`. */
+  reset(user) {
+    const { [user]: _removed, ...rest } = current;
+    write(rest);
+  },
+
+  clear() {
+    write({});
+  },
+
+  /** Serializes `user`'s arrangement as a versioned JSON document. */
+  exportJson(user) {
+    const { order, sizes } = cardLayoutStore.get(user);
+    return JSON.stringify(
+      { version: CARD_LAYOUT_VERSION, order, sizes },
+      null,
+      2,
+    );
+  },
+
+  /**
+   * Replaces `user`'s arrangement with an exported one. Throws a
+   * CardLayoutError when the JSON is not a layout document.
+   */
+  importJson(user, json) {
+    let document;
+    try {
+      document = JSON.parse(json);
+    } catch {
+      throw new CardLayoutError("The file is not valid JSON");
+    }
+    if (!isRecord(document) || document.version !== CARD_LAYOUT_VERSION) {
+      throw new CardLayoutError(
+        `Not a card layout file (expected { version: ${CARD_LAYOUT_VERSION}, order, sizes })`,
+      );
+    }
+    const arrangement = toArrangement(document);
+    if (!arrangement) {
+      throw new CardLayoutError(
+        `The layout needs a list of distinct card ids and sizes that are one of ${Object.keys(SIZE_CLASSES).join(", ")}`,
+      );
+    }
+    cardLayoutStore.save(user, arrangement);
+  },
+};
@@ -0,0 +1,39 @@
+import { copyText } from "../utils/clipboard";
+
+/** The page the index cards are on. */
+export const CARDS_PAGE_PATH = "/agentic-index-cards";
+
+/** The search param a deep link names its card in. */
+export const CARD_LINK_PARAM = "card";
+
+/** A link that opens the index cards page at `card`. */
+export const getCardLink = (card, origin = window.location.origin) =>
+  `${origin}${CARDS_PAGE_PATH}?${CARD_LINK_PARAM}=${encodeURIComponent(card.id)}`;
+
+/**
+ * Copies the link to `card` to the clipboard. Resolves to false when the
+ * browser refuses, e.g. without permission, focus or a secure context.
+ */
+export const copyCardLink = (card) => copyText(getCardLink(card));
+
+/**
+ * Shares the link to `card` with the Web Share API where the browser has
+ * it, and copies it to the clipboard otherwise (or if sharing fails).
+ * Resolves to how it was shared, "web-share" or "clipboard", to null when
+ * the user cancelled the share sheet, or to "failed" when the link could not
+ * be copied either.
+ */
+export async function shareCardLink(card) {
+  const url = getCardLink(card);
+  if (navigator.share) {
+    try {
+      await navigator.share({ title: card.title, text: card.body, url });
+      return "web-share";
+    } catch (error) {
+      if (error.name === "AbortError") {
+        return null;
+      }
+    }
+  }
+  return (await copyCardLink(card)) ? "clipboard" : "failed";
+}
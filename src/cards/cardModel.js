@@ -0,0 +1,149 @@
+/**
+ * The index card model: what a card feed document looks like and how it is
+ * checked before rendering. Feeds come from a card source (see cardSources.js)
+ * as untrusted JSON, so every card is validated and the invalid ones are left
+ * out with an issue saying why.
+ *
+ * @typedef {object} IndexCard
+ * @property {string} id - unique within the feed
+ * @property {"hero" | "standard" | "compact" | "large-avatar"} kind - which
+ *   card variant renders it, see CARD_KINDS
+ * @property {string} title
+ * @property {{name: string, avatar?: string}} author
+ * @property {string} timestamp - when it was posted, as an ISO date
+ * @property {{src: string, alt: string, placement: "top" | "bottom"}} [media]
+ * @property {string} [body]
+ * @property {string} [url] - what the Open action opens
+ * @property {Array<"open" | "share" | "star" | "more">} actions
+ */
+
+export const CARD_FEED_VERSION = 1;
+
+/** The card variants, by `kind`. */
+export const CARD_KINDS = {
+  hero: "Image above the title",
+  standard: "Title, body and actions, with an optional image",
+  compact: "Title line only",
+  "large-avatar": "Title line led by a large author photo",
+};
+
+/** The actions a card can offer, in the order they are shown. */
+export const CARD_ACTIONS = ["open", "share", "star", "more"];
+
+const MEDIA_PLACEMENTS = ["top", "bottom"];
+
+export class CardFeedError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "CardFeedError";
+  }
+}
+
+const isRecord = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const isText = (value) => typeof value === "string" && value.trim() !== "";
+
+const isOptionalText = (value) => value === undefined || isText(value);
+
+const checkMedia = (media) => {
+  if (media === undefined) {
+    return null;
+  }
+  if (!isRecord(media) || !isText(media.src) || typeof media.alt !== "string") {
+    return "expected { src, alt, placement? }";
+  }
+  return media.placement === undefined ||
+    MEDIA_PLACEMENTS.includes(media.placement)
+    ? null
+    : `expected placement ${MEDIA_PLACEMENTS.join(" or ")}`;
+};
+
+// What each field of a card must be; a check returns the problem, or null.
+const CARD_FIELDS = {
+  id: (value) => (isText(value) ? null : "expected text"),
+  kind: (value) =>
+    Object.hasOwn(CARD_KINDS, value)
+      ? null
+      : `expected one of ${Object.keys(CARD_KINDS).join(", ")}`,
+  title: (value) => (isText(value) ? null : "expected text"),
+  author: (value) =>
+    isRecord(value) && isText(value.name) && isOptionalText(value.avatar)
+      ? null
+      : "expected { name, avatar? }",
+  timestamp: (value) =>
+    isText(value) && !Number.isNaN(Date.parse(value))
+      ? null
+      : "expected an ISO date",
+  media: checkMedia,
+  body: (value) => (isOptionalText(value) ? null : "expected text"),
+  url: (value) => (isOptionalText(value) ? null : "expected text"),
+  actions: (value) =>
+    value === undefined ||
+    (Array.isArray(value) &&
+      value.every((action) => CARD_ACTIONS.includes(action)))
+      ? null
+      : `expected a list of ${CARD_ACTIONS.join(", ")}`,
+};
+
+const checkCard = (card) =>
+  isRecord(card)
+    ? Object.entries(CARD_FIELDS).flatMap(([field, check]) => {
+        const problem = check(card[field]);
+        return problem ? [`.${field}: ${problem}`] : [];
+      })
+    : [": expected a card object"];
+
+const normalizeCard = (card) => ({
+  id: card.id,
+  kind: card.kind,
+  title: card.title,
+  author: { name: card.author.name, avatar: card.author.avatar },
+  timestamp: card.timestamp,
+  media: card.media && {
+    src: card.media.src,
+    alt: card.media.alt,
+    placement: card.media.placement ?? "top",
+  },
+  body: card.body,
+  url: card.url,
+  actions: CARD_ACTIONS.filter((action) => card.actions?.includes(action)),
+});
+
+/**
+ * Checks a card feed document, `{ version, cards }`, and returns its valid
+ * cards in feed order plus an issue for each card left out, e.g.
+ * `cards[2].kind: expected one of ...`. Throws a CardFeedError when the
+ * document is not a card feed at all.
+ *
+ * @returns {{cards: IndexCard[], issues: string[]}}
+ */
+export function parseCardFeed(document) {
+  if (!isRecord(document) || !Array.isArray(document.cards)) {
+    throw new CardFeedError("The card feed has no cards list");
+  }
+  if (document.version !== CARD_FEED_VERSION) {
+    throw new CardFeedError(
+      `Unsupported card feed version ${JSON.stringify(document.version)}`,
+    );
+  }
+
+  const cards = [];
+  const issues = [];
+  const ids = new Set();
+  document.cards.forEach((card, index) => {
+    const problems = checkCard(card);
+    if (problems.length === 0 && ids.has(card.id)) {
+      problems.push(`.id: ${JSON.stringify(card.id)} is already used`);
+    }
+    if (problems.length) {
+      issues.push(
+        problems.map((problem) => `cards[${index}]${problem}`).join("; "),
+      );
+      return;
+    }
+    ids.add(card.id);
+    cards.push(normalizeCard(card));
+  });
+  return { cards, issues };
+}
@@ -0,0 +1,10 @@
+import { useAuth } from "../auth";
+
+/** Whose layout and preferences are used while nobody is signed in. */
+export const SIGNED_OUT_OWNER = "signed-out";
+
+/**
+ * The key a user's card layout and preferences are stored under: their user
+ * id, so each account on this browser keeps its own.
+ */
+export const useCardOwner = () => useAuth().user?.id ?? SIGNED_OUT_OWNER;
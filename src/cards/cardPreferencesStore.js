@@ -0,0 +1,105 @@
+/**
+ * What each user has done to the index cards besides arranging them: the
+ * cards they starred (their favorites), pinned to the start or hidden. Kept
+ * in localStorage by user id, like the layouts, and shared with other tabs
+ * through the `storage` event.
+ *
+ * @typedef {object} CardPreferences
+ * @property {string[]} favorites - starred card ids, most recent first
+ * @property {string[]} pinned - pinned card ids, most recent first
+ * @property {string[]} hidden - hidden card ids
+ */
+import { readStoredJson, writeStoredJson } from "../utils/storage";
+
+export const CARD_PREFERENCES_STORAGE_KEY = "card-preferences";
+
+export const EMPTY_PREFERENCES = { favorites: [], pinned: [], hidden: [] };
+
+const LISTS = Object.keys(EMPTY_PREFERENCES);
+
+const listeners = new Set();
+
+const isRecord = (value) =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const toIds = (value) =>
+  Array.isArray(value) ? value.filter((id) => typeof id === "string") : [];
+
+const readPreferences = () => {
+  const stored = readStoredJson(CARD_PREFERENCES_STORAGE_KEY);
+  if (!isRecord(stored)) {
+    return {};
+  }
+  return Object.fromEntries(
+    Object.entries(stored)
+      .filter(([, preferences]) => isRecord(preferences))
+      .map(([owner, preferences]) => [
+        owner,
+        Object.fromEntries(
+          LISTS.map((list) => [list, toIds(preferences[list])]),
+        ),
+      ]),
+  );
+};
+
+let current = readPreferences();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+const write = (preferences) => {
+  current = preferences;
+  // Full or disabled storage only costs the preferences surviving a reload.
+  writeStoredJson(CARD_PREFERENCES_STORAGE_KEY, current);
+  emit();
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key === CARD_PREFERENCES_STORAGE_KEY || event.key === null) {
+      current = readPreferences();
+      emit();
+    }
+  });
+}
+
+export const cardPreferencesStore = {
+  /** Every user's preferences, by user id. */
+  getSnapshot: () => current,
+
+  getServerSnapshot: () => ({}),
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  },
+
+  /** @returns {CardPreferences} */
+  get: (owner) => current[owner] ?? EMPTY_PREFERENCES,
+
+  /**
+   * Adds `id` to (`included` true) or removes it from one of `owner`'s lists,
+   * "favorites", "pinned" or "hidden".
+   */
+  set(owner, list, id, included) {
+    const preferences = cardPreferencesStore.get(owner);
+    const rest = preferences[list].filter((other) => other !== id);
+    write({
+      ...current,
+      [owner]: { ...preferences, [list]: included ? [id, ...rest] : rest },
+    });
+  },
+
+  /** Shows all of `owner`'s hidden cards again. */
+  unhideAll(owner) {
+    write({
+      ...current,
+      [owner]: { ...cardPreferencesStore.get(owner), hidden: [] },
+    });
+  },
+
+  clear() {
+    write({});
+  },
+};
@@ -0,0 +1,55 @@
+/**
+ * Where index cards come from. A card source loads a card feed document (see
+ * cardModel.js) and knows nothing about rendering, so the page can show a
+ * local fixture, a team's own feed or anything else that speaks the format.
+ *
+ * @typedef {object} CardSource
+ * @property {string} name - what the page says it is showing
+ * @property {(options?: {signal?: AbortSignal}) => Promise<unknown>} load -
+ *   resolves to the raw feed document, which is validated by the caller
+ */
+import sampleFeed from "./fixtures/indexCards.json";
+import { CardFeedError } from "./cardModel";
+
+/** A source that serves `document`, e.g. a JSON fixture, as is. */
+export const createFixtureSource = (document, name = "Sample cards") => ({
+  name,
+  load: async () => document,
+});
+
+/**
+ * A source that GETs the feed document from `url`. Rejects with a
+ * CardFeedError when the server answers with an error status.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {typeof fetch} [options.fetch] - the fetch to use, for tests
+ * @param {Record<string, string>} [options.headers] - e.g. an Authorization
+ *   header
+ */
+export const createFetchSource = (
+  url,
+  { fetch: fetchFeed = (...args) => fetch(...args), headers } = {},
+) => ({
+  name: url,
+  async load({ signal } = {}) {
+    const response = await fetchFeed(url, {
+      signal,
+      headers: { Accept: "application/json", ...headers },
+    });
+    if (!response.ok) {
+      throw new CardFeedError(
+        `Could not load the card feed from ${url} (${response.status} ${response.statusText})`,
+      );
+    }
+    return response.json();
+  },
+});
+
+// Set VITE_INDEX_CARDS_URL (e.g. in .env.local) to render a real feed.
+const FEED_URL = import.meta.env.VITE_INDEX_CARDS_URL;
+
+/** The source the index cards page shows. */
+export const defaultCardSource = FEED_URL
+  ? createFetchSource(FEED_URL)
+  : createFixtureSource(sampleFeed);
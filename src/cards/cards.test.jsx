@@ -0,0 +1,160 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen, within } from "@testing-library/react";
+import { createCard, renderCards, renderWithProviders } from "../test";
+import AgenticIndexCards from "../pages/AgenticIndexCards";
+import sampleFeed from "./fixtures/indexCards.json";
+import {
+  CardFeedError,
+  createFetchSource,
+  createFixtureSource,
+  formatTimeAgo,
+  parseCardFeed,
+} from ".";
+
+describe("Index cards", () => {
+  it("keeps the valid cards of a feed and reports the rest", () => {
+    expect(parseCardFeed(sampleFeed).issues).toEqual([]);
+
+    const { cards, issues } = parseCardFeed({
+      version: 1,
+      cards: [
+        createCard("welcome", "compact", { actions: ["more", "open"] }),
+        createCard("poster", "poster"),
+        createCard("welcome"),
+        createCard("photo", "compact", { media: { src: "photo.jpg" } }),
+      ],
+    });
+
+    expect(cards).toEqual([
+      {
+        ...createCard("welcome"),
+        author: { name: "Daisy Phillips", avatar: undefined },
+        media: undefined,
+        body: undefined,
+        url: undefined,
+        actions: ["open", "more"],
+      },
+    ]);
+    expect(issues).toEqual([
+      "cards[1].kind: expected one of hero, standard, compact, large-avatar",
+      'cards[2].id: "welcome" is already used',
+      "cards[3].media: expected { src, alt, placement? }",
+    ]);
+    expect(() => parseCardFeed({ version: 2, cards: [] })).toThrow(
+      CardFeedError,
+    );
+  });
+
+  it("loads feeds over fetch", async () => {
+    const fetch = vi
+      .fn()
+      .mockResolvedValueOnce({ ok: true, json: async () => sampleFeed })
+      .mockResolvedValueOnce({
+        ok: false,
+        status: 503,
+        statusText: "Service Unavailable",
+      });
+    const source = createFetchSource("/feeds/cards.json", { fetch });
+
+    await expect(source.load()).resolves.toBe(sampleFeed);
+    expect(fetch).toHaveBeenCalledWith(
+      "/feeds/cards.json",
+      expect.objectContaining({ headers: { Accept: "application/json" } }),
+    );
+    await expect(source.load()).rejects.toThrow(
+      "Could not load the card feed from /feeds/cards.json (503 Service Unavailable)",
+    );
+  });
+
+  it("renders each card in the variant for its kind", async () => {
+    renderWithProviders(<AgenticIndexCards />);
+
+    const hero = await screen.findByRole("article", {
+      name: "Copilot is now available",
+    });
+    expect(within(hero).getByAltText("Copilot preview")).toBeInTheDocument();
+    expect(
+      within(hero).getByRole("button", { name: "More actions" }),
+    ).toBeInTheDocument();
+
+    const standard = screen.getByRole("article", {
+      name: "What Copilot can do for you",
+    });
+    expect(standard).toHaveTextContent(/Copilot is an AI tool/);
+    expect(
+      within(standard).getByRole("button", { name: "Open" }),
+    ).toBeVisible();
+    expect(
+      within(standard).getByRole("button", { name: "Share" }),
+    ).toBeVisible();
+
+    const compact = screen.getByRole("article", {
+      name: "Writing better prompts",
+    });
+    expect(within(compact).getByRole("button", { name: "Star" })).toBeVisible();
+    expect(compact).toHaveTextContent(/ago by Cameron Evans/);
+
+    expect(screen.getAllByRole("article")).toHaveLength(
+      sampleFeed.cards.length,
+    );
+  });
+
+  it("shows every action a card offers, whatever its kind", async () => {
+    const actions = ["open", "share", "star", "more"];
+    await renderCards(
+      ["hero", "standard", "compact", "large-avatar"].map((kind) =>
+        createCard(kind, kind, { actions, url: "https://example.com" }),
+      ),
+    );
+
+    for (const article of screen.getAllByRole("article")) {
+      for (const name of ["Open", "Share", "Star", "More actions"]) {
+        expect(within(article).getByRole("button", { name })).toBeVisible();
+      }
+    }
+  });
+
+  it("shows feed errors with a retry", async () => {
+    const load = vi
+      .fn()
+      .mockRejectedValueOnce(new Error("offline"))
+      .mockResolvedValueOnce({
+        version: 1,
+        cards: [createCard("welcome"), { id: 3 }],
+      });
+    const { user } = renderWithProviders(
+      <AgenticIndexCards source={{ name: "the team feed", load }} />,
+    );
+
+    expect(
+      await screen.findByText(
+        "Could not load the cards from the team feed: offline",
+      ),
+    ).toBeInTheDocument();
+    await user.click(screen.getByRole("button", { name: "Retry" }));
+
+    expect(
+      await screen.findByRole("article", { name: "Card welcome" }),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText("1 invalid card was left out."),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/^cards\[1\].id: expected text;/),
+    ).toBeInTheDocument();
+  });
+
+  it("says how long ago a card was posted", () => {
+    const now = Date.parse("2025-06-02T16:30:00Z");
+
+    expect(formatTimeAgo("2025-06-02T08:00:00Z", now)).toBe("8 hours ago");
+    expect(formatTimeAgo("2025-05-31T16:00:00Z", now)).toBe("2 days ago");
+    expect(formatTimeAgo("2025-06-02T16:29:30Z", now)).toBe("just now");
+  });
+
+  it("serves fixtures as they are", async () => {
+    const document = { version: 1, cards: [createCard("welcome")] };
+    await expect(createFixtureSource(document).load()).resolves.toBe(document);
+  });
+});
@@ -0,0 +1,21 @@
+const UNITS = [
+  ["year", 365 * 24 * 60 * 60],
+  ["month", 30 * 24 * 60 * 60],
+  ["week", 7 * 24 * 60 * 60],
+  ["day", 24 * 60 * 60],
+  ["hour", 60 * 60],
+  ["minute", 60],
+];
+
+const relativeTime = new Intl.RelativeTimeFormat("en", { style: "long" });
+
+/** Says how long ago `timestamp` was, e.g. "8 hours ago". */
+export function formatTimeAgo(timestamp, now = Date.now()) {
+  const seconds = Math.max(0, (now - Date.parse(timestamp)) / 1000);
+  const found = UNITS.find(([, size]) => seconds >= size);
+  if (!found) {
+    return "just now";
+  }
+  const [unit, size] = found;
+  return relativeTime.format(-Math.floor(seconds / size), unit);
+}
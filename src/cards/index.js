@@ -0,0 +1,59 @@
+/**
+ * The index card feed behind /agentic-index-cards: the card model, the
+ * sources a feed can come from, the renderer that picks each card's variant,
+ * the layout engine that arranges them and the card actions, which keep each
+ * user's favorites, pinned and hidden cards and raise card events.
+ */
+export { default as IndexCard } from "./IndexCard";
+export { default as CardGrid } from "./CardGrid";
+export { default as CardOverflowMenu } from "./CardOverflowMenu";
+export { default as ShareDialog } from "./ShareDialog";
+export {
+  CARD_ACTIONS,
+  CARD_FEED_VERSION,
+  CARD_KINDS,
+  CardFeedError,
+  parseCardFeed,
+} from "./cardModel";
+export {
+  createFetchSource,
+  createFixtureSource,
+  defaultCardSource,
+} from "./cardSources";
+export { formatTimeAgo } from "./formatTimeAgo";
+export { useCardFeed } from "./useCardFeed";
+export {
+  COLUMN_BREAKPOINTS,
+  SIZE_CLASSES,
+  arrangeCards,
+  defaultSizeClass,
+  findCardInNextRow,
+  moveCard,
+  placeCards,
+} from "./cardLayout";
+export {
+  CARD_LAYOUT_STORAGE_KEY,
+  CardLayoutError,
+  cardLayoutStore,
+} from "./cardLayoutStore";
+export { useCardLayout } from "./useCardLayout";
+export { SIGNED_OUT_OWNER, useCardOwner } from "./cardOwner";
+export {
+  CARD_EVENT_TYPES,
+  emitCardEvent,
+  subscribeToCardEvents,
+  useCardEvents,
+} from "./cardEvents";
+export {
+  CARD_PREFERENCES_STORAGE_KEY,
+  EMPTY_PREFERENCES,
+  cardPreferencesStore,
+} from "./cardPreferencesStore";
+export {
+  CARDS_PAGE_PATH,
+  CARD_LINK_PARAM,
+  copyCardLink,
+  getCardLink,
+  shareCardLink,
+} from "./cardLinks";
+export { useCardActions } from "./useCardActions";
@@ -0,0 +1,68 @@
+import { useSyncExternalStore } from "react";
+import { emitCardEvent } from "./cardEvents";
+import { copyCardLink, shareCardLink } from "./cardLinks";
+import { useCardOwner } from "./cardOwner";
+import {
+  EMPTY_PREFERENCES,
+  cardPreferencesStore,
+} from "./cardPreferencesStore";
+
+/**
+ * The signed-in user's card preferences (favorites, pinned and hidden cards)
+ * and the card actions. Each action updates the preferences where it has to
+ * and raises its card event once it is done.
+ */
+export function useCardActions() {
+  const owner = useCardOwner();
+  const all = useSyncExternalStore(
+    cardPreferencesStore.subscribe,
+    cardPreferencesStore.getSnapshot,
+    cardPreferencesStore.getServerSnapshot,
+  );
+  const preferences = all[owner] ?? EMPTY_PREFERENCES;
+
+  // Adds the card to `list` or takes it out, raising `added` or `removed`.
+  const toggle = (list, added, removed) => (card) => {
+    const include = !preferences[list].includes(card.id);
+    cardPreferencesStore.set(owner, list, card.id, include);
+    emitCardEvent(include ? added : removed, card);
+  };
+
+  return {
+    preferences,
+    isStarred: (card) => preferences.favorites.includes(card.id),
+    isPinned: (card) => preferences.pinned.includes(card.id),
+    toggleStar: toggle("favorites", "star", "unstar"),
+    togglePin: toggle("pinned", "pin", "unpin"),
+    hide(card) {
+      cardPreferencesStore.set(owner, "hidden", card.id, true);
+      emitCardEvent("hide", card);
+    },
+    unhide(card) {
+      cardPreferencesStore.set(owner, "hidden", card.id, false);
+      emitCardEvent("unhide", card);
+    },
+    unhideAll: () => cardPreferencesStore.unhideAll(owner),
+    open(card) {
+      window.open(card.url, "_blank", "noopener,noreferrer");
+      emitCardEvent("open", card);
+    },
+    /** Resolves to shareCardLink's result. */
+    async share(card) {
+      const method = await shareCardLink(card);
+      if (method === "web-share" || method === "clipboard") {
+        emitCardEvent("share", card, { method });
+      }
+      return method;
+    },
+    /** Resolves to whether the link was copied. */
+    async copyLink(card) {
+      const copied = await copyCardLink(card);
+      if (copied) {
+        emitCardEvent("copy-link", card);
+      }
+      return copied;
+    },
+    report: (card) => emitCardEvent("report", card),
+  };
+}
@@ -0,0 +1,23 @@
+import { useCallback } from "react";
+import { useApiResource } from "../api";
+import { parseCardFeed } from "./cardModel";
+
+const EMPTY_FEED = { cards: [], issues: [] };
+
+/**
+ * Loads and validates the cards from `source`. `status` is "loading",
+ * "ready" or "error"; `issues` lists the invalid cards that were left out and
+ * `reload` loads the feed again, e.g. after an error.
+ *
+ * @param {import("./cardSources").CardSource} source
+ */
+export function useCardFeed(source) {
+  const load = useCallback(
+    async (options) => parseCardFeed(await source.load(options)),
+    [source],
+  );
+  const { status, data, error, reload } = useApiResource(load);
+  const { cards, issues } = data ?? EMPTY_FEED;
+
+  return { status, cards, issues, error, reload };
+}
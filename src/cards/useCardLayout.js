@@ -0,0 +1,44 @@
+import { useSyncExternalStore } from "react";
+import { EMPTY_ARRANGEMENT, arrangeCards, moveCard } from "./cardLayout";
+import { cardLayoutStore } from "./cardLayoutStore";
+import { useCardOwner } from "./cardOwner";
+
+/**
+ * The signed-in user's arrangement of `cards` (see cardLayout.js) and the
+ * actions that change it, which are saved as they happen. `customized` is
+ * false while the cards are in feed order with default sizes.
+ *
+ * @param {import("./cardModel").IndexCard[]} cards
+ */
+export function useCardLayout(cards) {
+  const owner = useCardOwner();
+  const layouts = useSyncExternalStore(
+    cardLayoutStore.subscribe,
+    cardLayoutStore.getSnapshot,
+    cardLayoutStore.getServerSnapshot,
+  );
+  const arrangement = layouts[owner] ?? EMPTY_ARRANGEMENT;
+  const items = arrangeCards(cards, arrangement);
+
+  return {
+    items,
+    customized: arrangement !== EMPTY_ARRANGEMENT,
+    move: (id, index) =>
+      cardLayoutStore.save(owner, {
+        ...arrangement,
+        order: moveCard(
+          items.map(({ card }) => card.id),
+          id,
+          index,
+        ),
+      }),
+    resize: (id, size) =>
+      cardLayoutStore.save(owner, {
+        order: items.map(({ card }) => card.id),
+        sizes: { ...arrangement.sizes, [id]: size },
+      }),
+    reset: () => cardLayoutStore.reset(owner),
+    exportJson: () => cardLayoutStore.exportJson(owner),
+    importJson: (json) => cardLayoutStore.importJson(owner, json),
+  };
+}
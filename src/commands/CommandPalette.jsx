@@ -0,0 +1,252 @@
+import React, {
+  useEffect,
+  useId,
+  useMemo,
+  useState,
+  useSyncExternalStore,
+} from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Badge,
+  Body1,
+  Caption1,
+  Dialog,
+  DialogSurface,
+  Input,
+} from "@fluentui/react-components";
+import { SearchRegular } from "@fluentui/react-icons";
+import { useSettings } from "../settings";
+import { useTheme } from "../theme/ThemeProvider";
+import { useA11yAudit } from "../a11y";
+import { CATEGORIES, commands } from "./commands";
+import { commandUsage } from "./commandUsage";
+import { rankCommands } from "./rankCommands";
+
+const useStyles = makeStyles({
+  surface: {
+    width: "640px",
+    maxWidth: "calc(100vw - 32px)",
+    alignSelf: "flex-start",
+    marginTop: "12vh",
+    padding: 0,
+    overflow: "hidden",
+  },
+  search: {
+    width: "100%",
+    padding: tokens.spacingHorizontalM,
+    borderBottom: `1px solid ${tokens.colorNeutralStroke2}`,
+    boxSizing: "border-box",
+  },
+  input: {
+    width: "100%",
+  },
+  list: {
+    maxHeight: "400px",
+    overflowY: "auto",
+    padding: tokens.spacingVerticalXS,
+  },
+  option: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalM,
+    padding: `${tokens.spacingVerticalS} ${tokens.spacingHorizontalM}`,
+    borderRadius: tokens.borderRadiusMedium,
+    cursor: "pointer",
+  },
+  active: {
+    backgroundColor: tokens.colorNeutralBackground1Selected,
+  },
+  text: {
+    display: "flex",
+    flexDirection: "column",
+    flex: 1,
+    minWidth: 0,
+  },
+  hint: {
+    color: tokens.colorNeutralForeground3,
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+  },
+  match: {
+    fontWeight: tokens.fontWeightBold,
+    color: tokens.colorBrandForeground1,
+  },
+  empty: {
+    padding: tokens.spacingHorizontalL,
+    color: tokens.colorNeutralForeground3,
+  },
+});
+
+// Splits a title into runs of matched and unmatched characters.
+function Highlighted({ text, indices, className }) {
+  if (indices.length === 0) {
+    return text;
+  }
+  const matched = new Set(indices);
+  const runs = [];
+  for (let i = 0; i < text.length; i++) {
+    const last = runs[runs.length - 1];
+    if (last && last.matched === matched.has(i)) {
+      last.text += text[i];
+    } else {
+      runs.push({ matched: matched.has(i), text: text[i] });
+    }
+  }
+  return runs.map((run, i) =>
+    run.matched ? (
+      <span key={i} className={className}>
+        {run.text}
+      </span>
+    ) : (
+      run.text
+    ),
+  );
+}
+
+/**
+ * The command palette dialog: fuzzy-searches the commands in commands.js,
+ * ranked by match and by how often and how recently each was used, and runs
+ * the chosen one. Arrow keys move through the results and Enter runs one.
+ */
+export default function CommandPalette({ open, onClose }) {
+  const styles = useStyles();
+  const navigate = useNavigate();
+  const { settings, updateSettings } = useSettings();
+  const { toggleTheme } = useTheme();
+  const { toggle: toggleAudit } = useA11yAudit();
+  const usage = useSyncExternalStore(
+    commandUsage.subscribe,
+    commandUsage.getSnapshot,
+    commandUsage.getServerSnapshot,
+  );
+  const [query, setQuery] = useState("");
+  const [activeIndex, setActiveIndex] = useState(0);
+  const listId = useId();
+
+  const results = useMemo(
+    () => rankCommands(commands, query, usage),
+    [query, usage],
+  );
+  const optionId = (index) => `${listId}-option-${index}`;
+
+  useEffect(() => {
+    if (open) {
+      setQuery("");
+      setActiveIndex(0);
+    }
+  }, [open]);
+
+  useEffect(() => {
+    document
+      .getElementById(`${listId}-option-${activeIndex}`)
+      ?.scrollIntoView({ block: "nearest" });
+  }, [listId, activeIndex]);
+
+  const runCommand = (command) => {
+    commandUsage.record(command.id);
+    onClose();
+    if (command.path) {
+      navigate(command.path);
+    } else {
+      command.run({
+        navigate,
+        settings,
+        updateSettings,
+        toggleTheme,
+        toggleAudit,
+      });
+    }
+  };
+
+  const handleKeyDown = (event) => {
+    if (
+      (event.key === "ArrowDown" || event.key === "ArrowUp") &&
+      results.length > 0
+    ) {
+      event.preventDefault();
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      setActiveIndex(
+        (index) => (index + step + results.length) % results.length,
+      );
+    } else if (event.key === "Enter" && results[activeIndex]) {
+      event.preventDefault();
+      runCommand(results[activeIndex].command);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={(event, data) => !data.open && onClose()}>
+      <DialogSurface className={styles.surface} aria-label="Command palette">
+        <div className={styles.search}>
+          <Input
+            appearance="underline"
+            contentBefore={<SearchRegular />}
+            placeholder="Search pages, examples, docs and settings"
+            aria-label="Search commands"
+            value={query}
+            onChange={(event, data) => {
+              setQuery(data.value);
+              setActiveIndex(0);
+            }}
+            onKeyDown={handleKeyDown}
+            className={styles.input}
+            input={{
+              role: "combobox",
+              "aria-expanded": true,
+              "aria-controls": listId,
+              "aria-autocomplete": "list",
+              "aria-activedescendant": results[activeIndex]
+                ? optionId(activeIndex)
+                : undefined,
+            }}
+          />
+        </div>
+        <div
+          id={listId}
+          role="listbox"
+          aria-label="Commands"
+          className={styles.list}
+        >
+          {results.length === 0 && (
+            <Body1 className={styles.empty}>No matching commands</Body1>
+          )}
+          {results.map(({ command, indices }, index) => (
+            <div
+              key={command.id}
+              id={optionId(index)}
+              role="option"
+              aria-selected={index === activeIndex}
+              className={`${styles.option} ${
+                index === activeIndex ? styles.active : ""
+              }`}
+              onMouseMove={() => setActiveIndex(index)}
+              onClick={() => runCommand(command)}
+            >
+              <div className={styles.text}>
+                <Body1>
+                  <Highlighted
+                    text={command.title}
+                    indices={indices}
+                    className={styles.match}
+                  />
+                </Body1>
+                {command.hint && (
+                  <Caption1 className={styles.hint}>{command.hint}</Caption1>
+                )}
+              </div>
+              {command.setting && (
+                <Caption1>{settings[command.setting] ? "On" : "Off"}</Caption1>
+              )}
+              <Badge appearance="tint" color="informative">
+                {CATEGORIES[command.category]}
+              </Badge>
+            </div>
+          ))}
+        </div>
+      </DialogSurface>
+    </Dialog>
+  );
+}
@@ -0,0 +1,198 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { Route, Routes, useLocation } from "react-router-dom";
+import {
+  act,
+  fireEvent,
+  screen,
+  waitFor,
+  within,
+} from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import Navigation from "../components/Navigation";
+import { settingsStore } from "../settings";
+import { CommandPaletteProvider, commandUsage } from ".";
+
+// The palette module indexes every example and doc on first open.
+const LOAD_TIMEOUT = 15000;
+
+function CurrentPath() {
+  const { pathname, hash } = useLocation();
+  return <output aria-label="path">{pathname + hash}</output>;
+}
+
+const renderApp = (route = "/") =>
+  renderWithProviders(
+    <CommandPaletteProvider>
+      <Navigation />
+      <Routes>
+        <Route path="*" element={<CurrentPath />} />
+      </Routes>
+    </CommandPaletteProvider>,
+    { route },
+  );
+
+// Browsers move focus into the palette as it opens; jsdom, without layout,
+// can't find where to, and the dialog stays aria-hidden until focus enters.
+const findSearch = async () => {
+  const search = await screen.findByRole(
+    "combobox",
+    { name: "Search commands", hidden: true },
+    { timeout: LOAD_TIMEOUT },
+  );
+  act(() => search.focus());
+  return search;
+};
+
+const openPalette = async (user) => {
+  await user.keyboard("{Control>}k{/Control}");
+  return findSearch();
+};
+
+const optionTitles = () =>
+  within(screen.getByRole("listbox", { name: "Commands" }))
+    .getAllByRole("option")
+    .map((option) => option.firstChild.firstChild.textContent);
+
+describe("Command palette", () => {
+  it(
+    "opens with Ctrl+K and from the navigation bar",
+    async () => {
+      const { user } = renderApp();
+
+      const search = await openPalette(user);
+      expect(optionTitles()).toContain("Go to Settings");
+
+      await user.keyboard("{Escape}");
+      await waitFor(() => expect(search).not.toBeInTheDocument());
+
+      await user.click(screen.getByRole("button", { name: /Search/ }));
+      expect(await findSearch()).toBeVisible();
+    },
+    LOAD_TIMEOUT,
+  );
+
+  it(
+    "fuzzy-searches the examples and opens the chosen one",
+    async () => {
+      const { user } = renderApp();
+      const search = await openPalette(user);
+
+      await user.type(search, "detailslist grouped");
+      expect(optionTitles()[0]).toBe("Open DetailsList Grouped example");
+
+      await user.keyboard("{Enter}");
+      expect(screen.getByLabelText("path")).toHaveTextContent(
+        "/examples/react/DetailsList/grouped",
+      );
+      expect(search).not.toBeInTheDocument();
+    },
+    LOAD_TIMEOUT,
+  );
+
+  it(
+    "finds component groups and doc sections",
+    async () => {
+      const { user } = renderApp();
+      const search = await openPalette(user);
+
+      await user.type(search, "tagpicker docs");
+      expect(optionTitles()[0]).toBe("TagPicker docs");
+
+      // Groups without a doc open their examples, or are left out.
+      await user.clear(search);
+      await user.type(search, "slider");
+      expect(optionTitles()).toContain("Slider examples");
+      expect(optionTitles()).not.toContain("Slider docs");
+      await user.clear(search);
+      await user.type(search, "accordion");
+      expect(
+        screen.queryByRole("option", { name: /Accordion docs/ }),
+      ).not.toBeInTheDocument();
+
+      await user.clear(search);
+      await user.type(search, "qqqxzz");
+      expect(screen.getByText("No matching commands")).toBeInTheDocument();
+      // With nothing to move through, the arrows keep their default action.
+      expect(fireEvent.keyDown(search, { key: "ArrowDown" })).toBe(true);
+
+      await user.clear(search);
+      await user.type(search, "avatargroup when to use");
+      await user.click(screen.getByRole("option", { name: /When to Use/ }));
+      expect(screen.getByLabelText("path")).toHaveTextContent(
+        "/docs/avatargroup#when-to-use",
+      );
+    },
+    LOAD_TIMEOUT,
+  );
+
+  it(
+    "runs actions and toggles settings",
+    async () => {
+      const { user } = renderApp();
+
+      await user.type(await openPalette(user), "toggle dark mode{Enter}");
+      expect(settingsStore.getSnapshot().themeMode).toBe("dark");
+
+      const search = await openPalette(user);
+      await user.type(search, "auto save");
+      expect(
+        within(
+          screen.getByRole("option", { name: /Toggle auto save/ }),
+        ).getByText("On"),
+      ).toBeInTheDocument();
+      await user.keyboard("{Enter}");
+      expect(settingsStore.getSnapshot().autoSave).toBe(false);
+    },
+    LOAD_TIMEOUT,
+  );
+
+  it(
+    "ranks recently used commands first",
+    async () => {
+      const { user } = renderApp();
+
+      let search = await openPalette(user);
+      await user.type(search, "detailslist grouped large");
+      await user.click(
+        screen.getByRole("option", {
+          name: /Open DetailsList Grouped Large example/,
+        }),
+      );
+
+      search = await openPalette(user);
+      expect(optionTitles()[0]).toBe("Open DetailsList Grouped Large example");
+
+      await user.type(search, "detailslist grouped");
+      expect(optionTitles()[0]).toBe("Open DetailsList Grouped Large example");
+
+      await user.keyboard("{ArrowDown}{Enter}");
+      expect(screen.getByLabelText("path")).toHaveTextContent(
+        "/examples/react/DetailsList/grouped",
+      );
+    },
+    LOAD_TIMEOUT,
+  );
+
+  it("records usage without storage", () => {
+    const denied = () => {
+      throw new DOMException("Storage is disabled", "SecurityError");
+    };
+    const setItem = vi
+      .spyOn(Storage.prototype, "setItem")
+      .mockImplementation(denied);
+    const removeItem = vi
+      .spyOn(Storage.prototype, "removeItem")
+      .mockImplementation(denied);
+
+    commandUsage.record("settings", 1000);
+    expect(commandUsage.getSnapshot()).toEqual({
+      settings: { count: 1, lastUsed: 1000 },
+    });
+    expect(() => commandUsage.reset()).not.toThrow();
+    expect(commandUsage.getSnapshot()).toEqual({});
+
+    setItem.mockRestore();
+    removeItem.mockRestore();
+  });
+});
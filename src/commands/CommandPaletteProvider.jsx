@@ -0,0 +1,59 @@
+import React, {
+  Suspense,
+  lazy,
+  useCallback,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { CommandPaletteContext } from "./commandPaletteContext";
+
+// The palette indexes every example and doc; load it on first use.
+const CommandPalette = lazy(() => import("./CommandPalette"));
+
+const isPaletteShortcut = (event) =>
+  (event.ctrlKey || event.metaKey) &&
+  !event.altKey &&
+  !event.shiftKey &&
+  event.key.toLowerCase() === "k";
+
+/**
+ * Provides the command palette and opens it with Ctrl+K (Cmd+K on macOS)
+ * anywhere in the app. Pressing the shortcut again closes it.
+ */
+export function CommandPaletteProvider({ children }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [loaded, setLoaded] = useState(false);
+
+  const open = useCallback(() => {
+    setLoaded(true);
+    setIsOpen(true);
+  }, []);
+  const close = useCallback(() => setIsOpen(false), []);
+
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (isPaletteShortcut(event)) {
+        // Browsers focus their own search field on Ctrl+K.
+        event.preventDefault();
+        setLoaded(true);
+        setIsOpen((value) => !value);
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  const value = useMemo(() => ({ isOpen, open, close }), [isOpen, open, close]);
+
+  return (
+    <CommandPaletteContext.Provider value={value}>
+      {children}
+      {loaded && (
+        <Suspense fallback={null}>
+          <CommandPalette open={isOpen} onClose={close} />
+        </Suspense>
+      )}
+    </CommandPaletteContext.Provider>
+  );
+}
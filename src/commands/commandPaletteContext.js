@@ -0,0 +1,15 @@
+import { createContext, useContext } from "react";
+
+const DEFAULT_CONTEXT = {
+  isOpen: false,
+  open: () => {},
+  close: () => {},
+};
+
+export const CommandPaletteContext = createContext(DEFAULT_CONTEXT);
+
+/**
+ * Opens and closes the command palette. Outside a CommandPaletteProvider
+ * there is no palette and `open` does nothing.
+ */
+export const useCommandPalette = () => useContext(CommandPaletteContext);
@@ -0,0 +1,66 @@
+/**
+ * How often and how recently each palette command was run, kept in
+ * localStorage so the palette ranks a user's usual commands first.
+ */
+import {
+  readStoredJson,
+  removeStorageItem,
+  writeStoredJson,
+} from "../utils/storage";
+
+export const USAGE_STORAGE_KEY = "command-palette-usage";
+
+// Older entries are dropped beyond this many commands.
+const MAX_ENTRIES = 100;
+// A use counts half as much after this long.
+const HALF_LIFE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const listeners = new Set();
+
+const readUsage = () => {
+  const stored = readStoredJson(USAGE_STORAGE_KEY);
+  return stored && typeof stored === "object" ? stored : {};
+};
+
+let current = readUsage();
+
+const EMPTY_USAGE = {};
+
+export const commandUsage = {
+  /** `{ [commandId]: { count, lastUsed } }`, `lastUsed` in epoch ms. */
+  getSnapshot: () => current,
+
+  getServerSnapshot: () => EMPTY_USAGE,
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /** Records that the command with this id was run now. */
+  record(id, now = Date.now()) {
+    const entries = Object.entries({
+      ...current,
+      [id]: { count: (current[id]?.count ?? 0) + 1, lastUsed: now },
+    })
+      .sort(([, a], [, b]) => b.lastUsed - a.lastUsed)
+      .slice(0, MAX_ENTRIES);
+    current = Object.fromEntries(entries);
+    // Full or disabled storage only costs the ranking.
+    writeStoredJson(USAGE_STORAGE_KEY, current);
+    listeners.forEach((listener) => listener());
+  },
+
+  reset() {
+    current = EMPTY_USAGE;
+    removeStorageItem(USAGE_STORAGE_KEY);
+    listeners.forEach((listener) => listener());
+  },
+};
+
+/**
+ * A command's usage weight: its use count, with each use decaying by half
+ * every week. 0 for commands never run.
+ */
+export const usageWeight = (entry, now = Date.now()) =>
+  entry ? entry.count * 0.5 ** ((now - entry.lastUsed) / HALF_LIFE_MS) : 0;
@@ -0,0 +1,173 @@
+/**
+ * Everything the command palette can find: the app's pages, a few actions,
+ * the boolean settings, the component groups of component-groups.json, the
+ * sections of every repo-indexing doc and every gallery example. A component
+ * group opens its doc, or its examples when it has no doc.
+ *
+ * A command either navigates to `path` or calls `run(context)`, where context
+ * is `{ navigate, settings, updateSettings, toggleTheme, toggleAudit }`.
+ * Setting commands also name their `setting`, so the palette can show whether
+ * it is on.
+ */
+import { navigationItems } from "../components/navigationItems";
+import { DocNotFoundError, docPages, resolveDoc } from "../utils/docsRegistry";
+import { examplePackages, getExamplePath } from "../utils/exampleRegistry";
+import { groups } from "virtual:docs-index";
+
+/** Category labels, in the order results are listed when nothing is typed. */
+export const CATEGORIES = {
+  page: "Page",
+  action: "Action",
+  setting: "Setting",
+  component: "Component",
+  doc: "Doc",
+  example: "Example",
+};
+
+const SECTION_LEVELS = [2, 3];
+
+// The boolean settings, labelled as on the Settings page.
+const SETTING_LABELS = {
+  animations: "Smooth animations",
+  soundEffects: "Sound effects",
+  notifications: "Push notifications",
+  autoSave: "Auto save",
+  highContrast: "High contrast mode",
+  motionReduced: "Reduced motion",
+  prefetchData: "Prefetch data",
+};
+
+const EXAMPLE_TITLES = {
+  page: (example) => `Open ${example.componentName} overview`,
+  doc: (example) => `Open ${example.componentName} doc page`,
+  story: (example) => `Open ${example.componentName} ${example.title} story`,
+  example: (example) =>
+    `Open ${example.componentName} ${example.title} example`,
+};
+
+const pageCommands = [
+  ...navigationItems,
+  { path: "/login-dashboard", label: "Login Dashboard" },
+].map(({ path, label }) => ({
+  id: `page:${path}`,
+  title: `Go to ${label}`,
+  category: "page",
+  hint: path,
+  path,
+}));
+
+const actionCommands = [
+  {
+    id: "action:toggle-dark-mode",
+    title: "Toggle dark mode",
+    keywords: "theme light night",
+    run: ({ toggleTheme }) => toggleTheme(),
+  },
+  {
+    id: "action:system-theme",
+    title: "Use the system theme",
+    keywords: "dark light mode automatic",
+    run: ({ updateSettings }) => updateSettings({ themeMode: "system" }),
+  },
+  {
+    id: "action:toggle-side-nav",
+    title: "Toggle side navigation",
+    keywords: "collapse expand sidebar menu",
+    run: ({ settings, updateSettings }) =>
+      updateSettings({ sideNavCollapsed: !settings.sideNavCollapsed }),
+  },
+  {
+    id: "action:toggle-a11y-audit",
+    title: "Toggle accessibility audit",
+    keywords: "a11y axe violations",
+    run: ({ toggleAudit }) => toggleAudit(),
+  },
+].map((command) => ({ ...command, category: "action" }));
+
+const settingCommands = Object.entries(SETTING_LABELS).map(
+  ([setting, label]) => ({
+    id: `setting:${setting}`,
+    title: `Toggle ${label.toLowerCase()}`,
+    category: "setting",
+    keywords: "settings preference",
+    setting,
+    run: ({ settings, updateSettings }) =>
+      updateSettings({ [setting]: !settings[setting] }),
+  }),
+);
+
+const findGroupDoc = (group) => {
+  try {
+    return resolveDoc(group.name);
+  } catch (error) {
+    if (error instanceof DocNotFoundError) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// The first gallery component named after the group or one of its members.
+const findGroupExamples = (group) => {
+  const names = [group.name, ...group.components];
+  for (const pkg of examplePackages) {
+    const component = pkg.components.find(({ name }) => names.includes(name));
+    if (component) {
+      return `/examples/${pkg.name}/${component.name}`;
+    }
+  }
+  return null;
+};
+
+const componentCommands = groups.flatMap((group) => {
+  const command = {
+    id: `component:${group.name}`,
+    category: "component",
+    hint: group.description,
+    keywords: group.components.join(" "),
+  };
+  const doc = findGroupDoc(group);
+  if (doc) {
+    return [
+      { ...command, title: `${group.name} docs`, path: `/docs/${doc.slug}` },
+    ];
+  }
+  const examplesPath = findGroupExamples(group);
+  return examplesPath
+    ? [{ ...command, title: `${group.name} examples`, path: examplesPath }]
+    : [];
+});
+
+const docCommands = docPages.flatMap((doc) =>
+  doc.headings
+    .filter((heading) => SECTION_LEVELS.includes(heading.level))
+    .map((heading) => ({
+      id: `doc:${doc.slug}#${heading.id}`,
+      title: heading.title,
+      category: "doc",
+      hint: doc.title,
+      keywords: doc.title,
+      path: `/docs/${doc.slug}#${heading.id}`,
+    })),
+);
+
+const exampleCommands = examplePackages.flatMap((pkg) =>
+  pkg.components.flatMap((component) =>
+    component.examples.map((example) => ({
+      id: `example:${getExamplePath(example)}`,
+      title: EXAMPLE_TITLES[example.kind ?? "example"](example),
+      category: "example",
+      hint: pkg.name,
+      path: getExamplePath(example),
+    })),
+  ),
+);
+
+export const commands = [
+  ...pageCommands,
+  ...actionCommands,
+  ...settingCommands,
+  ...componentCommands,
+  ...docCommands,
+  ...exampleCommands,
+];
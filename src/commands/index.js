@@ -0,0 +1,7 @@
+/**
+ * The command palette (Ctrl+K / Cmd+K): fuzzy search over the app's pages,
+ * examples, component groups, doc sections, settings and actions.
+ */
+export { CommandPaletteProvider } from "./CommandPaletteProvider";
+export { useCommandPalette } from "./commandPaletteContext";
+export { commandUsage } from "./commandUsage";
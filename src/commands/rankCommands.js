@@ -0,0 +1,78 @@
+import { fuzzyMatch } from "../utils/fuzzyMatch";
+import { usageWeight } from "./commandUsage";
+
+// How much a use (decayed by age) adds to a fuzzy match score; a command used
+// a few times this week outranks a slightly better match never used.
+const USAGE_BOOST = 12;
+// Matches that need a command's hint or keywords ("avatargroup when to use"
+// for the When to Use section of the AvatarGroup doc) count for less than
+// matches in its title alone.
+const SECONDARY_MATCH = 0.5;
+const DEFAULT_CATEGORIES = ["page", "action"];
+
+/**
+ * Orders `commands` for the palette. Without a query, the commands used
+ * before come first, most used and most recent first, followed by the pages
+ * and actions. With a query, only matching commands are kept, ranked by how
+ * well they match plus how much they have been used.
+ *
+ * @param {object[]} commands - see commands.js
+ * @param {string} query
+ * @param {object} usage - `commandUsage.getSnapshot()`
+ * @returns {{ command: object, indices: number[] }[]} `indices` are the
+ *   title characters that matched
+ */
+export function rankCommands(
+  commands,
+  query,
+  usage,
+  { limit = 50, now = Date.now() } = {},
+) {
+  const weight = (command) => usageWeight(usage[command.id], now);
+
+  if (!query.trim()) {
+    const used = commands
+      .filter((command) => weight(command) > 0)
+      .sort((a, b) => weight(b) - weight(a));
+    const defaults = commands.filter(
+      (command) =>
+        DEFAULT_CATEGORIES.includes(command.category) &&
+        !used.includes(command),
+    );
+    return [...used, ...defaults]
+      .slice(0, limit)
+      .map((command) => ({ command, indices: [] }));
+  }
+
+  return commands
+    .flatMap((command) => {
+      const title = fuzzyMatch(query, command.title);
+      const secondary = fuzzyMatch(
+        query,
+        [command.title, command.hint, command.keywords]
+          .filter(Boolean)
+          .join(" "),
+      );
+      if (!title && !secondary) {
+        return [];
+      }
+      const matchScore = Math.max(
+        title?.score ?? 0,
+        (secondary?.score ?? 0) * SECONDARY_MATCH,
+      );
+      return [
+        {
+          command,
+          indices: title?.indices ?? [],
+          score:
+            matchScore +
+            USAGE_BOOST * Math.log2(1 + weight(command)) -
+            // Prefer "DetailsList Grouped" over "DetailsList Grouped Large".
+            command.title.length * 0.01,
+        },
+      ];
+    })
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ command, indices }) => ({ command, indices }));
+}
@@ -0,0 +1,73 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import { CardSquare } from "./CardSquare";
+import styles from "./CardSquare.module.css";
+
+const props = {
+  imageUrl: "/shield.svg",
+  imageAlt: "Shield",
+  title: "Security info",
+  description: "Keep your verification methods up to date.",
+};
+
+describe("CardSquare", () => {
+  it("renders the standard layout for security cards", () => {
+    renderWithProviders(<CardSquare {...props} />);
+
+    expect(screen.getByRole("img", { name: "Shield" })).toBeInTheDocument();
+    expect(
+      screen.getByRole("heading", { name: "Security info" }),
+    ).toBeInTheDocument();
+    expect(screen.getByText(props.description)).toBeInTheDocument();
+  });
+
+  it("renders only the icon and name for app cards", () => {
+    renderWithProviders(<CardSquare {...props} variant="app" />);
+
+    expect(screen.getByText("Security info")).toBeInTheDocument();
+    expect(screen.queryByRole("heading")).toBeNull();
+    expect(screen.queryByText(props.description)).toBeNull();
+  });
+
+  it("renders only the image for setup cards", () => {
+    renderWithProviders(<CardSquare {...props} variant="setup" />);
+
+    expect(screen.getByRole("img", { name: "Shield" })).toBeInTheDocument();
+    expect(screen.queryByText("Security info")).toBeNull();
+  });
+
+  it("calls onClick when clicked", async () => {
+    const onClick = vi.fn();
+    const { user } = renderWithProviders(
+      <CardSquare {...props} onClick={onClick} />,
+    );
+
+    await user.click(screen.getByRole("img", { name: "Shield" }));
+
+    expect(onClick).toHaveBeenCalledTimes(1);
+  });
+
+  it("describes the card with its tooltip", async () => {
+    const { user } = renderWithProviders(
+      <CardSquare {...props} showTooltip tooltipContent="Opens My Sign-Ins" />,
+    );
+
+    await user.hover(screen.getByRole("img", { name: "Shield" }));
+
+    expect(await screen.findByRole("tooltip")).toHaveTextContent(
+      "Opens My Sign-Ins",
+    );
+  });
+
+  it("uses the dark styles under a dark theme", () => {
+    const { container } = renderWithProviders(<CardSquare {...props} />, {
+      themeMode: "dark",
+    });
+
+    expect(container.querySelector(`.${styles.cardBase}`)).toHaveClass(
+      styles.darkCard,
+    );
+  });
+});
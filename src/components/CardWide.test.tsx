@@ -0,0 +1,58 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { screen } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import { CardWide } from "./CardWide";
+import styles from "./CardWide.module.css";
+
+const props = {
+  titleText: "Set up multi-factor authentication",
+  bodyText: "Add a second way to sign in.",
+  imageUrl: "/passkey.svg",
+  imageAlt: "Passkey",
+};
+
+describe("CardWide", () => {
+  it("renders the title, body, image and default button", () => {
+    renderWithProviders(<CardWide {...props} />);
+
+    expect(screen.getByText(props.titleText)).toBeInTheDocument();
+    expect(screen.getByText(props.bodyText)).toBeInTheDocument();
+    expect(screen.getByRole("img", { name: "Passkey" })).toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Create a Passkey" }),
+    ).toBeInTheDocument();
+  });
+
+  it("hides the button and the warning bar when turned off", () => {
+    const { container } = renderWithProviders(
+      <CardWide {...props} showButton={false} showBarIcon={false} />,
+    );
+
+    expect(screen.queryByRole("button")).toBeNull();
+    expect(container.querySelector("svg")).toBeNull();
+    expect(container.querySelector(`.${styles.container}`)).toHaveClass(
+      styles.containerNoBar,
+    );
+  });
+
+  it("places the image before the text with imagePosition left", () => {
+    renderWithProviders(<CardWide {...props} imagePosition="left" />);
+
+    const image = screen.getByRole("img", { name: "Passkey" });
+    const title = screen.getByText(props.titleText);
+    expect(
+      image.compareDocumentPosition(title) & Node.DOCUMENT_POSITION_FOLLOWING,
+    ).toBeTruthy();
+  });
+
+  it("uses the dark styles under a dark theme", () => {
+    const { container } = renderWithProviders(<CardWide {...props} />, {
+      themeMode: "dark",
+    });
+
+    expect(container.querySelector(`.${styles.container}`)).toHaveClass(
+      styles.darkContainer,
+    );
+  });
+});
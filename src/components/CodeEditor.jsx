@@ -0,0 +1,43 @@
+import React, { useEffect, useRef } from "react";
+import { makeStyles, tokens } from "@fluentui/react-components";
+import { monaco, getEditorTheme } from "../utils/monaco";
+import { useTheme } from "../theme/ThemeProvider";
+
+const useStyles = makeStyles({
+  editor: {
+    height: "480px",
+    border: `1px solid ${tokens.colorNeutralStroke2}`,
+    borderRadius: tokens.borderRadiusMedium,
+    overflow: "hidden",
+  },
+});
+
+/**
+ * Monaco editor bound to an existing model. Syntax highlighting follows the
+ * app's light/dark mode.
+ */
+export default function CodeEditor({ model, readOnly = false, ariaLabel }) {
+  const styles = useStyles();
+  const containerRef = useRef(null);
+  const { themeMode } = useTheme();
+
+  useEffect(() => {
+    const editor = monaco.editor.create(containerRef.current, {
+      model,
+      readOnly,
+      ariaLabel,
+      automaticLayout: true,
+      minimap: { enabled: false },
+      scrollBeyondLastLine: false,
+      fontSize: 13,
+      tabSize: 2,
+    });
+    return () => editor.dispose();
+  }, [model, readOnly, ariaLabel]);
+
+  useEffect(() => {
+    monaco.editor.setTheme(getEditorTheme(themeMode));
+  }, [themeMode]);
+
+  return <div ref={containerRef} className={styles.editor} />;
+}
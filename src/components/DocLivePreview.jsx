@@ -0,0 +1,71 @@
+import React, { useEffect, useState } from "react";
+import {
+  Spinner,
+  MessageBar,
+  MessageBarBody,
+  MessageBarTitle,
+} from "@fluentui/react-components";
+import ExampleFrame from "./ExampleFrame";
+import { createExampleRenderer } from "../utils/exampleRegistry";
+import { evaluateExample } from "../utils/examplePlayground";
+import { getModel, transpileModel } from "../utils/monaco";
+
+const PREVIEW_EXPORT = "DocPreviewExample";
+
+/**
+ * Runs a tsx snippet from a docs page. The snippets declare a component
+ * without exporting it, so the one to render is exported under a known name
+ * before the code goes through the playground pipeline.
+ */
+const compileSnippet = async (code, componentName, path) => {
+  const model = getModel(
+    path,
+    `${code}\nexport { ${componentName} as ${PREVIEW_EXPORT} };\n`,
+    "docs",
+  );
+  const { output, error } = await transpileModel(model);
+  if (error) {
+    throw new Error(error);
+  }
+  return createExampleRenderer(
+    await evaluateExample(output, { path, kind: "example" }),
+  );
+};
+
+/**
+ * Live preview of a docs code block. Loaded lazily so Monaco is only
+ * downloaded on pages that have a runnable snippet.
+ */
+export default function DocLivePreview({ code, componentName, path }) {
+  const [state, setState] = useState({ Preview: null, error: null });
+
+  useEffect(() => {
+    let cancelled = false;
+    compileSnippet(code, componentName, path).then(
+      (Preview) => !cancelled && setState({ Preview, error: null }),
+      (error) => !cancelled && setState({ Preview: null, error }),
+    );
+    return () => {
+      cancelled = true;
+    };
+  }, [code, componentName, path]);
+
+  const { Preview, error } = state;
+
+  if (error) {
+    return (
+      <MessageBar intent="warning">
+        <MessageBarBody>
+          <MessageBarTitle>Preview unavailable</MessageBarTitle>
+          {error.message}
+        </MessageBarBody>
+      </MessageBar>
+    );
+  }
+
+  return (
+    <ExampleFrame resetKey={code}>
+      {Preview ? <Preview /> : <Spinner label="Compiling..." />}
+    </ExampleFrame>
+  );
+}
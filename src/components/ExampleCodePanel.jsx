@@ -0,0 +1,155 @@
+import React, { useEffect, useMemo, useState } from "react";
+import {
+  makeStyles,
+  tokens,
+  Button,
+  Caption1,
+  Spinner,
+  MessageBar,
+  MessageBarBody,
+  MessageBarTitle,
+} from "@fluentui/react-components";
+import { ArrowResetRegular } from "@fluentui/react-icons";
+import CodeEditor from "./CodeEditor";
+import ExampleFrame from "./ExampleFrame";
+import { createExampleRenderer } from "../utils/exampleRegistry";
+import { evaluateExample } from "../utils/examplePlayground";
+import { getModel, transpileModel } from "../utils/monaco";
+
+const RUN_DELAY_MS = 500;
+
+const useStyles = makeStyles({
+  playground: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalL,
+  },
+  toolbar: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: tokens.spacingHorizontalM,
+  },
+  hint: {
+    color: tokens.colorNeutralForeground3,
+  },
+  error: {
+    whiteSpace: "pre-wrap",
+  },
+});
+
+function Playground({ example, source }) {
+  const styles = useStyles();
+  const model = useMemo(
+    () => getModel(example.path, source, "playground"),
+    [example.path, source],
+  );
+  const [preview, setPreview] = useState({ Example: null, version: 0 });
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    let timer;
+
+    const run = async () => {
+      try {
+        const { output, error: syntaxError } = await transpileModel(model);
+        if (syntaxError) {
+          throw new Error(syntaxError);
+        }
+        const components = await evaluateExample(output, example);
+        if (!cancelled) {
+          setPreview((current) => ({
+            Example: createExampleRenderer(components),
+            version: current.version + 1,
+          }));
+          setError(null);
+        }
+      } catch (runError) {
+        if (!cancelled) {
+          setError(runError);
+        }
+      }
+    };
+
+    run();
+    const subscription = model.onDidChangeContent(() => {
+      clearTimeout(timer);
+      timer = setTimeout(run, RUN_DELAY_MS);
+    });
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      subscription.dispose();
+    };
+  }, [model, example]);
+
+  const { Example, version } = preview;
+
+  return (
+    <div className={styles.playground}>
+      <div className={styles.toolbar}>
+        <Caption1 className={styles.hint}>
+          Edits are transpiled in the browser and the preview updates as you
+          type.
+        </Caption1>
+        <Button
+          icon={<ArrowResetRegular />}
+          onClick={() => model.setValue(source)}
+        >
+          Reset code
+        </Button>
+      </div>
+      <CodeEditor model={model} ariaLabel={`${example.title} playground`} />
+      {error && (
+        <MessageBar intent="error">
+          <MessageBarBody className={styles.error}>
+            <MessageBarTitle>Preview not updated</MessageBarTitle>
+            {error.message}
+          </MessageBarBody>
+        </MessageBar>
+      )}
+      <ExampleFrame resetKey={version}>
+        {Example ? <Example /> : <Spinner label="Compiling..." />}
+      </ExampleFrame>
+    </div>
+  );
+}
+
+/**
+ * Shows an example's source, read-only or as an editable playground. Loaded
+ * lazily so Monaco is only downloaded when a code tab is opened.
+ */
+export default function ExampleCodePanel({ example, editable = false }) {
+  const [source, setSource] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setSource(null);
+    example.loadSource().then((text) => {
+      if (!cancelled) {
+        setSource(text);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [example]);
+
+  if (source === null) {
+    return <Spinner label="Loading source..." />;
+  }
+
+  if (editable) {
+    return <Playground example={example} source={source} />;
+  }
+
+  return (
+    <CodeEditor
+      model={getModel(example.path, source)}
+      readOnly
+      ariaLabel={`${example.title} source`}
+    />
+  );
+}
@@ -0,0 +1,60 @@
+import React from "react";
+import {
+  ComponentPage,
+  ExampleCard,
+  Markdown,
+  PropertiesTableSet,
+} from "@fluentui/react-docsite-components";
+
+const markdown = (text) => (text ? <Markdown>{text}</Markdown> : undefined);
+
+/**
+ * Renders the `IDocPageProps` object exported by a `*.doc.tsx` file the way the
+ * Fluent UI docsite does: one ExampleCard per example, Markdown for the prose
+ * sections and a properties table from the raw `*.types.ts` sources.
+ */
+export default function ExampleDocPage({
+  examples = [],
+  exampleKnobs,
+  propertiesTablesSources,
+  overview,
+  accessibility,
+  bestPractices,
+  dos,
+  donts,
+  isHeaderVisible = true,
+  ...pageProps
+}) {
+  return (
+    <ComponentPage
+      {...pageProps}
+      isHeaderVisible={isHeaderVisible}
+      exampleCards={
+        <div>
+          {exampleKnobs}
+          {examples.map((example) => (
+            <ExampleCard
+              key={example.title}
+              title={example.title}
+              code={example.code}
+              isScrollable={example.isScrollable}
+              styles={example.styles}
+            >
+              {example.view}
+            </ExampleCard>
+          ))}
+        </div>
+      }
+      propertiesTables={
+        propertiesTablesSources?.length ? (
+          <PropertiesTableSet sources={propertiesTablesSources} />
+        ) : undefined
+      }
+      overview={markdown(overview)}
+      accessibility={markdown(accessibility)}
+      bestPractices={markdown(bestPractices)}
+      dos={markdown(dos)}
+      donts={markdown(donts)}
+    />
+  );
+}
@@ -0,0 +1,49 @@
+import React, { Suspense } from "react";
+import { makeStyles, tokens, Spinner } from "@fluentui/react-components";
+import { ThemeProvider as V8ThemeProvider } from "@fluentui/react";
+import { initializeIcons } from "@fluentui/font-icons-mdl2";
+import { DarkTheme } from "@fluentui/theme-samples";
+import { useTheme } from "../theme/ThemeProvider";
+import { ErrorBoundary } from "../diagnostics";
+
+// The examples are written against Fluent UI v8, which needs its icon font
+// registered once before any of them render.
+initializeIcons();
+
+const useStyles = makeStyles({
+  frame: {
+    padding: tokens.spacingHorizontalXL,
+    border: `1px solid ${tokens.colorNeutralStroke2}`,
+    borderRadius: tokens.borderRadiusLarge,
+    backgroundColor: tokens.colorNeutralBackground1,
+    overflow: "auto",
+  },
+  loading: {
+    padding: tokens.spacingVerticalXXL,
+  },
+});
+
+/**
+ * Renders a Fluent UI v8 example inside the app shell: the v8 theme follows the
+ * app's light/dark mode, loading shows a spinner and failures stay contained.
+ */
+export default function ExampleFrame({ resetKey, children }) {
+  const styles = useStyles();
+  const { themeMode } = useTheme();
+
+  return (
+    <div className={styles.frame}>
+      <ErrorBoundary title="This example failed to render" resetKey={resetKey}>
+        <Suspense
+          fallback={
+            <Spinner className={styles.loading} label="Loading example..." />
+          }
+        >
+          <V8ThemeProvider theme={themeMode === "dark" ? DarkTheme : undefined}>
+            {children}
+          </V8ThemeProvider>
+        </Suspense>
+      </ErrorBoundary>
+    </div>
+  );
+}
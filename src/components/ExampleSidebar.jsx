@@ -0,0 +1,90 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Caption1,
+  Tree,
+  TreeItem,
+  TreeItemLayout,
+} from "@fluentui/react-components";
+import { examplePackages } from "../utils/exampleRegistry";
+
+const useStyles = makeStyles({
+  sidebar: {
+    width: "280px",
+    flexShrink: 0,
+    overflowY: "auto",
+    maxHeight: "calc(100vh - 64px)",
+    position: "sticky",
+    top: "64px",
+    padding: `${tokens.spacingVerticalL} ${tokens.spacingHorizontalS}`,
+    borderRight: `1px solid ${tokens.colorNeutralStroke2}`,
+    backgroundColor: tokens.colorNeutralBackground2,
+    boxSizing: "border-box",
+  },
+  count: {
+    color: tokens.colorNeutralForeground3,
+  },
+  current: {
+    backgroundColor: tokens.colorBrandBackground2,
+    color: tokens.colorBrandForeground2,
+    fontWeight: tokens.fontWeightSemibold,
+  },
+});
+
+export default function ExampleSidebar({ packageName, componentName }) {
+  const navigate = useNavigate();
+  const styles = useStyles();
+
+  return (
+    <aside className={styles.sidebar}>
+      <Tree
+        aria-label="Example packages"
+        defaultOpenItems={packageName ? [packageName] : []}
+      >
+        {examplePackages.map((pkg) => (
+          <TreeItem key={pkg.name} itemType="branch" value={pkg.name}>
+            <TreeItemLayout
+              aside={
+                <Caption1 className={styles.count}>
+                  {pkg.components.length}
+                </Caption1>
+              }
+            >
+              {pkg.name}
+            </TreeItemLayout>
+            <Tree>
+              {pkg.components.map((component) => {
+                const isCurrent =
+                  pkg.name === packageName && component.name === componentName;
+
+                return (
+                  <TreeItem
+                    key={component.name}
+                    itemType="leaf"
+                    value={`${pkg.name}/${component.name}`}
+                    onClick={() =>
+                      navigate(`/examples/${pkg.name}/${component.name}`)
+                    }
+                  >
+                    <TreeItemLayout
+                      className={isCurrent ? styles.current : undefined}
+                      aside={
+                        <Caption1 className={styles.count}>
+                          {component.examples.length}
+                        </Caption1>
+                      }
+                    >
+                      {component.name}
+                    </TreeItemLayout>
+                  </TreeItem>
+                );
+              })}
+            </Tree>
+          </TreeItem>
+        ))}
+      </Tree>
+    </aside>
+  );
+}
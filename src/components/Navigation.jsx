@@ -1,5 +1,5 @@
 import React from "react";
-import { useNavigate, useLocation } from "react-router-dom";
+import { useLocation, useNavigate } from "react-router-dom";
 import {
   makeStyles,
   tokens,
@@ -7,20 +7,27 @@ import {
   Button,
   Avatar,
   Menu,
+  MenuGroup,
+  MenuGroupHeader,
   MenuTrigger,
   MenuPopover,
   MenuList,
   MenuItem,
   Divider,
+  Caption1,
+  ToggleButton,
 } from "@fluentui/react-components";
 import {
-  HomeRegular,
-  InfoRegular,
-  GridRegular,
   SettingsRegular,
   PersonRegular,
-  AppsRegular,
+  AccessibilityRegular,
+  SearchRegular,
+  SignOutRegular,
 } from "@fluentui/react-icons";
+import { useA11yAudit } from "../a11y";
+import { SIGN_IN_PATH, useAuth } from "../auth";
+import { useCommandPalette } from "../commands";
+import { Hamburger } from "./fluent-components";
 
 const useStyles = makeStyles({
   navbar: {
@@ -40,7 +47,7 @@ const useStyles = makeStyles({
   navLeft: {
     display: "flex",
     alignItems: "center",
-    gap: tokens.spacingHorizontalXXL,
+    gap: tokens.spacingHorizontalM,
   },
   logo: {
     fontSize: tokens.fontSizeBase500,
@@ -48,33 +55,19 @@ const useStyles = makeStyles({
     color: tokens.colorBrandForeground1,
     letterSpacing: "-0.01em",
   },
-  navItems: {
-    display: "flex",
-    alignItems: "center",
-    gap: tokens.spacingHorizontalS,
-  },
   navRight: {
     display: "flex",
     alignItems: "center",
     gap: tokens.spacingHorizontalL,
   },
-  navButton: {
-    minHeight: "40px",
-    borderRadius: tokens.borderRadiusMedium,
-    fontWeight: tokens.fontWeightMedium,
-    transition: "all 0.15s ease-in-out",
-    '&[data-current="true"]': {
-      backgroundColor: tokens.colorBrandBackground2,
-      color: tokens.colorBrandForeground2,
-      fontWeight: tokens.fontWeightSemibold,
-    },
-    "&:hover": {
-      backgroundColor: tokens.colorNeutralBackground1Hover,
-      transform: "translateY(-1px)",
-    },
-    '&[data-current="true"]:hover': {
-      backgroundColor: tokens.colorBrandBackground2Hover,
-    },
+  searchButton: {
+    gap: tokens.spacingHorizontalS,
+    color: tokens.colorNeutralForeground3,
+  },
+  shortcut: {
+    padding: `0 ${tokens.spacingHorizontalXS}`,
+    border: `1px solid ${tokens.colorNeutralStroke2}`,
+    borderRadius: tokens.borderRadiusSmall,
   },
   avatarButton: {
     borderRadius: tokens.borderRadiusCircular,
@@ -85,66 +78,100 @@ const useStyles = makeStyles({
   },
 });
 
-const navigationItems = [
-  { path: "/", label: "Home", icon: HomeRegular },
-  { path: "/about", label: "About", icon: InfoRegular },
-  { path: "/components", label: "Components", icon: GridRegular },
-  { path: "/agentic-index-cards", label: "Index Cards", icon: AppsRegular },
-  { path: "/settings", label: "Settings", icon: SettingsRegular },
-];
+// The command palette opens with Cmd+K on Apple platforms, Ctrl+K elsewhere.
+const isApple = /Mac|iPhone|iPad/.test(navigator.platform);
+const SHORTCUT_LABEL = isApple ? "⌘K" : "Ctrl+K";
 
-export default function Navigation() {
+/**
+ * The app's top bar: the side navigation toggle, search, the accessibility
+ * audit toggle and the signed-in user's account menu (or a sign-in button).
+ * The sections themselves are in SideNavigation.
+ */
+export default function Navigation({ sideNavOpen = false, onToggleSideNav }) {
+  const styles = useStyles();
+  const audit = useA11yAudit();
+  const palette = useCommandPalette();
+  const { user, signOut } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
-  const styles = useStyles();
-
-  const handleNavigation = (path) => {
-    navigate(path);
-  };
 
   return (
     <nav className={styles.navbar}>
       <div className={styles.navLeft}>
+        {onToggleSideNav && (
+          <Hamburger
+            aria-label="Navigation"
+            aria-expanded={sideNavOpen}
+            onClick={onToggleSideNav}
+          />
+        )}
         <Body1 className={styles.logo}>Fluent UI</Body1>
-        <div className={styles.navItems}>
-          {navigationItems.map((item) => {
-            const IconComponent = item.icon;
-            const isCurrent = location.pathname === item.path;
-
-            return (
-              <Button
-                key={item.path}
-                appearance="subtle"
-                icon={<IconComponent />}
-                onClick={() => handleNavigation(item.path)}
-                className={styles.navButton}
-                data-current={isCurrent}
-              >
-                {item.label}
-              </Button>
-            );
-          })}
-        </div>
       </div>
 
       <div className={styles.navRight}>
-        <Menu>
-          <MenuTrigger disableButtonEnhancement>
-            <Button
-              appearance="subtle"
-              className={styles.avatarButton}
-              icon={<Avatar name="User" size={32} />}
-            />
-          </MenuTrigger>
-          <MenuPopover>
-            <MenuList>
-              <MenuItem icon={<PersonRegular />}>View profile</MenuItem>
-              <MenuItem icon={<SettingsRegular />}>Account settings</MenuItem>
-              <Divider />
-              <MenuItem>Sign out</MenuItem>
-            </MenuList>
-          </MenuPopover>
-        </Menu>
+        <Button
+          appearance="outline"
+          icon={<SearchRegular />}
+          className={styles.searchButton}
+          onClick={palette.open}
+          aria-keyshortcuts="Control+K Meta+K"
+        >
+          Search
+          <Caption1 className={styles.shortcut}>{SHORTCUT_LABEL}</Caption1>
+        </Button>
+        <ToggleButton
+          appearance="subtle"
+          icon={<AccessibilityRegular />}
+          aria-label="Accessibility audit"
+          title="Accessibility audit"
+          checked={audit.enabled}
+          onClick={audit.toggle}
+        />
+        {user ? (
+          <Menu>
+            <MenuTrigger disableButtonEnhancement>
+              <Button
+                appearance="subtle"
+                className={styles.avatarButton}
+                aria-label={user.name}
+                icon={<Avatar name={user.name} size={32} color="colorful" />}
+              />
+            </MenuTrigger>
+            <MenuPopover>
+              <MenuList>
+                <MenuGroup>
+                  <MenuGroupHeader>{user.email}</MenuGroupHeader>
+                  <MenuItem
+                    icon={<PersonRegular />}
+                    onClick={() => navigate("/profile")}
+                  >
+                    View profile
+                  </MenuItem>
+                  <MenuItem
+                    icon={<SettingsRegular />}
+                    onClick={() => navigate("/settings")}
+                  >
+                    Account settings
+                  </MenuItem>
+                </MenuGroup>
+                <Divider />
+                <MenuItem icon={<SignOutRegular />} onClick={signOut}>
+                  Sign out
+                </MenuItem>
+              </MenuList>
+            </MenuPopover>
+          </Menu>
+        ) : (
+          <Button
+            appearance="subtle"
+            icon={<PersonRegular />}
+            onClick={() =>
+              navigate(SIGN_IN_PATH, { state: { from: location } })
+            }
+          >
+            Sign in
+          </Button>
+        )}
       </div>
     </nav>
   );
@@ -0,0 +1,69 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { Route, Routes, useLocation } from "react-router-dom";
+import { screen } from "@testing-library/react";
+import { AuthProvider } from "../auth";
+import { renderWithProviders, signInAs } from "../test";
+import Navigation from "./Navigation";
+
+function CurrentPath() {
+  return <output aria-label="path">{useLocation().pathname}</output>;
+}
+
+const renderNavigation = (route) =>
+  renderWithProviders(
+    <AuthProvider>
+      <Navigation />
+      <Routes>
+        <Route path="*" element={<CurrentPath />} />
+      </Routes>
+    </AuthProvider>,
+    { route },
+  );
+
+describe("Navigation", () => {
+  it("toggles the side navigation from the hamburger button", async () => {
+    const onToggleSideNav = vi.fn();
+    const { user } = renderWithProviders(
+      <Navigation sideNavOpen onToggleSideNav={onToggleSideNav} />,
+    );
+    const hamburger = screen.getByRole("button", { name: "Navigation" });
+
+    expect(hamburger).toHaveAttribute("aria-expanded", "true");
+    await user.click(hamburger);
+
+    expect(onToggleSideNav).toHaveBeenCalledTimes(1);
+  });
+
+  it("has no hamburger button without a side navigation", () => {
+    renderNavigation("/");
+
+    expect(
+      screen.queryByRole("button", { name: "Navigation" }),
+    ).not.toBeInTheDocument();
+  });
+
+  it("offers to sign in when signed out", async () => {
+    const { user } = renderNavigation("/settings");
+
+    await user.click(screen.getByRole("button", { name: "Sign in" }));
+
+    expect(screen.getByLabelText("path")).toHaveTextContent("/sign-in");
+  });
+
+  it("shows the signed-in user's account menu", async () => {
+    await signInAs();
+    const { user } = renderNavigation("/");
+
+    await user.click(screen.getByRole("button", { name: "Kathryn Murphy" }));
+    await user.click(
+      await screen.findByRole("menuitem", { name: "View profile" }),
+    );
+    expect(screen.getByLabelText("path")).toHaveTextContent("/profile");
+
+    await user.click(screen.getByRole("button", { name: "Kathryn Murphy" }));
+    await user.click(await screen.findByRole("menuitem", { name: "Sign out" }));
+
+    expect(screen.getByRole("button", { name: "Sign in" })).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,123 @@
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { makeStyles, tokens } from "@fluentui/react-components";
+import {
+  NavCategory,
+  NavCategoryItem,
+  NavDivider,
+  NavDrawer,
+  NavDrawerBody,
+  NavSubItem,
+  NavSubItemGroup,
+} from "./fluent-components";
+import {
+  findNavigationItem,
+  loadNavigationCategories,
+  navigationCategories,
+} from "./navigationItems";
+import { prefetchRoute } from "../routes";
+
+const useStyles = makeStyles({
+  inline: {
+    position: "sticky",
+    top: "64px",
+    height: "calc(100vh - 64px)",
+    flexShrink: 0,
+    borderRight: `1px solid ${tokens.colorNeutralStroke2}`,
+  },
+});
+
+const opensInNewTab = (event) =>
+  event.button !== 0 ||
+  event.metaKey ||
+  event.ctrlKey ||
+  event.shiftKey ||
+  event.altKey;
+
+/**
+ * The app's side navigation: one collapsible category each for the pages,
+ * the example packages and the docs. The item whose path is the longest
+ * prefix of the current route is highlighted, so it stays highlighted on
+ * nested routes such as a single example or doc section. Hovering or
+ * focusing an item starts loading its page. The example packages and docs
+ * are listed once their registries have loaded.
+ *
+ * `type` is "inline" beside the content on wide screens and "overlay" for the
+ * drawer narrow screens open from the hamburger button; the overlay closes
+ * after navigating.
+ */
+export default function SideNavigation({ type, open, onOpenChange }) {
+  const styles = useStyles();
+  const navigate = useNavigate();
+  const { pathname } = useLocation();
+  const [categories, setCategories] = useState(navigationCategories);
+  const current = findNavigationItem(pathname, categories);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadNavigationCategories().then((loaded) => {
+      if (!cancelled) {
+        setCategories(loaded);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleClick = (path) => (event) => {
+    if (opensInNewTab(event)) {
+      return;
+    }
+    event.preventDefault();
+    navigate(path);
+    if (type === "overlay") {
+      onOpenChange(false);
+    }
+  };
+
+  return (
+    <NavDrawer
+      type={type}
+      open={open}
+      onOpenChange={(event, data) => onOpenChange(data.open)}
+      selectedValue={current?.item.path ?? ""}
+      selectedCategoryValue={current?.category.value ?? ""}
+      defaultOpenCategories={[
+        ...new Set(["pages", current?.category.value].filter(Boolean)),
+      ]}
+      className={type === "inline" ? styles.inline : undefined}
+      aria-label="Site navigation"
+    >
+      <NavDrawerBody>
+        {categories.map((category, index) => {
+          const IconComponent = category.icon;
+          return (
+            <React.Fragment key={category.value}>
+              {index > 0 && <NavDivider />}
+              <NavCategory value={category.value}>
+                <NavCategoryItem icon={<IconComponent />}>
+                  {category.label}
+                </NavCategoryItem>
+                <NavSubItemGroup>
+                  {category.items.map((item) => (
+                    <NavSubItem
+                      key={item.path}
+                      value={item.path}
+                      href={item.path}
+                      onClick={handleClick(item.path)}
+                      onMouseEnter={() => prefetchRoute(item.path)}
+                      onFocus={() => prefetchRoute(item.path)}
+                    >
+                      {item.label}
+                    </NavSubItem>
+                  ))}
+                </NavSubItemGroup>
+              </NavCategory>
+            </React.Fragment>
+          );
+        })}
+      </NavDrawerBody>
+    </NavDrawer>
+  );
+}
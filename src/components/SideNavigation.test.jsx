@@ -0,0 +1,80 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { Route, Routes, useLocation } from "react-router-dom";
+import { screen } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import SideNavigation from "./SideNavigation";
+
+function CurrentPath() {
+  return <output aria-label="path">{useLocation().pathname}</output>;
+}
+
+const renderSideNavigation = (route, props = {}) =>
+  renderWithProviders(
+    <>
+      <SideNavigation type="inline" open onOpenChange={() => {}} {...props} />
+      <Routes>
+        <Route path="*" element={<CurrentPath />} />
+      </Routes>
+    </>,
+    { route },
+  );
+
+const link = (name) => screen.getByRole("link", { name });
+
+describe("SideNavigation", () => {
+  it("groups the sections into Pages, Examples and Docs", () => {
+    renderSideNavigation("/");
+
+    for (const category of ["Pages", "Examples", "Docs"]) {
+      expect(
+        screen.getByRole("button", { name: category }),
+      ).toBeInTheDocument();
+    }
+    expect(link("Home")).toHaveAttribute("href", "/");
+    expect(link("Settings")).toHaveAttribute("href", "/settings");
+  });
+
+  it("marks the current route", () => {
+    renderSideNavigation("/settings");
+
+    expect(link("Settings")).toHaveAttribute("aria-current", "page");
+    expect(link("Home")).toHaveAttribute("aria-current", "false");
+  });
+
+  it("keeps the closest item marked on nested routes", async () => {
+    renderSideNavigation("/examples/react/DetailsList/grouped");
+
+    expect(await screen.findByRole("link", { name: "react" })).toHaveAttribute(
+      "aria-current",
+      "page",
+    );
+    expect(link("All packages")).toHaveAttribute("aria-current", "false");
+    expect(screen.getByRole("button", { name: "Examples" })).toHaveAttribute(
+      "aria-expanded",
+      "true",
+    );
+  });
+
+  it("navigates when an item is clicked", async () => {
+    const { user } = renderSideNavigation("/");
+
+    await user.click(link("About"));
+
+    expect(screen.getByLabelText("path")).toHaveTextContent("/about");
+    expect(link("About")).toHaveAttribute("aria-current", "page");
+  });
+
+  it("closes the overlay drawer after navigating", async () => {
+    const onOpenChange = vi.fn();
+    const { user } = renderSideNavigation("/", {
+      type: "overlay",
+      onOpenChange,
+    });
+
+    await user.click(link("About"));
+
+    expect(screen.getByLabelText("path")).toHaveTextContent("/about");
+    expect(onOpenChange).toHaveBeenCalledWith(false);
+  });
+});
@@ -0,0 +1,168 @@
+import React from "react";
+import {
+  makeStyles,
+  tokens,
+  Body1Strong,
+  Button,
+  Caption1,
+  Dropdown,
+  Input,
+  Option,
+  SpinButton,
+  Switch,
+} from "@fluentui/react-components";
+import { ArrowResetRegular } from "@fluentui/react-icons";
+
+const useStyles = makeStyles({
+  panel: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalM,
+  },
+  header: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+  },
+  table: {
+    display: "grid",
+    gridTemplateColumns: "minmax(120px, 1fr) 2fr",
+    alignItems: "center",
+    columnGap: tokens.spacingHorizontalL,
+    rowGap: tokens.spacingVerticalS,
+  },
+  name: {
+    display: "flex",
+    flexDirection: "column",
+  },
+  muted: {
+    color: tokens.colorNeutralForeground3,
+  },
+});
+
+const optionLabel = (argType, option) =>
+  argType.control.labels?.[option] ?? String(option);
+
+function ArgControl({ argType, value, onChange }) {
+  const styles = useStyles();
+  const { control, name } = argType;
+
+  switch (control?.type) {
+    case "boolean":
+      return (
+        <Switch
+          aria-label={name}
+          checked={Boolean(value)}
+          onChange={(_, data) => onChange(data.checked)}
+        />
+      );
+    case "number":
+    case "range":
+      return (
+        <SpinButton
+          aria-label={name}
+          value={typeof value === "number" ? value : null}
+          min={control.min}
+          max={control.max}
+          step={control.step ?? 1}
+          onChange={(_, data) => {
+            const next = data.value ?? parseFloat(data.displayValue);
+            if (Number.isFinite(next)) {
+              onChange(next);
+            }
+          }}
+        />
+      );
+    case "text":
+      return (
+        <Input
+          aria-label={name}
+          value={value ?? ""}
+          onChange={(_, data) => onChange(data.value)}
+        />
+      );
+    case "select":
+    case "radio":
+    case "inline-radio":
+      return (
+        <Dropdown
+          aria-label={name}
+          value={value === undefined ? "" : optionLabel(argType, value)}
+          selectedOptions={value === undefined ? [] : [String(value)]}
+          onOptionSelect={(_, data) =>
+            onChange(
+              argType.options.find(
+                (option) => String(option) === data.optionValue,
+              ),
+            )
+          }
+        >
+          {argType.options.map((option) => (
+            <Option
+              key={String(option)}
+              value={String(option)}
+              text={optionLabel(argType, option)}
+            >
+              {optionLabel(argType, option)}
+            </Option>
+          ))}
+        </Dropdown>
+      );
+    default:
+      return (
+        <Caption1 className={styles.muted}>
+          {value === undefined ? "Not set" : "Not editable"}
+        </Caption1>
+      );
+  }
+}
+
+/**
+ * The story runner's args panel: one Fluent control per arg, picked from the
+ * arg's `argTypes` entry (see `inferArgTypes` in src/utils/csf.js).
+ */
+export default function StoryControls({ argTypes, args, onChange, onReset }) {
+  const styles = useStyles();
+  const entries = Object.values(argTypes);
+
+  return (
+    <section className={styles.panel} aria-label="Story controls">
+      <div className={styles.header}>
+        <Body1Strong>Controls</Body1Strong>
+        <Button
+          size="small"
+          icon={<ArrowResetRegular />}
+          disabled={entries.length === 0}
+          onClick={onReset}
+        >
+          Reset args
+        </Button>
+      </div>
+      {entries.length === 0 ? (
+        <Caption1 className={styles.muted}>
+          This story does not declare any args.
+        </Caption1>
+      ) : (
+        <div className={styles.table}>
+          {entries.map((argType) => (
+            <React.Fragment key={argType.name}>
+              <div className={styles.name}>
+                <Body1Strong>{argType.name}</Body1Strong>
+                {argType.description && (
+                  <Caption1 className={styles.muted}>
+                    {argType.description}
+                  </Caption1>
+                )}
+              </div>
+              <ArgControl
+                argType={argType}
+                value={args[argType.name]}
+                onChange={(value) => onChange(argType.name, value)}
+              />
+            </React.Fragment>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,43 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { screen } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import Tile from "./Tile";
+
+const props = { imageUrl: "/word.svg", imageAlt: "Word", text: "Word" };
+
+describe("Tile", () => {
+  it("renders the image and its text", () => {
+    renderWithProviders(<Tile {...props} />);
+
+    expect(screen.getByRole("img", { name: "Word" })).toHaveAttribute(
+      "src",
+      "/word.svg",
+    );
+    expect(screen.getByText("Word")).toBeInTheDocument();
+  });
+
+  it("shows the info and menu icons only when asked", () => {
+    const { container, rerender } = renderWithProviders(<Tile {...props} />);
+    expect(container.querySelector(".ti-info-circle")).toBeNull();
+    expect(container.querySelector(".ti-dots-vertical")).toBeNull();
+
+    rerender(<Tile {...props} showInfo showMenu />);
+    expect(container.querySelector(".ti-info-circle")).toBeInTheDocument();
+    expect(container.querySelector(".ti-dots-vertical")).toBeInTheDocument();
+  });
+
+  it("adds the given className and raises its shadow on hover", async () => {
+    const { user } = renderWithProviders(
+      <Tile {...props} className="app-tile" />,
+    );
+    const tile = screen.getByText("Word").closest(".app-tile") as HTMLElement;
+    const restingShadow = tile.style.boxShadow;
+
+    await user.hover(tile);
+    expect(tile.style.boxShadow).not.toBe(restingShadow);
+
+    await user.unhover(tile);
+    expect(tile.style.boxShadow).toBe(restingShadow);
+  });
+});
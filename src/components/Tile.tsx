@@ -2,7 +2,6 @@
 
 import React from "react";
 // import Image from "next/image";
-import { useTheme, FluentThemeProvider } from "../theme/ThemeProvider";
 import { mergeClasses, tokens, useId, Theme } from "@fluentui/react-components";
 
 export interface TileProps {
@@ -43,8 +42,6 @@ const Tile: React.FC<TileProps> = ({
   showInfo,
   showMenu,
 }) => {
-  const { themeMode } = useTheme();
-  const isDark = themeMode === "dark";
   const id = useId("tile");
 
   // Styles for the tile
@@ -59,8 +56,8 @@ const Tile: React.FC<TileProps> = ({
     borderRadius: "4px",
     cursor: "pointer",
     transition: "all 0.2s ease",
-    backgroundColor: isDark ? "#292929" : "#FFFFFF",
-    border: `1px solid ${isDark ? "#444444" : "#ECECEC"}`,
+    backgroundColor: tokens.colorNeutralBackground1,
+    border: `1px solid ${tokens.colorNeutralStroke2}`,
     boxShadow:
       "rgba(0, 0, 0, 0.1) 0px 0.3px 0.9px 0px, rgba(0, 0, 0, 0.13) 0px 1.6px 3.6px 0px",
     position: "relative",
@@ -69,7 +66,7 @@ const Tile: React.FC<TileProps> = ({
   // Styles for hover state
   const hoverStyle = {
     boxShadow: tokens.shadow8,
-    border: `1px solid ${isDark ? "#666666" : tokens.colorNeutralStroke1Hover}`,
+    border: `1px solid ${tokens.colorNeutralStroke1Hover}`,
   };
 
   // Styles for the content container
@@ -95,7 +92,7 @@ const Tile: React.FC<TileProps> = ({
 
   // Styles for the text
   const textStyle: React.CSSProperties = {
-    color: isDark ? "#e1e1e1" : "#323130",
+    color: tokens.colorNeutralForeground1,
     textAlign: "center",
     fontFamily: "'Open Sans', -apple-system, Roboto, Helvetica, sans-serif",
     fontSize: "14px",
@@ -115,7 +112,7 @@ const Tile: React.FC<TileProps> = ({
     justifyContent: "center",
     alignItems: "center",
     position: "absolute",
-    color: isDark ? "#e1e1e1" : "#797775",
+    color: tokens.colorNeutralForeground3,
     fontSize: "14px",
   };
 
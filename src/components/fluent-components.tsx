@@ -3,4 +3,9 @@ export { Nav } from "@fluentui/react-nav-preview";
 export { NavItem } from "@fluentui/react-nav-preview";
 export { NavCategoryItem } from "@fluentui/react-nav-preview";
 
- 
\ No newline at end of file
+export { NavCategory } from "@fluentui/react-nav-preview";
+export { NavSubItem } from "@fluentui/react-nav-preview";
+export { NavSubItemGroup } from "@fluentui/react-nav-preview";
+export { NavDrawer } from "@fluentui/react-nav-preview";
+export { NavDrawerBody } from "@fluentui/react-nav-preview";
+export { Hamburger } from "@fluentui/react-nav-preview";
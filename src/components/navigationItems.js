@@ -0,0 +1,126 @@
+import {
+  HomeRegular,
+  InfoRegular,
+  GridRegular,
+  SettingsRegular,
+  AppsRegular,
+  LibraryRegular,
+  BookOpenRegular,
+  ColorRegular,
+  BookRegular,
+  DocumentRegular,
+  BugRegular,
+} from "@fluentui/react-icons";
+
+/** The app's sections, as shown in the side navigation and the command palette. */
+export const navigationItems = [
+  { path: "/", label: "Home", icon: HomeRegular },
+  { path: "/about", label: "About", icon: InfoRegular },
+  { path: "/components", label: "Components", icon: GridRegular },
+  { path: "/agentic-index-cards", label: "Index Cards", icon: AppsRegular },
+  { path: "/examples", label: "Examples", icon: LibraryRegular },
+  { path: "/docs", label: "Docs", icon: BookOpenRegular },
+  { path: "/stories", label: "Stories", icon: BookRegular },
+  { path: "/theme-designer", label: "Theme", icon: ColorRegular },
+  { path: "/settings", label: "Settings", icon: SettingsRegular },
+  { path: "/diagnostics", label: "Diagnostics", icon: BugRegular },
+];
+
+const CATEGORY_PATHS = ["/examples", "/docs"];
+
+// The pages, then the example packages and the docs, each category led by
+// its index page.
+const buildCategories = (examplePackages = [], docPages = []) => [
+  {
+    value: "pages",
+    label: "Pages",
+    icon: DocumentRegular,
+    items: navigationItems.filter(
+      (item) => !CATEGORY_PATHS.includes(item.path),
+    ),
+  },
+  {
+    value: "examples",
+    label: "Examples",
+    icon: LibraryRegular,
+    items: [
+      { path: "/examples", label: "All packages" },
+      ...examplePackages.map((pkg) => ({
+        path: `/examples/${pkg.name}`,
+        label: pkg.name,
+      })),
+    ],
+  },
+  {
+    value: "docs",
+    label: "Docs",
+    icon: BookOpenRegular,
+    items: [
+      { path: "/docs", label: "All docs" },
+      ...docPages.map((doc) => ({
+        path: `/docs/${doc.slug}`,
+        label: doc.title,
+      })),
+    ],
+  },
+];
+
+/**
+ * The side navigation's categories until `loadNavigationCategories` resolves:
+ * the pages, then the Examples and Docs categories with only their index page.
+ */
+export const navigationCategories = buildCategories();
+
+let loading = null;
+
+/**
+ * Loads the categories with every example package and every doc listed. The
+ * registries behind those lists are large, so they are imported here rather
+ * than in the app shell.
+ */
+export function loadNavigationCategories() {
+  loading ??= Promise.all([
+    import("../utils/exampleRegistry"),
+    import("../utils/docsRegistry"),
+  ]).then(
+    ([{ examplePackages }, { docPages }]) =>
+      buildCategories(examplePackages, docPages),
+    (error) => {
+      // Let the next caller try again.
+      loading = null;
+      throw error;
+    },
+  );
+  return loading;
+}
+
+const isWithin = (pathname, path) =>
+  path === "/"
+    ? pathname === "/"
+    : pathname === path || pathname.startsWith(`${path}/`);
+
+/**
+ * The navigation entry for `pathname`: the item whose path is the longest
+ * prefix of it, so `/examples/react/DetailsList/grouped` highlights the
+ * react package. Returns `{ category, item }`, or `null` off the map.
+ *
+ * @param {string} pathname
+ * @param {object[]} [categories] - defaults to `navigationCategories`
+ */
+export function findNavigationItem(
+  pathname,
+  categories = navigationCategories,
+) {
+  let found = null;
+  categories.forEach((category) =>
+    category.items.forEach((item) => {
+      if (
+        isWithin(pathname, item.path) &&
+        (!found || item.path.length > found.item.path.length)
+      ) {
+        found = { category, item };
+      }
+    }),
+  );
+  return found;
+}
@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { act, screen, within } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import Diagnostics from "../pages/Diagnostics";
+import {
+  ErrorBoundary,
+  ErrorNotice,
+  errorLog,
+  installGlobalErrorHandlers,
+} from ".";
+
+let failures = 0;
+
+function Flaky() {
+  const [rendered] = useState("Loaded");
+  if (failures > 0) {
+    failures -= 1;
+    throw new Error("Chunk failed to load");
+  }
+  return <p>{rendered}</p>;
+}
+
+describe("Error reporting", () => {
+  let uninstall = () => {};
+  afterEach(() => uninstall());
+
+  it("shows a failed page in place, logs it and retries", async () => {
+    // React renders once more before giving up on a throwing tree.
+    failures = 2;
+    const retried = [];
+    const { user } = renderWithProviders(
+      <ErrorBoundary
+        title="This page could not be shown"
+        onRetry={() => retried.push(true)}
+      >
+        <Flaky />
+      </ErrorBoundary>,
+      { onCaughtError: () => {} },
+    );
+
+    const alert = screen.getByText("This page could not be shown");
+    expect(alert.closest(".fui-MessageBar")).toHaveTextContent(
+      "Chunk failed to load",
+    );
+    expect(errorLog.getSnapshot()[0]).toMatchObject({
+      source: "render",
+      message: "Chunk failed to load",
+    });
+    expect(errorLog.getSnapshot()[0].componentStack).toContain("Flaky");
+
+    await user.click(screen.getByRole("button", { name: "Retry" }));
+
+    expect(retried).toHaveLength(1);
+    expect(screen.getByText("Loaded")).toBeInTheDocument();
+  });
+
+  it("logs unhandled rejections and shows them as text", async () => {
+    uninstall = installGlobalErrorHandlers();
+    const { user } = renderWithProviders(<ErrorNotice />);
+
+    const event = new Event("unhandledrejection");
+    event.reason = new Error('<img src="x" onerror="alert(1)">');
+    act(() => window.dispatchEvent(event));
+
+    const notice = screen.getByRole("alert");
+    expect(notice).toHaveTextContent('<img src="x" onerror="alert(1)">');
+    expect(notice.querySelector("img")).toBeNull();
+    expect(errorLog.getSnapshot()[0].source).toBe("unhandledrejection");
+
+    await user.click(within(notice).getByRole("button", { name: "Dismiss" }));
+    expect(screen.queryByRole("alert")).not.toBeInTheDocument();
+  });
+
+  it("lists, exports and clears the log on the diagnostics page", async () => {
+    errorLog.record(new TypeError("x is undefined"), { source: "error" });
+    errorLog.record("timed out", {
+      source: "unhandledrejection",
+      path: "/examples",
+    });
+    const { user } = renderWithProviders(<Diagnostics />, {
+      route: "/diagnostics",
+    });
+
+    expect(screen.getByText("x is undefined")).toBeInTheDocument();
+    expect(screen.getByText("timed out")).toBeInTheDocument();
+    expect(screen.getByText(/on \/examples$/)).toBeInTheDocument();
+
+    const exported = JSON.parse(errorLog.export());
+    expect(exported.errors.map((entry) => entry.message)).toEqual([
+      "timed out",
+      "x is undefined",
+    ]);
+
+    await user.click(screen.getByRole("button", { name: "Clear log" }));
+    expect(screen.getByText("No errors have been logged.")).toBeInTheDocument();
+    expect(errorLog.getSnapshot()).toEqual([]);
+  });
+
+  it("keeps the log in memory when storage is disabled", () => {
+    const storage = vi
+      .spyOn(window, "localStorage", "get")
+      .mockImplementation(() => {
+        throw new DOMException("Storage is disabled", "SecurityError");
+      });
+
+    errorLog.record(new Error("Offline"), { source: "error" });
+    expect(errorLog.getSnapshot()[0].message).toBe("Offline");
+    expect(() => errorLog.clear()).not.toThrow();
+    expect(errorLog.getSnapshot()).toEqual([]);
+
+    storage.mockRestore();
+  });
+});
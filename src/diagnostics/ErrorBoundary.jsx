@@ -0,0 +1,48 @@
+import React, { Component } from "react";
+import { errorLog } from "./errorLog";
+import ErrorFallback from "./ErrorFallback";
+
+/**
+ * Catches render errors below it, logs them to the error log and shows
+ * `title` with the error message and a Retry button in their place. Retry
+ * calls `onRetry` (e.g. to load a failed chunk again) and renders the
+ * children again; so does a change of `resetKey`, e.g. navigating away.
+ */
+export class ErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    errorLog.record(error, {
+      source: "render",
+      componentStack: info.componentStack,
+    });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (prevProps.resetKey !== this.props.resetKey && this.state.error) {
+      this.setState({ error: null });
+    }
+  }
+
+  retry = () => {
+    this.props.onRetry?.();
+    this.setState({ error: null });
+  };
+
+  render() {
+    if (this.state.error) {
+      return (
+        <ErrorFallback
+          title={this.props.title ?? "Something went wrong"}
+          error={this.state.error}
+          onRetry={this.retry}
+        />
+      );
+    }
+    return this.props.children;
+  }
+}
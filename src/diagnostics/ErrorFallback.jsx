@@ -0,0 +1,42 @@
+import React from "react";
+import { Link as RouterLink } from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Button,
+  Link,
+  MessageBar,
+  MessageBarActions,
+  MessageBarBody,
+  MessageBarTitle,
+} from "@fluentui/react-components";
+import { ArrowClockwiseRegular } from "@fluentui/react-icons";
+
+const useStyles = makeStyles({
+  fallback: {
+    margin: tokens.spacingHorizontalXXL,
+  },
+});
+
+/**
+ * What an `ErrorBoundary` renders in place of the children that threw.
+ */
+export default function ErrorFallback({ title, error, onRetry }) {
+  const styles = useStyles();
+  return (
+    <MessageBar intent="error" layout="multiline" className={styles.fallback}>
+      <MessageBarBody>
+        <MessageBarTitle>{title}</MessageBarTitle>
+        {error.message || String(error)}{" "}
+        <Link as={RouterLink} to="/diagnostics" inline>
+          Details
+        </Link>
+      </MessageBarBody>
+      <MessageBarActions>
+        <Button icon={<ArrowClockwiseRegular />} onClick={onRetry}>
+          Retry
+        </Button>
+      </MessageBarActions>
+    </MessageBar>
+  );
+}
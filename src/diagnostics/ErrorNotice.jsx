@@ -0,0 +1,75 @@
+import React, { useState, useSyncExternalStore } from "react";
+import { Link as RouterLink } from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Button,
+  Link,
+  MessageBar,
+  MessageBarActions,
+  MessageBarBody,
+  MessageBarTitle,
+} from "@fluentui/react-components";
+import { DismissRegular } from "@fluentui/react-icons";
+import { ERROR_SOURCES, errorLog } from "./errorLog";
+
+const useStyles = makeStyles({
+  notice: {
+    position: "fixed",
+    bottom: tokens.spacingVerticalL,
+    right: tokens.spacingHorizontalL,
+    maxWidth: "480px",
+    zIndex: 1000,
+    boxShadow: tokens.shadow16,
+  },
+});
+
+const isUncaught = (entry) => entry.source !== "render";
+
+/**
+ * Shows the latest uncaught error or unhandled rejection logged since the
+ * page loaded, until dismissed. Render errors show in place, in their error
+ * boundary.
+ */
+export default function ErrorNotice() {
+  const styles = useStyles();
+  const log = useSyncExternalStore(
+    errorLog.subscribe,
+    errorLog.getSnapshot,
+    errorLog.getServerSnapshot,
+  );
+  // Errors logged before this mounted (e.g. in an earlier session) are old.
+  const [seenId, setSeenId] = useState(() => log[0]?.id ?? 0);
+  const entry = log.find(isUncaught);
+
+  if (!entry || entry.id <= seenId) {
+    return null;
+  }
+
+  return (
+    <MessageBar
+      intent="error"
+      layout="multiline"
+      className={styles.notice}
+      role="alert"
+    >
+      <MessageBarBody>
+        <MessageBarTitle>{ERROR_SOURCES[entry.source]}</MessageBarTitle>
+        {entry.message}{" "}
+        <Link as={RouterLink} to="/diagnostics" inline>
+          Details
+        </Link>
+      </MessageBarBody>
+      <MessageBarActions
+        containerAction={
+          <Button
+            appearance="transparent"
+            aria-label="Dismiss"
+            icon={<DismissRegular />}
+            onClick={() => setSeenId(entry.id)}
+          />
+        }
+      />
+    </MessageBar>
+  );
+}
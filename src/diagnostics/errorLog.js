@@ -0,0 +1,122 @@
+/**
+ * The errors the app has run into: render errors caught by the error
+ * boundaries, uncaught errors and unhandled promise rejections caught by the
+ * global handlers, and settings that could not be read or saved. Kept in
+ * localStorage so the diagnostics page can show and export them after a
+ * reload.
+ */
+import {
+  readStoredJson,
+  removeStorageItem,
+  writeStoredJson,
+} from "../utils/storage";
+
+export const ERROR_LOG_STORAGE_KEY = "error-log";
+
+/** Where an error was caught. */
+export const ERROR_SOURCES = {
+  render: "Render error",
+  error: "Uncaught error",
+  unhandledrejection: "Unhandled rejection",
+  storage: "Storage error",
+};
+
+// Older errors are dropped beyond this many.
+const MAX_ENTRIES = 100;
+
+const listeners = new Set();
+
+const readLog = () => {
+  const stored = readStoredJson(ERROR_LOG_STORAGE_KEY);
+  return Array.isArray(stored) ? stored : [];
+};
+
+let current = readLog();
+
+const EMPTY_LOG = [];
+
+const write = (entries) => {
+  current = entries;
+  // Full or disabled storage only costs the log surviving a reload.
+  writeStoredJson(ERROR_LOG_STORAGE_KEY, current);
+  listeners.forEach((listener) => listener());
+};
+
+// Anything can be thrown or rejected with, not only Errors.
+const describe = (error) => {
+  if (error instanceof Error) {
+    return {
+      name: error.name,
+      message: error.message || error.name,
+      stack: error.stack ?? null,
+    };
+  }
+  let message;
+  try {
+    message = typeof error === "string" ? error : JSON.stringify(error);
+  } catch {
+    message = String(error);
+  }
+  return { name: "Error", message: message ?? String(error), stack: null };
+};
+
+let lastId = current.reduce((max, entry) => Math.max(max, entry.id), 0);
+
+export const errorLog = {
+  /**
+   * The logged errors, newest first: `{ id, time, source, name, message,
+   * stack, componentStack, path }`, `time` as an ISO string and `source` a
+   * key of ERROR_SOURCES.
+   */
+  getSnapshot: () => current,
+
+  getServerSnapshot: () => EMPTY_LOG,
+
+  subscribe(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  /**
+   * Logs `error`, caught at `source`, and returns the entry.
+   *
+   * @param {unknown} error
+   * @param {object} details
+   * @param {keyof typeof ERROR_SOURCES} details.source
+   * @param {string} [details.componentStack] - for render errors
+   * @param {string} [details.path] - the route it happened on; defaults to
+   *   the current one
+   */
+  record(error, { source, componentStack = null, path } = {}) {
+    const entry = {
+      id: ++lastId,
+      time: new Date().toISOString(),
+      source,
+      ...describe(error),
+      componentStack,
+      path: path ?? window.location.pathname,
+    };
+    write([entry, ...current].slice(0, MAX_ENTRIES));
+    return entry;
+  },
+
+  clear() {
+    current = EMPTY_LOG;
+    removeStorageItem(ERROR_LOG_STORAGE_KEY);
+    listeners.forEach((listener) => listener());
+  },
+
+  /** The log as a JSON document, with the browser it was collected in. */
+  export() {
+    return JSON.stringify(
+      {
+        exportedAt: new Date().toISOString(),
+        userAgent: window.navigator.userAgent,
+        url: window.location.href,
+        errors: current,
+      },
+      null,
+      2,
+    );
+  },
+};
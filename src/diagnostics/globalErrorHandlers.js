@@ -0,0 +1,20 @@
+import { errorLog } from "./errorLog";
+
+/**
+ * Logs the errors nothing else catches: uncaught errors and unhandled promise
+ * rejections. ErrorNotice shows them; the diagnostics page lists them.
+ * Returns a function that removes the handlers.
+ */
+export function installGlobalErrorHandlers(target = window) {
+  const handleError = (event) =>
+    errorLog.record(event.error ?? event.message, { source: "error" });
+  const handleRejection = (event) =>
+    errorLog.record(event.reason, { source: "unhandledrejection" });
+
+  target.addEventListener("error", handleError);
+  target.addEventListener("unhandledrejection", handleRejection);
+  return () => {
+    target.removeEventListener("error", handleError);
+    target.removeEventListener("unhandledrejection", handleRejection);
+  };
+}
@@ -0,0 +1,9 @@
+/**
+ * Error reporting: error boundaries around the routes, global handlers for
+ * uncaught errors and unhandled rejections, and the error log they write to,
+ * which the diagnostics page shows and exports.
+ */
+export { ErrorBoundary } from "./ErrorBoundary";
+export { default as ErrorNotice } from "./ErrorNotice";
+export { ERROR_LOG_STORAGE_KEY, ERROR_SOURCES, errorLog } from "./errorLog";
+export { installGlobalErrorHandlers } from "./globalErrorHandlers";
@@ -0,0 +1,121 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useSearchParams } from "react-router-dom";
+
+// How values of each type are written to and read from a search param. A
+// value that cannot be read back is `undefined`, and falls back to the default.
+const CODECS = {
+  string: { parse: (raw) => raw, serialize: String },
+  number: {
+    parse: (raw) => (raw.trim() && Number.isFinite(+raw) ? +raw : undefined),
+    serialize: String,
+  },
+  boolean: {
+    parse: (raw) => ({ true: true, false: false })[raw],
+    serialize: String,
+  },
+};
+
+/**
+ * Like `useState`, but kept in the `key` search param so the state survives
+ * a reload and can be shared as a link. The param is left out of the URL
+ * while the value is `defaultValue`, and a missing or unreadable param reads
+ * as `defaultValue`; so do values not in `values`, when given.
+ *
+ * The returned value updates at once, but the URL only after `debounce`
+ * milliseconds without another change, so typing into a field makes one
+ * history update rather than one per key. Updates replace the current
+ * history entry unless `replace` is false. Navigating to a URL with another
+ * value (Back, a link) updates the state. Writes read the current params from
+ * `window.location`, so this needs the BrowserRouter the app uses.
+ *
+ * @template T
+ * @param {string} key
+ * @param {T} defaultValue - a string, number or boolean, which also picks how
+ *   the value is written to the URL unless `parse` and `serialize` are given
+ * @param {object} [options]
+ * @param {T[]} [options.values] - the only values the URL may select
+ * @param {(raw: string) => T | undefined} [options.parse]
+ * @param {(value: T) => string} [options.serialize]
+ * @param {number} [options.debounce]
+ * @param {boolean} [options.replace]
+ * @returns {[T, (next: T | ((value: T) => T)) => void]}
+ */
+export function useUrlState(
+  key,
+  defaultValue,
+  {
+    values,
+    parse = CODECS[typeof defaultValue].parse,
+    serialize = CODECS[typeof defaultValue].serialize,
+    debounce = 300,
+    replace = true,
+  } = {},
+) {
+  const [searchParams, setSearchParams] = useSearchParams();
+  const raw = searchParams.get(key);
+  const parsed = raw === null ? undefined : parse(raw);
+  const urlValue =
+    parsed === undefined || (values && !values.includes(parsed))
+      ? defaultValue
+      : parsed;
+
+  // The value set but not yet written to the URL.
+  const [pending, setPending] = useState(null);
+  const value = pending ? pending.value : urlValue;
+
+  const timer = useRef(null);
+  const latest = useRef();
+  latest.current = {
+    value,
+    setSearchParams,
+    key,
+    defaultValue,
+    serialize,
+    replace,
+  };
+
+  // Once the URL has changed and nothing is waiting to be written, the URL
+  // holds the value again: either the one written or one navigated to.
+  useEffect(() => {
+    if (timer.current === null) {
+      setPending(null);
+    }
+  }, [raw]);
+
+  useEffect(() => () => clearTimeout(timer.current), []);
+
+  const setValue = useCallback(
+    (next) => {
+      const nextValue =
+        typeof next === "function" ? next(latest.current.value) : next;
+      latest.current.value = nextValue;
+      setPending({ value: nextValue });
+
+      clearTimeout(timer.current);
+      timer.current = setTimeout(() => {
+        timer.current = null;
+        const { setSearchParams, key, defaultValue, serialize, replace } =
+          latest.current;
+        setSearchParams(
+          () => {
+            // Start from the address bar rather than the params of the last
+            // render: another param's write may have landed since.
+            const nextParams = new URLSearchParams(window.location.search);
+            if (nextValue === defaultValue) {
+              nextParams.delete(key);
+            } else {
+              nextParams.set(key, serialize(nextValue));
+            }
+            return nextParams;
+          },
+          { replace },
+        );
+      }, debounce);
+    },
+    [debounce],
+  );
+
+  return [value, setValue];
+}
+
+export default useUrlState;
@@ -0,0 +1,116 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { useLocation } from "react-router-dom";
+import { act, screen, waitFor } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import { useUrlState } from "./useUrlState";
+
+function Demo({ countOptions }) {
+  const [count, setCount] = useUrlState("count", 0, countOptions);
+  const [name, setName] = useUrlState("name", "");
+  const { search } = useLocation();
+  return (
+    <>
+      <output aria-label="count">{count}</output>
+      <button onClick={() => setCount((value) => value + 1)}>Add</button>
+      <button onClick={() => setCount(0)}>Reset</button>
+      <input
+        aria-label="name"
+        value={name}
+        onChange={(event) => setName(event.target.value)}
+      />
+      <output aria-label="search">{search}</output>
+    </>
+  );
+}
+
+const search = () => screen.getByLabelText("search");
+
+// Two params set by one click, so both writes land before a re-render.
+function Filters() {
+  const [kind, setKind] = useUrlState("kind", "all", { debounce: 0 });
+  const [sort, setSort] = useUrlState("sort", "new", { debounce: 0 });
+  const { search } = useLocation();
+  return (
+    <>
+      <button
+        onClick={() => {
+          setKind("docs");
+          setSort("old");
+        }}
+      >
+        Filter
+      </button>
+      <output aria-label="filters">{`${kind} ${sort}`}</output>
+      <output aria-label="search">{search}</output>
+    </>
+  );
+}
+
+describe("useUrlState", () => {
+  it("reads its value from the URL", () => {
+    renderWithProviders(<Demo />, { route: "/?count=3&name=Ada" });
+
+    expect(screen.getByLabelText("count")).toHaveTextContent("3");
+    expect(screen.getByLabelText("name")).toHaveValue("Ada");
+  });
+
+  it("falls back to the default for a missing or unreadable param", () => {
+    renderWithProviders(<Demo countOptions={{ values: [0, 1, 2] }} />, {
+      route: "/?count=7",
+    });
+
+    expect(screen.getByLabelText("count")).toHaveTextContent("0");
+    expect(screen.getByLabelText("name")).toHaveValue("");
+  });
+
+  it("writes to the URL once typing pauses, in the same history entry", async () => {
+    const { user } = renderWithProviders(<Demo />, { route: "/" });
+    const historyLength = window.history.length;
+
+    await user.type(screen.getByLabelText("name"), "Ada");
+
+    expect(screen.getByLabelText("name")).toHaveValue("Ada");
+    expect(search()).toHaveTextContent(/^$/);
+    await waitFor(() => expect(search()).toHaveTextContent("?name=Ada"));
+    expect(window.history.length).toBe(historyLength);
+  });
+
+  it("leaves a default value out of the URL", async () => {
+    const { user } = renderWithProviders(<Demo />, {
+      route: "/?count=2&name=Ada",
+    });
+
+    await user.click(screen.getByRole("button", { name: "Reset" }));
+
+    await waitFor(() => expect(search()).toHaveTextContent("?name=Ada"));
+    expect(screen.getByLabelText("count")).toHaveTextContent("0");
+  });
+
+  it("keeps every param when several are written at once", async () => {
+    const { user } = renderWithProviders(<Filters />, { route: "/?page=2" });
+
+    await user.click(screen.getByRole("button", { name: "Filter" }));
+
+    await waitFor(() =>
+      expect(search()).toHaveTextContent("?page=2&kind=docs&sort=old"),
+    );
+    expect(screen.getByLabelText("filters")).toHaveTextContent("docs old");
+  });
+
+  it("follows the URL back through pushed history entries", async () => {
+    const { user } = renderWithProviders(
+      <Demo countOptions={{ debounce: 0, replace: false }} />,
+      { route: "/" },
+    );
+
+    await user.click(screen.getByRole("button", { name: "Add" }));
+    await user.click(screen.getByRole("button", { name: "Add" }));
+    await waitFor(() => expect(search()).toHaveTextContent("?count=2"));
+
+    act(() => window.history.back());
+
+    await waitFor(() => expect(search()).toHaveTextContent("?count=1"));
+    expect(screen.getByLabelText("count")).toHaveTextContent("1");
+  });
+});
@@ -1,8 +1,15 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import { BrowserRouter } from 'react-router-dom'
+// Theme tokens as CSS custom properties for CSS modules and SCSS; generated
+// by scripts/tokens.js before dev and build.
+import './styles/tokens/tokens.css'
 import './index.css'
 import App from './App.jsx'
+import { installGlobalErrorHandlers } from './diagnostics'
+
+// Before the first render, so errors while starting up are logged too.
+installGlobalErrorHandlers()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React from 'react';
 import {
   makeStyles,
   tokens,
@@ -35,6 +35,11 @@ import {
   HeartRegular,
   SendRegular
 } from '@fluentui/react-icons';
+import { useUrlState } from '../hooks/useUrlState';
+
+const TABS = ['forms', 'buttons', 'feedback', 'layout'];
+const ACCOUNT_TYPES = ['option1', 'option2', 'option3'];
+const FRAMEWORKS = ['react', 'vue', 'angular', 'svelte'];
 
 const useStyles = makeStyles({
   container: {
@@ -172,13 +177,23 @@ const useStyles = makeStyles({
 
 export default function Components() {
   const styles = useStyles();
-  const [inputValue, setInputValue] = useState('');
-  const [textareaValue, setTextareaValue] = useState('');
-  const [switchChecked, setSwitchChecked] = useState(false);
-  const [checkboxChecked, setCheckboxChecked] = useState(false);
-  const [radioValue, setRadioValue] = useState('option1');
-  const [dropdownValue, setDropdownValue] = useState('');
-  const [selectedTab, setSelectedTab] = useState('forms');
+  // The tab and the demo values are kept in the URL, so a reload or a shared
+  // link shows the same demo.
+  const [selectedTab, setSelectedTab] = useUrlState('tab', 'forms', {
+    values: TABS,
+    debounce: 0,
+    replace: false
+  });
+  const [inputValue, setInputValue] = useUrlState('name', '');
+  const [textareaValue, setTextareaValue] = useUrlState('bio', '');
+  const [switchChecked, setSwitchChecked] = useUrlState('notifications', false);
+  const [checkboxChecked, setCheckboxChecked] = useUrlState('agree', false);
+  const [radioValue, setRadioValue] = useUrlState('account', 'option1', {
+    values: ACCOUNT_TYPES
+  });
+  const [dropdownValue, setDropdownValue] = useUrlState('framework', '', {
+    values: ['', ...FRAMEWORKS]
+  });
   
   const showToast = () => {
     alert('Toast functionality would appear here!');
@@ -267,6 +282,7 @@ export default function Components() {
                   <Dropdown 
                     placeholder="Choose your framework..."
                     value={dropdownValue}
+                    selectedOptions={dropdownValue ? [dropdownValue] : []}
                     onOptionSelect={(e, data) => setDropdownValue(data.optionValue)}
                     className={styles.demoInput}
                   >
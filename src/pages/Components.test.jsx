@@ -0,0 +1,44 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { screen, waitFor } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import Components from "./Components";
+
+describe("Components", () => {
+  it("restores the tab and demo values from a shared link", () => {
+    renderWithProviders(<Components />, {
+      route:
+        "/components?tab=forms&name=Ada&notifications=true&account=option2&framework=vue",
+    });
+
+    expect(screen.getByPlaceholderText("Enter your name...")).toHaveValue(
+      "Ada",
+    );
+    expect(
+      screen.getByRole("switch", { name: "Enable notifications" }),
+    ).toBeChecked();
+    expect(
+      screen.getByRole("radio", { name: "Business account" }),
+    ).toBeChecked();
+    expect(screen.getByText("Selected: vue")).toBeInTheDocument();
+  });
+
+  it("keeps the selected tab and demo values in the URL", async () => {
+    const { user } = renderWithProviders(<Components />, {
+      route: "/components",
+    });
+
+    await user.click(
+      screen.getByRole("checkbox", { name: "I agree to the terms" }),
+    );
+    await waitFor(() => expect(window.location.search).toBe("?agree=true"));
+
+    await user.click(screen.getByRole("tab", { name: "Buttons & Actions" }));
+    await waitFor(() =>
+      expect(window.location.search).toBe("?agree=true&tab=buttons"),
+    );
+    expect(
+      screen.queryByRole("checkbox", { name: "I agree to the terms" }),
+    ).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,179 @@
+import React, { useSyncExternalStore } from "react";
+import {
+  makeStyles,
+  tokens,
+  Accordion,
+  AccordionHeader,
+  AccordionItem,
+  AccordionPanel,
+  Badge,
+  Body1,
+  Button,
+  Caption1,
+  Title2,
+} from "@fluentui/react-components";
+import { ArrowDownloadRegular, DeleteRegular } from "@fluentui/react-icons";
+import { ERROR_SOURCES, errorLog } from "../diagnostics";
+import { downloadFile } from "../utils/download";
+
+const useStyles = makeStyles({
+  page: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalXL,
+    padding: `${tokens.spacingVerticalXXL} ${tokens.spacingHorizontalXXL}`,
+    backgroundColor: tokens.colorNeutralBackground1,
+    minHeight: "calc(100vh - 64px)",
+    boxSizing: "border-box",
+  },
+  header: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalS,
+  },
+  subtitle: {
+    color: tokens.colorNeutralForeground2,
+  },
+  toolbar: {
+    display: "flex",
+    alignItems: "center",
+    flexWrap: "wrap",
+    gap: tokens.spacingHorizontalS,
+  },
+  summary: {
+    display: "flex",
+    gap: tokens.spacingHorizontalS,
+    marginRight: "auto",
+  },
+  entryHeader: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "flex-start",
+    gap: tokens.spacingVerticalXXS,
+    minWidth: 0,
+  },
+  entryTitle: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalS,
+  },
+  meta: {
+    color: tokens.colorNeutralForeground3,
+  },
+  trace: {
+    margin: `0 0 ${tokens.spacingVerticalM}`,
+    padding: tokens.spacingHorizontalM,
+    backgroundColor: tokens.colorNeutralBackground3,
+    borderRadius: tokens.borderRadiusMedium,
+    fontFamily: tokens.fontFamilyMonospace,
+    fontSize: tokens.fontSizeBase200,
+    whiteSpace: "pre-wrap",
+    overflowX: "auto",
+  },
+});
+
+const SOURCE_COLORS = {
+  render: "danger",
+  error: "severe",
+  unhandledrejection: "warning",
+  storage: "informative",
+};
+
+function ErrorEntry({ entry }) {
+  const styles = useStyles();
+  return (
+    <AccordionItem value={entry.id}>
+      <AccordionHeader>
+        <div className={styles.entryHeader}>
+          <div className={styles.entryTitle}>
+            <Badge appearance="tint" color={SOURCE_COLORS[entry.source]}>
+              {ERROR_SOURCES[entry.source]}
+            </Badge>
+            <Body1>{entry.message}</Body1>
+          </div>
+          <Caption1 className={styles.meta}>
+            {new Date(entry.time).toLocaleString()} on {entry.path}
+          </Caption1>
+        </div>
+      </AccordionHeader>
+      <AccordionPanel>
+        {entry.stack && <pre className={styles.trace}>{entry.stack}</pre>}
+        {entry.componentStack && (
+          <pre className={styles.trace}>
+            {`Component stack:${entry.componentStack}`}
+          </pre>
+        )}
+        {!entry.stack && !entry.componentStack && (
+          <Body1 className={styles.meta}>No stack trace was recorded.</Body1>
+        )}
+      </AccordionPanel>
+    </AccordionItem>
+  );
+}
+
+/**
+ * The error log: every render error, uncaught error and unhandled rejection
+ * recorded in this browser, newest first, with their stack traces. The log
+ * can be exported as JSON to attach to a bug report.
+ */
+export default function Diagnostics() {
+  const styles = useStyles();
+  const log = useSyncExternalStore(
+    errorLog.subscribe,
+    errorLog.getSnapshot,
+    errorLog.getServerSnapshot,
+  );
+
+  const exportLog = () =>
+    downloadFile(
+      errorLog.export(),
+      `error-log-${new Date().toISOString().slice(0, 10)}.json`,
+      "application/json",
+    );
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.header}>
+        <Title2>Diagnostics</Title2>
+        <Body1 className={styles.subtitle}>
+          Errors the app has run into in this browser. Export the log to attach
+          it to a bug report.
+        </Body1>
+      </div>
+
+      <div className={styles.toolbar}>
+        <div className={styles.summary}>
+          {Object.entries(ERROR_SOURCES).map(([source, label]) => (
+            <Badge key={source} appearance="outline" color="informative">
+              {label}s: {log.filter((entry) => entry.source === source).length}
+            </Badge>
+          ))}
+        </div>
+        <Button
+          icon={<ArrowDownloadRegular />}
+          onClick={exportLog}
+          disabled={log.length === 0}
+        >
+          Export log
+        </Button>
+        <Button
+          icon={<DeleteRegular />}
+          onClick={errorLog.clear}
+          disabled={log.length === 0}
+        >
+          Clear log
+        </Button>
+      </div>
+
+      {log.length === 0 ? (
+        <Body1>No errors have been logged.</Body1>
+      ) : (
+        <Accordion multiple collapsible>
+          {log.map((entry) => (
+            <ErrorEntry key={entry.id} entry={entry} />
+          ))}
+        </Accordion>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,338 @@
+import React, { Suspense, lazy, useEffect, useMemo } from "react";
+import {
+  Routes,
+  Route,
+  Navigate,
+  Link as RouterLink,
+  useLocation,
+  useParams,
+} from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Title2,
+  Body1,
+  Caption1,
+  Badge,
+  Card,
+  CardHeader,
+  MessageBar,
+  MessageBarBody,
+  Spinner,
+} from "@fluentui/react-components";
+import {
+  docPages,
+  resolveDoc,
+  getLazyDoc,
+  DocNotFoundError,
+} from "../utils/docsRegistry";
+
+const DocLivePreview = lazy(() => import("../components/DocLivePreview"));
+
+const LIVE_LANGUAGES = ["tsx", "jsx"];
+const TOC_LEVELS = [2, 3];
+
+const useStyles = makeStyles({
+  layout: {
+    display: "flex",
+    gap: tokens.spacingHorizontalXXL,
+    minHeight: "calc(100vh - 64px)",
+    padding: `${tokens.spacingVerticalXXL} ${tokens.spacingHorizontalXXL}`,
+    backgroundColor: tokens.colorNeutralBackground1,
+    boxSizing: "border-box",
+  },
+  content: {
+    flex: 1,
+    minWidth: 0,
+    maxWidth: "960px",
+    "& h2, & h3, & h4": {
+      scrollMarginTop: "80px",
+    },
+    "& table": {
+      borderCollapse: "collapse",
+      marginBottom: tokens.spacingVerticalL,
+    },
+    "& th, & td": {
+      border: `1px solid ${tokens.colorNeutralStroke2}`,
+      padding: `${tokens.spacingVerticalXS} ${tokens.spacingHorizontalS}`,
+      textAlign: "left",
+    },
+    "& :not(pre) > code": {
+      fontFamily: tokens.fontFamilyMonospace,
+      backgroundColor: tokens.colorNeutralBackground3,
+      borderRadius: tokens.borderRadiusSmall,
+      padding: `0 ${tokens.spacingHorizontalXS}`,
+    },
+  },
+  toc: {
+    width: "240px",
+    flexShrink: 0,
+    position: "sticky",
+    top: "88px",
+    alignSelf: "flex-start",
+    maxHeight: "calc(100vh - 112px)",
+    overflowY: "auto",
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalXS,
+  },
+  tocTitle: {
+    fontWeight: tokens.fontWeightSemibold,
+    marginBottom: tokens.spacingVerticalS,
+  },
+  tocLink: {
+    color: tokens.colorNeutralForeground2,
+    textDecoration: "none",
+    "&:hover": {
+      color: tokens.colorBrandForeground1,
+    },
+  },
+  tocNested: {
+    paddingLeft: tokens.spacingHorizontalL,
+  },
+  header: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalS,
+    marginBottom: tokens.spacingVerticalXL,
+  },
+  subtitle: {
+    color: tokens.colorNeutralForeground2,
+  },
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))",
+    gap: tokens.spacingHorizontalL,
+  },
+  cardLink: {
+    textDecoration: "none",
+    color: "inherit",
+  },
+  card: {
+    height: "100%",
+    "&:hover": {
+      boxShadow: tokens.shadow8,
+    },
+  },
+  heading: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalS,
+  },
+  codeBlock: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalS,
+    marginBottom: tokens.spacingVerticalL,
+  },
+  code: {
+    margin: 0,
+    padding: tokens.spacingHorizontalL,
+    overflowX: "auto",
+    fontFamily: tokens.fontFamilyMonospace,
+    fontSize: tokens.fontSizeBase200,
+    backgroundColor: tokens.colorNeutralBackground3,
+    borderRadius: tokens.borderRadiusMedium,
+  },
+});
+
+// The usage snippets declare the component they demonstrate without exporting
+// it; the last capitalized declaration is the one to render.
+const findSnippetComponent = (code) => {
+  const names = [
+    ...code.matchAll(
+      /^(?:export\s+)?(?:default\s+)?(?:function|const|class)\s+([A-Z]\w*)/gm,
+    ),
+  ].map(([, name]) => name);
+  return names.findLast((name) => name.includes("Example")) ?? names.at(-1);
+};
+
+const hashCode = (text) =>
+  [...text]
+    .reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 0)
+    .toString(36);
+
+function DocCodeBlock({ slug, children }) {
+  const styles = useStyles();
+  const className = children?.props?.className ?? "";
+  const code = String(children?.props?.children ?? "");
+  const language = className.replace(/^language-/, "");
+  const componentName = LIVE_LANGUAGES.includes(language)
+    ? findSnippetComponent(code)
+    : null;
+
+  return (
+    <div className={styles.codeBlock}>
+      {componentName && (
+        <Suspense fallback={<Spinner label="Loading preview..." />}>
+          <DocLivePreview
+            code={code}
+            componentName={componentName}
+            path={`../docs/${slug}/${hashCode(code)}.tsx`}
+          />
+        </Suspense>
+      )}
+      <pre className={styles.code}>
+        <code className={className}>{code}</code>
+      </pre>
+    </div>
+  );
+}
+
+const createHeading = (tagName) =>
+  function DocHeading({ children, "data-role": role, ...props }) {
+    const styles = useStyles();
+    const Tag = tagName;
+
+    return (
+      <Tag {...props} className={styles.heading}>
+        {children}
+        {role && <Badge appearance="tint">{role}</Badge>}
+      </Tag>
+    );
+  };
+
+const headingComponents = {
+  h2: createHeading("h2"),
+  h3: createHeading("h3"),
+  h4: createHeading("h4"),
+};
+
+function TableOfContents({ doc }) {
+  const styles = useStyles();
+  const headings = doc.headings.filter((heading) =>
+    TOC_LEVELS.includes(heading.level),
+  );
+
+  return (
+    <nav className={styles.toc} aria-label="On this page">
+      <Caption1 className={styles.tocTitle}>On this page</Caption1>
+      {headings.map((heading) => (
+        <RouterLink
+          key={heading.id}
+          to={{ hash: heading.id }}
+          className={`${styles.tocLink} ${
+            heading.level > TOC_LEVELS[0] ? styles.tocNested : ""
+          }`}
+        >
+          <Caption1>{heading.title}</Caption1>
+        </RouterLink>
+      ))}
+    </nav>
+  );
+}
+
+// Scrolls to the heading in the URL hash once the compiled doc has rendered.
+function ScrollToHash() {
+  const { hash } = useLocation();
+
+  useEffect(() => {
+    if (hash) {
+      document.getElementById(decodeURIComponent(hash.slice(1)))?.scrollIntoView();
+    }
+  }, [hash]);
+
+  return null;
+}
+
+function DocList() {
+  const styles = useStyles();
+
+  return (
+    <div className={styles.content}>
+      <div className={styles.header}>
+        <Title2>Docs</Title2>
+        <Body1 className={styles.subtitle}>
+          Component group documentation from repo-indexing/, with live
+          previews of the usage examples.
+        </Body1>
+      </div>
+      <div className={styles.grid}>
+        {docPages.map((doc) => (
+          <RouterLink
+            key={doc.slug}
+            to={`/docs/${doc.slug}`}
+            className={styles.cardLink}
+          >
+            <Card className={styles.card}>
+              <CardHeader
+                header={<Body1>{doc.title}</Body1>}
+                description={<Caption1>{doc.purpose}</Caption1>}
+              />
+            </Card>
+          </RouterLink>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function DocPage() {
+  const styles = useStyles();
+  const { group } = useParams();
+  // Stable per doc, so following a TOC link does not remount the previews.
+  const components = useMemo(
+    () => ({
+      ...headingComponents,
+      pre: (props) => <DocCodeBlock slug={group} {...props} />,
+    }),
+    [group],
+  );
+
+  let found;
+  try {
+    found = resolveDoc(group);
+  } catch (error) {
+    if (!(error instanceof DocNotFoundError)) {
+      throw error;
+    }
+    return (
+      <div className={styles.content}>
+        <MessageBar intent="warning">
+          <MessageBarBody>{error.message}</MessageBarBody>
+        </MessageBar>
+      </div>
+    );
+  }
+
+  // Components, aliases and other group names redirect to the doc that
+  // covers them, scrolled to the component's section when it has one.
+  if (found.slug !== group) {
+    const section = found.doc.headings.find(
+      (heading) => heading.title === found.component,
+    );
+    return (
+      <Navigate
+        replace
+        to={{ pathname: `/docs/${found.slug}`, hash: section?.id ?? "" }}
+      />
+    );
+  }
+
+  const LazyDoc = getLazyDoc(found.slug);
+
+  return (
+    <>
+      <article className={styles.content}>
+        <Suspense fallback={<Spinner label="Loading docs..." />}>
+          <LazyDoc components={components} />
+          <ScrollToHash />
+        </Suspense>
+      </article>
+      <TableOfContents doc={found.doc} />
+    </>
+  );
+}
+
+export default function Docs() {
+  const styles = useStyles();
+
+  return (
+    <div className={styles.layout}>
+      <Routes>
+        <Route index element={<DocList />} />
+        <Route path=":group" element={<DocPage />} />
+      </Routes>
+    </div>
+  );
+}
@@ -0,0 +1,312 @@
+import React, { Suspense, lazy } from "react";
+import {
+  Routes,
+  Route,
+  Link as RouterLink,
+  useNavigate,
+  useParams,
+  useSearchParams,
+} from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Title2,
+  Title3,
+  Body1,
+  Caption1,
+  Badge,
+  Breadcrumb,
+  BreadcrumbItem,
+  BreadcrumbButton,
+  BreadcrumbDivider,
+  Card,
+  CardHeader,
+  MessageBar,
+  MessageBarBody,
+  Spinner,
+  TabList,
+  Tab,
+} from "@fluentui/react-components";
+import { CodeRegular, EditRegular, EyeRegular } from "@fluentui/react-icons";
+import ExampleSidebar from "../components/ExampleSidebar";
+import ExampleFrame from "../components/ExampleFrame";
+import {
+  examplePackages,
+  findPackage,
+  findComponent,
+  findExample,
+  getExamplePath,
+  getLazyExample,
+} from "../utils/exampleRegistry";
+
+const ExampleCodePanel = lazy(() => import("../components/ExampleCodePanel"));
+
+const EXAMPLE_VIEWS = ["preview", "code", "playground"];
+
+const useStyles = makeStyles({
+  layout: {
+    display: "flex",
+    minHeight: "calc(100vh - 64px)",
+    backgroundColor: tokens.colorNeutralBackground1,
+  },
+  content: {
+    flex: 1,
+    minWidth: 0,
+    padding: `${tokens.spacingVerticalXXL} ${tokens.spacingHorizontalXXL}`,
+  },
+  header: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalS,
+    marginBottom: tokens.spacingVerticalXL,
+  },
+  subtitle: {
+    color: tokens.colorNeutralForeground2,
+  },
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(220px, 1fr))",
+    gap: tokens.spacingHorizontalL,
+  },
+  cardLink: {
+    textDecoration: "none",
+    color: "inherit",
+  },
+  tabs: {
+    marginBottom: tokens.spacingVerticalL,
+  },
+  card: {
+    height: "100%",
+    "&:hover": {
+      boxShadow: tokens.shadow8,
+    },
+  },
+});
+
+const crumbs = (packageName, componentName, example) =>
+  [
+    { label: "Examples", path: "/examples" },
+    packageName && { label: packageName, path: `/examples/${packageName}` },
+    componentName && {
+      label: componentName,
+      path: `/examples/${packageName}/${componentName}`,
+    },
+    example && { label: example.title, path: getExamplePath(example) },
+  ].filter(Boolean);
+
+function ExampleBreadcrumb({ items }) {
+  const navigate = useNavigate();
+
+  return (
+    <Breadcrumb aria-label="Example location">
+      {items.map((item, index) => (
+        <React.Fragment key={item.path}>
+          <BreadcrumbItem>
+            <BreadcrumbButton
+              current={index === items.length - 1}
+              onClick={() => navigate(item.path)}
+            >
+              {item.label}
+            </BreadcrumbButton>
+          </BreadcrumbItem>
+          {index < items.length - 1 && <BreadcrumbDivider />}
+        </React.Fragment>
+      ))}
+    </Breadcrumb>
+  );
+}
+
+function LinkCard({ to, title, description }) {
+  const styles = useStyles();
+
+  return (
+    <RouterLink to={to} className={styles.cardLink}>
+      <Card className={styles.card}>
+        <CardHeader
+          header={<Body1>{title}</Body1>}
+          description={<Caption1>{description}</Caption1>}
+        />
+      </Card>
+    </RouterLink>
+  );
+}
+
+function NotFound({ what }) {
+  return (
+    <MessageBar intent="warning">
+      <MessageBarBody>No {what} matches this address.</MessageBarBody>
+    </MessageBar>
+  );
+}
+
+function PackageList() {
+  const styles = useStyles();
+
+  return (
+    <>
+      <div className={styles.header}>
+        <Title2>Examples</Title2>
+        <Body1 className={styles.subtitle}>
+          Every example under src/examples, rendered in the app theme.
+        </Body1>
+      </div>
+      <div className={styles.grid}>
+        {examplePackages.map((pkg) => (
+          <LinkCard
+            key={pkg.name}
+            to={`/examples/${pkg.name}`}
+            title={pkg.name}
+            description={`${pkg.components.length} components`}
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+function ComponentList() {
+  const styles = useStyles();
+  const { packageName } = useParams();
+  const pkg = findPackage(packageName);
+
+  if (!pkg) {
+    return <NotFound what="package" />;
+  }
+
+  return (
+    <>
+      <div className={styles.header}>
+        <ExampleBreadcrumb items={crumbs(packageName)} />
+        <Title2>{pkg.name}</Title2>
+      </div>
+      <div className={styles.grid}>
+        {pkg.components.map((component) => (
+          <LinkCard
+            key={component.name}
+            to={`/examples/${pkg.name}/${component.name}`}
+            title={component.name}
+            description={`${component.examples.length} examples`}
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+function ExampleList() {
+  const styles = useStyles();
+  const { packageName, componentName } = useParams();
+  const component = findComponent(packageName, componentName);
+
+  if (!component) {
+    return <NotFound what="component" />;
+  }
+
+  return (
+    <>
+      <div className={styles.header}>
+        <ExampleBreadcrumb items={crumbs(packageName, componentName)} />
+        <Title2>{component.name}</Title2>
+      </div>
+      <div className={styles.grid}>
+        {component.examples.map((example) => (
+          <LinkCard
+            key={example.slug}
+            to={getExamplePath(example)}
+            title={example.title}
+            description={example.path.split("/").pop()}
+          />
+        ))}
+      </div>
+    </>
+  );
+}
+
+function ExampleView() {
+  const styles = useStyles();
+  const { packageName, componentName, exampleSlug } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const example = findExample(packageName, componentName, exampleSlug);
+  const view = EXAMPLE_VIEWS.includes(searchParams.get("view"))
+    ? searchParams.get("view")
+    : "preview";
+
+  if (!example) {
+    return <NotFound what="example" />;
+  }
+
+  const LazyExample = getLazyExample(example);
+
+  return (
+    <>
+      <div className={styles.header}>
+        <ExampleBreadcrumb
+          items={crumbs(packageName, componentName, example)}
+        />
+        <Title3>
+          {example.componentName} · {example.title}{" "}
+          <Badge appearance="tint">{example.kind}</Badge>
+        </Title3>
+      </div>
+      <TabList
+        className={styles.tabs}
+        selectedValue={view}
+        onTabSelect={(_, data) =>
+          setSearchParams(data.value === "preview" ? {} : { view: data.value })
+        }
+      >
+        <Tab value="preview" icon={<EyeRegular />}>
+          Preview
+        </Tab>
+        <Tab value="code" icon={<CodeRegular />}>
+          Code
+        </Tab>
+        <Tab value="playground" icon={<EditRegular />}>
+          Playground
+        </Tab>
+      </TabList>
+      {view === "preview" ? (
+        <ExampleFrame resetKey={example.path}>
+          <LazyExample />
+        </ExampleFrame>
+      ) : (
+        <Suspense fallback={<Spinner label="Loading editor..." />}>
+          <ExampleCodePanel
+            key={`${example.path}:${view}`}
+            example={example}
+            editable={view === "playground"}
+          />
+        </Suspense>
+      )}
+    </>
+  );
+}
+
+export default function Examples() {
+  const styles = useStyles();
+  const params = useParams();
+  const [packageName, componentName] = (params["*"] || "").split("/");
+
+  return (
+    <div className={styles.layout}>
+      <ExampleSidebar
+        packageName={packageName}
+        componentName={componentName}
+      />
+      <div className={styles.content}>
+        <Routes>
+          <Route index element={<PackageList />} />
+          <Route path=":packageName" element={<ComponentList />} />
+          <Route
+            path=":packageName/:componentName"
+            element={<ExampleList />}
+          />
+          <Route
+            path=":packageName/:componentName/:exampleSlug"
+            element={<ExampleView />}
+          />
+        </Routes>
+      </div>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
-import React from "react";
+import React, { useCallback } from "react";
 import {
   makeStyles,
+  mergeClasses,
   tokens,
   Button,
   Card,
@@ -16,6 +17,10 @@ import {
   Avatar,
   AvatarGroup,
   Divider,
+  MessageBar,
+  MessageBarActions,
+  MessageBarBody,
+  Spinner,
 } from "@fluentui/react-components";
 import {
   Search20Regular,
@@ -38,6 +43,8 @@ import {
   CheckboxChecked20Regular,
   ArrowReply20Regular,
 } from "@fluentui/react-icons";
+import { FILE_FILTERS, apiClient, useApiResource } from "../api";
+import { useUrlState } from "../hooks/useUrlState";
 
 const useStyles = makeStyles({
   container: {
@@ -885,10 +892,388 @@ const useStyles = makeStyles({
     marginTop: "auto",
     marginBottom: "auto",
   },
+  pillButton: {
+    cursor: "pointer",
+    fontFamily: "inherit",
+    fontSize: "inherit",
+    ":hover": {
+      backgroundColor: tokens.colorNeutralBackground1Hover,
+    },
+  },
+  pillActive: {
+    border: `1px solid ${tokens.colorNeutralStroke1Selected}`,
+    backgroundColor: tokens.colorNeutralBackground1,
+    fontWeight: tokens.fontWeightSemibold,
+  },
+  sectionStatus: {
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "start",
+    gap: tokens.spacingVerticalS,
+    marginTop: "20px",
+  },
+  actionDescription: {
+    color: tokens.colorNeutralForeground3,
+  },
+  fileList: {
+    display: "flex",
+    flexDirection: "column",
+    margin: "20px 0 0",
+    padding: "0",
+    listStyleType: "none",
+    borderRadius: "4px",
+    backgroundColor: tokens.colorNeutralBackground1,
+  },
+  fileRow: {
+    display: "grid",
+    gridTemplateColumns: "20px minmax(0, 2fr) minmax(0, 1fr) minmax(0, 1fr)",
+    alignItems: "center",
+    gap: "12px",
+    padding: "10px 16px",
+    fontFamily: "Open Sans, -apple-system, Roboto, Helvetica, sans-serif",
+    fontSize: "14px",
+    color: tokens.colorNeutralForeground2,
+    borderBottom: `1px solid ${tokens.colorNeutralStroke2}`,
+    ":last-child": {
+      borderBottom: "none",
+    },
+  },
+  fileName: {
+    color: tokens.colorNeutralForeground1,
+    fontWeight: "600",
+    textDecoration: "none",
+    overflow: "hidden",
+    textOverflow: "ellipsis",
+    whiteSpace: "nowrap",
+    ":hover": {
+      textDecoration: "underline",
+    },
+  },
 });
 
-export default function LoginDashboard() {
+// "in 4m", "36m ago", "5h ago" or "2d ago", as the design words it.
+const formatRelative = (time, now = Date.now()) => {
+  const minutes = Math.round((Date.parse(time) - now) / 60000);
+  const size = Math.abs(minutes);
+  if (size === 0) {
+    return "now";
+  }
+  const amount =
+    size < 60
+      ? `${size}m`
+      : size < 24 * 60
+        ? `${Math.floor(size / 60)}h`
+        : `${Math.floor(size / (24 * 60))}d`;
+  return minutes > 0 ? `in ${amount}` : `${amount} ago`;
+};
+
+const clockTime = new Intl.DateTimeFormat("en-US", {
+  hour: "numeric",
+  minute: "2-digit",
+});
+
+const ACTION_ICONS = {
+  meeting: {
+    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/2fa4621906c34a631cf6ac4aeeda02d0b930d614?placeholderIfAbsent=true",
+    alt: "Meeting Icon",
+  },
+  message: {
+    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/6099060856cc0c453343da689e9222c743d90fc7?placeholderIfAbsent=true",
+    alt: "Email Icon",
+  },
+  mention: {
+    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/4bab839d9b800c0252ed34cc66ab7ebfac4da39f?placeholderIfAbsent=true",
+    alt: "Word Icon",
+  },
+};
+
+// The filters above the Quick access files, with the API filter each sets.
+const FILE_FILTER_PILLS = [
+  { filter: "all", label: "All", icon: People20Regular },
+  { filter: "recent", label: "Recently opened", icon: Document20Regular },
+  { filter: "shared", label: "Shared", icon: Share20Regular },
+  { filter: "favorites", label: "Favorites", icon: Heart20Regular },
+];
+
+function ActionCard({ action, header, description, children, footer }) {
+  const styles = useStyles();
+  return (
+    <Card className={styles.actionCard}>
+      <CardHeader
+        image={
+          <Image
+            src={ACTION_ICONS[action.kind].src}
+            style={{ width: "32px", aspectRatio: "1" }}
+            alt={ACTION_ICONS[action.kind].alt}
+          />
+        }
+        header={<Text weight="semibold">{header}</Text>}
+        description={
+          <Text size={200} className={styles.actionDescription}>
+            {description}
+          </Text>
+        }
+      />
+      {children}
+      <div className={styles.cardFooter}>
+        <div className={styles.footerButtons}>{footer}</div>
+      </div>
+    </Card>
+  );
+}
+
+function MeetingCard({ action, now }) {
+  const styles = useStyles();
+  const { meeting } = action;
+  return (
+    <ActionCard
+      action={action}
+      header="Your meeting is about to start"
+      description={`${formatRelative(meeting.start, now)} · ${meeting.title}`}
+      footer={
+        <Button
+          as="a"
+          href={meeting.joinUrl}
+          target="_blank"
+          rel="noreferrer"
+          appearance="outline"
+          size="medium"
+          icon={<People20Regular />}
+        >
+          Join meeting
+        </Button>
+      }
+    >
+      <div className={styles.meetingPreview}>
+        <div className={styles.meetingContainer}>
+          <div className={styles.meetingContent}>
+            <div className={styles.meetingInfo}>
+              <div className={styles.meetingDetails}>
+                <div className={styles.meetingTitle}>{meeting.title}</div>
+                <div className={styles.meetingLocation}>
+                  <Calendar20Regular />
+                  <div>{meeting.location}</div>
+                </div>
+                <div className={styles.meetingTime}>
+                  {clockTime.format(Date.parse(meeting.start))} -{" "}
+                  {clockTime.format(Date.parse(meeting.end))}
+                </div>
+              </div>
+              <div className={styles.meetingParticipants}>
+                <Avatar
+                  name={meeting.organizer.name}
+                  image={{ src: meeting.organizer.avatar }}
+                  size={32}
+                />
+                <AvatarGroup size={24}>
+                  {meeting.attendees.map((person) => (
+                    <Avatar
+                      key={person.name}
+                      name={person.name}
+                      image={person.avatar ? { src: person.avatar } : undefined}
+                    />
+                  ))}
+                  {meeting.moreAttendees > 0 && (
+                    <Avatar
+                      name={`${meeting.moreAttendees} more attendees`}
+                      initials={`+${meeting.moreAttendees}`}
+                    />
+                  )}
+                </AvatarGroup>
+              </div>
+            </div>
+            <div className={styles.meetingAccent} />
+          </div>
+        </div>
+      </div>
+    </ActionCard>
+  );
+}
+
+function MessageCard({ action, now }) {
   const styles = useStyles();
+  const { message } = action;
+  const sent = message.direction === "sent";
+  const other = sent ? message.to[0] : message.from;
+  return (
+    <ActionCard
+      action={action}
+      header={
+        sent
+          ? `You replied to ${message.to.map((person) => person.name).join(", ")}`
+          : `${message.from.name} wrote to you`
+      }
+      description={`${formatRelative(message.time, now)} · ${message.subject}`}
+      footer={
+        <Button
+          appearance="outline"
+          size="medium"
+          icon={<CheckboxChecked20Regular />}
+        >
+          Add to ToDo
+        </Button>
+      }
+    >
+      <div className={styles.outlookPreview}>
+        <div className={styles.outlookContent}>
+          <Text>
+            <strong>{sent ? "You" : message.from.name} said,</strong> "
+            {message.preview}"
+          </Text>
+        </div>
+        {other.avatar && (
+          <Image
+            src={other.avatar}
+            className={styles.outlookAvatar}
+            alt={other.name}
+          />
+        )}
+      </div>
+    </ActionCard>
+  );
+}
+
+function MentionCard({ action, now }) {
+  const styles = useStyles();
+  const { by, file } = action;
+  return (
+    <ActionCard
+      action={action}
+      header={`${by.name} mentioned you`}
+      description={`${formatRelative(action.time, now)} · ${file.name}`}
+      footer={
+        <Button
+          appearance="outline"
+          size="medium"
+          icon={<ArrowReply20Regular />}
+        >
+          Reply
+        </Button>
+      }
+    >
+      <div className={styles.wordPreview}>
+        {file.thumbnail && (
+          <Image
+            src={file.thumbnail}
+            className={styles.wordBg}
+            alt={`${file.name} preview`}
+          />
+        )}
+        {by.avatar && (
+          <Image src={by.avatar} className={styles.wordAvatar} alt={by.name} />
+        )}
+      </div>
+    </ActionCard>
+  );
+}
+
+const ACTION_CARDS = {
+  meeting: MeetingCard,
+  message: MessageCard,
+  mention: MentionCard,
+};
+
+// A section's loading spinner, or its error with a Retry button.
+function ResourceStatus({ resource, what }) {
+  const styles = useStyles();
+  return (
+    <div className={styles.sectionStatus}>
+      {resource.status === "loading" ? (
+        <Spinner size="small" label={`Loading ${what}...`} />
+      ) : (
+        <MessageBar intent="error" layout="multiline">
+          <MessageBarBody>
+            Could not load {what}: {resource.error.message}
+          </MessageBarBody>
+          <MessageBarActions>
+            <Button onClick={resource.reload}>Retry</Button>
+          </MessageBarActions>
+        </MessageBar>
+      )}
+    </div>
+  );
+}
+
+function RecommendedActions({ client }) {
+  const styles = useStyles();
+  const load = useCallback(
+    (options) => client.getRecommendedActions(options),
+    [client],
+  );
+  const actions = useApiResource(load);
+  if (actions.status !== "ready") {
+    return <ResourceStatus resource={actions} what="recommended actions" />;
+  }
+  if (actions.data.length === 0) {
+    return (
+      <div className={styles.sectionStatus}>
+        <Text>You're all caught up.</Text>
+      </div>
+    );
+  }
+  const now = Date.now();
+  return (
+    <div className={styles.cardsContainer}>
+      {actions.data.map((action) => {
+        const ActionCardForKind = ACTION_CARDS[action.kind];
+        return ActionCardForKind ? (
+          <ActionCardForKind key={action.id} action={action} now={now} />
+        ) : null;
+      })}
+    </div>
+  );
+}
+
+function QuickAccessFiles({ client, filter }) {
+  const styles = useStyles();
+  const load = useCallback(
+    (options) => client.getFiles(filter, options),
+    [client, filter],
+  );
+  const files = useApiResource(load);
+  if (files.status !== "ready") {
+    return <ResourceStatus resource={files} what="files" />;
+  }
+  if (files.data.length === 0) {
+    return (
+      <div className={styles.sectionStatus}>
+        <Text>No files here yet.</Text>
+      </div>
+    );
+  }
+  const now = Date.now();
+  return (
+    <ul className={styles.fileList} aria-label="Files">
+      {files.data.map((file) => (
+        <li key={file.id} className={styles.fileRow}>
+          <Document20Regular />
+          <a
+            href={file.url}
+            target="_blank"
+            rel="noreferrer"
+            className={styles.fileName}
+          >
+            {file.name}
+          </a>
+          <span>{file.location}</span>
+          <span>
+            {file.owner.name} · {formatRelative(file.modified, now)}
+          </span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * The Office start page. The recommended actions and Quick access files come
+ * from the dashboard API (see src/api), which the dev server mocks.
+ */
+export default function LoginDashboard({ client = apiClient }) {
+  const styles = useStyles();
+  const [fileFilter, setFileFilter] = useUrlState("files", "all", {
+    values: FILE_FILTERS,
+  });
 
   return (
     <div className={styles.container}>
@@ -1000,203 +1385,7 @@ export default function LoginDashboard() {
                   />
                 </div>
 
-                <div className={styles.cardsContainer}>
-                  {/* Meeting Card */}
-                  <Card className={styles.actionCard}>
-                    <CardHeader
-                      image={
-                        <Image
-                          src="https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/2fa4621906c34a631cf6ac4aeeda02d0b930d614?placeholderIfAbsent=true"
-                          style={{ width: "32px", aspectRatio: "1" }}
-                          alt="Meeting Icon"
-                        />
-                      }
-                      header={
-                        <Text weight="semibold">
-                          Your meeting is about to start
-                        </Text>
-                      }
-                      description={
-                        <Text size={200} style={{ color: "#616161" }}>
-                          in 4m · Team Weekly Standup
-                        </Text>
-                      }
-                    />
-
-                    <div className={styles.meetingPreview}>
-                      <div className={styles.meetingContainer}>
-                        <div className={styles.meetingContent}>
-                          <div className={styles.meetingInfo}>
-                            <div className={styles.meetingDetails}>
-                              <div className={styles.meetingTitle}>
-                                Team Weekly Standup
-                              </div>
-                              <div className={styles.meetingLocation}>
-                                <Calendar20Regular />
-                                <div>Mission Bay Conference Center, Hall 1</div>
-                              </div>
-                              <div className={styles.meetingTime}>
-                                8:00am - 4:30pm
-                              </div>
-                            </div>
-                            <div className={styles.meetingParticipants}>
-                              <Image
-                                src="https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/7b666197333d9add57d9f5f9604b575e8fb249fd?placeholderIfAbsent=true"
-                                style={{ width: "32px", aspectRatio: "1" }}
-                                alt="Meeting Avatar"
-                              />
-                              <AvatarGroup size={24}>
-                                <Avatar
-                                  name="Person 1"
-                                  image={{
-                                    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/472b70d46e034b0d6fab2b901ea85ab15ff23e04?placeholderIfAbsent=true",
-                                  }}
-                                />
-                                <Avatar
-                                  name="Person 2"
-                                  image={{
-                                    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/64f85372296b532324ed44f85dfce6fdc63868f6?placeholderIfAbsent=true",
-                                  }}
-                                />
-                                <Avatar
-                                  name="Person 3"
-                                  image={{
-                                    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/cb2ca715e73af07a616c9f446cded07285efbcc1?placeholderIfAbsent=true",
-                                  }}
-                                />
-                                <Avatar
-                                  name="Person 4"
-                                  image={{
-                                    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/8687d03e75c23b431b58949af5fceb96b7a4b44d?placeholderIfAbsent=true",
-                                  }}
-                                />
-                                <Avatar
-                                  name="Person 5"
-                                  image={{
-                                    src: "https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/72edc6dc5bbb3112fd4f92f1118f1bb46d219d2d?placeholderIfAbsent=true",
-                                  }}
-                                />
-                                <Avatar name="+7" />
-                              </AvatarGroup>
-                            </div>
-                          </div>
-                          <div className={styles.meetingAccent} />
-                        </div>
-                      </div>
-                    </div>
-
-                    <div className={styles.cardFooter}>
-                      <div className={styles.footerButtons}>
-                        <Button
-                          appearance="outline"
-                          size="medium"
-                          icon={<People20Regular />}
-                        >
-                          Join meeting
-                        </Button>
-                      </div>
-                    </div>
-                  </Card>
-
-                  {/* Email Card */}
-                  <Card className={styles.actionCard}>
-                    <CardHeader
-                      image={
-                        <Image
-                          src="https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/6099060856cc0c453343da689e9222c743d90fc7?placeholderIfAbsent=true"
-                          style={{ width: "32px", aspectRatio: "1" }}
-                          alt="Email Icon"
-                        />
-                      }
-                      header={
-                        <Text weight="semibold">
-                          You replied to Daisy Phillips
-                        </Text>
-                      }
-                      description={
-                        <Text size={200} style={{ color: "#616161" }}>
-                          36m ago · RE: Social Media for Launch
-                        </Text>
-                      }
-                    />
-
-                    <div className={styles.outlookPreview}>
-                      <div className={styles.outlookContent}>
-                        <Text>
-                          <strong>You said,</strong> "I'll draft the launch
-                          announcements for Twitter and LinkedIn and make sure
-                          everyone can review them before{" "}
-                          <strong>Wednesday</strong>."
-                        </Text>
-                      </div>
-                      <Image
-                        src="https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/a8a480fcf62ee5c40f539d93bfd48ae719a28fd1?placeholderIfAbsent=true"
-                        className={styles.outlookAvatar}
-                        alt="Outlook Avatar"
-                      />
-                    </div>
-
-                    <div className={styles.cardFooter}>
-                      <div className={styles.footerButtons}>
-                        <Button
-                          appearance="outline"
-                          size="medium"
-                          icon={<CheckboxChecked20Regular />}
-                        >
-                          Add to ToDo
-                        </Button>
-                      </div>
-                    </div>
-                  </Card>
-
-                  {/* Word Card */}
-                  <Card className={styles.actionCard}>
-                    <CardHeader
-                      image={
-                        <Image
-                          src="https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/4bab839d9b800c0252ed34cc66ab7ebfac4da39f?placeholderIfAbsent=true"
-                          style={{ width: "32px", aspectRatio: "1" }}
-                          alt="Word Icon"
-                        />
-                      }
-                      header={
-                        <Text weight="semibold">
-                          Elvia Atkins mentioned you
-                        </Text>
-                      }
-                      description={
-                        <Text size={200} style={{ color: "#616161" }}>
-                          5h ago · About us - Overview
-                        </Text>
-                      }
-                    />
-
-                    <div className={styles.wordPreview}>
-                      <Image
-                        src="https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/69ad579e0d2c235c30ecfec344c03838dc44deb4?placeholderIfAbsent=true"
-                        className={styles.wordBg}
-                        alt="Word Background"
-                      />
-                      <Image
-                        src="https://cdn.builder.io/api/v1/image/assets/59f68ba49b104a51a7528afd675b8d30/e3567aeef52b954af1809a52fe1c646994ac5ea5?placeholderIfAbsent=true"
-                        className={styles.wordAvatar}
-                        alt="Word Avatar"
-                      />
-                    </div>
-
-                    <div className={styles.cardFooter}>
-                      <div className={styles.footerButtons}>
-                        <Button
-                          appearance="outline"
-                          size="medium"
-                          icon={<ArrowReply20Regular />}
-                        >
-                          Reply
-                        </Button>
-                      </div>
-                    </div>
-                  </Card>
-                </div>
+                <RecommendedActions client={client} />
               </div>
 
               {/* Quick Access Section */}
@@ -1209,22 +1398,25 @@ export default function LoginDashboard() {
                   </div>
                   <div className={styles.pillsContainer}>
                     <div className={styles.pillsGroup}>
-                      <div className={styles.pill}>
-                        <People20Regular className={styles.pillIcon} />
-                        <div className={styles.pillText}>All</div>
-                      </div>
-                      <div className={styles.pill}>
-                        <Document20Regular className={styles.pillIcon} />
-                        <div className={styles.pillText}>Recently opened</div>
-                      </div>
-                      <div className={styles.pill}>
-                        <Share20Regular className={styles.pillIcon} />
-                        <div className={styles.pillText}>Shared</div>
-                      </div>
-                      <div className={styles.pill}>
-                        <Heart20Regular className={styles.pillIcon} />
-                        <div className={styles.pillText}>Favorites</div>
-                      </div>
+                      {FILE_FILTER_PILLS.map(({ filter, label, icon }) => {
+                        const PillIcon = icon;
+                        return (
+                          <button
+                            key={filter}
+                            type="button"
+                            aria-pressed={fileFilter === filter}
+                            className={mergeClasses(
+                              styles.pill,
+                              styles.pillButton,
+                              fileFilter === filter && styles.pillActive,
+                            )}
+                            onClick={() => setFileFilter(filter)}
+                          >
+                            <PillIcon className={styles.pillIcon} />
+                            <span className={styles.pillText}>{label}</span>
+                          </button>
+                        );
+                      })}
                       <div className={styles.pillSelected}>
                         <Add20Regular className={styles.pillIcon} />
                         <div className={styles.pillTextSelected}>New</div>
@@ -1253,6 +1445,8 @@ export default function LoginDashboard() {
                   </div>
                 </div>
 
+                <QuickAccessFiles client={client} filter={fileFilter} />
+
                 {/* Add Content View */}
                 <div className={styles.addContentView}>
                   <div className={styles.addContentInfo}>
@@ -0,0 +1,104 @@
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Avatar,
+  Body1,
+  Button,
+  Caption1,
+  Card,
+  Title2,
+} from "@fluentui/react-components";
+import { SettingsRegular, SignOutRegular } from "@fluentui/react-icons";
+import { useAuth } from "../auth";
+
+const useStyles = makeStyles({
+  page: {
+    display: "flex",
+    justifyContent: "center",
+    padding: `${tokens.spacingVerticalXXXL} ${tokens.spacingHorizontalL}`,
+    backgroundColor: tokens.colorNeutralBackground2,
+    minHeight: "calc(100vh - 64px)",
+    boxSizing: "border-box",
+  },
+  card: {
+    width: "100%",
+    maxWidth: "480px",
+    padding: tokens.spacingHorizontalXXL,
+    gap: tokens.spacingVerticalL,
+  },
+  identity: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalL,
+  },
+  details: {
+    display: "grid",
+    gridTemplateColumns: "max-content 1fr",
+    gap: `${tokens.spacingVerticalS} ${tokens.spacingHorizontalL}`,
+    margin: 0,
+  },
+  term: {
+    color: tokens.colorNeutralForeground3,
+  },
+  detail: {
+    margin: 0,
+  },
+  actions: {
+    display: "flex",
+    gap: tokens.spacingHorizontalS,
+  },
+});
+
+/** The signed-in user's profile and session. Only reachable signed in. */
+export default function Profile() {
+  const styles = useStyles();
+  const navigate = useNavigate();
+  const { user, session, providerName, signOut } = useAuth();
+
+  return (
+    <div className={styles.page}>
+      <Card className={styles.card}>
+        <div className={styles.identity}>
+          <Avatar name={user.name} size={64} color="colorful" />
+          <div>
+            <Title2 as="h1">{user.name}</Title2>
+            <Body1 as="p">{user.jobTitle}</Body1>
+          </div>
+        </div>
+        <dl className={styles.details}>
+          <Caption1 as="dt" className={styles.term}>
+            Email
+          </Caption1>
+          <Body1 as="dd" className={styles.detail}>
+            {user.email}
+          </Body1>
+          <Caption1 as="dt" className={styles.term}>
+            Signed in with
+          </Caption1>
+          <Body1 as="dd" className={styles.detail}>
+            {providerName}
+          </Body1>
+          <Caption1 as="dt" className={styles.term}>
+            Session expires
+          </Caption1>
+          <Body1 as="dd" className={styles.detail}>
+            {new Date(session.expiresAt).toLocaleString()}
+          </Body1>
+        </dl>
+        <div className={styles.actions}>
+          <Button
+            icon={<SettingsRegular />}
+            onClick={() => navigate("/settings")}
+          >
+            Account settings
+          </Button>
+          <Button icon={<SignOutRegular />} onClick={signOut}>
+            Sign out
+          </Button>
+        </div>
+      </Card>
+    </div>
+  );
+}
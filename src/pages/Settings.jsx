@@ -1,5 +1,7 @@
-import React, { useState } from 'react';
-import { useTheme } from '../theme/ThemeProvider';
+import React, { useRef, useState } from 'react';
+import { useSettings } from '../settings/useSettings';
+import { BRAND_COLORS } from '../theme/createAppTheme';
+import { downloadFile } from '../utils/download';
 import {
   makeStyles,
   tokens,
@@ -19,13 +21,16 @@ import {
   Field,
   Slider,
   SpinButton,
-  Badge
+  Badge,
+  MessageBar,
+  MessageBarBody
 } from '@fluentui/react-components';
 import {
   DarkThemeRegular,
   BrightnessHighRegular,
   SettingsRegular,
-  SaveRegular,
+  ArrowDownloadRegular,
+  ArrowUploadRegular,
   ArrowCounterclockwiseRegular,
   CheckmarkRegular
 } from '@fluentui/react-icons';
@@ -194,58 +199,86 @@ const useStyles = makeStyles({
   },
   dividerSection: {
     margin: `${tokens.spacingVerticalXXL} 0`
+  },
+  status: {
+    marginTop: tokens.spacingVerticalL
+  },
+  fileInput: {
+    display: 'none'
   }
 });
 
+const CACHE_TIMEOUT_RANGE = { min: 5, max: 120 };
+
 export default function Settings() {
   const styles = useStyles();
-  const { themeMode, setThemeMode } = useTheme();
-  
-  // Other settings (not theme related)
-  const [colorScheme, setColorScheme] = useState('blue');
-  const [density, setDensity] = useState('normal');
-  
-  // UI preferences
-  const [animations, setAnimations] = useState(true);
-  const [soundEffects, setSoundEffects] = useState(false);
-  const [notifications, setNotifications] = useState(true);
-  const [autoSave, setAutoSave] = useState(true);
-  
-  // Accessibility settings
-  const [highContrast, setHighContrast] = useState(false);
-  const [fontSize, setFontSize] = useState(14);
-  const [motionReduced, setMotionReduced] = useState(false);
-  
-  // Performance settings
-  const [prefetchData, setPrefetchData] = useState(true);
-  const [cacheTimeout, setCacheTimeout] = useState(30);
+  const {
+    settings,
+    updateSettings,
+    resetSettings,
+    exportSettings,
+    importSettings
+  } = useSettings();
+  const {
+    themeMode,
+    colorScheme,
+    density,
+    animations,
+    soundEffects,
+    notifications,
+    autoSave,
+    highContrast,
+    fontSize,
+    motionReduced,
+    prefetchData,
+    cacheTimeout
+  } = settings;
+  const fileInputRef = useRef(null);
+  const [status, setStatus] = useState(null);
+
+  // Every change is saved immediately and shared with other open tabs.
+  const toggle = (key) => (e) => updateSettings({ [key]: e.currentTarget.checked });
+
+  const handleCacheTimeoutChange = (e, data) => {
+    const value = data.value ?? Number.parseFloat(data.displayValue);
+    if (Number.isFinite(value)) {
+      updateSettings({
+        cacheTimeout: Math.min(
+          CACHE_TIMEOUT_RANGE.max,
+          Math.max(CACHE_TIMEOUT_RANGE.min, value)
+        )
+      });
+    }
+  };
+
+  const handleExportSettings = () => {
+    downloadFile(exportSettings(), 'fluent-vite-settings.json', 'application/json');
+  };
 
-  const handleSaveSettings = () => {
-    // Simulate saving settings
-    console.log('Settings saved!');
+  const handleImportSettings = async (e) => {
+    const [file] = e.currentTarget.files;
+    e.currentTarget.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      importSettings(await file.text());
+      setStatus({ intent: 'success', message: `Imported settings from ${file.name}.` });
+    } catch (error) {
+      setStatus({ intent: 'error', message: error.message });
+    }
   };
 
   const handleResetSettings = () => {
-    // Reset to defaults
-    setThemeMode('light');
-    setColorScheme('blue');
-    setDensity('normal');
-    setAnimations(true);
-    setSoundEffects(false);
-    setNotifications(true);
-    setAutoSave(true);
-    setHighContrast(false);
-    setFontSize(14);
-    setMotionReduced(false);
-    setPrefetchData(true);
-    setCacheTimeout(30);
+    resetSettings();
+    setStatus({ intent: 'info', message: 'Settings were reset to their defaults.' });
   };
 
   const colorSchemes = [
-    { value: 'blue', label: 'Blue', color: tokens.colorBrandBackground },
-    { value: 'green', label: 'Green', color: '#107c10' },
-    { value: 'purple', label: 'Purple', color: '#5c2d91' },
-    { value: 'red', label: 'Red', color: '#d13438' }
+    { value: 'blue', label: 'Blue', color: BRAND_COLORS.blue },
+    { value: 'green', label: 'Green', color: BRAND_COLORS.green },
+    { value: 'purple', label: 'Purple', color: BRAND_COLORS.purple },
+    { value: 'red', label: 'Red', color: BRAND_COLORS.red }
   ];
 
   return (
@@ -269,18 +302,21 @@ export default function Settings() {
               <div className={styles.settingContent}>
                 <div className={styles.settingTitle}>Theme Mode</div>
                 <div className={styles.settingDescription}>
-                  Choose how the interface appears throughout the application
+                  Choose how the interface appears throughout the application.
+                  System follows your device's color scheme and contrast
+                  preference.
                 </div>
               </div>
               <div className={styles.settingControl}>
                 <div className={styles.radioGroupContainer}>
                   <RadioGroup 
                     value={themeMode} 
-                    onChange={(e, data) => setThemeMode(data.value)}
+                    onChange={(e, data) => updateSettings({ themeMode: data.value })}
                     layout="horizontal"
                   >
                     <Radio value="light" label="Light" />
                     <Radio value="dark" label="Dark" />
+                    <Radio value="system" label="System" />
                   </RadioGroup>
                 </div>
               </div>
@@ -298,7 +334,7 @@ export default function Settings() {
               <div className={styles.settingControl}>
                 <Dropdown 
                   value={colorScheme}
-                  onOptionSelect={(e, data) => setColorScheme(data.optionValue)}
+                  onOptionSelect={(e, data) => updateSettings({ colorScheme: data.optionValue })}
                   style={{ minWidth: '150px' }}
                 >
                   {colorSchemes.map((scheme) => (
@@ -328,7 +364,7 @@ export default function Settings() {
               <div className={styles.settingControl}>
                 <Dropdown 
                   value={density}
-                  onOptionSelect={(e, data) => setDensity(data.optionValue)}
+                  onOptionSelect={(e, data) => updateSettings({ density: data.optionValue })}
                   style={{ minWidth: '150px' }}
                 >
                   <Option value="compact">Compact</Option>
@@ -359,7 +395,7 @@ export default function Settings() {
                 </div>
                 <Switch 
                   checked={animations}
-                  onChange={(e) => setAnimations(e.currentTarget.checked)}
+                  onChange={toggle('animations')}
                 />
               </div>
             </Card>
@@ -374,7 +410,7 @@ export default function Settings() {
                 </div>
                 <Switch 
                   checked={soundEffects}
-                  onChange={(e) => setSoundEffects(e.currentTarget.checked)}
+                  onChange={toggle('soundEffects')}
                 />
               </div>
             </Card>
@@ -389,7 +425,7 @@ export default function Settings() {
                 </div>
                 <Switch 
                   checked={notifications}
-                  onChange={(e) => setNotifications(e.currentTarget.checked)}
+                  onChange={toggle('notifications')}
                 />
               </div>
             </Card>
@@ -404,7 +440,7 @@ export default function Settings() {
                 </div>
                 <Switch 
                   checked={autoSave}
-                  onChange={(e) => setAutoSave(e.currentTarget.checked)}
+                  onChange={toggle('autoSave')}
                 />
               </div>
             </Card>
@@ -429,7 +465,7 @@ export default function Settings() {
               </div>
               <Switch 
                 checked={highContrast}
-                onChange={(e) => setHighContrast(e.currentTarget.checked)}
+                onChange={toggle('highContrast')}
               />
             </div>
           </Card>
@@ -448,7 +484,7 @@ export default function Settings() {
                     min={12}
                     max={20}
                     value={fontSize}
-                    onChange={(e, data) => setFontSize(data.value)}
+                    onChange={(e, data) => updateSettings({ fontSize: data.value })}
                   />
                   <div className={styles.sliderLabel}>{fontSize}px</div>
                 </div>
@@ -466,7 +502,7 @@ export default function Settings() {
               </div>
               <Switch 
                 checked={motionReduced}
-                onChange={(e) => setMotionReduced(e.currentTarget.checked)}
+                onChange={toggle('motionReduced')}
               />
             </div>
           </Card>
@@ -487,7 +523,7 @@ export default function Settings() {
               </div>
               <Switch 
                 checked={prefetchData}
-                onChange={(e) => setPrefetchData(e.currentTarget.checked)}
+                onChange={toggle('prefetchData')}
               />
             </div>
           </Card>
@@ -503,9 +539,9 @@ export default function Settings() {
               <div className={styles.settingControl}>
                 <SpinButton
                   value={cacheTimeout}
-                  onChange={(e, data) => setCacheTimeout(data.value || 0)}
-                  min={5}
-                  max={120}
+                  onChange={handleCacheTimeoutChange}
+                  min={CACHE_TIMEOUT_RANGE.min}
+                  max={CACHE_TIMEOUT_RANGE.max}
                   step={5}
                   style={{ width: '100px' }}
                 />
@@ -537,12 +573,27 @@ export default function Settings() {
         <div className={styles.actionButtons}>
           <Button 
             appearance="primary" 
-            icon={<SaveRegular />}
-            onClick={handleSaveSettings}
+            icon={<ArrowDownloadRegular />}
+            onClick={handleExportSettings}
+            className={styles.actionButton}
+          >
+            Export Settings
+          </Button>
+          <Button 
+            appearance="secondary" 
+            icon={<ArrowUploadRegular />}
+            onClick={() => fileInputRef.current?.click()}
             className={styles.actionButton}
           >
-            Save Settings
+            Import Settings
           </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            className={styles.fileInput}
+            onChange={handleImportSettings}
+          />
           <Button 
             appearance="secondary" 
             icon={<ArrowCounterclockwiseRegular />}
@@ -552,6 +603,11 @@ export default function Settings() {
             Reset to Defaults
           </Button>
         </div>
+        {status && (
+          <MessageBar intent={status.intent} className={styles.status}>
+            <MessageBarBody>{status.message}</MessageBarBody>
+          </MessageBar>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,107 @@
+import React from "react";
+import { describe, expect, it, vi } from "vitest";
+import { screen, within } from "@testing-library/react";
+import { errorLog } from "../diagnostics";
+import { renderWithProviders } from "../test";
+import { STORAGE_KEY, settingsStore } from "../settings";
+import Settings from "./Settings";
+
+/** The switch in the settings card titled `title`. */
+const switchFor = (title) =>
+  within(screen.getByText(title).closest(".fui-Card")).getByRole("switch");
+
+const storedSettings = () =>
+  JSON.parse(window.localStorage.getItem(STORAGE_KEY)).settings;
+
+describe("Settings", () => {
+  it("shows the current settings", () => {
+    renderWithProviders(<Settings />, { route: "/settings" });
+
+    expect(screen.getByRole("radio", { name: "Light" })).toBeChecked();
+    expect(switchFor("Smooth Animations")).toBeChecked();
+    expect(switchFor("Sound Effects")).not.toBeChecked();
+    expect(screen.getByText("14px")).toBeInTheDocument();
+  });
+
+  it("saves a change as soon as it is made", async () => {
+    const { user } = renderWithProviders(<Settings />, { route: "/settings" });
+
+    await user.click(screen.getByRole("radio", { name: "Dark" }));
+    await user.click(switchFor("Sound Effects"));
+
+    expect(screen.getByRole("radio", { name: "Dark" })).toBeChecked();
+    expect(switchFor("Sound Effects")).toBeChecked();
+    expect(storedSettings()).toMatchObject({
+      themeMode: "dark",
+      soundEffects: true,
+    });
+  });
+
+  it("imports an exported settings file", async () => {
+    const { user, container } = renderWithProviders(<Settings />, {
+      route: "/settings",
+    });
+    const exported = JSON.parse(settingsStore.exportJson());
+    exported.settings.colorScheme = "purple";
+    const file = new File([JSON.stringify(exported)], "settings.json", {
+      type: "application/json",
+    });
+
+    await user.upload(container.querySelector('input[type="file"]'), file);
+
+    expect(
+      await screen.findByText("Imported settings from settings.json."),
+    ).toBeInTheDocument();
+    expect(settingsStore.getSnapshot().colorScheme).toBe("purple");
+  });
+
+  it("reports a file that is not a settings document", async () => {
+    const { user, container } = renderWithProviders(<Settings />, {
+      route: "/settings",
+    });
+    const file = new File(["not json"], "notes.json", {
+      type: "application/json",
+    });
+
+    await user.upload(container.querySelector('input[type="file"]'), file);
+
+    expect(
+      await screen.findByText("The file is not valid JSON"),
+    ).toBeInTheDocument();
+  });
+
+  it("resets every setting to its default", async () => {
+    settingsStore.update({ themeMode: "dark", animations: false });
+    const { user } = renderWithProviders(<Settings />, { route: "/settings" });
+
+    await user.click(screen.getByRole("button", { name: "Reset to Defaults" }));
+
+    expect(screen.getByRole("radio", { name: "Light" })).toBeChecked();
+    expect(switchFor("Smooth Animations")).toBeChecked();
+    expect(
+      screen.getByText("Settings were reset to their defaults."),
+    ).toBeInTheDocument();
+  });
+
+  it("logs once that settings cannot be saved", async () => {
+    const setItem = vi
+      .spyOn(Storage.prototype, "setItem")
+      .mockImplementation(() => {
+        throw new DOMException("Quota exceeded", "QuotaExceededError");
+      });
+    const { user } = renderWithProviders(<Settings />, { route: "/settings" });
+
+    await user.click(screen.getByRole("radio", { name: "Dark" }));
+    await user.click(switchFor("Sound Effects"));
+    expect(settingsStore.getSnapshot().soundEffects).toBe(true);
+    expect(
+      errorLog.getSnapshot().map(({ source, message }) => [source, message]),
+    ).toEqual([
+      [
+        "storage",
+        "Could not save the settings; they last until the page closes",
+      ],
+    ]);
+    setItem.mockRestore();
+  });
+});
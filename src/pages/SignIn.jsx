@@ -0,0 +1,146 @@
+import React, { useState } from "react";
+import { Navigate, useLocation, useNavigate } from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Body1,
+  Button,
+  Caption1,
+  Card,
+  Field,
+  Input,
+  MessageBar,
+  MessageBarBody,
+  Spinner,
+  Title2,
+} from "@fluentui/react-components";
+import { useAuth } from "../auth";
+
+const useStyles = makeStyles({
+  page: {
+    display: "flex",
+    justifyContent: "center",
+    alignItems: "flex-start",
+    padding: `${tokens.spacingVerticalXXXL} ${tokens.spacingHorizontalL}`,
+    backgroundColor: tokens.colorNeutralBackground2,
+    minHeight: "calc(100vh - 64px)",
+    boxSizing: "border-box",
+  },
+  card: {
+    width: "100%",
+    maxWidth: "400px",
+    padding: tokens.spacingHorizontalXXL,
+  },
+  form: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalL,
+  },
+  subtitle: {
+    color: tokens.colorNeutralForeground2,
+  },
+  accounts: {
+    margin: 0,
+    paddingLeft: tokens.spacingHorizontalL,
+    color: tokens.colorNeutralForeground2,
+  },
+});
+
+/**
+ * Signs in with the identity provider and returns to the page that asked for
+ * it (`state.from`, set by RequireAuth), or to the home page.
+ */
+export default function SignIn() {
+  const styles = useStyles();
+  const { user, expired, providerName, accounts, signIn } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [email, setEmail] = useState("");
+  const [password, setPassword] = useState("");
+  const [error, setError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  const from = location.state?.from ?? "/";
+
+  if (user && !submitting) {
+    return <Navigate to={from} replace />;
+  }
+
+  const submit = async (event) => {
+    event.preventDefault();
+    setError(null);
+    setSubmitting(true);
+    try {
+      await signIn({ email, password });
+      navigate(from, { replace: true });
+    } catch (failure) {
+      setError(failure.message);
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className={styles.page}>
+      <Card className={styles.card}>
+        <form className={styles.form} onSubmit={submit}>
+          <div>
+            <Title2 as="h1">Sign in</Title2>
+            <Body1 as="p" className={styles.subtitle}>
+              with {providerName}
+            </Body1>
+          </div>
+          {expired && !error && (
+            <MessageBar intent="warning">
+              <MessageBarBody>
+                Your session expired. Sign in again to continue.
+              </MessageBarBody>
+            </MessageBar>
+          )}
+          {error && (
+            <MessageBar intent="error">
+              <MessageBarBody>{error}</MessageBarBody>
+            </MessageBar>
+          )}
+          <Field label="Email" required>
+            <Input
+              type="email"
+              autoComplete="username"
+              value={email}
+              onChange={(_, data) => setEmail(data.value)}
+            />
+          </Field>
+          <Field label="Password" required>
+            <Input
+              type="password"
+              autoComplete="current-password"
+              value={password}
+              onChange={(_, data) => setPassword(data.value)}
+            />
+          </Field>
+          <Button
+            type="submit"
+            appearance="primary"
+            disabled={submitting}
+            icon={submitting ? <Spinner size="tiny" /> : undefined}
+          >
+            Sign in
+          </Button>
+          {accounts.length > 0 && (
+            <div>
+              <Caption1>Demo accounts</Caption1>
+              <ul className={styles.accounts}>
+                {accounts.map((account) => (
+                  <li key={account.email}>
+                    <Caption1>
+                      {account.email} / {account.password}
+                    </Caption1>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </form>
+      </Card>
+    </div>
+  );
+}
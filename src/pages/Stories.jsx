@@ -0,0 +1,429 @@
+import React, {
+  createContext,
+  createElement,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import {
+  Routes,
+  Route,
+  useNavigate,
+  useParams,
+  useSearchParams,
+} from "react-router-dom";
+import {
+  makeStyles,
+  tokens,
+  Title2,
+  Title3,
+  Body1,
+  Caption1,
+  Badge,
+  Button,
+  Divider,
+  MessageBar,
+  MessageBarBody,
+  MessageBarTitle,
+  SearchBox,
+  Spinner,
+  Tree,
+  TreeItem,
+  TreeItemLayout,
+} from "@fluentui/react-components";
+import {
+  ArrowMaximizeRegular,
+  ArrowMinimizeRegular,
+  LinkRegular,
+} from "@fluentui/react-icons";
+import ExampleFrame from "../components/ExampleFrame";
+import StoryControls from "../components/StoryControls";
+import { copyText } from "../utils/clipboard";
+import {
+  stories,
+  storyPackages,
+  findStory,
+  getStoryPath,
+  loadStory,
+  readArgs,
+  writeArgs,
+} from "../utils/storyRegistry";
+
+const useStyles = makeStyles({
+  layout: {
+    display: "flex",
+    minHeight: "calc(100vh - 64px)",
+    backgroundColor: tokens.colorNeutralBackground1,
+  },
+  sidebar: {
+    width: "300px",
+    flexShrink: 0,
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalS,
+    overflowY: "auto",
+    maxHeight: "calc(100vh - 64px)",
+    position: "sticky",
+    top: "64px",
+    padding: `${tokens.spacingVerticalL} ${tokens.spacingHorizontalS}`,
+    borderRight: `1px solid ${tokens.colorNeutralStroke2}`,
+    backgroundColor: tokens.colorNeutralBackground2,
+    boxSizing: "border-box",
+  },
+  count: {
+    color: tokens.colorNeutralForeground3,
+  },
+  current: {
+    backgroundColor: tokens.colorBrandBackground2,
+    color: tokens.colorBrandForeground2,
+    fontWeight: tokens.fontWeightSemibold,
+  },
+  content: {
+    flex: 1,
+    minWidth: 0,
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalL,
+    padding: `${tokens.spacingVerticalXXL} ${tokens.spacingHorizontalXXL}`,
+  },
+  header: {
+    display: "flex",
+    alignItems: "flex-start",
+    justifyContent: "space-between",
+    gap: tokens.spacingHorizontalL,
+  },
+  heading: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalXS,
+  },
+  actions: {
+    display: "flex",
+    gap: tokens.spacingHorizontalS,
+  },
+  muted: {
+    color: tokens.colorNeutralForeground3,
+  },
+});
+
+/** What a story's `render` function and decorators receive as `context`. */
+const StoryContext = createContext(null);
+
+/**
+ * Builds the component tree for a story once: the story itself wrapped by its
+ * decorators, innermost first. Args reach it through StoryContext, so editing
+ * an arg re-renders the story instead of remounting it.
+ */
+const composeStory = (story) => {
+  function Story() {
+    const context = useContext(StoryContext);
+    return story.render
+      ? story.render(context.args, context)
+      : createElement(story.component, context.args);
+  }
+
+  return story.decorators.reduce(
+    (Inner, decorator) =>
+      function DecoratedStory() {
+        return decorator(Inner, useContext(StoryContext));
+      },
+    Story,
+  );
+};
+
+function StoryCanvas({ story, args }) {
+  const StoryRoot = useMemo(() => composeStory(story), [story]);
+  const context = useMemo(
+    () => ({
+      id: story.id,
+      title: story.title,
+      name: story.name,
+      args,
+      argTypes: story.argTypes,
+      parameters: story.parameters,
+    }),
+    [story, args],
+  );
+
+  return (
+    <StoryContext.Provider value={context}>
+      <StoryRoot />
+    </StoryContext.Provider>
+  );
+}
+
+function StorySidebar({ storyId }) {
+  const styles = useStyles();
+  const navigate = useNavigate();
+  const [query, setQuery] = useState("");
+  const [openItems, setOpenItems] = useState(() => {
+    const current = findStory(storyId);
+    return current ? [current.packageName, current.title] : [];
+  });
+
+  const packages = useMemo(() => {
+    const term = query.trim().toLowerCase();
+    if (!term) {
+      return storyPackages;
+    }
+    return storyPackages
+      .map((pkg) => ({
+        ...pkg,
+        titles: pkg.titles
+          .map((group) => ({
+            ...group,
+            stories: group.stories.filter((story) =>
+              `${story.title} ${story.name}`.toLowerCase().includes(term),
+            ),
+          }))
+          .filter((group) => group.stories.length > 0),
+      }))
+      .filter((pkg) => pkg.titles.length > 0);
+  }, [query]);
+
+  // While filtering, every match is shown expanded.
+  const visibleOpenItems = query.trim()
+    ? packages.flatMap((pkg) => [
+        pkg.name,
+        ...pkg.titles.map((group) => group.title),
+      ])
+    : openItems;
+
+  return (
+    <aside className={styles.sidebar}>
+      <SearchBox
+        placeholder="Filter stories"
+        value={query}
+        onChange={(_, data) => setQuery(data.value)}
+      />
+      <Tree
+        aria-label="Stories"
+        openItems={visibleOpenItems}
+        onOpenChange={(_, data) =>
+          !query.trim() && setOpenItems([...data.openItems])
+        }
+      >
+        {packages.map((pkg) => (
+          <TreeItem key={pkg.name} itemType="branch" value={pkg.name}>
+            <TreeItemLayout>{pkg.name}</TreeItemLayout>
+            <Tree>
+              {pkg.titles.map((group) => (
+                <TreeItem
+                  key={group.title}
+                  itemType="branch"
+                  value={group.title}
+                >
+                  <TreeItemLayout
+                    aside={
+                      <Caption1 className={styles.count}>
+                        {group.stories.length}
+                      </Caption1>
+                    }
+                  >
+                    {group.label}
+                  </TreeItemLayout>
+                  <Tree>
+                    {group.stories.map((story) => (
+                      <TreeItem
+                        key={story.id}
+                        itemType="leaf"
+                        value={story.id}
+                        onClick={() => navigate(getStoryPath(story))}
+                      >
+                        <TreeItemLayout
+                          className={
+                            story.id === storyId ? styles.current : undefined
+                          }
+                        >
+                          {story.name}
+                        </TreeItemLayout>
+                      </TreeItem>
+                    ))}
+                  </Tree>
+                </TreeItem>
+              ))}
+            </Tree>
+          </TreeItem>
+        ))}
+      </Tree>
+    </aside>
+  );
+}
+
+function StoryIndex() {
+  const styles = useStyles();
+
+  return (
+    <div className={styles.heading}>
+      <Title2>Stories</Title2>
+      <Body1>
+        {stories.length} stories from the examples&apos; *.stories.tsx files.
+        Pick one to render it on its own, with a control for each of its args.
+      </Body1>
+    </div>
+  );
+}
+
+function StoryView({ canvasOnly, onToggleCanvas }) {
+  const styles = useStyles();
+  const { storyId } = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const entry = findStory(storyId);
+  const [loaded, setLoaded] = useState({ story: null, error: null });
+  // "copied" until the Copy link button loses focus, or "failed" until the
+  // next try or story.
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoaded({ story: null, error: null });
+    setCopyStatus(null);
+    if (entry) {
+      loadStory(entry).then(
+        (story) => !cancelled && setLoaded({ story, error: null }),
+        (error) => !cancelled && setLoaded({ story: null, error }),
+      );
+    }
+    return () => {
+      cancelled = true;
+    };
+  }, [entry]);
+
+  const { story, error } = loaded;
+  const urlArgs = searchParams.toString();
+  const args = useMemo(
+    () =>
+      story && {
+        ...story.args,
+        ...readArgs(new URLSearchParams(urlArgs), story.argTypes),
+      },
+    [story, urlArgs],
+  );
+
+  if (!entry) {
+    return (
+      <MessageBar intent="warning">
+        <MessageBarBody>No story matches this address.</MessageBarBody>
+      </MessageBar>
+    );
+  }
+
+  const setArgs = (next) =>
+    setSearchParams(writeArgs(searchParams, next, story.args), {
+      replace: true,
+    });
+
+  const copyLink = async () =>
+    setCopyStatus((await copyText(window.location.href)) ? "copied" : "failed");
+
+  return (
+    <>
+      <div className={styles.header}>
+        <div className={styles.heading}>
+          <Caption1 className={styles.muted}>{entry.title}</Caption1>
+          <Title3>
+            {story?.name ?? entry.name}{" "}
+            <Badge appearance="tint">{entry.exportName}</Badge>
+          </Title3>
+          <Caption1 className={styles.muted}>{entry.path}</Caption1>
+        </div>
+        <div className={styles.actions}>
+          <Button
+            icon={<LinkRegular />}
+            onClick={copyLink}
+            onBlur={() =>
+              setCopyStatus((status) => (status === "copied" ? null : status))
+            }
+          >
+            {copyStatus === "copied" ? "Link copied" : "Copy link"}
+          </Button>
+          <Button
+            icon={
+              canvasOnly ? <ArrowMinimizeRegular /> : <ArrowMaximizeRegular />
+            }
+            onClick={onToggleCanvas}
+          >
+            {canvasOnly ? "Show panels" : "Canvas only"}
+          </Button>
+        </div>
+      </div>
+      {copyStatus === "failed" && (
+        <MessageBar intent="warning" role="status">
+          <MessageBarBody>
+            The link could not be copied. Copy it from the address bar instead.
+          </MessageBarBody>
+        </MessageBar>
+      )}
+      {error && (
+        <MessageBar intent="error">
+          <MessageBarBody>
+            <MessageBarTitle>This story could not be loaded</MessageBarTitle>
+            {error.message}
+          </MessageBarBody>
+        </MessageBar>
+      )}
+      <ExampleFrame resetKey={entry.id}>
+        {story ? (
+          <StoryCanvas key={story.id} story={story} args={args} />
+        ) : (
+          !error && <Spinner label="Loading story..." />
+        )}
+      </ExampleFrame>
+      {story && !canvasOnly && (
+        <>
+          <Divider />
+          <StoryControls
+            argTypes={story.argTypes}
+            args={args}
+            onChange={(name, value) => setArgs({ ...args, [name]: value })}
+            onReset={() => setArgs(story.args)}
+          />
+        </>
+      )}
+    </>
+  );
+}
+
+/**
+ * Renders the examples' Component Story Format files without Storybook.
+ * `/stories/:storyId` deep-links a story; `?canvas` hides the sidebar and the
+ * controls, and `?arg.<name>=<value>` sets its args.
+ */
+export default function Stories() {
+  const styles = useStyles();
+  const params = useParams();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const canvasOnly = searchParams.has("canvas");
+  const storyId = (params["*"] || "").split("/")[0];
+
+  const toggleCanvas = () => {
+    const next = new URLSearchParams(searchParams);
+    if (canvasOnly) {
+      next.delete("canvas");
+    } else {
+      next.set("canvas", "");
+    }
+    setSearchParams(next);
+  };
+
+  return (
+    <div className={styles.layout}>
+      {!canvasOnly && <StorySidebar storyId={storyId} />}
+      <div className={styles.content}>
+        <Routes>
+          <Route index element={<StoryIndex />} />
+          <Route
+            path=":storyId"
+            element={
+              <StoryView
+                canvasOnly={canvasOnly}
+                onToggleCanvas={toggleCanvas}
+              />
+            }
+          />
+        </Routes>
+      </div>
+    </div>
+  );
+}
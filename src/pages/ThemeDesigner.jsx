@@ -0,0 +1,433 @@
+import React, { useMemo, useState } from "react";
+import {
+  makeStyles,
+  tokens,
+  FluentProvider,
+  Title2,
+  Title3,
+  Body1,
+  Caption1,
+  Badge,
+  Button,
+  Card,
+  Field,
+  Input,
+  MessageBar,
+  MessageBarBody,
+  Slider,
+  TabList,
+  Tab,
+  Table,
+  TableHeader,
+  TableRow,
+  TableHeaderCell,
+  TableBody,
+  TableCell,
+} from "@fluentui/react-components";
+import {
+  ArrowCounterclockwiseRegular,
+  ArrowDownloadRegular,
+  CopyRegular,
+} from "@fluentui/react-icons";
+import {
+  BRAND_COLORS,
+  createBrandThemes,
+  createBrandVariants,
+} from "../theme/createAppTheme";
+import { BRAND_SHADES, contrastRatio, isHexColor } from "../theme/brandRamp";
+import {
+  toCss,
+  toDesignTokens,
+  toScss,
+  toTsModule,
+} from "../theme/themeTokens";
+import ThemePreview from "../theme/ThemePreview";
+import { copyText } from "../utils/clipboard";
+import { downloadFile } from "../utils/download";
+
+const DEFAULT_DESIGN = {
+  keyColor: BRAND_COLORS.blue,
+  hueTorque: 0,
+  vibrancy: 0,
+};
+
+// Foreground/background token pairs to check, with the WCAG AA minimum for
+// their use: 4.5 for body text, 3 for large text and UI components.
+const CONTRAST_PAIRS = [
+  ["colorNeutralForeground1", "colorNeutralBackground1", 4.5],
+  ["colorNeutralForeground2", "colorNeutralBackground1", 4.5],
+  ["colorBrandForeground1", "colorNeutralBackground1", 4.5],
+  ["colorBrandForegroundLink", "colorNeutralBackground1", 4.5],
+  ["colorNeutralForegroundOnBrand", "colorBrandBackground", 4.5],
+  ["colorNeutralForegroundOnBrand", "colorBrandBackgroundHover", 4.5],
+  ["colorNeutralForegroundOnBrand", "colorBrandBackgroundPressed", 4.5],
+  ["colorCompoundBrandForeground1", "colorNeutralBackground1", 3],
+  ["colorBrandStroke1", "colorNeutralBackground1", 3],
+  ["colorCompoundBrandStroke", "colorNeutralBackground1", 3],
+];
+
+const EXPORT_FORMATS = {
+  ts: {
+    label: "TypeScript",
+    fileName: "brandTheme.ts",
+    type: "text/typescript",
+    serialize: ({ brand }) => toTsModule(brand),
+  },
+  json: {
+    label: "Design tokens (JSON)",
+    fileName: "brandTheme.tokens.json",
+    type: "application/json",
+    serialize: ({ brand, themes }) =>
+      `${JSON.stringify(toDesignTokens(themes, brand), null, 2)}\n`,
+  },
+  css: {
+    label: "CSS variables",
+    fileName: "brandTheme.css",
+    type: "text/css",
+    serialize: ({ themes }) => toCss(themes),
+  },
+  scss: {
+    label: "SCSS",
+    fileName: "_brandTheme.scss",
+    type: "text/x-scss",
+    serialize: ({ themes }) => toScss(themes),
+  },
+};
+
+const useStyles = makeStyles({
+  page: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalXXL,
+    padding: `${tokens.spacingVerticalXXL} ${tokens.spacingHorizontalXXL}`,
+    backgroundColor: tokens.colorNeutralBackground1,
+    minHeight: "calc(100vh - 64px)",
+    boxSizing: "border-box",
+  },
+  header: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalS,
+  },
+  subtitle: {
+    color: tokens.colorNeutralForeground2,
+  },
+  columns: {
+    display: "grid",
+    gridTemplateColumns: "minmax(280px, 360px) 1fr",
+    gap: tokens.spacingHorizontalXXL,
+    alignItems: "start",
+    "@media (max-width: 900px)": {
+      gridTemplateColumns: "1fr",
+    },
+  },
+  card: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalL,
+    padding: tokens.spacingHorizontalXL,
+  },
+  colorField: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalS,
+  },
+  colorInput: {
+    width: "40px",
+    height: "32px",
+    padding: 0,
+    border: `1px solid ${tokens.colorNeutralStroke1}`,
+    borderRadius: tokens.borderRadiusMedium,
+    backgroundColor: "transparent",
+    cursor: "pointer",
+  },
+  ramp: {
+    display: "grid",
+    gridTemplateColumns: "repeat(8, 1fr)",
+    borderRadius: tokens.borderRadiusLarge,
+    overflow: "hidden",
+    border: `1px solid ${tokens.colorNeutralStroke2}`,
+  },
+  swatch: {
+    display: "flex",
+    flexDirection: "column",
+    justifyContent: "flex-end",
+    minHeight: "64px",
+    padding: tokens.spacingHorizontalS,
+    fontFamily: tokens.fontFamilyMonospace,
+    fontSize: tokens.fontSizeBase100,
+  },
+  keySwatch: {
+    outline: `2px solid ${tokens.colorNeutralForeground1}`,
+    outlineOffset: "-4px",
+  },
+  ratio: {
+    display: "flex",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalS,
+  },
+  token: {
+    fontFamily: tokens.fontFamilyMonospace,
+    fontSize: tokens.fontSizeBase200,
+  },
+  exportToolbar: {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    flexWrap: "wrap",
+    gap: tokens.spacingHorizontalM,
+  },
+  actions: {
+    display: "flex",
+    gap: tokens.spacingHorizontalS,
+  },
+  code: {
+    margin: 0,
+    maxHeight: "320px",
+    overflow: "auto",
+    padding: tokens.spacingHorizontalL,
+    fontFamily: tokens.fontFamilyMonospace,
+    fontSize: tokens.fontSizeBase200,
+    backgroundColor: tokens.colorNeutralBackground3,
+    borderRadius: tokens.borderRadiusMedium,
+  },
+  preview: {
+    border: `1px solid ${tokens.colorNeutralStroke2}`,
+    borderRadius: tokens.borderRadiusLarge,
+    overflow: "hidden",
+  },
+});
+
+const swatchTextColor = (color) =>
+  contrastRatio("#ffffff", color) >= contrastRatio("#000000", color)
+    ? "#ffffff"
+    : "#000000";
+
+function ContrastResult({ ratio, minimum }) {
+  const styles = useStyles();
+
+  if (ratio === null) {
+    return <Caption1>n/a</Caption1>;
+  }
+  const passes = ratio >= minimum;
+  return (
+    <span className={styles.ratio}>
+      {ratio.toFixed(2)}:1
+      <Badge appearance="tint" color={passes ? "success" : "danger"}>
+        {passes ? "Pass" : "Fail"}
+      </Badge>
+    </span>
+  );
+}
+
+export default function ThemeDesigner() {
+  const styles = useStyles();
+  const [design, setDesign] = useState(DEFAULT_DESIGN);
+  const [colorText, setColorText] = useState(DEFAULT_DESIGN.keyColor);
+  const [previewMode, setPreviewMode] = useState("light");
+  const [format, setFormat] = useState("ts");
+  // null, "copied" or "failed" for the export shown.
+  const [copyStatus, setCopyStatus] = useState(null);
+
+  const brand = useMemo(
+    () =>
+      createBrandVariants(design.keyColor, {
+        hueTorque: design.hueTorque,
+        vibrancy: design.vibrancy / 100,
+      }),
+    [design],
+  );
+  const themes = useMemo(() => createBrandThemes(brand), [brand]);
+  const exported = EXPORT_FORMATS[format].serialize({ brand, themes });
+
+  const update = (patch) => {
+    setDesign((current) => ({ ...current, ...patch }));
+    setCopyStatus(null);
+  };
+
+  const updateKeyColor = (value) => {
+    setColorText(value);
+    if (isHexColor(value)) {
+      update({ keyColor: value.toLowerCase() });
+    }
+  };
+
+  const reset = () => {
+    setDesign(DEFAULT_DESIGN);
+    setColorText(DEFAULT_DESIGN.keyColor);
+  };
+
+  const copyExport = async () =>
+    setCopyStatus((await copyText(exported)) ? "copied" : "failed");
+
+  return (
+    <div className={styles.page}>
+      <div className={styles.header}>
+        <Title2>Theme Designer</Title2>
+        <Body1 className={styles.subtitle}>
+          Generate a Fluent v9 brand ramp from a key color, check its contrast
+          and export it as code or design tokens.
+        </Body1>
+      </div>
+
+      <div className={styles.columns}>
+        <Card className={styles.card}>
+          <Title3>Brand</Title3>
+          <Field
+            label="Key color"
+            validationMessage={
+              isHexColor(colorText) ? undefined : "Use a #rrggbb hex color"
+            }
+          >
+            <div className={styles.colorField}>
+              <input
+                type="color"
+                aria-label="Pick key color"
+                className={styles.colorInput}
+                value={design.keyColor}
+                onChange={(e) => updateKeyColor(e.target.value)}
+              />
+              <Input
+                value={colorText}
+                onChange={(e, data) => updateKeyColor(data.value)}
+              />
+            </div>
+          </Field>
+          <Field label={`Hue torque: ${design.hueTorque}°`}>
+            <Slider
+              min={-50}
+              max={50}
+              value={design.hueTorque}
+              onChange={(e, data) => update({ hueTorque: data.value })}
+            />
+          </Field>
+          <Field label={`Vibrancy: ${design.vibrancy}%`}>
+            <Slider
+              min={-100}
+              max={100}
+              step={5}
+              value={design.vibrancy}
+              onChange={(e, data) => update({ vibrancy: data.value })}
+            />
+          </Field>
+          <Button icon={<ArrowCounterclockwiseRegular />} onClick={reset}>
+            Reset
+          </Button>
+        </Card>
+
+        <Card className={styles.card}>
+          <Title3>BrandVariants</Title3>
+          <div className={styles.ramp}>
+            {BRAND_SHADES.map((shade) => (
+              <div
+                key={shade}
+                className={shade === 80 ? styles.keySwatch : undefined}
+                style={{
+                  backgroundColor: brand[shade],
+                  color: swatchTextColor(brand[shade]),
+                }}
+              >
+                <div className={styles.swatch}>
+                  <span>{shade}</span>
+                  <span>{brand[shade]}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <Title3>Contrast (WCAG 2 AA)</Title3>
+          <Table size="small" aria-label="Contrast of token pairs">
+            <TableHeader>
+              <TableRow>
+                <TableHeaderCell>Foreground / background</TableHeaderCell>
+                <TableHeaderCell>Minimum</TableHeaderCell>
+                <TableHeaderCell>Light</TableHeaderCell>
+                <TableHeaderCell>Dark</TableHeaderCell>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {CONTRAST_PAIRS.map(([foreground, background, minimum]) => (
+                <TableRow key={`${foreground}/${background}`}>
+                  <TableCell className={styles.token}>
+                    {foreground} / {background}
+                  </TableCell>
+                  <TableCell>{minimum}:1</TableCell>
+                  {["light", "dark"].map((mode) => (
+                    <TableCell key={mode}>
+                      <ContrastResult
+                        minimum={minimum}
+                        ratio={contrastRatio(
+                          themes[mode][foreground],
+                          themes[mode][background],
+                        )}
+                      />
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </Card>
+      </div>
+
+      <Card className={styles.card}>
+        <div className={styles.exportToolbar}>
+          <TabList
+            selectedValue={format}
+            onTabSelect={(_, data) => {
+              setFormat(data.value);
+              setCopyStatus(null);
+            }}
+          >
+            {Object.entries(EXPORT_FORMATS).map(([value, { label }]) => (
+              <Tab key={value} value={value}>
+                {label}
+              </Tab>
+            ))}
+          </TabList>
+          <div className={styles.actions}>
+            <Button icon={<CopyRegular />} onClick={copyExport}>
+              {copyStatus === "copied" ? "Copied" : "Copy"}
+            </Button>
+            <Button
+              appearance="primary"
+              icon={<ArrowDownloadRegular />}
+              onClick={() =>
+                downloadFile(
+                  exported,
+                  EXPORT_FORMATS[format].fileName,
+                  EXPORT_FORMATS[format].type,
+                )
+              }
+            >
+              Download {EXPORT_FORMATS[format].fileName}
+            </Button>
+          </div>
+        </div>
+        {copyStatus === "failed" && (
+          <MessageBar intent="warning" role="status">
+            <MessageBarBody>
+              The export could not be copied. Select it below and copy it
+              yourself, or download it.
+            </MessageBarBody>
+          </MessageBar>
+        )}
+        <pre className={styles.code}>{exported}</pre>
+      </Card>
+
+      <div className={styles.header}>
+        <Title3>Preview</Title3>
+        <TabList
+          selectedValue={previewMode}
+          onTabSelect={(_, data) => setPreviewMode(data.value)}
+        >
+          <Tab value="light">Light</Tab>
+          <Tab value="dark">Dark</Tab>
+        </TabList>
+      </div>
+      <FluentProvider theme={themes[previewMode]} className={styles.preview}>
+        <ThemePreview />
+      </FluentProvider>
+    </div>
+  );
+}
@@ -0,0 +1,210 @@
+import React from "react";
+import {
+  makeStyles,
+  mergeClasses,
+  tokens,
+  Skeleton,
+  SkeletonItem,
+} from "@fluentui/react-components";
+
+const useStyles = makeStyles({
+  page: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalXXL,
+    minHeight: "calc(100vh - 64px)",
+    boxSizing: "border-box",
+  },
+  padded: {
+    padding: `${tokens.spacingVerticalXXL} ${tokens.spacingHorizontalXXL}`,
+  },
+  split: {
+    display: "flex",
+    minHeight: "calc(100vh - 64px)",
+  },
+  row: {
+    display: "flex",
+    gap: tokens.spacingHorizontalXXL,
+    flex: 1,
+  },
+  stack: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalM,
+    flex: 1,
+    minWidth: 0,
+  },
+  hero: {
+    height: "220px",
+    borderRadius: 0,
+  },
+  centered: {
+    width: "100%",
+    maxWidth: "1200px",
+    margin: "0 auto",
+    padding: `0 ${tokens.spacingHorizontalXXL}`,
+    boxSizing: "border-box",
+  },
+  grid: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fill, minmax(260px, 1fr))",
+    gap: tokens.spacingHorizontalL,
+  },
+  card: {
+    height: "180px",
+    borderRadius: tokens.borderRadiusLarge,
+  },
+  panel: {
+    height: "320px",
+    borderRadius: tokens.borderRadiusLarge,
+  },
+  header: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalS,
+  },
+  title: {
+    width: "320px",
+    maxWidth: "100%",
+  },
+  subtitle: {
+    width: "480px",
+    maxWidth: "100%",
+  },
+  line: {
+    width: "100%",
+  },
+  shortLine: {
+    width: "60%",
+  },
+  aside: {
+    flex: "0 0 240px",
+  },
+  sidebar: {
+    flex: "0 0 300px",
+    padding: tokens.spacingHorizontalL,
+    boxSizing: "border-box",
+    borderRight: `1px solid ${tokens.colorNeutralStroke2}`,
+  },
+  rail: {
+    width: "68px",
+    flexShrink: 0,
+    minHeight: "100vh",
+    borderRadius: 0,
+  },
+});
+
+// The title and subtitle most pages open with.
+function Header({ styles }) {
+  return (
+    <div className={styles.header}>
+      <SkeletonItem size={32} className={styles.title} />
+      <SkeletonItem size={16} className={styles.subtitle} />
+    </div>
+  );
+}
+
+function Lines({ styles, count }) {
+  return Array.from({ length: count }, (_, index) => (
+    <SkeletonItem
+      key={index}
+      size={16}
+      className={index % 4 === 3 ? styles.shortLine : styles.line}
+    />
+  ));
+}
+
+function Cards({ styles, count }) {
+  return (
+    <div className={styles.grid}>
+      {Array.from({ length: count }, (_, index) => (
+        <SkeletonItem key={index} className={styles.card} />
+      ))}
+    </div>
+  );
+}
+
+const LAYOUTS = {
+  // Home, About, Components and Settings: a banner over a grid of cards.
+  hero: (styles) => (
+    <div className={styles.page}>
+      <SkeletonItem className={styles.hero} />
+      <div className={styles.centered}>
+        <Cards styles={styles} count={6} />
+      </div>
+    </div>
+  ),
+  // The example gallery and the index cards: a header over a grid of cards.
+  gallery: (styles) => (
+    <div className={mergeClasses(styles.page, styles.padded)}>
+      <Header styles={styles} />
+      <Cards styles={styles} count={8} />
+    </div>
+  ),
+  // A doc page: the text beside its table of contents.
+  document: (styles) => (
+    <div className={mergeClasses(styles.page, styles.padded)}>
+      <div className={styles.row}>
+        <div className={styles.stack}>
+          <Header styles={styles} />
+          <Lines styles={styles} count={12} />
+        </div>
+        <div className={mergeClasses(styles.stack, styles.aside)}>
+          <Lines styles={styles} count={6} />
+        </div>
+      </div>
+    </div>
+  ),
+  // The stories: the story list beside the story.
+  sidebar: (styles) => (
+    <div className={styles.split}>
+      <div className={mergeClasses(styles.stack, styles.sidebar)}>
+        <SkeletonItem size={32} />
+        <Lines styles={styles} count={10} />
+      </div>
+      <div className={mergeClasses(styles.stack, styles.padded)}>
+        <Header styles={styles} />
+        <SkeletonItem className={styles.panel} />
+      </div>
+    </div>
+  ),
+  // The theme designer: its controls beside the preview.
+  columns: (styles) => (
+    <div className={mergeClasses(styles.page, styles.padded)}>
+      <Header styles={styles} />
+      <div className={styles.row}>
+        <div className={styles.stack}>
+          <Lines styles={styles} count={8} />
+        </div>
+        <div className={styles.stack}>
+          <SkeletonItem className={styles.panel} />
+        </div>
+      </div>
+    </div>
+  ),
+  // The login dashboard: its icon rail beside the header and panels.
+  dashboard: (styles) => (
+    <div className={styles.row}>
+      <SkeletonItem className={styles.rail} />
+      <div className={mergeClasses(styles.stack, styles.padded)}>
+        <Header styles={styles} />
+        <Cards styles={styles} count={3} />
+        <SkeletonItem className={styles.panel} />
+      </div>
+    </div>
+  ),
+};
+
+/**
+ * The placeholder shown while a page's chunk loads, shaped like that page
+ * so the layout doesn't jump when it arrives. `layout` is a route's
+ * `skeleton` in routeTable.js.
+ */
+export default function PageSkeleton({ layout }) {
+  const styles = useStyles();
+  return (
+    <Skeleton aria-label="Loading page">
+      {(LAYOUTS[layout] ?? LAYOUTS.gallery)(styles)}
+    </Skeleton>
+  );
+}
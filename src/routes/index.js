@@ -0,0 +1,15 @@
+/**
+ * The app's routes, each page loaded as its own chunk behind a skeleton of
+ * its layout. Pages are prefetched when a link to them is hovered and, once
+ * the browser is idle, all of them.
+ */
+export { ROUTES } from "./routeTable";
+export {
+  findRoute,
+  getPage,
+  loadPage,
+  prefetchRoute,
+  retryPage,
+} from "./lazyPages";
+export { usePrefetchWhenIdle } from "./usePrefetchWhenIdle";
+export { default as PageSkeleton } from "./PageSkeleton";
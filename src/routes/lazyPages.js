@@ -0,0 +1,62 @@
+import { lazy } from "react";
+import { matchPath } from "react-router-dom";
+import { ROUTES } from "./routeTable";
+
+// One chunk per page; the tests next to the pages are not pages.
+const pageModules = import.meta.glob([
+  "../pages/*.jsx",
+  "!../pages/*.test.jsx",
+]);
+
+const loading = new Map();
+
+/**
+ * Loads the chunk of the page named `page` (a file name under src/pages),
+ * once; a failed load is tried again on the next call.
+ */
+export function loadPage(page) {
+  if (!loading.has(page)) {
+    const promise = pageModules[`../pages/${page}.jsx`]();
+    promise.catch(() => loading.delete(page));
+    loading.set(page, promise);
+  }
+  return loading.get(page);
+}
+
+const components = new Map();
+
+/** The page named `page` as a lazy component, the same one every time. */
+export function getPage(page) {
+  if (!components.has(page)) {
+    components.set(
+      page,
+      lazy(() => loadPage(page)),
+    );
+  }
+  return components.get(page);
+}
+
+/**
+ * Lets a page whose chunk failed to load try again: a lazy component keeps
+ * its first result, so the next `getPage` makes a new one.
+ */
+export function retryPage(page) {
+  if (!loading.has(page)) {
+    components.delete(page);
+  }
+}
+
+export const findRoute = (pathname) =>
+  ROUTES.find((route) => matchPath(route.path, pathname));
+
+/**
+ * Starts loading the page `pathname` leads to, e.g. when a link to it is
+ * hovered, so the page is ready by the time it is clicked. Errors are left
+ * for the navigation itself to show.
+ */
+export function prefetchRoute(pathname) {
+  const route = findRoute(pathname);
+  if (route) {
+    loadPage(route.page).catch(() => {});
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * The app's routes: the page module under src/pages each one renders and the
+ * skeleton shown while that page's chunk loads. Plain data, so the build's
+ * bundle budget (plugins/routeBudget.js) can name chunks by route too.
+ *
+ * `themeMode` pins a route to a theme, whatever the user picked, and
+ * `requiresAuth` sends signed-out users to the sign-in page first.
+ */
+export const ROUTES = [
+  { path: "/", page: "Home", skeleton: "hero" },
+  { path: "/about", page: "About", skeleton: "hero" },
+  { path: "/components", page: "Components", skeleton: "hero" },
+  {
+    path: "/agentic-index-cards",
+    page: "AgenticIndexCards",
+    skeleton: "gallery",
+  },
+  { path: "/examples/*", page: "Examples", skeleton: "gallery" },
+  { path: "/docs/*", page: "Docs", skeleton: "document" },
+  { path: "/stories/*", page: "Stories", skeleton: "sidebar" },
+  { path: "/theme-designer", page: "ThemeDesigner", skeleton: "columns" },
+  { path: "/settings", page: "Settings", skeleton: "hero" },
+  { path: "/diagnostics", page: "Diagnostics", skeleton: "gallery" },
+  { path: "/sign-in", page: "SignIn", skeleton: "hero" },
+  { path: "/profile", page: "Profile", skeleton: "hero", requiresAuth: true },
+  {
+    path: "/login-dashboard",
+    page: "LoginDashboard",
+    skeleton: "dashboard",
+    // The dashboard's layout colors are designed for the light theme.
+    themeMode: "light",
+    requiresAuth: true,
+  },
+];
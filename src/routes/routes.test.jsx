@@ -0,0 +1,50 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { screen } from "@testing-library/react";
+import { renderWithProviders } from "../test";
+import App from "../App";
+import { findRoute, loadPage, prefetchRoute } from ".";
+
+// The first load of a page transforms its whole import graph.
+const LOAD_TIMEOUT = 15000;
+
+describe("routes", () => {
+  it("finds the route a path leads to, nested paths included", () => {
+    expect(findRoute("/about").page).toBe("About");
+    expect(findRoute("/docs/avatargroup").page).toBe("Docs");
+    expect(findRoute("/examples/react/DetailsList/grouped").page).toBe(
+      "Examples",
+    );
+    expect(findRoute("/nowhere")).toBeUndefined();
+  });
+
+  it(
+    "loads each page once, whether prefetched or rendered",
+    async () => {
+      prefetchRoute("/agentic-index-cards");
+      const page = loadPage("AgenticIndexCards");
+
+      expect(loadPage("AgenticIndexCards")).toBe(page);
+      expect((await page).default).toBeTypeOf("function");
+    },
+    LOAD_TIMEOUT,
+  );
+
+  it(
+    "shows a skeleton of the page while it loads",
+    async () => {
+      renderWithProviders(<App />, { route: "/settings" });
+
+      expect(screen.getByLabelText("Loading page")).toBeInTheDocument();
+      expect(
+        await screen.findByText(
+          "Application Settings",
+          {},
+          { timeout: LOAD_TIMEOUT },
+        ),
+      ).toBeInTheDocument();
+      expect(screen.queryByLabelText("Loading page")).not.toBeInTheDocument();
+    },
+    LOAD_TIMEOUT,
+  );
+});
@@ -0,0 +1,44 @@
+import { useEffect } from "react";
+import { useSettings } from "../settings";
+import { loadPage } from "./lazyPages";
+import { ROUTES } from "./routeTable";
+
+const whenIdle = (callback) => {
+  if (window.requestIdleCallback) {
+    const id = window.requestIdleCallback(callback, { timeout: 5000 });
+    return () => window.cancelIdleCallback(id);
+  }
+  const id = setTimeout(callback, 1000);
+  return () => clearTimeout(id);
+};
+
+/**
+ * Once the browser is idle, loads the other pages' chunks one at a time, each
+ * in its own idle period, so later navigations don't wait for the network.
+ * Skipped when the "Prefetch data" setting is off or the browser asks to save
+ * data.
+ */
+export function usePrefetchWhenIdle() {
+  const { settings } = useSettings();
+  const enabled =
+    settings.prefetchData && !globalThis.navigator?.connection?.saveData;
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+    const pages = ROUTES.map((route) => route.page);
+    let cancel = () => {};
+    const next = () => {
+      const page = pages.shift();
+      if (page) {
+        cancel = whenIdle(() => loadPage(page).then(next, next));
+      }
+    };
+    next();
+    return () => {
+      pages.length = 0;
+      cancel();
+    };
+  }, [enabled]);
+}
@@ -0,0 +1,16 @@
+export { useSettings } from "./useSettings";
+export type { UseSettingsResult } from "./useSettings";
+export { settingsStore, STORAGE_KEY } from "./settingsStore";
+export {
+  DEFAULT_SETTINGS,
+  SETTINGS_SCHEMA,
+  SETTINGS_VERSION,
+  SettingsValidationError,
+} from "./settingsSchema";
+export type {
+  Settings,
+  SettingsDocument,
+  ThemeMode,
+  ColorScheme,
+  Density,
+} from "./settingsSchema";
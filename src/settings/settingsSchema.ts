@@ -0,0 +1,177 @@
+/**
+ * Shape, defaults and validation of the persisted application settings.
+ *
+ * The stored document is `{ version, settings }`. Bump SETTINGS_VERSION and
+ * add an entry to `migrations` whenever a field is renamed, removed or changes
+ * meaning; new fields with a default need neither, because every field is
+ * validated on load and falls back to its default.
+ */
+
+export type ThemeMode = "light" | "dark" | "system";
+export type ColorScheme = "blue" | "green" | "purple" | "red";
+export type Density = "compact" | "normal" | "comfortable";
+
+export interface Settings {
+  themeMode: ThemeMode;
+  colorScheme: ColorScheme;
+  density: Density;
+  animations: boolean;
+  soundEffects: boolean;
+  notifications: boolean;
+  autoSave: boolean;
+  highContrast: boolean;
+  fontSize: number;
+  motionReduced: boolean;
+  prefetchData: boolean;
+  /** Minutes. */
+  cacheTimeout: number;
+  /** Whether the side navigation is collapsed on wide screens. */
+  sideNavCollapsed: boolean;
+}
+
+export interface SettingsDocument {
+  version: number;
+  settings: Settings;
+}
+
+export const SETTINGS_VERSION = 1;
+
+export const DEFAULT_SETTINGS: Settings = {
+  themeMode: "light",
+  colorScheme: "blue",
+  density: "normal",
+  animations: true,
+  soundEffects: false,
+  notifications: true,
+  autoSave: true,
+  highContrast: false,
+  fontSize: 14,
+  motionReduced: false,
+  prefetchData: true,
+  cacheTimeout: 30,
+  sideNavCollapsed: false,
+};
+
+type FieldSchema =
+  | { type: "boolean" }
+  | { type: "enum"; values: readonly string[] }
+  | { type: "number"; min: number; max: number };
+
+export const SETTINGS_SCHEMA: Record<keyof Settings, FieldSchema> = {
+  themeMode: { type: "enum", values: ["light", "dark", "system"] },
+  colorScheme: { type: "enum", values: ["blue", "green", "purple", "red"] },
+  density: { type: "enum", values: ["compact", "normal", "comfortable"] },
+  animations: { type: "boolean" },
+  soundEffects: { type: "boolean" },
+  notifications: { type: "boolean" },
+  autoSave: { type: "boolean" },
+  highContrast: { type: "boolean" },
+  fontSize: { type: "number", min: 12, max: 20 },
+  motionReduced: { type: "boolean" },
+  prefetchData: { type: "boolean" },
+  cacheTimeout: { type: "number", min: 5, max: 120 },
+  sideNavCollapsed: { type: "boolean" },
+};
+
+/**
+ * Upgrades a stored `settings` object from the version it is keyed under to
+ * the next one.
+ */
+const migrations: Record<number, (settings: Record<string, unknown>) => Record<string, unknown>> = {
+  // Version 0 is the state before the settings store existed, when only the
+  // theme mode was persisted (see `readLegacySettings`).
+  0: (settings) => settings,
+};
+
+export class SettingsValidationError extends Error {
+  issues: string[];
+
+  constructor(message: string, issues: string[] = []) {
+    super(issues.length ? `${message}: ${issues.join("; ")}` : message);
+    this.name = "SettingsValidationError";
+    this.issues = issues;
+  }
+}
+
+const isRecord = (value: unknown): value is Record<string, unknown> =>
+  typeof value === "object" && value !== null && !Array.isArray(value);
+
+const checkField = (schema: FieldSchema, value: unknown): string | null => {
+  switch (schema.type) {
+    case "boolean":
+      return typeof value === "boolean" ? null : "expected true or false";
+    case "enum":
+      return schema.values.includes(value as string)
+        ? null
+        : `expected one of ${schema.values.join(", ")}`;
+    case "number":
+      return typeof value === "number" &&
+        Number.isFinite(value) &&
+        value >= schema.min &&
+        value <= schema.max
+        ? null
+        : `expected a number from ${schema.min} to ${schema.max}`;
+  }
+};
+
+/**
+ * Checks every known field. Invalid or missing fields take their default and
+ * are reported in `issues`; unknown fields are dropped.
+ */
+export function validateSettings(input: unknown): {
+  settings: Settings;
+  issues: string[];
+} {
+  const source = isRecord(input) ? input : {};
+  const issues: string[] = isRecord(input) ? [] : ["settings must be an object"];
+  const settings = { ...DEFAULT_SETTINGS } as Record<keyof Settings, unknown>;
+
+  (Object.keys(SETTINGS_SCHEMA) as (keyof Settings)[]).forEach((key) => {
+    if (!(key in source)) {
+      return;
+    }
+    const problem = checkField(SETTINGS_SCHEMA[key], source[key]);
+    if (problem) {
+      issues.push(`${key}: ${problem}`);
+    } else {
+      settings[key] = source[key];
+    }
+  });
+
+  return { settings: settings as Settings, issues };
+}
+
+/**
+ * Brings a stored or imported document up to SETTINGS_VERSION and validates
+ * it. Throws a SettingsValidationError for documents that are not settings or
+ * come from a newer version of the app.
+ */
+export function migrateSettings(document: unknown): {
+  settings: Settings;
+  issues: string[];
+} {
+  if (
+    !isRecord(document) ||
+    !Number.isInteger(document.version) ||
+    !isRecord(document.settings)
+  ) {
+    throw new SettingsValidationError(
+      "Not a settings file (expected { version, settings })",
+    );
+  }
+
+  let version = document.version as number;
+  if (version > SETTINGS_VERSION) {
+    throw new SettingsValidationError(
+      `Settings version ${version} is newer than this app supports (${SETTINGS_VERSION})`,
+    );
+  }
+
+  let settings = document.settings;
+  while (version < SETTINGS_VERSION) {
+    settings = migrations[version](settings);
+    version += 1;
+  }
+
+  return validateSettings(settings);
+}
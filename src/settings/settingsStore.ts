@@ -0,0 +1,150 @@
+/**
+ * The single source of truth for application settings.
+ *
+ * Settings are kept in memory, written to localStorage on every change and
+ * re-read when another tab writes them (the `storage` event), so all open
+ * tabs stay in sync. Components read them through `useSettings`. Stored
+ * settings that cannot be read or saved are reported to the error log.
+ */
+import { errorLog } from "../diagnostics/errorLog";
+import {
+  readStorageItem,
+  removeStorageItem,
+  writeStoredJson,
+} from "../utils/storage";
+import {
+  DEFAULT_SETTINGS,
+  SETTINGS_VERSION,
+  Settings,
+  SettingsDocument,
+  SettingsValidationError,
+  migrateSettings,
+} from "./settingsSchema";
+
+export const STORAGE_KEY = "app-settings";
+
+// Before the store existed the theme provider persisted only this key.
+const LEGACY_THEME_KEY = "themeMode";
+
+type Listener = () => void;
+
+const listeners = new Set<Listener>();
+
+const reportStorageError = (error: unknown) =>
+  errorLog.record(error, { source: "storage" });
+
+const readLegacySettings = () => {
+  const themeMode = readStorageItem(LEGACY_THEME_KEY);
+  return themeMode ? { version: 0, settings: { themeMode } } : null;
+};
+
+const readStoredSettings = (): Settings => {
+  try {
+    const raw = readStorageItem(STORAGE_KEY);
+    const document = raw ? JSON.parse(raw) : readLegacySettings();
+    if (!document) {
+      return DEFAULT_SETTINGS;
+    }
+    const { settings, issues } = migrateSettings(document);
+    if (issues.length) {
+      reportStorageError(
+        new SettingsValidationError("Ignored invalid stored settings", issues),
+      );
+    }
+    return settings;
+  } catch (error) {
+    reportStorageError(error);
+    return DEFAULT_SETTINGS;
+  }
+};
+
+let current: Settings = readStoredSettings();
+
+const emit = () => listeners.forEach((listener) => listener());
+
+// Reported once, not on every change, until saving works again.
+let saveFailed = false;
+
+const persist = (settings: Settings) => {
+  const document: SettingsDocument = { version: SETTINGS_VERSION, settings };
+  const saved = writeStoredJson(STORAGE_KEY, document);
+  if (saved) {
+    removeStorageItem(LEGACY_THEME_KEY);
+  } else if (!saveFailed) {
+    reportStorageError(
+      new Error("Could not save the settings; they last until the page closes"),
+    );
+  }
+  saveFailed = !saved;
+};
+
+const setSettings = (settings: Settings) => {
+  current = settings;
+  persist(settings);
+  emit();
+};
+
+if (typeof window !== "undefined") {
+  window.addEventListener("storage", (event) => {
+    if (event.key === STORAGE_KEY || event.key === null) {
+      current = readStoredSettings();
+      emit();
+    }
+  });
+}
+
+export const settingsStore = {
+  getSnapshot: (): Settings => current,
+
+  getServerSnapshot: (): Settings => DEFAULT_SETTINGS,
+
+  subscribe(listener: Listener) {
+    listeners.add(listener);
+    return () => {
+      listeners.delete(listener);
+    };
+  },
+
+  update(patch: Partial<Settings>) {
+    const { settings, issues } = migrateSettings({
+      version: SETTINGS_VERSION,
+      settings: { ...current, ...patch },
+    });
+    if (issues.length) {
+      throw new SettingsValidationError("Invalid settings", issues);
+    }
+    setSettings(settings);
+  },
+
+  reset() {
+    setSettings(DEFAULT_SETTINGS);
+  },
+
+  /** Serializes the current settings as a versioned JSON document. */
+  exportJson(): string {
+    const document: SettingsDocument = {
+      version: SETTINGS_VERSION,
+      settings: current,
+    };
+    return JSON.stringify(document, null, 2);
+  },
+
+  /**
+   * Replaces the settings with an exported document, migrating older versions.
+   * Throws a SettingsValidationError when the JSON is not a valid settings
+   * document; fields with invalid values are rejected rather than defaulted.
+   */
+  importJson(json: string) {
+    let document: unknown;
+    try {
+      document = JSON.parse(json);
+    } catch {
+      throw new SettingsValidationError("The file is not valid JSON");
+    }
+    const { settings, issues } = migrateSettings(document);
+    if (issues.length) {
+      throw new SettingsValidationError("The file has invalid settings", issues);
+    }
+    setSettings(settings);
+  },
+};
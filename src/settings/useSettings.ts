@@ -0,0 +1,34 @@
+import { useSyncExternalStore } from "react";
+import { settingsStore } from "./settingsStore";
+import type { Settings } from "./settingsSchema";
+
+export interface UseSettingsResult {
+  settings: Settings;
+  /** Changes one or more settings; throws a SettingsValidationError for invalid values. */
+  updateSettings: (patch: Partial<Settings>) => void;
+  resetSettings: () => void;
+  exportSettings: () => string;
+  importSettings: (json: string) => void;
+}
+
+/**
+ * Reads the persisted settings and re-renders when they change, in this tab
+ * or another one.
+ */
+export const useSettings = (): UseSettingsResult => {
+  const settings = useSyncExternalStore(
+    settingsStore.subscribe,
+    settingsStore.getSnapshot,
+    settingsStore.getServerSnapshot,
+  );
+
+  return {
+    settings,
+    updateSettings: settingsStore.update,
+    resetSettings: settingsStore.reset,
+    exportSettings: settingsStore.exportJson,
+    importSettings: settingsStore.importJson,
+  };
+};
+
+export default useSettings;
@@ -0,0 +1,193 @@
+/**
+ * Runs axe-core on the app's routes and on every gallery example, once per
+ * theme, for scripts/a11y.js (`yarn a11y`). It is not part of `yarn test`:
+ * each test passes whatever axe finds, and the violations are left in
+ * `task.meta.audit` for the script to collect into the report.
+ *
+ * The script picks what to audit with the A11Y_TARGETS ("routes", "examples"
+ * or both, comma-separated), A11Y_PACKAGE, A11Y_COMPONENT and A11Y_THEMES
+ * environment variables.
+ */
+import React from "react";
+import process from "node:process";
+import axe from "axe-core";
+import { describe, it, vi } from "vitest";
+import { act, screen, waitFor } from "@testing-library/react";
+import App from "../App";
+import { createMockFetch } from "../api";
+import ExampleFrame from "../components/ExampleFrame";
+import { settingsStore } from "../settings";
+import { examplePackages, getLazyExample } from "../utils/exampleRegistry";
+import { AUDIT_THEMES, summarizeAxeResults } from "../a11y/axeResults";
+import { ROUTES } from "../routes";
+import { renderWithProviders } from "./render";
+import { signInAs } from "./auth";
+
+/** The app's routes, minus the example, docs and story browsers. */
+const AUDIT_ROUTES = ROUTES.map((route) => route.path).filter(
+  (path) => !path.endsWith("/*"),
+);
+
+// Protected routes are audited signed in, rather than as the sign-in page.
+const PROTECTED_ROUTES = new Set(
+  ROUTES.filter((route) => route.requiresAuth).map((route) => route.path),
+);
+
+// No dev server answers /api here, so the dashboard gets the mock API's data
+// from an in-page fetch.
+vi.stubGlobal("fetch", createMockFetch());
+
+const PAGE_LOADING = "Loading page";
+const EXAMPLE_LOADING = "Loading example...";
+const EXAMPLE_FAILED = "This example failed to render";
+// The first render of a run transforms most of the shared import graph.
+const AUDIT_TIMEOUT = 60000;
+const SETTLE_TIMEOUT = 10000;
+
+// jsdom does no layout and does not resolve CSS variables, so axe cannot
+// compute colors; the in-app overlay checks contrast in a real browser.
+const JSDOM_RULES = { "color-contrast": { enabled: false } };
+// An example is a fragment of a page, so it is not expected to sit in a
+// landmark region.
+const EXAMPLE_RULES = { ...JSDOM_RULES, region: { enabled: false } };
+
+const {
+  A11Y_TARGETS = "routes,examples",
+  A11Y_PACKAGE,
+  A11Y_COMPONENT,
+  A11Y_THEMES,
+} = process.env;
+const targets = A11Y_TARGETS.split(",");
+const themes = Object.keys(AUDIT_THEMES).filter(
+  (theme) => !A11Y_THEMES || A11Y_THEMES.split(",").includes(theme),
+);
+
+const describeError = (error) =>
+  error instanceof Error ? error.stack || error.message : String(error);
+
+const settle = () =>
+  act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+async function runAxe(container, rules) {
+  const results = await axe.run(container, {
+    rules,
+    resultTypes: ["violations"],
+    // Selectors use React's generated ids, which change with every render;
+    // the report matches elements across themes by their ancestry instead.
+    ancestry: true,
+  });
+  return summarizeAxeResults(results);
+}
+
+/**
+ * Registers one test per theme that renders `render()` in that theme, runs
+ * axe on what it rendered and records the violations under `identity`.
+ */
+function auditInThemes(identity, render, rules) {
+  themes.forEach((theme) => {
+    it(
+      `${identity.title} (${theme})`,
+      async ({ task }) => {
+        const started = performance.now();
+        task.meta.audit = { ...identity, theme, violations: [], error: null };
+        try {
+          settingsStore.update(AUDIT_THEMES[theme]);
+          const { container, error } = await render();
+          task.meta.audit.violations = await runAxe(container, rules);
+          task.meta.audit.error = error && describeError(error);
+        } catch (error) {
+          task.meta.audit.error = describeError(error);
+        }
+        task.meta.audit.durationMs = Math.round(performance.now() - started);
+      },
+      AUDIT_TIMEOUT,
+    );
+  });
+}
+
+async function renderRoute(route) {
+  if (PROTECTED_ROUTES.has(route)) {
+    await signInAs();
+  }
+  const { container } = renderWithProviders(<App />, { route });
+  await waitFor(
+    () => {
+      if (screen.queryByLabelText(PAGE_LOADING)) {
+        throw new Error(`${route} is still loading`);
+      }
+    },
+    { timeout: SETTLE_TIMEOUT },
+  );
+  await settle();
+  return { container };
+}
+
+async function renderGalleryExample(example) {
+  let error = null;
+  const LazyExample = getLazyExample(example);
+  const { container } = renderWithProviders(
+    <ExampleFrame resetKey={example.path}>
+      <LazyExample />
+    </ExampleFrame>,
+    {
+      onCaughtError: (caught) => {
+        error ??= caught;
+      },
+    },
+  );
+  await waitFor(
+    () => {
+      if (screen.queryByText(EXAMPLE_LOADING)) {
+        throw new Error(`${example.path} is still loading`);
+      }
+    },
+    { timeout: SETTLE_TIMEOUT },
+  );
+  await settle();
+  if (!error && screen.queryByText(EXAMPLE_FAILED)) {
+    error = new Error(`${example.path} failed to render`);
+  }
+  return { container, error };
+}
+
+if (targets.includes("routes") && !A11Y_PACKAGE) {
+  describe("routes", () => {
+    AUDIT_ROUTES.forEach((route) =>
+      auditInThemes(
+        { kind: "route", target: route, title: route },
+        () => renderRoute(route),
+        JSDOM_RULES,
+      ),
+    );
+  });
+}
+
+if (targets.includes("examples")) {
+  examplePackages
+    .filter((pkg) => !A11Y_PACKAGE || pkg.name === A11Y_PACKAGE)
+    .forEach((pkg) => {
+      describe(pkg.name, () => {
+        pkg.components
+          .filter(
+            (component) => !A11Y_COMPONENT || component.name === A11Y_COMPONENT,
+          )
+          .forEach((component) => {
+            describe(component.name, () => {
+              component.examples.forEach((example) =>
+                auditInThemes(
+                  {
+                    kind: "example",
+                    target: example.path.replace(/^\.\.\//, "src/"),
+                    title: example.title,
+                    packageName: pkg.name,
+                    componentName: component.name,
+                  },
+                  () => renderGalleryExample(example),
+                  EXAMPLE_RULES,
+                ),
+              );
+            });
+          });
+      });
+    });
+}
@@ -0,0 +1,13 @@
+import { act } from "@testing-library/react";
+import { FIXTURE_USERS, localIdentityProvider, sessionStore } from "../auth";
+
+/**
+ * Signs `account` (a fixture user, the first by default) in through the local
+ * identity provider, as if they had used the sign-in page. Returns the
+ * session. The session is cleared after every test.
+ */
+export async function signInAs(account = FIXTURE_USERS[0]) {
+  const session = await localIdentityProvider.signIn(account);
+  act(() => sessionStore.set(session));
+  return session;
+}
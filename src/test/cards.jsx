@@ -0,0 +1,45 @@
+import React from "react";
+import { screen } from "@testing-library/react";
+import { AuthProvider } from "../auth";
+import { createFixtureSource } from "../cards";
+import AgenticIndexCards from "../pages/AgenticIndexCards";
+import { renderWithProviders } from "./render";
+
+/**
+ * A valid index card titled "Card <id>", for building feeds.
+ *
+ * @param {string} id
+ * @param {string} [kind]
+ * @param {object} [overrides] - any other card fields
+ */
+export const createCard = (id, kind = "compact", overrides = {}) => ({
+  id,
+  kind,
+  title: `Card ${id}`,
+  author: { name: "Daisy Phillips" },
+  timestamp: "2025-06-02T08:00:00Z",
+  ...overrides,
+});
+
+/** The titles of the cards on screen, in order. */
+export const cardTitles = () =>
+  screen.getAllByRole("article").map((article) => article.ariaLabel);
+
+/**
+ * Renders the index cards page with a feed of `cards`, for whoever is
+ * signed in, and waits for them to show.
+ *
+ * @param {object[]} cards
+ * @param {object} [options] - passed to renderWithProviders, e.g. `route`
+ */
+export async function renderCards(cards, options) {
+  const source = createFixtureSource({ version: 1, cards });
+  const result = renderWithProviders(
+    <AuthProvider>
+      <AgenticIndexCards source={source} />
+    </AuthProvider>,
+    options,
+  );
+  await screen.findAllByRole("article");
+  return result;
+}
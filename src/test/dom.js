@@ -0,0 +1,83 @@
+/**
+ * Browser APIs jsdom does not implement, replaced with small stand-ins.
+ */
+
+const mediaQueries = new Map();
+const mediaListeners = new Set();
+
+/**
+ * Emulates `matchMedia`: every query is unmatched unless set here, e.g.
+ * `setMediaQueries({ "(prefers-color-scheme: dark)": true })`. Listeners of
+ * the changed queries are notified, as a browser would on a system change.
+ */
+export function setMediaQueries(matches) {
+  Object.entries(matches).forEach(([query, value]) =>
+    mediaQueries.set(query, value),
+  );
+  mediaListeners.forEach(({ query, listener }) => {
+    if (query in matches) {
+      listener({ matches: mediaQueries.get(query), media: query });
+    }
+  });
+}
+
+export function resetMediaQueries() {
+  mediaQueries.clear();
+}
+
+const matchMedia = (query) => ({
+  media: query,
+  get matches() {
+    return mediaQueries.get(query) ?? false;
+  },
+  onchange: null,
+  addEventListener: (type, listener) => mediaListeners.add({ query, listener }),
+  removeEventListener: (type, listener) =>
+    mediaListeners.forEach(
+      (entry) => entry.listener === listener && mediaListeners.delete(entry),
+    ),
+  addListener(listener) {
+    this.addEventListener("change", listener);
+  },
+  removeListener(listener) {
+    this.removeEventListener("change", listener);
+  },
+  dispatchEvent: () => false,
+});
+
+// Reads a Blob (or File) as text, for `Blob.prototype.text`.
+function readBlobText() {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(this);
+  });
+}
+
+class ResizeObserver {
+  observe() {}
+  unobserve() {}
+  disconnect() {}
+}
+
+export function installDomShims() {
+  window.matchMedia = matchMedia;
+  window.ResizeObserver ??= ResizeObserver;
+  Element.prototype.scrollIntoView ??= () => {};
+  Blob.prototype.text ??= readBlobText;
+  // Without layout there is no text to measure: report an empty SVG text run,
+  // and no 2D context, as a browser does for a context it cannot create.
+  SVGElement.prototype.getComputedTextLength ??= () => 0;
+  HTMLCanvasElement.prototype.getContext = () => null;
+
+  // jsdom does no layout, so every element has a null offsetParent. Fluent UI
+  // v8's focus utilities treat such elements as hidden and never focus them;
+  // report the parent instead so FocusZone and FocusTrapZone work.
+  Object.defineProperty(HTMLElement.prototype, "offsetParent", {
+    configurable: true,
+    get() {
+      return this.parentNode;
+    },
+  });
+}
@@ -0,0 +1,133 @@
+/**
+ * Renders every gallery example once and records how it went, for
+ * scripts/smoke.js (`yarn smoke`). It is not part of `yarn test`: each test
+ * passes whatever the example does, and its result is left in
+ * `task.meta.smoke` for the script to collect into the health report.
+ *
+ * The script picks the examples with the SMOKE_PACKAGE and SMOKE_COMPONENT
+ * environment variables.
+ */
+import React from "react";
+import process from "node:process";
+import { format } from "node:util";
+import { describe, it, vi } from "vitest";
+import { act, screen, waitFor } from "@testing-library/react";
+import ExampleFrame from "../components/ExampleFrame";
+import {
+  createExampleRenderer,
+  examplePackages,
+  resolveExampleComponents,
+} from "../utils/exampleRegistry";
+import { findMissingModule } from "../utils/missingModule";
+import { renderWithProviders } from "./render";
+
+const EXAMPLE_LOADING = "Loading example...";
+// The first example of a run transforms most of the shared import graph.
+const EXAMPLE_TIMEOUT = 60000;
+const SETTLE_TIMEOUT = 10000;
+
+const { SMOKE_PACKAGE, SMOKE_COMPONENT } = process.env;
+
+const describeError = (error) =>
+  error instanceof Error ? error.stack || error.message : String(error);
+
+/** Loads the example's module, then renders it the way the gallery does. */
+async function smokeRender(example) {
+  const consoleErrors = [];
+  const spy = vi
+    .spyOn(console, "error")
+    .mockImplementation((...args) => consoleErrors.push(format(...args)));
+  const result = (status, error = null, missingModules = []) => ({
+    status:
+      status === "passed" && consoleErrors.length ? "console-errors" : status,
+    error: error && describeError(error),
+    missingModules,
+    consoleErrors,
+  });
+
+  try {
+    let module;
+    try {
+      module = await example.load();
+    } catch (error) {
+      const missing = findMissingModule(error.message);
+      return missing
+        ? result("missing-module", error, [missing])
+        : result("import-error", error);
+    }
+
+    const components = resolveExampleComponents(module, example.kind);
+    if (components.length === 0) {
+      return result("no-component", new Error("No component is exported"));
+    }
+
+    let renderError = null;
+    const RenderedExample = createExampleRenderer(components);
+    renderWithProviders(
+      <ExampleFrame resetKey={example.path}>
+        <RenderedExample />
+      </ExampleFrame>,
+      {
+        onCaughtError: (error) => {
+          renderError ??= error;
+        },
+      },
+    );
+    // Doc pages load their page component lazily; effects run after that.
+    await waitFor(
+      () => {
+        if (screen.queryByText(EXAMPLE_LOADING)) {
+          throw new Error(`${example.path} is still loading`);
+        }
+      },
+      { timeout: SETTLE_TIMEOUT },
+    );
+    await act(() => new Promise((resolve) => setTimeout(resolve, 0)));
+
+    return renderError ? result("render-error", renderError) : result("passed");
+  } finally {
+    spy.mockRestore();
+  }
+}
+
+const selectedPackages = examplePackages.filter(
+  (pkg) => !SMOKE_PACKAGE || pkg.name === SMOKE_PACKAGE,
+);
+
+selectedPackages.forEach((pkg) => {
+  describe(pkg.name, () => {
+    pkg.components
+      .filter(
+        (component) => !SMOKE_COMPONENT || component.name === SMOKE_COMPONENT,
+      )
+      .forEach((component) => {
+        describe(component.name, () => {
+          component.examples.forEach((example) => {
+            it(
+              example.title,
+              async ({ task }) => {
+                const identity = {
+                  packageName: pkg.name,
+                  componentName: component.name,
+                  path: example.path.replace(/^\.\.\//, "src/"),
+                  title: example.title,
+                  kind: example.kind ?? "example",
+                };
+                const started = performance.now();
+                // Left as is if the test times out.
+                task.meta.smoke = { ...identity, status: "timeout" };
+
+                const outcome = await smokeRender(example);
+                task.meta.smoke = {
+                  ...identity,
+                  ...outcome,
+                  durationMs: Math.round(performance.now() - started),
+                };
+              },
+              EXAMPLE_TIMEOUT,
+            );
+          });
+        });
+      });
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Focus and keyboard helpers for component tests.
+ */
+import { act, waitFor } from "@testing-library/react";
+
+/** The focused element, or `null` when focus is on the body (nothing). */
+export const getFocused = () =>
+  document.activeElement && document.activeElement !== document.body
+    ? document.activeElement
+    : null;
+
+/** Text of the focused element, or `null` when nothing is focused. */
+export const getFocusedText = () => getFocused()?.textContent ?? null;
+
+/**
+ * Waits until the focused element's text is `text` (or nothing is focused,
+ * for `null`). Components such as FocusTrapZone move focus asynchronously.
+ */
+export const waitForFocus = (text) =>
+  waitFor(() => {
+    const focused = getFocusedText();
+    if (focused !== text) {
+      throw new Error(
+        `Expected focus on ${JSON.stringify(text)}, found ${JSON.stringify(focused)}`,
+      );
+    }
+  });
+
+/**
+ * Moves focus to `element` the way script would (`element.focus()`), without
+ * the pointer events a click sends.
+ */
+export const focusElement = (element) => {
+  act(() => element.focus());
+  return getFocused();
+};
+
+/**
+ * Presses a key or chord with user-event, e.g. `press(user, "Tab")`,
+ * `press(user, "Shift+Tab")` or `press(user, "ArrowRight")`.
+ */
+export const press = async (user, keys) => {
+  const parts = keys.split("+");
+  const key = parts.pop();
+  const modifiers = parts.map((modifier) => `{${modifier}>}`).join("");
+  const release = parts
+    .reverse()
+    .map((modifier) => `{/${modifier}}`)
+    .join("");
+  await user.keyboard(`${modifiers}{${key}}${release}`);
+};
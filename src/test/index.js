@@ -0,0 +1,16 @@
+/**
+ * Component test harness: rendering inside the app's providers, examples from
+ * the gallery and index cards feeds, signing in, emulated media queries, and
+ * focus and keyboard helpers.
+ */
+export { renderWithProviders, renderExample } from "./render";
+export { signInAs } from "./auth";
+export { cardTitles, createCard, renderCards } from "./cards";
+export { setMediaQueries } from "./dom";
+export {
+  getFocused,
+  getFocusedText,
+  waitForFocus,
+  focusElement,
+  press,
+} from "./focus";
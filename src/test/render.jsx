@@ -0,0 +1,81 @@
+import React from "react";
+import { BrowserRouter } from "react-router-dom";
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { FluentThemeProvider } from "../theme/ThemeProvider";
+import ExampleFrame from "../components/ExampleFrame";
+import { findExample, getLazyExample } from "../utils/exampleRegistry";
+
+const EXAMPLE_LOADING = "Loading example...";
+const EXAMPLE_LOAD_TIMEOUT = 15000;
+
+/**
+ * Renders `ui` the way the app does: inside BrowserRouter and the root
+ * FluentThemeProvider, at `route`. Returns Testing Library's render result
+ * plus a `user` from user-event for clicks and key presses.
+ *
+ * @param {React.ReactElement} ui
+ * @param {object} [options]
+ * @param {string} [options.route] - the URL to render at, e.g. "/settings"
+ * @param {"light" | "dark" | "system"} [options.themeMode] - re-themes the
+ *   subtree with a nested provider, like the /login-dashboard route
+ * @param {...*} [options.renderOptions] - any other option is passed to
+ *   Testing Library's `render`, e.g. `onCaughtError`
+ */
+export function renderWithProviders(
+  ui,
+  { route = "/", themeMode, ...renderOptions } = {},
+) {
+  window.history.pushState({}, "", route);
+
+  function Providers({ children }) {
+    return (
+      <BrowserRouter>
+        <FluentThemeProvider>
+          {themeMode ? (
+            <FluentThemeProvider themeMode={themeMode}>
+              {children}
+            </FluentThemeProvider>
+          ) : (
+            children
+          )}
+        </FluentThemeProvider>
+      </BrowserRouter>
+    );
+  }
+
+  return {
+    user: userEvent.setup(),
+    ...render(ui, { ...renderOptions, wrapper: Providers }),
+  };
+}
+
+/**
+ * Renders an example from the gallery by its `/examples/...` address parts,
+ * in the same ExampleFrame the gallery uses, and waits until it has loaded.
+ */
+export async function renderExample(packageName, componentName, slug) {
+  const example = findExample(packageName, componentName, slug);
+  if (!example) {
+    throw new Error(
+      `No example at /examples/${packageName}/${componentName}/${slug}`,
+    );
+  }
+
+  const LazyExample = getLazyExample(example);
+  const result = renderWithProviders(
+    <ExampleFrame resetKey={example.path}>
+      <LazyExample />
+    </ExampleFrame>,
+  );
+  // The first load of an example transforms its whole import graph.
+  await waitFor(
+    () => {
+      if (screen.queryByText(EXAMPLE_LOADING)) {
+        throw new Error(`${example.path} is still loading`);
+      }
+    },
+    { timeout: EXAMPLE_LOAD_TIMEOUT },
+  );
+  return { ...result, example };
+}
@@ -0,0 +1,34 @@
+/**
+ * Per-file setup for the Vitest suite (see `test` in vite.config.js).
+ *
+ * Adds the jest-dom matchers, fills in the browser APIs jsdom lacks and resets
+ * shared state after every test: the rendered tree, localStorage, the settings
+ * store, the signed-in session, the card layouts and preferences, the command
+ * palette's usage counts, the error log and the emulated media queries.
+ */
+import "@testing-library/jest-dom/vitest";
+import { cleanup } from "@testing-library/react";
+import { afterEach } from "vitest";
+import { settingsStore } from "../settings";
+import { sessionStore } from "../auth";
+import { cardLayoutStore, cardPreferencesStore } from "../cards";
+import { commandUsage } from "../commands";
+import { errorLog } from "../diagnostics";
+import { installDomShims, resetMediaQueries } from "./dom";
+
+installDomShims();
+
+afterEach(() => {
+  cleanup();
+  settingsStore.reset();
+  sessionStore.clear();
+  cardLayoutStore.clear();
+  cardPreferencesStore.clear();
+  commandUsage.reset();
+  errorLog.clear();
+  window.localStorage.clear();
+  resetMediaQueries();
+  document.documentElement.removeAttribute("data-theme");
+  document.documentElement.removeAttribute("data-brand");
+  document.documentElement.removeAttribute("style");
+});
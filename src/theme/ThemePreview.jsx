@@ -0,0 +1,145 @@
+import React from "react";
+import {
+  makeStyles,
+  tokens,
+  Avatar,
+  Badge,
+  Body1,
+  Button,
+  Card,
+  CardFooter,
+  CardHeader,
+  Caption1,
+  Checkbox,
+  Field,
+  Input,
+  Link,
+  MessageBar,
+  MessageBarBody,
+  ProgressBar,
+  Radio,
+  RadioGroup,
+  Slider,
+  Spinner,
+  Switch,
+  Tab,
+  TabList,
+  Title3,
+} from "@fluentui/react-components";
+import { AddRegular, EditRegular, SendRegular } from "@fluentui/react-icons";
+
+const useStyles = makeStyles({
+  preview: {
+    display: "grid",
+    gridTemplateColumns: "repeat(auto-fit, minmax(280px, 1fr))",
+    gap: tokens.spacingHorizontalL,
+    padding: tokens.spacingHorizontalXL,
+    backgroundColor: tokens.colorNeutralBackground2,
+  },
+  section: {
+    display: "flex",
+    flexDirection: "column",
+    gap: tokens.spacingVerticalM,
+    padding: tokens.spacingHorizontalL,
+  },
+  row: {
+    display: "flex",
+    flexWrap: "wrap",
+    alignItems: "center",
+    gap: tokens.spacingHorizontalS,
+  },
+  caption: {
+    color: tokens.colorNeutralForeground2,
+  },
+});
+
+/**
+ * A sample of the components a brand theme colors (buttons, inputs, tabs,
+ * badges, progress and message bars, a card) for the theme designer to render
+ * under its generated theme. The controls keep their own state, so playing
+ * with them leaves the page and its URL alone.
+ */
+export default function ThemePreview() {
+  const styles = useStyles();
+  return (
+    <div className={styles.preview}>
+      <Card className={styles.section}>
+        <Title3>Buttons</Title3>
+        <div className={styles.row}>
+          <Button appearance="primary" icon={<AddRegular />}>
+            Primary
+          </Button>
+          <Button icon={<EditRegular />}>Secondary</Button>
+          <Button appearance="outline">Outline</Button>
+          <Button appearance="subtle">Subtle</Button>
+          <Button appearance="transparent">Transparent</Button>
+          <Button disabled>Disabled</Button>
+        </div>
+        <TabList defaultSelectedValue="overview">
+          <Tab value="overview">Overview</Tab>
+          <Tab value="activity">Activity</Tab>
+          <Tab value="settings">Settings</Tab>
+        </TabList>
+      </Card>
+
+      <Card className={styles.section}>
+        <Title3>Inputs</Title3>
+        <Field label="Name">
+          <Input placeholder="Enter your name" />
+        </Field>
+        <div className={styles.row}>
+          <Switch label="Notifications" defaultChecked />
+          <Checkbox label="I agree" defaultChecked />
+        </div>
+        <RadioGroup defaultValue="personal" layout="horizontal">
+          <Radio value="personal" label="Personal" />
+          <Radio value="business" label="Business" />
+        </RadioGroup>
+        <Field label="Volume">
+          <Slider defaultValue={60} />
+        </Field>
+      </Card>
+
+      <Card className={styles.section}>
+        <Title3>Status</Title3>
+        <div className={styles.row}>
+          <Badge>Brand</Badge>
+          <Badge appearance="tint">Tint</Badge>
+          <Badge appearance="outline">Outline</Badge>
+          <Badge color="success">Success</Badge>
+          <Badge color="danger">Danger</Badge>
+        </div>
+        <Field
+          validationMessage="Uploading 3 of 5 files"
+          validationState="none"
+        >
+          <ProgressBar value={0.6} />
+        </Field>
+        <Spinner size="tiny" label="Syncing" />
+        <MessageBar>
+          <MessageBarBody>Your changes are saved automatically.</MessageBarBody>
+        </MessageBar>
+      </Card>
+
+      <Card className={styles.section}>
+        <CardHeader
+          image={<Avatar name="Daisy Phillips" color="brand" />}
+          header={<Body1>Daisy Phillips</Body1>}
+          description={
+            <Caption1 className={styles.caption}>Design review</Caption1>
+          }
+        />
+        <Body1>
+          The new palette is ready for review. See the{" "}
+          <Link inline>release notes</Link> for what changed.
+        </Body1>
+        <CardFooter>
+          <Button appearance="primary" icon={<SendRegular />}>
+            Reply
+          </Button>
+          <Button>Dismiss</Button>
+        </CardFooter>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React from "react";
+import { describe, expect, it } from "vitest";
+import { act, screen } from "@testing-library/react";
+import { renderWithProviders, setMediaQueries } from "../test";
+import { settingsStore } from "../settings";
+import { useTheme } from "./ThemeProvider";
+
+function ThemeState() {
+  const { themeMode, themePreference, highContrast, toggleTheme } = useTheme();
+  return (
+    <>
+      <output aria-label="mode">{themeMode}</output>
+      <output aria-label="preference">{themePreference}</output>
+      <output aria-label="high contrast">{String(highContrast)}</output>
+      <button onClick={toggleTheme}>toggle</button>
+    </>
+  );
+}
+
+const mode = () => screen.getByLabelText("mode").textContent;
+
+describe("FluentThemeProvider", () => {
+  it("follows the saved theme mode and mirrors it onto <html>", () => {
+    act(() =>
+      settingsStore.update({ themeMode: "dark", colorScheme: "green" }),
+    );
+    renderWithProviders(<ThemeState />);
+
+    expect(mode()).toBe("dark");
+    expect(document.documentElement).toHaveAttribute("data-theme", "dark");
+    expect(document.documentElement).toHaveAttribute("data-brand", "green");
+    expect(document.documentElement.style.colorScheme).toBe("dark");
+  });
+
+  it("toggles between light and dark and saves the choice", async () => {
+    const { user } = renderWithProviders(<ThemeState />);
+    expect(mode()).toBe("light");
+
+    await user.click(screen.getByRole("button", { name: "toggle" }));
+
+    expect(mode()).toBe("dark");
+    expect(settingsStore.getSnapshot().themeMode).toBe("dark");
+  });
+
+  it("resolves the system mode from prefers-color-scheme", () => {
+    setMediaQueries({ "(prefers-color-scheme: dark)": true });
+    act(() => settingsStore.update({ themeMode: "system" }));
+    renderWithProviders(<ThemeState />);
+
+    expect(mode()).toBe("dark");
+    expect(screen.getByLabelText("preference")).toHaveTextContent("system");
+
+    act(() => setMediaQueries({ "(prefers-color-scheme: dark)": false }));
+    expect(mode()).toBe("light");
+  });
+
+  it("uses high contrast when the system asks for more contrast", () => {
+    setMediaQueries({ "(prefers-contrast: more)": true });
+    act(() => settingsStore.update({ themeMode: "system" }));
+    renderWithProviders(<ThemeState />);
+
+    expect(screen.getByLabelText("high contrast")).toHaveTextContent("true");
+    expect(document.documentElement).toHaveAttribute(
+      "data-theme",
+      "high-contrast",
+    );
+  });
+
+  it("lets a nested provider force a mode without touching <html>", () => {
+    renderWithProviders(<ThemeState />, { themeMode: "dark" });
+
+    expect(mode()).toBe("dark");
+    expect(document.documentElement).toHaveAttribute("data-theme", "light");
+  });
+});
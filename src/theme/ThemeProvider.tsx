@@ -4,85 +4,135 @@ import React, {
   ReactNode,
   createContext,
   useContext,
-  useState,
   useEffect,
+  useMemo,
 } from "react";
 import {
   FluentProvider,
-  webLightTheme,
-  webDarkTheme,
-  Theme,
   SSRProvider,
 } from "@fluentui/react-components";
+import { useSettings } from "../settings/useSettings";
+import type { ThemeMode } from "../settings/settingsSchema";
+import { createAppTheme } from "./createAppTheme";
+import { useMediaQuery } from "./useMediaQuery";
 
-type ThemeMode = "light" | "dark";
+export type ResolvedThemeMode = "light" | "dark";
 
 interface ThemeContextType {
-  themeMode: ThemeMode;
+  /** The mode in effect, with "system" resolved to light or dark. */
+  themeMode: ResolvedThemeMode;
+  /** The saved preference, which may be "system". */
+  themePreference: ThemeMode;
+  highContrast: boolean;
   toggleTheme: () => void;
   setThemeMode: (mode: ThemeMode) => void;
 }
 
-const ThemeContext = createContext<ThemeContextType>({
+const DEFAULT_CONTEXT: ThemeContextType = {
   themeMode: "light",
+  themePreference: "light",
+  highContrast: false,
   toggleTheme: () => {},
   setThemeMode: () => {},
-});
+};
+
+const ThemeContext = createContext<ThemeContextType>(DEFAULT_CONTEXT);
 
 export const useTheme = () => useContext(ThemeContext);
 
 interface ThemeProviderProps {
   children: ReactNode;
-  defaultTheme?: ThemeMode;
+  /**
+   * Forces a mode for this subtree, e.g. a route designed for one theme.
+   * Only meaningful on a nested provider; the root follows the settings.
+   */
+  themeMode?: ThemeMode;
+  /** Forces high contrast on or off for this subtree. */
+  highContrast?: boolean;
 }
 
+/**
+ * Provides the Fluent theme built from the persisted settings. The root
+ * provider also wraps the app in an SSRProvider and mirrors the resolved mode
+ * onto <html>, matching the boot script in index.html that sets it before
+ * the first paint. Nested providers re-theme their subtree with the given
+ * overrides.
+ */
 export const FluentThemeProvider = ({
   children,
-  defaultTheme = "light",
+  themeMode: themeModeOverride,
+  highContrast: highContrastOverride,
 }: ThemeProviderProps) => {
-  const [themeMode, setThemeMode] = useState<ThemeMode>(defaultTheme);
+  const isNested = useContext(ThemeContext) !== DEFAULT_CONTEXT;
+  // The theme preferences are persisted settings (src/settings).
+  const { settings, updateSettings } = useSettings();
+  const prefersDark = useMediaQuery("(prefers-color-scheme: dark)");
+  const prefersMoreContrast = useMediaQuery("(prefers-contrast: more)");
+  const forcedColors = useMediaQuery("(forced-colors: active)");
 
-  useEffect(() => {
-    // Check for saved preference
-    const savedTheme = localStorage.getItem("themeMode") as ThemeMode;
-    if (savedTheme) {
-      setThemeMode(savedTheme);
-    }
-  }, []);
+  const themePreference = themeModeOverride ?? settings.themeMode;
+  const followsSystem = themePreference === "system";
+  const themeMode: ResolvedThemeMode = followsSystem
+    ? prefersDark
+      ? "dark"
+      : "light"
+    : themePreference;
+  const highContrast =
+    highContrastOverride ??
+    (settings.highContrast ||
+      (followsSystem && (prefersMoreContrast || forcedColors)));
+  const { colorScheme, fontSize, density } = settings;
 
   const toggleTheme = () => {
-    const newTheme = themeMode === "light" ? "dark" : "light";
-    setThemeMode(newTheme);
-    localStorage.setItem("themeMode", newTheme);
+    updateSettings({ themeMode: themeMode === "light" ? "dark" : "light" });
   };
 
   const updateThemeMode = (mode: ThemeMode) => {
-    setThemeMode(mode);
-    localStorage.setItem("themeMode", mode);
+    updateSettings({ themeMode: mode });
   };
 
-  const theme = themeMode === "light" ? webLightTheme : webDarkTheme;
+  // Brand color, high contrast, font size and density re-theme every page live.
+  const theme = useMemo(
+    () =>
+      createAppTheme({ themeMode, colorScheme, highContrast, fontSize, density }),
+    [themeMode, colorScheme, highContrast, fontSize, density],
+  );
+
+  useEffect(() => {
+    if (isNested) {
+      return;
+    }
+    const root = document.documentElement;
+    root.dataset.theme = highContrast ? "high-contrast" : themeMode;
+    root.dataset.brand = colorScheme;
+    root.style.colorScheme = highContrast || themeMode === "dark" ? "dark" : "light";
+    root.style.backgroundColor = theme.colorNeutralBackground1;
+  }, [isNested, highContrast, themeMode, colorScheme, theme]);
+
+  const provider = (
+    <FluentProvider
+      theme={theme}
+      style={{
+        minHeight: isNested ? undefined : "100vh",
+        backgroundColor: theme.colorNeutralBackground1,
+        color: theme.colorNeutralForeground1,
+      }}
+    >
+      {children}
+    </FluentProvider>
+  );
 
   return (
-    <ThemeContext.Provider value={{ themeMode, toggleTheme, setThemeMode: updateThemeMode }}>
-      <SSRProvider>
-        <FluentProvider
-          theme={theme}
-          style={{
-            minHeight: "100vh",
-            backgroundColor:
-              themeMode === "dark"
-                ? theme.colorNeutralBackground1
-                : theme.colorNeutralBackground1,
-            color:
-              themeMode === "dark"
-                ? theme.colorNeutralForeground1
-                : theme.colorNeutralForeground1,
-          }}
-        >
-          {children}
-        </FluentProvider>
-      </SSRProvider>
+    <ThemeContext.Provider
+      value={{
+        themeMode,
+        themePreference,
+        highContrast,
+        toggleTheme,
+        setThemeMode: updateThemeMode,
+      }}
+    >
+      {isNested ? provider : <SSRProvider>{provider}</SSRProvider>}
     </ThemeContext.Provider>
   );
 };
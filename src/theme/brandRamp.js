@@ -0,0 +1,144 @@
+/**
+ * Color math for Fluent v9 themes: the 16-shade BrandVariants ramp generated
+ * from a key color, and WCAG contrast ratios.
+ *
+ * It has no Node or browser dependencies, so the app (theme provider, theme
+ * designer) and the token script, scripts/tokens.js, share it.
+ */
+
+export const BRAND_SHADES = [
+  10, 20, 30, 40, 50, 60, 70, 80, 90, 100, 110, 120, 130, 140, 150, 160,
+];
+
+/** The shade that holds the key color unchanged. */
+export const KEY_SHADE = 80;
+
+const BLACK = [0, 0, 0];
+const WHITE = [255, 255, 255];
+
+const clamp = (value, min = 0, max = 1) => Math.min(max, Math.max(min, value));
+
+export const isHexColor = (value) => /^#[0-9a-f]{6}$/i.test(value);
+
+export function hexToRgb(hex) {
+  const value = Number.parseInt(hex.slice(1), 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+export const rgbToHex = (rgb) =>
+  `#${rgb
+    .map((channel) =>
+      Math.round(clamp(channel, 0, 255))
+        .toString(16)
+        .padStart(2, "0"),
+    )
+    .join("")}`;
+
+const mix = (from, to, amount) =>
+  from.map((channel, index) => channel + (to[index] - channel) * amount);
+
+function rgbToHsl([r, g, b]) {
+  const [red, green, blue] = [r / 255, g / 255, b / 255];
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  if (max === min) {
+    return [0, 0, lightness];
+  }
+  const delta = max - min;
+  const saturation =
+    lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  const hue =
+    max === red
+      ? (green - blue) / delta + (green < blue ? 6 : 0)
+      : max === green
+        ? (blue - red) / delta + 2
+        : (red - green) / delta + 4;
+  return [hue * 60, saturation, lightness];
+}
+
+function hslToRgb([hue, saturation, lightness]) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  const h = (((hue % 360) + 360) % 360) / 60;
+  const x = chroma * (1 - Math.abs((h % 2) - 1));
+  const [r, g, b] =
+    h < 1
+      ? [chroma, x, 0]
+      : h < 2
+        ? [x, chroma, 0]
+        : h < 3
+          ? [0, chroma, x]
+          : h < 4
+            ? [0, x, chroma]
+            : h < 5
+              ? [x, 0, chroma]
+              : [chroma, 0, x];
+  const m = lightness - chroma / 2;
+  return [r, g, b].map((channel) => (channel + m) * 255);
+}
+
+/**
+ * Generates the BrandVariants ramp Fluent's createLightTheme/createDarkTheme
+ * expect. The key color sits at shade 80; darker shades are mixed towards
+ * black and lighter ones towards white.
+ *
+ * @param {string} keyColor - `#rrggbb`
+ * @param {object} [options]
+ * @param {number} [options.hueTorque=0] - degrees the hue turns towards the
+ *   ends of the ramp (darkest shades turn the opposite way)
+ * @param {number} [options.vibrancy=0] - from -1 to 1; raises or lowers the
+ *   saturation of the ends of the ramp, which mixing washes out
+ * @returns {Record<number, string>}
+ */
+export function createBrandVariants(
+  keyColor,
+  { hueTorque = 0, vibrancy = 0 } = {},
+) {
+  const base = hexToRgb(keyColor);
+
+  return Object.fromEntries(
+    BRAND_SHADES.map((shade) => {
+      const position = (shade - KEY_SHADE) / KEY_SHADE;
+      let rgb =
+        shade <= KEY_SHADE
+          ? mix(base, BLACK, ((KEY_SHADE - shade) / 70) * 0.85)
+          : mix(base, WHITE, position * 0.9);
+
+      if (hueTorque !== 0 || vibrancy !== 0) {
+        const [hue, saturation, lightness] = rgbToHsl(rgb);
+        rgb = hslToRgb([
+          hue + hueTorque * position,
+          clamp(saturation * (1 + vibrancy * Math.abs(position))),
+          lightness,
+        ]);
+      }
+
+      return [shade, rgbToHex(rgb)];
+    }),
+  );
+}
+
+const channelLuminance = (channel) => {
+  const value = channel / 255;
+  return value <= 0.03928 ? value / 12.92 : ((value + 0.055) / 1.055) ** 2.4;
+};
+
+export const relativeLuminance = (hex) => {
+  const [r, g, b] = hexToRgb(hex).map(channelLuminance);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * WCAG 2 contrast ratio of two `#rrggbb` colors, from 1 to 21. Returns `null`
+ * for values that are not opaque hex colors (`transparent`, `rgba(...)`).
+ */
+export function contrastRatio(foreground, background) {
+  if (!isHexColor(foreground) || !isHexColor(background)) {
+    return null;
+  }
+  const [lighter, darker] = [
+    relativeLuminance(foreground),
+    relativeLuminance(background),
+  ].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
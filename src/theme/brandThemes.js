@@ -0,0 +1,34 @@
+/**
+ * The app's Fluent v9 themes for a brand ramp. Shared by the theme provider,
+ * the theme designer and scripts/tokens.js so the exported tokens match what
+ * the app renders.
+ */
+import {
+  createDarkTheme,
+  createLightTheme,
+  teamsHighContrastTheme,
+} from "@fluentui/react-components";
+
+/** Key colors of the Settings page color schemes, placed at shade 80 of the ramp. */
+export const BRAND_KEY_COLORS = {
+  blue: "#0f6cbd",
+  green: "#107c10",
+  purple: "#5c2d91",
+  red: "#d13438",
+};
+
+/** Light, dark and high-contrast themes for a BrandVariants ramp. */
+export function createBrandThemes(brand) {
+  return {
+    light: createLightTheme(brand),
+    dark: {
+      ...createDarkTheme(brand),
+      // Fluent's recommended overrides so brand text stays readable on dark
+      // backgrounds.
+      colorBrandForeground1: brand[110],
+      colorBrandForeground2: brand[120],
+    },
+    // Uses system-like colors and ignores the brand ramp.
+    "high-contrast": teamsHighContrastTheme,
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Builds the Fluent v9 theme for the current settings: a brand ramp generated
+ * from the chosen color scheme, light/dark/high-contrast base themes, and font
+ * and spacing tokens scaled by the font size and density settings.
+ */
+import { BrandVariants, Theme } from "@fluentui/react-components";
+import { createBrandVariants as createBrandRamp } from "./brandRamp";
+import {
+  BRAND_KEY_COLORS,
+  createBrandThemes as createThemes,
+} from "./brandThemes";
+import type { ColorScheme, Density, Settings } from "../settings/settingsSchema";
+
+/** The shade-80 color of each brand ramp; also shown as swatches on the Settings page. */
+export const BRAND_COLORS: Record<ColorScheme, string> = BRAND_KEY_COLORS;
+
+export const DENSITY_SCALE: Record<Density, number> = {
+  compact: 0.75,
+  normal: 1,
+  comfortable: 1.25,
+};
+
+/** The font size setting that leaves Fluent's type ramp unchanged. */
+export const BASE_FONT_SIZE = 14;
+
+/** The 16-shade brand ramp for a key color; see brandRamp.js. */
+export const createBrandVariants = (
+  keyColor: string,
+  options?: { hueTorque?: number; vibrancy?: number },
+): BrandVariants => createBrandRamp(keyColor, options) as unknown as BrandVariants;
+
+/** Light, dark and high-contrast themes for a brand ramp; see brandThemes.js. */
+export const createBrandThemes = (
+  brand: BrandVariants,
+): Record<"light" | "dark" | "high-contrast", Theme> => createThemes(brand);
+
+const scalePx = (value: string, scale: number) =>
+  `${Math.round(Number.parseFloat(value) * scale)}px`;
+
+const scaleTokens = (
+  theme: Theme,
+  pattern: RegExp,
+  scale: number,
+): Partial<Theme> =>
+  scale === 1
+    ? {}
+    : Object.fromEntries(
+        Object.entries(theme)
+          .filter(([name, value]) => pattern.test(name) && value.endsWith("px"))
+          .map(([name, value]) => [name, scalePx(value, scale)]),
+      );
+
+export type AppThemeSettings = Pick<
+  Settings,
+  "colorScheme" | "highContrast" | "fontSize" | "density"
+> & {
+  /** The resolved mode; "system" is resolved by the theme provider. */
+  themeMode: "light" | "dark";
+};
+
+export function createAppTheme({
+  themeMode,
+  colorScheme,
+  highContrast,
+  fontSize,
+  density,
+}: AppThemeSettings): Theme {
+  const themes = createBrandThemes(createBrandVariants(BRAND_COLORS[colorScheme]));
+  const theme = themes[highContrast ? "high-contrast" : themeMode];
+
+  return {
+    ...theme,
+    ...scaleTokens(theme, /^(fontSize|lineHeight)/, fontSize / BASE_FONT_SIZE),
+    ...scaleTokens(theme, /^spacing/, DENSITY_SCALE[density]),
+  };
+}
@@ -0,0 +1,151 @@
+/**
+ * Serializes Fluent v9 themes (token name -> value maps) for use outside
+ * makeStyles. Pure, like brandRamp.js, so the theme designer and the token
+ * script produce identical files.
+ *
+ * Themes are passed as `{ [name]: theme }`; the first one is the default and
+ * the others are selected with the `data-theme` attribute the app sets on
+ * <html> (see index.html). Other brands' themes are selected the same way
+ * with `data-brand`.
+ */
+
+/** Maps a token name and value to its W3C design-token `$type`. */
+export function tokenType(name, value) {
+  if (/^color/.test(name)) return "color";
+  if (/^(fontSize|lineHeight|spacing|borderRadius|strokeWidth)/.test(name))
+    return "dimension";
+  if (/^fontFamily/.test(name)) return "fontFamily";
+  if (/^fontWeight/.test(name)) return "fontWeight";
+  if (/^duration/.test(name)) return "duration";
+  if (/^curve/.test(name)) return "cubicBezier";
+  if (/^shadow/.test(name)) return "shadow";
+  return typeof value === "number" ? "number" : "string";
+}
+
+const themeSelector = (name, index) =>
+  index === 0 ? `:root,\n[data-theme="${name}"]` : `[data-theme="${name}"]`;
+
+const brandSelector = (brand, name, index) => {
+  const selector = `[data-brand="${brand}"][data-theme="${name}"]`;
+  return index === 0
+    ? `[data-brand="${brand}"]:not([data-theme]),\n${selector}`
+    : selector;
+};
+
+const ruleFor = (selector, entries) => {
+  const declarations = entries
+    .map(([token, value]) => `  --${token}: ${value};`)
+    .join("\n");
+  return `${selector} {\n${declarations}\n}\n`;
+};
+
+/**
+ * CSS custom properties named like Fluent's own (`--colorBrandBackground`).
+ * `brands` maps other brands to their themes, `{ [brand]: themes }`; each
+ * adds only the tokens that differ from `themes`.
+ */
+export function toCss(themes, brands = {}) {
+  const defaults = Object.entries(themes).map(([name, theme], index) =>
+    ruleFor(themeSelector(name, index), Object.entries(theme)),
+  );
+  const overrides = Object.entries(brands).flatMap(([brand, brandThemes]) =>
+    Object.entries(brandThemes).flatMap(([name, theme], index) => {
+      const changed = Object.entries(theme).filter(
+        ([token, value]) => themes[name][token] !== value,
+      );
+      return changed.length > 0
+        ? [ruleFor(brandSelector(brand, name, index), changed)]
+        : [];
+    }),
+  );
+  return [...defaults, ...overrides].join("\n");
+}
+
+const scssValue = (value) =>
+  /^#[0-9a-f]{3,8}$/i.test(value) || typeof value === "number"
+    ? value
+    : `"${String(value).replace(/"/g, '\\"')}"`;
+
+/**
+ * SCSS for stylesheets that cannot use makeStyles: one variable per token
+ * referencing its custom property (so it follows the active theme), plus a
+ * `$fluent-themes` map of raw values per theme for build-time color math.
+ * Non-color values in the map are strings; use `string.unquote()` to emit them.
+ */
+export function toScss(themes) {
+  const [first] = Object.values(themes);
+  const variables = Object.keys(first)
+    .map((token) => `$${token}: var(--${token});`)
+    .join("\n");
+  const maps = Object.entries(themes)
+    .map(([name, theme]) => {
+      const entries = Object.entries(theme)
+        .map(([token, value]) => `    "${token}": ${scssValue(value)},`)
+        .join("\n");
+      return `  "${name}": (\n${entries}\n  ),`;
+    })
+    .join("\n");
+
+  return `${variables}\n\n$fluent-themes: (\n${maps}\n);\n`;
+}
+
+/**
+ * W3C design-token JSON (https://tr.designtokens.org/format/): one group per
+ * theme plus the brand ramp when given. Values are kept as Fluent emits them.
+ */
+export function toDesignTokens(themes, brand) {
+  const group = (entries) =>
+    Object.fromEntries(
+      entries.map(([token, value]) => [
+        token,
+        { $type: tokenType(token, value), $value: value },
+      ]),
+    );
+
+  return {
+    ...(brand && {
+      brand: Object.fromEntries(
+        Object.entries(brand).map(([shade, value]) => [
+          shade,
+          { $type: "color", $value: value },
+        ]),
+      ),
+    }),
+    ...Object.fromEntries(
+      Object.entries(themes).map(([name, theme]) => [
+        name,
+        group(Object.entries(theme)),
+      ]),
+    ),
+  };
+}
+
+/**
+ * A TypeScript module exporting the brand ramp and the light and dark themes
+ * built from it, ready to pass to FluentProvider.
+ */
+export function toTsModule(brand, { name = "brand" } = {}) {
+  const shades = Object.entries(brand)
+    .map(([shade, value]) => `  ${shade}: "${value}",`)
+    .join("\n");
+
+  return `import {
+  BrandVariants,
+  Theme,
+  createDarkTheme,
+  createLightTheme,
+} from "@fluentui/react-components";
+
+export const ${name}: BrandVariants = {
+${shades}
+};
+
+export const lightTheme: Theme = createLightTheme(${name});
+
+export const darkTheme: Theme = {
+  ...createDarkTheme(${name}),
+  colorBrandForeground1: ${name}[110],
+  colorBrandForeground2: ${name}[120],
+};
+`;
+}
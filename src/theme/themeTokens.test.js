@@ -0,0 +1,44 @@
+import { describe, expect, it } from "vitest";
+import { toCss } from "./themeTokens";
+
+const themes = {
+  light: { colorBrandBackground: "#0f6cbd", fontSizeBase300: "14px" },
+  dark: { colorBrandBackground: "#115ea3", fontSizeBase300: "14px" },
+  "high-contrast": { colorBrandBackground: "#1aebff", fontSizeBase300: "14px" },
+};
+
+describe("toCss", () => {
+  it("adds the tokens each other brand changes, keyed by data-brand", () => {
+    const green = {
+      light: { ...themes.light, colorBrandBackground: "#107c10" },
+      dark: { ...themes.dark, colorBrandBackground: "#0e700e" },
+      "high-contrast": themes["high-contrast"],
+    };
+
+    expect(toCss(themes, { green })).toBe(`:root,
+[data-theme="light"] {
+  --colorBrandBackground: #0f6cbd;
+  --fontSizeBase300: 14px;
+}
+
+[data-theme="dark"] {
+  --colorBrandBackground: #115ea3;
+  --fontSizeBase300: 14px;
+}
+
+[data-theme="high-contrast"] {
+  --colorBrandBackground: #1aebff;
+  --fontSizeBase300: 14px;
+}
+
+[data-brand="green"]:not([data-theme]),
+[data-brand="green"][data-theme="light"] {
+  --colorBrandBackground: #107c10;
+}
+
+[data-brand="green"][data-theme="dark"] {
+  --colorBrandBackground: #0e700e;
+}
+`);
+  });
+});
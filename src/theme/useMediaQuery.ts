@@ -0,0 +1,29 @@
+import { useCallback, useSyncExternalStore } from "react";
+
+const getMediaQueryList = (query: string) =>
+  typeof window === "undefined" || !window.matchMedia
+    ? null
+    : window.matchMedia(query);
+
+/**
+ * Whether a CSS media query matches, updated through the MediaQueryList
+ * change listener. Always `false` when rendering without a window.
+ */
+export const useMediaQuery = (query: string): boolean => {
+  const subscribe = useCallback(
+    (onChange: () => void) => {
+      const list = getMediaQueryList(query);
+      list?.addEventListener("change", onChange);
+      return () => list?.removeEventListener("change", onChange);
+    },
+    [query],
+  );
+
+  return useSyncExternalStore(
+    subscribe,
+    () => getMediaQueryList(query)?.matches ?? false,
+    () => false,
+  );
+};
+
+export default useMediaQuery;
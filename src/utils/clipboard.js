@@ -0,0 +1,13 @@
+/**
+ * Copies `text` to the clipboard. Resolves to false when the browser refuses,
+ * e.g. without permission, focus or a secure context, so callers can tell the
+ * user to copy it themselves.
+ */
+export async function copyText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch {
+    return false;
+  }
+}
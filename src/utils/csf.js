@@ -0,0 +1,173 @@
+/**
+ * Component Story Format (CSF) helpers for the examples' `*.stories.tsx` files.
+ *
+ * Storybook is not installed, so the app reads the stories itself. This module
+ * has no Node or React dependencies: `parseCsf` indexes a story file from its
+ * source (used by plugins/storiesIndex.js), and `normalizeStory` turns a
+ * loaded module's export into a `{ name, render, component, args, argTypes }`
+ * description the app can render. Story ids follow Storybook's
+ * `<title>--<story>` scheme so links stay readable.
+ */
+
+/** Lowercases a title or name into an id segment, as Storybook's `sanitize`. */
+export const sanitize = (value) =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+export const toStoryId = (title, exportName) =>
+  `${sanitize(title)}--${sanitize(storyNameFromExport(exportName))}`;
+
+/** `ColumnResize` -> `Column Resize`, `basicUsage_2` -> `Basic Usage 2`. */
+export const storyNameFromExport = (exportName) =>
+  exportName
+    .replace(/[_\s]+/g, " ")
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+    .replace(/\b\w/g, (letter) => letter.toUpperCase())
+    .trim();
+
+const DEFAULT_EXPORT_TITLE =
+  /export\s+default\s*\{[^]*?\btitle\s*:\s*(['"`])([^'"`]+)\1/;
+const NAMED_DECLARATION =
+  /^export\s+(?:const|let|var|function|class)\s+([A-Za-z_$][\w$]*)/gm;
+const NAMED_LIST = /^export\s*\{([^}]*)\}/gm;
+
+/**
+ * Reads a story file's `title` and the names of its named exports (the
+ * stories) without running it. Type-only exports are skipped.
+ *
+ * @param {string} source
+ * @returns {{ title: string | null, exports: string[] }}
+ */
+export function parseCsf(source) {
+  const exports = [...source.matchAll(NAMED_DECLARATION)].map(
+    ([, name]) => name,
+  );
+
+  for (const [, list] of source.matchAll(NAMED_LIST)) {
+    list
+      .split(",")
+      .map((item) => item.trim())
+      .filter((item) => item && !item.startsWith("type "))
+      .forEach((item) => {
+        const name = item
+          .split(/\s+as\s+/)
+          .pop()
+          .trim();
+        if (name !== "default") {
+          exports.push(name);
+        }
+      });
+  }
+
+  return {
+    title: source.match(DEFAULT_EXPORT_TITLE)?.[2] ?? null,
+    exports: [...new Set(exports)].filter(
+      (name) => name !== "__namedExportsOrder",
+    ),
+  };
+}
+
+const CONTROL_TYPES = [
+  "boolean",
+  "number",
+  "range",
+  "text",
+  "select",
+  "radio",
+  "inline-radio",
+];
+
+const controlOf = (argType) =>
+  typeof argType.control === "string"
+    ? { type: argType.control }
+    : argType.control;
+
+/**
+ * Fills in a control for every arg, from the declared `argTypes` or else from
+ * the type of the arg's value: booleans get a switch, numbers a spin button,
+ * strings a text box and anything with `options` a dropdown. Args whose value
+ * cannot be edited (objects, functions) get `control: false`.
+ */
+export function inferArgTypes(args = {}, argTypes = {}) {
+  const names = [...new Set([...Object.keys(argTypes), ...Object.keys(args)])];
+
+  return Object.fromEntries(
+    names.map((name) => {
+      const argType = { name, ...argTypes[name] };
+      const declared = argType.control === false ? false : controlOf(argType);
+      let control = declared;
+      if (control === undefined || (control && !control.type)) {
+        const value = args[name] ?? argType.defaultValue;
+        const type = argType.options
+          ? "select"
+          : typeof value === "boolean"
+            ? "boolean"
+            : typeof value === "number"
+              ? "number"
+              : typeof value === "string"
+                ? "text"
+                : null;
+        control = type ? { ...control, type } : false;
+      }
+      if (control && !CONTROL_TYPES.includes(control.type)) {
+        control = false;
+      }
+      return [name, { ...argType, control }];
+    }),
+  );
+}
+
+const isComponentType = (value) =>
+  typeof value === "function" || typeof value?.$$typeof === "symbol";
+
+/**
+ * Describes one story of a loaded CSF module. Supports CSF 2 (a component with
+ * optional `args`, `argTypes`, `storyName` and `decorators` properties) and
+ * CSF 3 (an object with `render` or `component`, `args`, `name`, ...); the
+ * default export's args, argTypes, decorators and parameters apply to every
+ * story. Exactly one of `render` (called with args and a context) and
+ * `component` (rendered with args as props) is set.
+ *
+ * @returns {null | {
+ *   name: string,
+ *   render: ((args: object, context: object) => unknown) | null,
+ *   component: unknown,
+ *   args: object,
+ *   argTypes: object,
+ *   decorators: Function[],
+ *   parameters: object,
+ * }}
+ */
+export function normalizeStory(module, exportName) {
+  const meta = module.default ?? {};
+  const story = module[exportName];
+  if (story === undefined || story === null) {
+    return null;
+  }
+
+  const isCsf2 = isComponentType(story);
+  const render = isCsf2 ? null : (story.render ?? meta.render ?? null);
+  const component = isCsf2
+    ? story
+    : (story.component ?? meta.component ?? null);
+  if (!render && !isComponentType(component)) {
+    return null;
+  }
+
+  const args = { ...meta.args, ...story.args };
+  return {
+    name:
+      story.storyName ??
+      (isCsf2 ? null : story.name) ??
+      storyNameFromExport(exportName),
+    render: render ?? null,
+    component: render ? null : component,
+    args,
+    argTypes: inferArgTypes(args, { ...meta.argTypes, ...story.argTypes }),
+    decorators: [...(story.decorators ?? []), ...(meta.decorators ?? [])],
+    parameters: { ...meta.parameters, ...story.parameters },
+  };
+}
@@ -0,0 +1,171 @@
+/**
+ * Resolves a component group or component name to its doc in repo-indexing/.
+ *
+ * This module has no Node dependencies: it is handed the parsed
+ * component-groups.json and the list of docs, so the CLI (scripts/docs.js) and
+ * the app can share the same resolution rules. Lookups are case-insensitive
+ * and try, in order:
+ *
+ *   1. a group name with its own doc (`TagPicker` -> tagpicker.mdx)
+ *   2. a component that belongs to a documented group (`TagPickerInput`)
+ *   3. a component documented in another group's doc (`CompoundButton` is
+ *      covered by button.mdx)
+ *   4. an alias (`Tabs`/`TabList`, `Modal` -> Dialog, ...)
+ */
+
+/** Common names that are neither a group nor a component name. */
+export const DOC_ALIASES = {
+  tabs: "TabList",
+  modal: "Dialog",
+  panel: "Drawer",
+  toggle: "Switch",
+  typography: "Text",
+  heading: "Title1",
+  tags: "TagGroup",
+  chip: "Tag",
+  avatarstack: "AvatarGroup",
+  datatable: "DataGrid",
+  treeview: "Tree",
+  breadcrumbs: "Breadcrumb",
+};
+
+export class DocNotFoundError extends Error {
+  constructor(name, { group = null, suggestions = [] } = {}) {
+    const reason = group
+      ? `"${name}" maps to the ${group} group, which has no doc in repo-indexing/.`
+      : `No component group or component named "${name}".`;
+    const hint = suggestions.length
+      ? ` Did you mean: ${suggestions.join(", ")}?`
+      : "";
+    super(reason + hint);
+    this.name = "DocNotFoundError";
+    this.query = name;
+    this.group = group;
+    this.suggestions = suggestions;
+  }
+}
+
+const normalize = (name) =>
+  name
+    .trim()
+    .toLowerCase()
+    .replace(/[\s_-]+/g, "");
+
+/**
+ * Creates a lookup over the given groups and docs.
+ *
+ * @param {object} options
+ * @param {{ name: string, components: string[] }[]} options.groups - component-groups.json
+ * @param {{ path: string, components: string[] }[]} options.docs - one entry per
+ *   MDX file; `components` lists the `### Name {Role}` headings it documents
+ */
+export function createDocsLookup({ groups, docs }) {
+  const docsByFile = new Map(
+    docs.map((doc) => [
+      normalize(
+        doc.path
+          .split("/")
+          .pop()
+          .replace(/\.mdx$/, ""),
+      ),
+      doc,
+    ]),
+  );
+  const groupsByName = new Map(
+    groups.map((group) => [normalize(group.name), group]),
+  );
+  const groupsByComponent = new Map();
+  groups.forEach((group) =>
+    group.components.forEach((component) => {
+      if (!groupsByComponent.has(normalize(component))) {
+        groupsByComponent.set(normalize(component), group);
+      }
+    }),
+  );
+
+  const docForGroup = (group) => docsByFile.get(normalize(group.name)) ?? null;
+
+  const documentedIn = (key) =>
+    docs.find((doc) =>
+      doc.components.some((component) => normalize(component) === key),
+    );
+
+  const result = (doc, group, match, component = null) => ({
+    path: doc.path,
+    group: group?.name ?? null,
+    component,
+    match,
+  });
+
+  const tryResolve = (key) => {
+    const group = groupsByName.get(key);
+    if (group && docForGroup(group)) {
+      return result(docForGroup(group), group, "group");
+    }
+
+    const owner = groupsByComponent.get(key);
+    const component =
+      owner?.components.find((name) => normalize(name) === key) ?? null;
+    if (owner && docForGroup(owner)) {
+      return result(docForGroup(owner), owner, "component", component);
+    }
+
+    const coveringDoc = documentedIn(key);
+    if (coveringDoc) {
+      const name =
+        component ??
+        group?.name ??
+        coveringDoc.components.find((item) => normalize(item) === key);
+      return result(coveringDoc, group ?? owner ?? null, "documented-in", name);
+    }
+
+    return null;
+  };
+
+  const suggest = (key) =>
+    [...groupsByName.values()]
+      .filter((group) => docForGroup(group))
+      .map((group) => group.name)
+      .filter((name) => {
+        const candidate = normalize(name);
+        return candidate.includes(key) || key.includes(candidate);
+      })
+      .slice(0, 5);
+
+  /**
+   * Resolves a name to `{ path, group, component, match }`.
+   * Throws a DocNotFoundError explaining why when no doc covers the name.
+   */
+  function lookup(name) {
+    const key = normalize(name);
+    const direct = tryResolve(key);
+    if (direct) {
+      return direct;
+    }
+
+    const alias = DOC_ALIASES[key] ? normalize(DOC_ALIASES[key]) : null;
+    const aliased = alias && tryResolve(alias);
+    if (aliased) {
+      return { ...aliased, match: "alias" };
+    }
+
+    const group =
+      groupsByName.get(key) ??
+      groupsByComponent.get(key) ??
+      (alias && (groupsByName.get(alias) ?? groupsByComponent.get(alias)));
+    throw new DocNotFoundError(name, {
+      group: group?.name ?? null,
+      suggestions: suggest(key),
+    });
+  }
+
+  /** Lists every group with the doc that covers it, or `null`. */
+  function list() {
+    return groups.map((group) => {
+      const doc = docForGroup(group) ?? documentedIn(normalize(group.name));
+      return { group: group.name, path: doc?.path ?? null };
+    });
+  }
+
+  return { lookup, list };
+}
@@ -0,0 +1,53 @@
+/**
+ * In-app access to the repo-indexing/*.mdx docs.
+ *
+ * The index (titles, purposes, headings and documented components) comes from
+ * the `virtual:docs-index` module built by plugins/docsIndex.js; the compiled
+ * MDX of a doc is only loaded when its page is opened. Names are resolved with
+ * the same rules as `yarn docs lookup` (docsLookup.js).
+ */
+import { lazy } from "react";
+import { docs, groups } from "virtual:docs-index";
+import { createDocsLookup, DocNotFoundError } from "./docsLookup";
+
+const docModules = import.meta.glob("../../repo-indexing/*.mdx");
+
+const docKey = (path) =>
+  path
+    .split("/")
+    .pop()
+    .replace(/\.mdx$/, "");
+
+const docsByKey = new Map(docs.map((doc) => [docKey(doc.path), doc]));
+
+const lookup = createDocsLookup({ groups, docs });
+
+export { DocNotFoundError };
+
+/** Every doc, sorted by title, with the `/docs/:group` slug it is served at. */
+export const docPages = docs
+  .map((doc) => ({ ...doc, slug: docKey(doc.path) }))
+  .sort((a, b) => a.title.localeCompare(b.title));
+
+/**
+ * Resolves a `/docs/:group` segment (a doc slug, group, component or alias)
+ * to `{ doc, slug, group, component, match }`. Throws a DocNotFoundError when
+ * no doc covers the name.
+ */
+export const resolveDoc = (name) => {
+  const found = docsByKey.has(name.toLowerCase())
+    ? { path: docsByKey.get(name.toLowerCase()).path, match: "group" }
+    : lookup.lookup(name);
+  const slug = docKey(found.path);
+  return { ...found, slug, doc: docsByKey.get(slug) };
+};
+
+const lazyDocs = new Map();
+
+/** Returns a cached React.lazy component rendering the doc's compiled MDX. */
+export const getLazyDoc = (slug) => {
+  if (!lazyDocs.has(slug)) {
+    lazyDocs.set(slug, lazy(docModules[`../../repo-indexing/${slug}.mdx`]));
+  }
+  return lazyDocs.get(slug);
+};
@@ -0,0 +1,9 @@
+/** Saves text as a file through a temporary object URL. */
+export const downloadFile = (text, fileName, type = "text/plain") => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,261 @@
+/**
+ * Runs edited example code in the browser.
+ *
+ * The playground transpiles TSX to CommonJS (see `transpileModel` in
+ * ./monaco), so running it means providing a synchronous `require`. Every
+ * module the code requires is loaded up front from the static import maps
+ * below, then the code is evaluated against that cache.
+ *
+ * `@fluentui/react-icons` is the exception: importing its root here would
+ * keep every icon in the bundle, so only the icons the code names are loaded,
+ * each from its own module.
+ */
+import { resolveExampleComponents } from "./exampleRegistry";
+
+const packageLoaders = {
+  react: () => import("react"),
+  "react/jsx-runtime": () => import("react/jsx-runtime"),
+  "react-dom": () => import("react-dom"),
+  "@fluentui/react": () => import("@fluentui/react"),
+  "@fluentui/react-hooks": () => import("@fluentui/react-hooks"),
+  "@fluentui/react-experiments": () => import("@fluentui/react-experiments"),
+  "@fluentui/react-charting": () => import("@fluentui/react-charting"),
+  "@fluentui/react-components": () => import("@fluentui/react-components"),
+  "@fluentui/react-icons": (code) => loadIcons(code),
+  "@fluentui/react-cards": () => import("@fluentui/react-cards"),
+  "@fluentui/react-focus": () => import("@fluentui/react-focus"),
+  "@fluentui/react-file-type-icons": () =>
+    import("@fluentui/react-file-type-icons"),
+  "@fluentui/react-icons-mdl2": () => import("@fluentui/react-icons-mdl2"),
+  "@fluentui/react-window-provider": () =>
+    import("@fluentui/react-window-provider"),
+  "@fluentui/example-data": () => import("@fluentui/example-data"),
+  "@fluentui/azure-themes": () => import("@fluentui/azure-themes"),
+  "@fluentui/theme-samples": () => import("@fluentui/theme-samples"),
+  "@fluentui/scheme-utilities": () => import("@fluentui/scheme-utilities"),
+  "@fluentui/foundation-legacy": () => import("@fluentui/foundation-legacy"),
+  "@fluentui/date-time-utilities": () =>
+    import("@fluentui/date-time-utilities"),
+  "@fluentui/dom-utilities": () => import("@fluentui/dom-utilities"),
+  "@fluentui/merge-styles": () => import("@fluentui/merge-styles"),
+  "@fluentui/style-utilities": () => import("@fluentui/style-utilities"),
+  "@fluentui/utilities": () => import("@fluentui/utilities"),
+  "d3-format": () => import("d3-format"),
+};
+
+// Sibling modules the examples import by relative path (helpers, data, other
+// examples and their SCSS modules).
+const localLoaders = import.meta.glob([
+  "../examples/**/*.{ts,tsx}",
+  "../examples/**/*.Example.scss",
+  "!../examples/*/demo/**",
+  "!../examples/**/e2e/**",
+  "!../examples/**/*.doc.tsx",
+  "!../examples/**/index.stories.tsx",
+]);
+
+// Source text for the doc and page files' webpack-style
+// `require("!raw-loader?esModule=false!<path>")` calls, which the build
+// handles in plugins/exampleRequires.js.
+const rawLoaders = import.meta.glob(
+  ["../examples/*/*/*.Example.tsx", "../examples/*/*/docs/**/*.md"],
+  { query: "?raw", import: "default" },
+);
+
+// One module per icon family, e.g. access-time.js exports AccessTimeFilled,
+// AccessTime20Regular and the other sizes.
+const iconLoaders = import.meta.glob(
+  "/node_modules/@fluentui/react-icons/lib/atoms/svg/*.js",
+);
+const ICON_MODULE_DIRECTORY =
+  "/node_modules/@fluentui/react-icons/lib/atoms/svg/";
+
+// `const react_icons_1 = require("@fluentui/react-icons")` as TypeScript
+// emits it, or wrapped in `__importStar(...)` for `import * as`.
+const ICONS_REQUIRE =
+  /\b([\w$]+)\s*=\s*(?:__importStar\()?require\(\s*["']@fluentui\/react-icons(?:\/[^"']*)?["']\s*\)/g;
+
+/**
+ * The icon family module exporting `name`: the longest run of its leading
+ * words that names a module, so AddCircle20Filled is in add-circle.js and
+ * Color16Filled in color-16-filled.js.
+ */
+const findIconModule = (name) => {
+  const words = name.match(/[A-Z][a-z]*|[a-z]+|\d+/g) ?? [];
+  for (let count = words.length; count > 0; count -= 1) {
+    const key = `${ICON_MODULE_DIRECTORY}${words
+      .slice(0, count)
+      .join("-")
+      .toLowerCase()}.js`;
+    if (key in iconLoaders) {
+      return key;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Loads the icon helpers (bundleIcon, wrapIcon, ...) and the icons `code`
+ * reads off its `@fluentui/react-icons` imports.
+ */
+const loadIcons = async (code) => {
+  const names = new Set();
+  [...code.matchAll(ICONS_REQUIRE)].forEach(([, binding]) => {
+    const escaped = binding.replace(/\$/g, "\\$");
+    const access = new RegExp(`(?<![\\w$])${escaped}\\.([A-Za-z0-9]+)`, "g");
+    [...code.matchAll(access)].forEach(([, name]) => names.add(name));
+  });
+  const iconModules = new Set([...names].map(findIconModule).filter(Boolean));
+
+  const loaded = await Promise.all([
+    import("@fluentui/react-icons/utils"),
+    import("@fluentui/react-icons/providers"),
+    ...[...iconModules].map((key) => iconLoaders[key]()),
+  ]);
+  return Object.assign({}, ...loaded);
+};
+
+const LOCAL_EXTENSIONS = ["", ".tsx", ".ts", "/index.tsx", "/index.ts"];
+const RAW_EXTENSIONS = ["", ".tsx", ".md"];
+const EXAMPLES_PACKAGE = "@fluentui/react-examples/lib/";
+const EXAMPLES_SOURCE = "@fluentui/react-examples/src/";
+const RAW_LOADER = /^!?raw-loader(?:\?[^!]*)?!/;
+
+const normalizePath = (path) => {
+  const resolved = [];
+  path.split("/").forEach((segment) => {
+    if (segment === "..") {
+      if (resolved.length > 0 && resolved[resolved.length - 1] !== "..") {
+        resolved.pop();
+      } else {
+        resolved.push(segment);
+      }
+    } else if (segment !== ".") {
+      resolved.push(segment);
+    }
+  });
+  return resolved.join("/");
+};
+
+/**
+ * Loads the text a raw-loader request reads. Sources outside src/examples
+ * (such as a package's `*.types.ts`) are not bundled, so they load as a
+ * placeholder comment.
+ */
+const resolveRawSpecifier = (specifier, fromPath) => {
+  const request = specifier.replace(RAW_LOADER, "");
+  let localPath;
+  if (request.startsWith(".")) {
+    const directory = fromPath.slice(0, fromPath.lastIndexOf("/"));
+    localPath = normalizePath(`${directory}/${request}`);
+  } else if (request.startsWith(EXAMPLES_SOURCE)) {
+    localPath = `../examples/${request.slice(EXAMPLES_SOURCE.length)}`;
+  }
+
+  const match =
+    localPath &&
+    RAW_EXTENSIONS.map((ext) => localPath + ext).find(
+      (candidate) => candidate in rawLoaders,
+    );
+  return {
+    key: match || specifier,
+    raw: true,
+    load: match
+      ? rawLoaders[match]
+      : async () => `// ${request} is not available in the playground.\n`,
+  };
+};
+
+/**
+ * Maps a module specifier from example code to a key of one of the loader
+ * maps, or `undefined` when the playground cannot provide that module.
+ */
+const resolveSpecifier = (specifier, fromPath) => {
+  if (RAW_LOADER.test(specifier)) {
+    return resolveRawSpecifier(specifier, fromPath);
+  }
+
+  let localPath;
+  if (specifier.startsWith(".")) {
+    const directory = fromPath.slice(0, fromPath.lastIndexOf("/"));
+    localPath = normalizePath(`${directory}/${specifier}`);
+  } else if (specifier.startsWith(EXAMPLES_PACKAGE)) {
+    localPath = `../examples/${specifier.slice(EXAMPLES_PACKAGE.length)}`;
+  }
+
+  if (localPath) {
+    const match = LOCAL_EXTENSIONS.map((ext) => localPath + ext).find(
+      (candidate) => candidate in localLoaders,
+    );
+    return match && { key: match, load: localLoaders[match] };
+  }
+
+  if (packageLoaders[specifier]) {
+    return { key: specifier, load: packageLoaders[specifier] };
+  }
+
+  // Deep imports such as `@fluentui/react/lib/DetailsList` are all re-exported
+  // from the package root.
+  const [first, second] = specifier.split("/");
+  const packageName = first.startsWith("@") ? `${first}/${second}` : first;
+  return (
+    packageLoaders[packageName] && {
+      key: packageName,
+      load: packageLoaders[packageName],
+    }
+  );
+};
+
+// Lets CommonJS interop helpers read named exports off CJS packages like React,
+// whose ESM wrapper only exposes them on `default`.
+const toCommonJsExports = (module) => {
+  const defaultExport = module.default;
+  const merged =
+    defaultExport && typeof defaultExport === "object"
+      ? { ...defaultExport, ...module }
+      : { ...module };
+  return Object.defineProperty(merged, "__esModule", { value: true });
+};
+
+const findRequires = (code) =>
+  [...code.matchAll(/\brequire\(\s*["']([^"']+)["']\s*\)/g)].map(
+    ([, specifier]) => specifier,
+  );
+
+/**
+ * Evaluates transpiled example code and returns the components it exports,
+ * in the same shape as `resolveExampleComponents`.
+ */
+export const evaluateExample = async (code, example) => {
+  const specifiers = [...new Set(findRequires(code))];
+  const modules = {};
+
+  await Promise.all(
+    specifiers.map(async (specifier) => {
+      const resolved = resolveSpecifier(specifier, example.path);
+      if (!resolved) {
+        throw new Error(
+          `The playground cannot import "${specifier}". Supported packages: ${Object.keys(
+            packageLoaders,
+          ).join(", ")}, and files under src/examples.`,
+        );
+      }
+      const loaded = await resolved.load(code);
+      modules[specifier] = resolved.raw ? loaded : toCommonJsExports(loaded);
+    }),
+  );
+
+  const module = { exports: {} };
+  const require = (specifier) => modules[specifier];
+  new Function("require", "module", "exports", code)(
+    require,
+    module,
+    module.exports,
+  );
+
+  const components = resolveExampleComponents(module.exports, example.kind);
+  if (components.length === 0) {
+    throw new Error("The edited code does not export a component to render.");
+  }
+  return components;
+};
@@ -0,0 +1,33 @@
+import { describe, expect, it } from "vitest";
+import { evaluateExample } from "./examplePlayground";
+
+const EXAMPLE = { path: "../examples/react/Button/Button.Icons.Example.tsx" };
+
+// Transpiled the way ./monaco transpiles edited code.
+const iconsExample = (body) => `"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.IconsExample = void 0;
+const react_icons_1 = require("@fluentui/react-icons");
+const Icons = __importStar(require("@fluentui/react-icons"));
+const IconsExample = () => ${body};
+exports.IconsExample = IconsExample;
+function __importStar(module) { return module; }
+`;
+
+describe("evaluateExample", () => {
+  it("loads only the icons the code names", async () => {
+    const [{ Component }] = await evaluateExample(
+      iconsExample(
+        "[react_icons_1.AddCircle20Filled, Icons.Color16Filled, react_icons_1]",
+      ),
+      EXAMPLE,
+    );
+    const [addCircle, color, icons] = Component();
+
+    expect(addCircle.displayName).toBe("AddCircle20Filled");
+    expect(color.displayName).toBe("Color16Filled");
+    expect(icons.bundleIcon).toBeTypeOf("function");
+    expect(icons.AddCircle24Regular).toBeTypeOf("object");
+    expect(icons.HomeRegular).toBeUndefined();
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Builds the example gallery from the folder layout under src/examples.
+ *
+ * Every `<package>/<Component>/<Name>.Example.tsx` file becomes an example,
+ * every `<package>/<Component>/<Name>Page.tsx` becomes that component's
+ * "overview" entry, every `<Name>.doc.tsx` its "doc page" entry, and the
+ * azure-themes stories are grouped by story folder.
+ * Modules and their raw source are only loaded when an example is opened.
+ */
+import { createElement, Fragment, lazy } from "react";
+
+const ExampleDocPage = lazy(() => import("../components/ExampleDocPage"));
+
+const exampleModules = import.meta.glob([
+  "../examples/*/*/*.Example.tsx",
+  "../examples/*/*/*Page.tsx",
+  "../examples/*/*/*.doc.tsx",
+  "../examples/azure-themes/stories/*/*.tsx",
+  "!../examples/*/demo/**",
+]);
+
+const exampleSources = import.meta.glob(
+  [
+    "../examples/*/*/*.Example.tsx",
+    "../examples/*/*/*Page.tsx",
+    "../examples/*/*/*.doc.tsx",
+    "../examples/azure-themes/stories/*/*.tsx",
+    "!../examples/*/demo/**",
+  ],
+  { query: "?raw", import: "default" },
+);
+
+const EXAMPLES_ROOT = "../examples/";
+const OVERVIEW_SLUG = "overview";
+const DOC_PAGE_SLUG = "doc-page";
+const KIND_ORDER = ["page", "doc"];
+
+export const toSlug = (value) =>
+  value
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .replace(/[.\s_]+/g, "-")
+    .toLowerCase();
+
+const toTitle = (value) =>
+  value.replace(/\./g, " ").replace(/([a-z0-9])([A-Z])/g, "$1 $2");
+
+const parsePath = (path) => {
+  const segments = path.slice(EXAMPLES_ROOT.length).split("/");
+  const fileName = segments[segments.length - 1].replace(/\.tsx$/, "");
+
+  if (segments[0] === "azure-themes") {
+    // azure-themes/stories/<Group>/<name>.stories.tsx
+    const name = fileName.replace(/\.stories$/, "");
+    return {
+      packageName: segments[0],
+      componentName: segments[2],
+      slug: toSlug(name),
+      title: toTitle(name.charAt(0).toUpperCase() + name.slice(1)),
+      kind: "story",
+    };
+  }
+
+  const [packageName, componentName] = segments;
+
+  if (fileName.endsWith("Page")) {
+    return {
+      packageName,
+      componentName,
+      slug: OVERVIEW_SLUG,
+      title: "Overview",
+      kind: "page",
+    };
+  }
+
+  if (fileName.endsWith(".doc")) {
+    return {
+      packageName,
+      componentName,
+      slug: DOC_PAGE_SLUG,
+      title: "Doc page",
+      kind: "doc",
+    };
+  }
+
+  let name = fileName.replace(/\.Example$/, "");
+  if (name.toLowerCase().startsWith(`${componentName.toLowerCase()}.`)) {
+    name = name.slice(componentName.length + 1);
+  }
+
+  return {
+    packageName,
+    componentName,
+    slug: toSlug(name),
+    title: toTitle(name),
+    kind: "example",
+  };
+};
+
+const isComponent = (value) =>
+  typeof value === "function" ||
+  (typeof value === "object" && value !== null && "$$typeof" in value);
+
+const isDocPageProps = (value) =>
+  typeof value === "object" &&
+  value !== null &&
+  typeof value.title === "string" &&
+  "componentName" in value;
+
+/**
+ * Picks the `IDocPageProps` a doc file describes its component with. Files
+ * such as DetailsList.doc.tsx also export one object per example, so the
+ * `<Component>PageProps` export wins; a few export a function of page options
+ * instead, which is called with the defaults.
+ */
+const resolveDocComponents = (module) => {
+  const candidates = Object.entries(module)
+    .filter(([name]) => /Props$/.test(name))
+    .map(([name, value]) => [
+      name,
+      typeof value === "function" && value.length <= 1 ? value({}) : value,
+    ])
+    .filter(([, value]) => isDocPageProps(value));
+  const preferred =
+    candidates.find(
+      ([name, props]) => name === `${props.componentName}PageProps`,
+    ) || candidates.find(([name]) => name.endsWith("PageProps"));
+  const [name, props] = preferred || candidates[0] || [];
+
+  return props
+    ? [
+        {
+          name,
+          Component: function DocPage() {
+            return createElement(ExampleDocPage, props);
+          },
+        },
+      ]
+    : [];
+};
+
+/**
+ * Picks what to render from a loaded example module. Example and page files
+ * export a single `*Example` / `*Page` component next to helper types and data;
+ * story files can export several stories, which are rendered one after another.
+ * Doc files export `IDocPageProps`, rendered as a docsite component page.
+ */
+export const resolveExampleComponents = (module, kind) => {
+  if (kind === "doc") {
+    return resolveDocComponents(module);
+  }
+
+  const exports = Object.entries(module).filter(
+    ([name, value]) =>
+      name !== "default" && /^[A-Z]/.test(name) && isComponent(value),
+  );
+
+  if (kind === "story") {
+    return exports.map(([name, value]) => ({ name, Component: value }));
+  }
+
+  const suffix = kind === "page" ? "Page" : "Example";
+  const preferred = exports.find(([name]) => name.endsWith(suffix));
+  const [name, Component] = preferred || exports[0] || [];
+
+  return Component ? [{ name, Component }] : [];
+};
+
+const buildRegistry = () => {
+  const packages = new Map();
+
+  Object.entries(exampleModules).forEach(([path, load]) => {
+    const { packageName, componentName, ...example } = parsePath(path);
+
+    if (!packages.has(packageName)) {
+      packages.set(packageName, { name: packageName, components: new Map() });
+    }
+    const components = packages.get(packageName).components;
+
+    if (!components.has(componentName)) {
+      components.set(componentName, {
+        name: componentName,
+        packageName,
+        examples: [],
+      });
+    }
+
+    components.get(componentName).examples.push({
+      ...example,
+      packageName,
+      componentName,
+      path,
+      load,
+      loadSource: exampleSources[path],
+    });
+  });
+
+  return [...packages.values()]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .map((pkg) => ({
+      name: pkg.name,
+      components: [...pkg.components.values()]
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map((component) => ({
+          ...component,
+          examples: component.examples.sort((a, b) => {
+            const rank = (example) =>
+              KIND_ORDER.includes(example.kind)
+                ? KIND_ORDER.indexOf(example.kind)
+                : KIND_ORDER.length;
+            return rank(a) - rank(b) || a.title.localeCompare(b.title);
+          }),
+        })),
+    }));
+};
+
+export const examplePackages = buildRegistry();
+
+export const findPackage = (packageName) =>
+  examplePackages.find((pkg) => pkg.name === packageName);
+
+export const findComponent = (packageName, componentName) =>
+  findPackage(packageName)?.components.find(
+    (component) => component.name === componentName,
+  );
+
+export const findExample = (packageName, componentName, slug) =>
+  findComponent(packageName, componentName)?.examples.find(
+    (example) => example.slug === slug,
+  );
+
+export const getExamplePath = (example) =>
+  `/examples/${example.packageName}/${example.componentName}/${example.slug}`;
+
+/**
+ * Wraps the components picked by `resolveExampleComponents` in a single
+ * component that renders them in order.
+ */
+export const createExampleRenderer = (components) =>
+  function RenderedExample() {
+    return createElement(
+      Fragment,
+      null,
+      components.map(({ name, Component }) =>
+        createElement(Component, { key: name }),
+      ),
+    );
+  };
+
+const lazyExamples = new Map();
+
+/**
+ * Returns a `React.lazy` component rendering everything the example module
+ * exports. The result is cached so re-renders keep the same component type.
+ */
+export const getLazyExample = (example) => {
+  if (!lazyExamples.has(example.path)) {
+    lazyExamples.set(
+      example.path,
+      lazy(() =>
+        example.load().then((module) => {
+          const components = resolveExampleComponents(module, example.kind);
+          if (components.length === 0) {
+            throw new Error(`${example.path} does not export a component`);
+          }
+          return { default: createExampleRenderer(components) };
+        }),
+      ),
+    );
+  }
+  return lazyExamples.get(example.path);
+};
@@ -0,0 +1,90 @@
+/**
+ * Fuzzy matching for the command palette: the letters of every word of the
+ * query must appear in the text in order, though not necessarily next to each
+ * other ("dl grp" matches "DetailsList Grouped"). The words themselves match
+ * independently, in any order, so "avatargroup when to use" finds a "When to
+ * Use" section of the AvatarGroup doc. Matches that start words, run on
+ * without gaps or cover a whole word score higher, and so does the query
+ * appearing as typed.
+ */
+
+const SEPARATORS = /[\s\-_/.#:()]/;
+
+const isWordStart = (text, index) =>
+  index === 0 ||
+  SEPARATORS.test(text[index - 1]) ||
+  (/[a-z0-9]/.test(text[index - 1]) && /[A-Z]/.test(text[index]));
+
+// Matches `token` from `start`, taking each following character at its next
+// occurrence; returns the score and matched positions, or null.
+const matchFrom = (token, text, lower, start) => {
+  const indices = [start];
+  let score = isWordStart(text, start) ? 8 : 1;
+  let previous = start;
+  for (let i = 1; i < token.length; i++) {
+    const index = lower.indexOf(token[i], previous + 1);
+    if (index === -1) {
+      return null;
+    }
+    if (index === previous + 1) {
+      score += 5;
+    } else if (isWordStart(text, index)) {
+      score += 4;
+    } else {
+      score += 1 - Math.min(index - previous - 1, 5) * 0.2;
+    }
+    indices.push(index);
+    previous = index;
+  }
+  return { score, indices };
+};
+
+const matchToken = (token, text, lower) => {
+  let best = null;
+  for (
+    let start = lower.indexOf(token[0]);
+    start !== -1;
+    start = lower.indexOf(token[0], start + 1)
+  ) {
+    const match = matchFrom(token, text, lower, start);
+    if (match && (!best || match.score > best.score)) {
+      best = match;
+    }
+  }
+  return best;
+};
+
+/**
+ * Scores how well `query` matches `text`, or returns null when it does not.
+ * `indices` lists the matched character positions, for highlighting.
+ *
+ * @param {string} query
+ * @param {string} text
+ * @returns {{ score: number, indices: number[] } | null}
+ */
+export function fuzzyMatch(query, text) {
+  const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (tokens.length === 0) {
+    return { score: 0, indices: [] };
+  }
+
+  const lower = text.toLowerCase();
+  let score = 0;
+  const indices = new Set();
+  for (const token of tokens) {
+    const match = matchToken(token, text, lower);
+    if (!match) {
+      return null;
+    }
+    score += match.score;
+    match.indices.forEach((index) => indices.add(index));
+  }
+
+  const phrase = tokens.join(" ");
+  if (lower.startsWith(phrase)) {
+    score += 10;
+  } else if (lower.includes(phrase)) {
+    score += 5;
+  }
+  return { score, indices: [...indices].sort((a, b) => a - b) };
+}
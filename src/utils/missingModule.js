@@ -0,0 +1,24 @@
+/**
+ * Recognizes import errors caused by a module that cannot be found, for the
+ * smoke test (src/test/examples.smoke.jsx) to report them apart from other
+ * import errors in the health report scripts/smoke.js writes.
+ */
+
+const MISSING_MODULE_PATTERNS = [
+  // The stub plugins/missingExampleImports.js puts in place of the import.
+  /Cannot find module (\S+) imported by an example/,
+  /Cannot find (?:module|package) ['"]([^'"]+)['"]/,
+  /Failed to resolve import ['"]([^'"]+)['"]/,
+  /Failed to load url (\S+)/,
+];
+
+/** The module an import error says is missing, or `null`. */
+export function findMissingModule(message) {
+  for (const pattern of MISSING_MODULE_PATTERNS) {
+    const match = String(message).match(pattern);
+    if (match) {
+      return match[1];
+    }
+  }
+  return null;
+}
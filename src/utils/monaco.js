@@ -0,0 +1,89 @@
+/**
+ * Monaco setup for the example code viewer and playground, and for the live
+ * previews on the docs pages.
+ *
+ * Monaco and its TypeScript worker ship inside the installed
+ * `@fluentui/monaco-editor` package and are bundled by Vite as workers, so the
+ * editor and the TSX transpiler work without any network access.
+ */
+import * as monaco from "@fluentui/monaco-editor";
+import EditorWorker from "@fluentui/monaco-editor/esm/vs/editor/editor.worker.js?worker";
+import TsWorker from "@fluentui/monaco-editor/esm/vs/language/typescript/ts.worker.js?worker";
+
+self.MonacoEnvironment = {
+  getWorker(_workerId, label) {
+    return label === "typescript" || label === "javascript"
+      ? new TsWorker()
+      : new EditorWorker();
+  },
+};
+
+const { typescript } = monaco.languages;
+
+typescript.typescriptDefaults.setCompilerOptions({
+  target: typescript.ScriptTarget.ES2017,
+  module: typescript.ModuleKind.CommonJS,
+  // The automatic runtime also covers docs snippets that never import React.
+  jsx: typescript.JsxEmit.ReactJSX,
+  esModuleInterop: true,
+  allowNonTsExtensions: true,
+  experimentalDecorators: true,
+});
+
+// The examples import packages Monaco has no typings for, so only syntax
+// errors are reported; they are also what stops the playground from running.
+typescript.typescriptDefaults.setDiagnosticsOptions({
+  noSemanticValidation: true,
+  noSyntaxValidation: false,
+});
+
+export const getEditorTheme = (themeMode) =>
+  themeMode === "dark" ? "vs-dark" : "vs";
+
+/**
+ * Returns the Monaco model for a source file, creating it on first use.
+ * Models are keyed by scope and file path, so the read-only viewer keeps the
+ * original source while the playground holds the edited copy.
+ */
+export const getModel = (path, source, scope = "source") => {
+  const uri = monaco.Uri.file(
+    `/${scope}/${path.replace(/^(\.\.\/)+/, "")}`,
+  );
+  return (
+    monaco.editor.getModel(uri) ||
+    monaco.editor.createModel(source, "typescript", uri)
+  );
+};
+
+/**
+ * Transpiles a model's TSX to CommonJS. Resolves with `{ output }`, or with
+ * `{ error }` listing the syntax errors when the code cannot be compiled.
+ */
+export const transpileModel = async (model) => {
+  const getWorker = await typescript.getTypeScriptWorker();
+  const worker = await getWorker(model.uri);
+  const fileName = model.uri.toString();
+
+  const diagnostics = (await worker.getSyntacticDiagnostics(fileName)).filter(
+    (diagnostic) => diagnostic.category === 1,
+  );
+  if (diagnostics.length > 0) {
+    return {
+      error: diagnostics
+        .map((diagnostic) => {
+          const { lineNumber, column } = model.getPositionAt(diagnostic.start);
+          const message =
+            typeof diagnostic.messageText === "string"
+              ? diagnostic.messageText
+              : diagnostic.messageText.messageText;
+          return `Line ${lineNumber}, column ${column}: ${message}`;
+        })
+        .join("\n"),
+    };
+  }
+
+  const emitted = await worker.getEmitOutput(fileName);
+  return { output: emitted.outputFiles[0].text };
+};
+
+export { monaco };
@@ -0,0 +1,65 @@
+/**
+ * localStorage access for the stores that persist to it. None of these
+ * throw: storage can be missing (outside a browser), disabled (e.g. in
+ * sandboxed iframes), full, or hold something that is not JSON. Reads return
+ * null instead, and writes return whether they were stored.
+ */
+
+const getStorage = () => {
+  try {
+    return typeof window === "undefined" ? null : window.localStorage;
+  } catch {
+    // Access throws when storage is disabled, e.g. for sandboxed iframes.
+    return null;
+  }
+};
+
+/** The string stored under `key`, or null. */
+export function readStorageItem(key) {
+  try {
+    return getStorage()?.getItem(key) ?? null;
+  } catch {
+    return null;
+  }
+}
+
+/** The value stored as JSON under `key`, or null when there is none. */
+export function readStoredJson(key) {
+  const raw = readStorageItem(key);
+  if (raw === null) {
+    return null;
+  }
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/** Stores `value` as JSON under `key`, returning whether it was stored. */
+export function writeStoredJson(key, value) {
+  const storage = getStorage();
+  if (!storage) {
+    return false;
+  }
+  try {
+    storage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/** Removes whatever is stored under `key`, returning whether that worked. */
+export function removeStorageItem(key) {
+  const storage = getStorage();
+  if (!storage) {
+    return false;
+  }
+  try {
+    storage.removeItem(key);
+    return true;
+  } catch {
+    return false;
+  }
+}
@@ -0,0 +1,109 @@
+/**
+ * The story runner's view of the examples' `*.stories.tsx` files.
+ *
+ * The list of stories comes from the `virtual:stories-index` module built by
+ * plugins/storiesIndex.js; a story file is only loaded when one of its stories
+ * is opened, and its exports are read with `normalizeStory` from csf.js.
+ * Args edited in the controls panel live in the URL as `?arg.<name>=<value>`,
+ * so a story link reproduces what was on screen.
+ */
+import { stories } from "virtual:stories-index";
+import { normalizeStory } from "./csf";
+
+const storyModules = import.meta.glob("../examples/**/*.stories.tsx");
+
+const ARG_PREFIX = "arg.";
+
+export { stories };
+
+/**
+ * Stories grouped by package, then by title:
+ * `[{ name, titles: [{ title, label, stories }] }]`.
+ */
+export const storyPackages = (() => {
+  const packages = new Map();
+  stories.forEach((story) => {
+    if (!packages.has(story.packageName)) {
+      packages.set(story.packageName, new Map());
+    }
+    const titles = packages.get(story.packageName);
+    if (!titles.has(story.title)) {
+      titles.set(story.title, {
+        title: story.title,
+        label: story.title.split("/").pop(),
+        stories: [],
+      });
+    }
+    titles.get(story.title).stories.push(story);
+  });
+
+  return [...packages.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([name, titles]) => ({ name, titles: [...titles.values()] }));
+})();
+
+export const findStory = (id) => stories.find((story) => story.id === id);
+
+export const getStoryPath = (story) => `/stories/${story.id}`;
+
+/**
+ * Loads the story's file and describes the story:
+ * the index entry plus `name`, `render` or `component`, `args`, `argTypes`,
+ * `decorators` and `parameters`.
+ */
+export const loadStory = async (story) => {
+  const load = storyModules[`../${story.path.slice("src/".length)}`];
+  const described = load && normalizeStory(await load(), story.exportName);
+  if (!described) {
+    throw new Error(
+      `${story.path} does not export a story named "${story.exportName}"`,
+    );
+  }
+  return { ...story, ...described };
+};
+
+const parseArg = (value, argType) => {
+  switch (argType.control?.type) {
+    case "boolean":
+      return value === "true";
+    case "number":
+    case "range":
+      return Number.isFinite(Number(value)) ? Number(value) : undefined;
+    case "select":
+    case "radio":
+    case "inline-radio":
+      return (argType.options ?? []).find((option) => String(option) === value);
+    default:
+      return value;
+  }
+};
+
+/** Reads the args set in the URL, ignoring any the story cannot edit. */
+export const readArgs = (searchParams, argTypes) => {
+  const args = {};
+  searchParams.forEach((value, key) => {
+    const argType = argTypes[key.slice(ARG_PREFIX.length)];
+    if (key.startsWith(ARG_PREFIX) && argType?.control) {
+      const parsed = parseArg(value, argType);
+      if (parsed !== undefined) {
+        args[argType.name] = parsed;
+      }
+    }
+  });
+  return args;
+};
+
+/**
+ * Returns `searchParams` with the `arg.*` entries replaced by the args that
+ * differ from the story's initial args.
+ */
+export const writeArgs = (searchParams, args, initialArgs) => {
+  const next = new URLSearchParams(searchParams);
+  [...next.keys()]
+    .filter((key) => key.startsWith(ARG_PREFIX))
+    .forEach((key) => next.delete(key));
+  Object.entries(args)
+    .filter(([name, value]) => value !== initialArgs[name])
+    .forEach(([name, value]) => next.set(ARG_PREFIX + name, String(value)));
+  return next;
+};
@@ -1,7 +1,75 @@
+import { fileURLToPath, URL } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import mdx from '@mdx-js/rollup'
+import remarkFrontmatter from 'remark-frontmatter'
+import missingExampleImports from './plugins/missingExampleImports.js'
+import exampleStyleModules from './plugins/exampleStyleModules.js'
+import exampleRequires from './plugins/exampleRequires.js'
+import docsIndex from './plugins/docsIndex.js'
+import storiesIndex from './plugins/storiesIndex.js'
+import rehypeHeadingIds from './plugins/rehypeHeadingIds.js'
+import routeBudget from './plugins/routeBudget.js'
+import mockApi from './plugins/mockApi.js'
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [
+    // The repo-indexing docs are plain Markdown (headings like
+    // `### Button {Primary Component}` are not valid MDX), so compile them as
+    // such; the page supplies the React components for headings and code.
+    {
+      enforce: 'pre',
+      ...mdx({
+        include: 'repo-indexing/**/*.mdx',
+        format: 'md',
+        mdExtensions: ['.mdx'],
+        remarkPlugins: [remarkFrontmatter],
+        rehypePlugins: [rehypeHeadingIds],
+      }),
+    },
+    react(),
+    exampleStyleModules(),
+    exampleRequires(),
+    missingExampleImports(),
+    docsIndex(),
+    storiesIndex(),
+    // Answers /api from seeded fixtures in `yarn dev` and `yarn preview`.
+    mockApi(),
+    // Gzipped kB: the app shell every route loads and any route beyond that.
+    // `vite build` writes reports/bundle.html.
+    routeBudget({
+      budget: {
+        initial: 260,
+        route: 180,
+      },
+    }),
+  ],
+  css: {
+    preprocessorOptions: {
+      // Lets any SCSS file `@use 'tokens'` (generated by scripts/tokens.js).
+      scss: {
+        loadPaths: [fileURLToPath(new URL('./src/styles/tokens', import.meta.url))],
+      },
+    },
+  },
+  test: {
+    // Component tests run in jsdom with Testing Library; the helpers live in
+    // src/test. The FocusTrapZone spec keeps its place under its example.
+    environment: 'jsdom',
+    include: ['src/**/*.test.{js,jsx,ts,tsx}', 'src/examples/**/e2e/*.e2e.tsx'],
+    setupFiles: ['./src/test/setup.js'],
+  },
+  resolve: {
+    alias: [
+      // The examples cross-import each other through the published package
+      // name; point those imports at the local copy under src/examples.
+      {
+        find: '@fluentui/react-examples/lib',
+        replacement: fileURLToPath(new URL('./src/examples', import.meta.url)),
+      },
+      // webpack-style `~package` imports in the examples' SCSS files.
+      { find: /^~(?=[@\w])/, replacement: '' },
+    ],
+  },
 })